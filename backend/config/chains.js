@@ -60,6 +60,29 @@ export const CONTRACT_ABI = [
     stateMutability: 'view'
   },
 
+  // ── V2: Issuer management (owner-only writes) ──
+  {
+    name: 'authorizeIssuer',
+    type: 'function',
+    inputs: [{ name: '_issuer', type: 'address' }],
+    outputs: [],
+    stateMutability: 'nonpayable'
+  },
+  {
+    name: 'revokeIssuer',
+    type: 'function',
+    inputs: [{ name: '_issuer', type: 'address' }],
+    outputs: [],
+    stateMutability: 'nonpayable'
+  },
+  {
+    name: 'isAuthorizedIssuer',
+    type: 'function',
+    inputs: [{ name: '_issuer', type: 'address' }],
+    outputs: [{ name: '', type: 'bool' }],
+    stateMutability: 'view'
+  },
+
   // ── V2: Revocation ──
   {
     name: 'revokeCredential',
@@ -98,6 +121,72 @@ export const CONTRACT_ABI = [
     outputs: [{ name: 'valid', type: 'bool' }],
     stateMutability: 'view'
   },
+  {
+    name: 'verifyScopedAttestation',
+    type: 'function',
+    inputs: [
+      { name: '_wallet', type: 'address' },
+      { name: '_claimHash', type: 'bytes32' },
+      { name: '_nonce', type: 'uint256' },
+      { name: '_audienceHash', type: 'bytes32' },
+      { name: '_expiresAt', type: 'uint256' },
+      { name: '_v', type: 'uint8' },
+      { name: '_r', type: 'bytes32' },
+      { name: '_s', type: 'bytes32' }
+    ],
+    outputs: [{ name: 'valid', type: 'bool' }],
+    stateMutability: 'view'
+  },
+  {
+    name: 'useScopedAttestation',
+    type: 'function',
+    inputs: [
+      { name: '_wallet', type: 'address' },
+      { name: '_claimHash', type: 'bytes32' },
+      { name: '_nonce', type: 'uint256' },
+      { name: '_audienceHash', type: 'bytes32' },
+      { name: '_expiresAt', type: 'uint256' },
+      { name: '_v', type: 'uint8' },
+      { name: '_r', type: 'bytes32' },
+      { name: '_s', type: 'bytes32' }
+    ],
+    outputs: [],
+    stateMutability: 'nonpayable'
+  },
+
+  // ── V2: Revocation status lists (StatusList2021) ──
+  {
+    name: 'publishStatusList',
+    type: 'function',
+    inputs: [
+      { name: '_listId', type: 'uint256' },
+      { name: '_listHash', type: 'bytes32' }
+    ],
+    outputs: [],
+    stateMutability: 'nonpayable'
+  },
+  {
+    name: 'statusListHashes',
+    type: 'function',
+    inputs: [{ name: '', type: 'uint256' }],
+    outputs: [{ name: '', type: 'bytes32' }],
+    stateMutability: 'view'
+  },
+  {
+    name: 'verifyAttestationWithStatus',
+    type: 'function',
+    inputs: [
+      { name: '_wallet', type: 'address' },
+      { name: '_claimHash', type: 'bytes32' },
+      { name: '_nonce', type: 'uint256' },
+      { name: '_v', type: 'uint8' },
+      { name: '_r', type: 'bytes32' },
+      { name: '_s', type: 'bytes32' },
+      { name: '_statusList', type: 'bytes' }
+    ],
+    outputs: [{ name: 'valid', type: 'bool' }],
+    stateMutability: 'view'
+  },
 
   // ── V2: Reputation ──
   {
@@ -230,6 +319,16 @@ export const CONTRACT_ABI = [
       { name: 'user', type: 'address', indexed: true },
       { name: 'timestamp', type: 'uint256' }
     ]
+  },
+  {
+    name: 'IssuerAuthorized',
+    type: 'event',
+    inputs: [{ name: 'issuer', type: 'address', indexed: true }]
+  },
+  {
+    name: 'IssuerRevoked',
+    type: 'event',
+    inputs: [{ name: 'issuer', type: 'address', indexed: true }]
   }
 ]
 
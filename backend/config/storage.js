@@ -0,0 +1,20 @@
+/**
+ * storage.js - Persistence Configuration
+ *
+ * Chooses where RacePass keeps credentials, events, tickets and reputation.
+ *
+ * Drivers:
+ * - file:   JSON snapshot on disk (default) — survives restarts and crashes
+ * - memory: plain in-process Maps — wiped on restart, handy for tests/demos
+ *
+ * Set STORAGE_DRIVER and STORAGE_PATH in .env to override.
+ */
+
+import { fileURLToPath } from 'url'
+
+export const STORAGE_DRIVERS = ['file', 'memory']
+
+export const STORAGE_CONFIG = {
+  driver: process.env.STORAGE_DRIVER || 'file',
+  path: process.env.STORAGE_PATH || fileURLToPath(new URL('../data/racepass.json', import.meta.url))
+}
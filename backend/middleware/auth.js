@@ -0,0 +1,64 @@
+/**
+ * auth.js - Session Middleware
+ *
+ * Resolves the "Authorization: Bearer <token>" header (issued by
+ * POST /api/auth/verify) to the caller's wallet.
+ *
+ * Routes read the wallet from req.auth.walletAddress — NEVER from the body.
+ * requireAdmin additionally restricts a route to the ADMIN_WALLETS operators.
+ */
+
+import { verifySessionToken } from '../services/auth.js'
+
+function readSession(req) {
+  const header = req.headers.authorization || ''
+  const [scheme, token] = header.split(' ')
+  if (scheme !== 'Bearer' || !token) return null
+  return verifySessionToken(token)
+}
+
+/**
+ * Reject the request with 401 unless it carries a valid session.
+ * On success: req.auth = { walletAddress (lowercase), expiresAt }
+ */
+export function requireAuth(req, res, next) {
+  const session = readSession(req)
+  if (!session) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required. Sign in with your wallet first.',
+      reason: 'unauthenticated'
+    })
+  }
+  req.auth = session
+  next()
+}
+
+/**
+ * Public routes that do more for a signed-in caller: sets req.auth when the
+ * request carries a valid session (null otherwise), never rejects.
+ */
+export function optionalAuth(req, res, next) {
+  req.auth = readSession(req)
+  next()
+}
+
+/**
+ * Operator-only routes (issuer key management, ...).
+ * Admins are the wallets listed in ADMIN_WALLETS (comma-separated).
+ * Use after requireAuth.
+ */
+export function requireAdmin(req, res, next) {
+  const admins = (process.env.ADMIN_WALLETS || '')
+    .split(',')
+    .map(a => a.trim().toLowerCase())
+    .filter(Boolean)
+  if (!admins.includes(req.auth?.walletAddress)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required',
+      reason: 'not_admin'
+    })
+  }
+  next()
+}
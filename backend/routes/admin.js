@@ -0,0 +1,297 @@
+/**
+ * admin.js - Operator Console Routes (ADMIN_WALLETS only)
+ *
+ * GET  /api/admin/credentials                 → list / search RacePasses (wallet, credentialId, fingerprint)
+ * GET  /api/admin/credentials/:wallet         → one RacePass, its activity log and admin actions
+ * POST /api/admin/credentials/:wallet/suspend → suspend with a reason code (revokeCredential on-chain, status list bit)
+ * POST /api/admin/credentials/:wallet/restore → restore a suspended or revoked one (restoreCredential on-chain, bit cleared)
+ * GET  /api/admin/stats                       → issuance volume and status counts
+ * GET  /api/admin/abuse-signals               → identity collisions, face-check lockouts, repeated age-gate blocks
+ * GET  /api/admin/audit?format=json|csv       → audit trail of admin actions
+ *
+ * Suspension rules and reason codes: services/moderation.js.
+ * Responses never include commitments' openings, nullifiers or the credential JWT.
+ */
+
+import { Router } from 'express'
+import { requireAuth, requireAdmin } from '../middleware/auth.js'
+import { getCredentialStore, getActivityLog, logActivity } from './kyc.js'
+import { getNullifierHolder, bindNullifier, getCollisionReport } from '../services/nullifier.js'
+import { listFaceLocks } from '../services/faceSession.js'
+import { revokeOnBothChains, restoreOnBothChains } from '../services/blockchain.js'
+import { setRecordRevoked } from '../services/statusList.js'
+import {
+  SUSPENSION_REASONS, RESTORE_REASONS, readReason, credentialStatus,
+  recordAdminAction, listAdminActions, auditToCsv
+} from '../services/moderation.js'
+
+const router = Router()
+router.use(requireAuth, requireAdmin)
+
+const STATUSES = ['active', 'expired', 'revoked', 'suspended', 'migrated']
+const MAX_PAGE_SIZE = 200
+const STATS_DAYS = 30
+const AGE_BLOCK_WINDOW_MS = 7 * 24 * 60 * 60 * 1000
+const AGE_BLOCK_THRESHOLD = 3   // blocked this often in a week → worth a look
+
+/** What the console may see of a record — flags, ids and dates, no secrets */
+function summarize(wallet, data) {
+  return {
+    wallet,
+    status: credentialStatus(data),
+    credentialId: data.credential?.id || null,
+    fingerprint: data.fingerprint || null,
+    documentType: data.documentType || 'aadhaar',
+    country: data.country || null,
+    assuranceLevel: data.assuranceLevel || null,
+    ageCategory: data.ageCategory || null,
+    createdAt: data.createdAt || null,
+    renewedAt: data.renewedAt || null,
+    expiresAt: data.expiresAt || null,
+    revokedAt: data.revokedAt || null,
+    suspension: data.suspension || null,
+    migratedTo: data.migratedTo || null,
+    guardian: data.guardian?.wallet || null,
+    reputation: data.reputation || null,
+    previousCredentials: (data.previousCredentials || []).map(({ id, fingerprint, supersededAt }) => ({ id, fingerprint, supersededAt }))
+  }
+}
+
+function matchesQuery(wallet, data, q) {
+  if (!q) return true
+  const ids = [wallet, data.credential?.id, data.fingerprint, ...(data.previousCredentials || []).flatMap(p => [p.id, p.fingerprint])]
+  return ids.some(id => typeof id === 'string' && id.toLowerCase().includes(q))
+}
+
+/**
+ * GET /api/admin/credentials?q=&status=&limit=&offset=
+ * q matches (part of) a wallet, credentialId or fingerprint — current or superseded by renewal.
+ */
+router.get('/credentials', (req, res) => {
+  const q = String(req.query.q || '').trim().toLowerCase()
+  const { status } = req.query
+  if (status && !STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `status must be one of: ${STATUSES.join(', ')}` })
+  }
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), MAX_PAGE_SIZE)
+  const offset = Math.max(Number(req.query.offset) || 0, 0)
+
+  const matches = []
+  for (const [wallet, data] of getCredentialStore()) {
+    if (!matchesQuery(wallet, data, q)) continue
+    const summary = summarize(wallet, data)
+    if (status && summary.status !== status) continue
+    matches.push(summary)
+  }
+  matches.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''))
+
+  res.json({ success: true, total: matches.length, limit, offset, credentials: matches.slice(offset, offset + limit) })
+})
+
+/**
+ * GET /api/admin/credentials/:wallet
+ */
+router.get('/credentials/:wallet', (req, res) => {
+  const key = req.params.wallet.toLowerCase()
+  const data = getCredentialStore().get(key)
+  if (!data) return res.status(404).json({ success: false, error: 'No RacePass found for this wallet' })
+
+  res.json({
+    success: true,
+    credential: summarize(key, data),
+    activities: getActivityLog().get(key) || [],
+    adminActions: listAdminActions({ wallet: key })
+  })
+})
+
+/**
+ * POST /api/admin/credentials/:wallet/suspend
+ * Body: { reason, note? } — reason: a key of SUSPENSION_REASONS
+ * Like the contract's revokeCredential, an already revoked RacePass can't be suspended.
+ */
+router.post('/credentials/:wallet/suspend', async (req, res) => {
+  const admin = req.auth.walletAddress
+  const key = req.params.wallet.toLowerCase()
+  const { reason, note, error } = readReason(req.body, SUSPENSION_REASONS)
+  if (error) return res.status(400).json({ success: false, error })
+
+  const credentials = getCredentialStore()
+  const data = credentials.get(key)
+  if (!data) return res.status(404).json({ success: false, error: 'No RacePass found for this wallet' })
+  if (data.revoked) {
+    return res.status(409).json({ success: false, error: `This RacePass is already ${credentialStatus(data)}`, reason: 'already_revoked' })
+  }
+
+  const suspendedAt = new Date().toISOString()
+  const suspension = { reason, note, suspendedBy: admin, suspendedAt }
+  // The nullifier stays bound: the identity can't be re-issued while suspended
+  credentials.set(key, { ...data, revoked: true, revokedAt: suspendedAt, suspension })
+  setRecordRevoked(data)
+
+  const blockchainResults = await revokeOnBothChains(key)
+
+  recordAdminAction({
+    admin, action: 'CREDENTIAL_SUSPENDED', wallet: key, credentialId: data.credential?.id, reason, note,
+    details: { blockchainResults }
+  })
+  logActivity(key, 'CREDENTIAL_SUSPENDED', { credentialId: data.credential?.id, reason, suspendedAt })
+  console.log(`⛔ RacePass of ${key.slice(0, 10)}... suspended by ${admin.slice(0, 10)}... (${reason})`)
+
+  res.json({
+    success: true,
+    message: `RacePass suspended: ${SUSPENSION_REASONS[reason]}`,
+    credential: summarize(key, credentials.get(key)),
+    blockchainResults
+  })
+})
+
+/**
+ * POST /api/admin/credentials/:wallet/restore
+ * Body: { reason, note? } — reason: a key of RESTORE_REASONS
+ * Restores a suspension or a (self-)revocation. A moved RacePass can't be
+ * restored, nor one whose identity now backs another active RacePass.
+ */
+router.post('/credentials/:wallet/restore', async (req, res) => {
+  const admin = req.auth.walletAddress
+  const key = req.params.wallet.toLowerCase()
+  const { reason, note, error } = readReason(req.body, RESTORE_REASONS)
+  if (error) return res.status(400).json({ success: false, error })
+
+  const credentials = getCredentialStore()
+  const data = credentials.get(key)
+  if (!data) return res.status(404).json({ success: false, error: 'No RacePass found for this wallet' })
+  if (!data.revoked) {
+    return res.status(409).json({ success: false, error: 'This RacePass is not revoked', reason: 'not_revoked' })
+  }
+  if (data.migratedTo) {
+    return res.status(409).json({
+      success: false,
+      error: `This RacePass moved to ${data.migratedTo} — restore that wallet instead`,
+      reason: 'credential_migrated'
+    })
+  }
+
+  // A self-revocation released the identity; take it back unless another RacePass holds it now
+  if (data.nullifier) {
+    const holder = getNullifierHolder(data.nullifier)
+    const held = holder && holder !== key ? credentials.get(holder) : null
+    if (held && credentialStatus(held) !== 'revoked' && credentialStatus(held) !== 'expired') {
+      return res.status(409).json({
+        success: false,
+        error: 'This identity now backs another RacePass',
+        reason: 'identity_in_use',
+        heldBy: holder
+      })
+    }
+    bindNullifier(data.nullifier, key)
+  }
+
+  const restoredAt = new Date().toISOString()
+  const { suspension, revokedAt, ...rest } = data
+  credentials.set(key, { ...rest, revoked: false, restoredAt })
+  setRecordRevoked(data, false)
+
+  const blockchainResults = await restoreOnBothChains(key)
+
+  recordAdminAction({
+    admin, action: 'CREDENTIAL_RESTORED', wallet: key, credentialId: data.credential?.id, reason, note,
+    details: { blockchainResults, previous: suspension ? 'suspended' : 'revoked' }
+  })
+  logActivity(key, 'CREDENTIAL_RESTORED', { credentialId: data.credential?.id, reason, restoredAt })
+  console.log(`♻️ RacePass of ${key.slice(0, 10)}... restored by ${admin.slice(0, 10)}... (${reason})`)
+
+  res.json({
+    success: true,
+    message: `RacePass restored: ${RESTORE_REASONS[reason]}`,
+    credential: summarize(key, credentials.get(key)),
+    blockchainResults
+  })
+})
+
+/**
+ * GET /api/admin/stats
+ * Status counts, issuance by document type and assurance level, and daily
+ * issuance / renewals for the last 30 days.
+ */
+router.get('/stats', (req, res) => {
+  const now = Date.now()
+  const byStatus = Object.fromEntries(STATUSES.map(s => [s, 0]))
+  const byDocumentType = {}
+  const byAssuranceLevel = {}
+  const daily = {}
+  for (let i = STATS_DAYS - 1; i >= 0; i--) {
+    daily[new Date(now - i * 86400000).toISOString().slice(0, 10)] = { issued: 0, renewed: 0 }
+  }
+
+  let total = 0
+  for (const [, data] of getCredentialStore()) {
+    total += 1
+    byStatus[credentialStatus(data, now)] += 1
+    if (data.migratedTo) continue  // counted once, on the wallet it moved to
+    const documentType = data.documentType || 'aadhaar'
+    byDocumentType[documentType] = (byDocumentType[documentType] || 0) + 1
+    const level = data.assuranceLevel || 'unknown'
+    byAssuranceLevel[level] = (byAssuranceLevel[level] || 0) + 1
+    const issuedDay = data.createdAt?.slice(0, 10)
+    if (daily[issuedDay]) daily[issuedDay].issued += 1
+    const renewedDay = data.renewedAt?.slice(0, 10)
+    if (daily[renewedDay]) daily[renewedDay].renewed += 1
+  }
+
+  res.json({
+    success: true,
+    total,
+    byStatus,
+    byDocumentType,
+    byAssuranceLevel,
+    daily: Object.entries(daily).map(([date, counts]) => ({ date, ...counts })),
+    generatedAt: new Date(now).toISOString()
+  })
+})
+
+/**
+ * GET /api/admin/abuse-signals
+ */
+router.get('/abuse-signals', (req, res) => {
+  const since = Date.now() - AGE_BLOCK_WINDOW_MS
+  const ageGateBlocks = []
+  for (const [wallet, log] of getActivityLog()) {
+    const blocks = log.filter(a =>
+      (a.action === 'AGE_GATE_BLOCKED' || a.action === 'EVENT_AGE_BLOCKED') && new Date(a.timestamp).getTime() >= since)
+    if (blocks.length >= AGE_BLOCK_THRESHOLD) {
+      ageGateBlocks.push({ wallet, blocks: blocks.length, lastAt: blocks[blocks.length - 1].timestamp })
+    }
+  }
+  ageGateBlocks.sort((a, b) => b.blocks - a.blocks)
+
+  const collisions = getCollisionReport()
+  res.json({
+    success: true,
+    identityCollisions: collisions.identities,
+    faceCheckLockouts: listFaceLocks(),
+    ageGateBlocks,
+    generatedAt: new Date().toISOString()
+  })
+})
+
+/**
+ * GET /api/admin/audit?wallet=&action=&since=&format=json|csv
+ */
+router.get('/audit', (req, res) => {
+  const { wallet, action, since, format = 'json' } = req.query
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(400).json({ success: false, error: 'format must be json or csv' })
+  }
+  const entries = listAdminActions({ wallet, action, since })
+
+  recordAdminAction({ admin: req.auth.walletAddress, action: 'AUDIT_EXPORTED', details: { format, entries: entries.length } })
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8')
+    res.setHeader('Content-Disposition', `attachment; filename="racepass-admin-audit-${new Date().toISOString().slice(0, 10)}.csv"`)
+    return res.send(auditToCsv(entries))
+  }
+  res.json({ success: true, total: entries.length, entries })
+})
+
+export default router
@@ -0,0 +1,90 @@
+/**
+ * auth.js - Sign-In With Ethereum Routes
+ *
+ * POST /api/auth/nonce   → one-time EIP-4361 challenge for a wallet
+ * POST /api/auth/verify  → signed challenge in, session token out
+ * GET  /api/auth/session → who am I? (checks the Bearer token)
+ *
+ * See services/auth.js for the full flow.
+ */
+
+import { Router } from 'express'
+import { createChallenge, verifySignIn, createSessionToken } from '../services/auth.js'
+import { requireAuth } from '../middleware/auth.js'
+
+const router = Router()
+
+/**
+ * Work out the domain/URI the user is signing in to.
+ * Browsers always send Origin on cross-origin POSTs; fall back to the Host header.
+ */
+function getRequestOrigin(req) {
+  const origin = req.headers.origin
+  if (origin && origin !== 'null') {
+    try {
+      const url = new URL(origin)
+      return { domain: url.host, uri: url.origin }
+    } catch { /* fall through */ }
+  }
+  const host = req.headers.host || 'localhost'
+  return { domain: host, uri: `${req.protocol}://${host}` }
+}
+
+/**
+ * POST /api/auth/nonce
+ * Body: { walletAddress, chainId? }
+ * Returns the exact message the wallet must sign.
+ */
+router.post('/nonce', (req, res) => {
+  const { walletAddress, chainId } = req.body
+
+  if (!walletAddress || !/^0x[a-fA-F0-9]{40}$/.test(walletAddress)) {
+    return res.status(400).json({ success: false, error: 'Valid walletAddress is required' })
+  }
+
+  const challenge = createChallenge(walletAddress, {
+    ...getRequestOrigin(req),
+    chainId: Number(chainId) || 1
+  })
+
+  res.json({ success: true, ...challenge })
+})
+
+/**
+ * POST /api/auth/verify
+ * Body: { message, signature }
+ * Returns a session token for the signing wallet.
+ */
+router.post('/verify', (req, res) => {
+  const { message, signature } = req.body
+
+  if (!message || !signature) {
+    return res.status(400).json({ success: false, error: 'message and signature are required' })
+  }
+
+  const result = verifySignIn(message, signature)
+  if (!result.valid) {
+    console.log(`🚫 Sign-in rejected: ${result.reason}`)
+    return res.status(401).json({ success: false, error: 'Sign-in verification failed', reason: result.reason })
+  }
+
+  const session = createSessionToken(result.walletAddress)
+  console.log(`🔑 Signed in: ${result.walletAddress.slice(0, 10)}...`)
+
+  res.json({
+    success: true,
+    walletAddress: result.walletAddress,
+    token: session.token,
+    expiresAt: session.expiresAt
+  })
+})
+
+/**
+ * GET /api/auth/session
+ * Check the current session token
+ */
+router.get('/session', requireAuth, (req, res) => {
+  res.json({ success: true, walletAddress: req.auth.walletAddress, expiresAt: req.auth.expiresAt })
+})
+
+export default router
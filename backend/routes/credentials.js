@@ -0,0 +1,296 @@
+/**
+ * credentials.js - W3C Verifiable Credential Routes
+ *
+ * GET  /api/credentials/did/:did            → DID document (did:racepass:issuer only)
+ * GET  /api/credentials/status/:list        → signed revocation status list (StatusList2021, ?format=json|jwt)
+ * GET  /api/credentials/:address/download   → the holder's VC as a file (?format=json|jwt)
+ * GET  /api/credentials/:address/attestations?claims=…&audience=… → scoped attestations for a presentation
+ * POST /api/credentials/:address/sd-jwt     → a batch of selective-disclosure SD-JWT VCs for holder keys
+ * POST /api/credentials/verify              → check a VC (EIP-712 proof) or VC-JWT
+ *
+ * See services/credential.js for the credential format and proofs, and
+ * services/statusList.js for the status lists, services/sdJwt.js for SD-JWTs.
+ */
+
+import { Router } from 'express'
+import { requireAuth } from '../middleware/auth.js'
+import { getCredentialStore, getClaimContext } from './kyc.js'
+import {
+  ISSUER_DID, getIssuerDidDocument, normalizeCredential, signCredential,
+  credentialToJwt, verifyCredential, verifyCredentialJwt, createSdJwtCredential
+} from '../services/credential.js'
+import { isSupportedClaim, deriveClaim, formatClaim, AGE_RANGE_EDGES } from '../services/claims.js'
+import { allocateStatusIndex, statusEntry, isEntryRevoked, getStatusListCredential } from '../services/statusList.js'
+import { issueScopedAttestations, isValidAudience } from '../services/attestationRegistry.js'
+import { jwkToPublicKey } from '../services/sdJwt.js'
+
+const SD_JWT_VALIDITY_MS = 30 * 24 * 60 * 60 * 1000
+const SD_JWT_MAX_BATCH = 10
+const SD_JWT_MAX_ACTIVE = 50              // unused copies a holder may have outstanding
+const SD_JWT_AGE_THRESHOLDS = AGE_RANGE_EDGES    // a RacePass only knows its age bracket
+
+const router = Router()
+
+/**
+ * GET /api/credentials/did/:did
+ * Resolve the issuer DID so verifiers can find its keys
+ */
+router.get('/did/:did', (req, res) => {
+  if (req.params.did !== ISSUER_DID) {
+    return res.status(404).json({ success: false, error: `Unknown DID: ${req.params.did}` })
+  }
+  res.type('application/did+json').send(JSON.stringify(getIssuerDidDocument(), null, 2))
+})
+
+/**
+ * GET /api/credentials/status/:list?format=json|jwt
+ * The issuer-signed StatusList2021Credential — one bit per RacePass, set when
+ * it is revoked. Public and cacheable: verifiers check credentialStatus /
+ * attestation status indexes against it without calling us per holder.
+ */
+router.get('/status/:list', async (req, res) => {
+  const format = req.query.format || 'json'
+  if (!['json', 'jwt'].includes(format)) {
+    return res.status(400).json({ success: false, error: 'format must be json or jwt' })
+  }
+
+  try {
+    const signed = await getStatusListCredential(Number(req.params.list))
+    if (!signed) {
+      return res.status(404).json({ success: false, error: `Unknown status list: ${req.params.list}` })
+    }
+    res.setHeader('Cache-Control', 'public, max-age=300')
+    if (format === 'jwt') return res.type('application/jwt').send(signed.jwt)
+    res.type('application/ld+json').send(JSON.stringify(signed.credential, null, 2))
+  } catch (error) {
+    console.error('❌ Status list signing failed:', error.message)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+/**
+ * GET /api/credentials/:address/download?format=json|jwt
+ * Download your own credential for use in other wallets / verifiers.
+ * Credentials issued before the W3C format or status lists, or signed by a
+ * retired issuer key, are re-signed on the fly.
+ */
+router.get('/:address/download', requireAuth, async (req, res) => {
+  const address = req.params.address.toLowerCase()
+  const format = req.query.format || 'json'
+
+  if (address !== req.auth.walletAddress) {
+    return res.status(403).json({ success: false, error: 'You can only download your own credential' })
+  }
+  if (!['json', 'jwt'].includes(format)) {
+    return res.status(400).json({ success: false, error: 'format must be json or jwt' })
+  }
+
+  const data = getCredentialStore().get(address)
+  if (!data) {
+    return res.status(404).json({ success: false, error: 'Credential not found' })
+  }
+  if (data.revoked) {
+    return res.status(410).json({ success: false, error: 'This RacePass has been revoked', reason: 'credential_revoked' })
+  }
+
+  try {
+    // Re-sign with the current issuer key if the stored proof is legacy
+    // or its key has been retired (see services/keystore.js)
+    const missingStatus = data.statusListIndex != null && !data.credential.credentialStatus
+    const resign = missingStatus || data.credential.proof?.type !== 'EthereumEip712Signature2021' ||
+      verifyCredential(data.credential).reason === 'issuer_not_authorized'
+    const credential = resign
+      ? await signCredential(normalizeCredential(data.credential, missingStatus ? statusEntry(data.statusListIndex) : null))
+      : data.credential
+    const filename = `racepass-credential-${address.slice(0, 10)}`
+
+    if (format === 'jwt') {
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.jwt"`)
+      return res.type('application/jwt').send((!resign && data.credentialJwt) || credentialToJwt(credential))
+    }
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`)
+    res.type('application/ld+json').send(JSON.stringify(credential, null, 2))
+  } catch (error) {
+    console.error('❌ Credential export failed:', error.message)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+/**
+ * GET /api/credentials/:address/attestations?claims=ageBetween:18:25,stateResident:KA&audience=…
+ * Fresh attestations for a presentation request — exactly the requested
+ * claims the RacePass holds, derived now from the claim registry (see
+ * services/claims.js), signed for the request's audience only and valid for
+ * 10 minutes (services/attestationRegistry.js). The rest come back in
+ * `missing`, with why in `reasons`.
+ */
+router.get('/:address/attestations', requireAuth, async (req, res) => {
+  const address = req.params.address.toLowerCase()
+  if (address !== req.auth.walletAddress) {
+    return res.status(403).json({ success: false, error: 'You can only read your own attestations' })
+  }
+
+  const data = getCredentialStore().get(address)
+  if (!data) {
+    return res.status(404).json({ success: false, error: 'Credential not found', reason: 'no_credential' })
+  }
+  if (data.revoked) {
+    return res.status(410).json({ success: false, error: 'This RacePass has been revoked', reason: 'credential_revoked' })
+  }
+
+  const { audience } = req.query
+  if (!isValidAudience(audience)) {
+    return res.status(400).json({ success: false, error: 'audience (the presentation request\'s audience) is required' })
+  }
+
+  const claims = [...new Set(String(req.query.claims || '').split(',').map(c => c.trim()).filter(Boolean))]
+  const unsupported = claims.filter(c => !isSupportedClaim(c))
+  if (unsupported.length > 0) {
+    return res.status(400).json({ success: false, error: `Unsupported claims: ${unsupported.join(', ')}`, reason: 'unsupported_claim' })
+  }
+
+  const context = getClaimContext(data)
+  const held = []
+  const reasons = {}
+  for (const claim of claims) {
+    const { holds, reason } = deriveClaim(claim, context)
+    if (holds) held.push(claim)
+    else reasons[claim] = reason
+  }
+
+  try {
+    const scoped = await issueScopedAttestations(address, held, {
+      audience,
+      statusListIndex: data.statusListIndex
+    })
+    res.json({
+      success: true,
+      attestations: scoped.map(({ claim, nonce, signature, issuer, audience, expiresAt }) => ({ claim, nonce, signature, issuer, audience, expiresAt })),
+      missing: Object.keys(reasons),
+      reasons
+    })
+  } catch (error) {
+    console.error('❌ Scoped attestation signing failed:', error.message)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+/**
+ * The fields of a RacePass's SD-JWT VCs — what the claim registry says it
+ * holds right now. An age_equal_or_over entry is left out when the age range
+ * straddles it (a birthday may have passed since KYC).
+ */
+function sdJwtFields(address, data) {
+  const context = getClaimContext(data)
+  const holds = (type, ...params) => deriveClaim(formatClaim(type, ...params), context).holds
+
+  const ageEqualOrOver = {}
+  for (const age of SD_JWT_AGE_THRESHOLDS) {
+    if (holds('ageAbove', age)) ageEqualOrOver[age] = true
+    else if (holds('ageBelow', age)) ageEqualOrOver[age] = false
+  }
+  return {
+    walletAddress: address,
+    identityVerified: true,
+    ...(context.country && { country: context.country }),
+    ...(context.state && holds('stateResident', context.state) && { state: context.state }),
+    assuranceLevel: context.assuranceLevel,
+    age_equal_or_over: ageEqualOrOver
+  }
+}
+
+/**
+ * POST /api/credentials/:address/sd-jwt
+ * Body: { holderKeys: [secp256k1 JWK, ...] } (at most 10)
+ * One SD-JWT VC per holder key, each with its own salts and status list
+ * entry, valid for 30 days (or until the RacePass expires). The browser keeps
+ * them and presents each one once, revealing only the fields it chooses —
+ * without calling us again (services/sdJwt.js).
+ */
+router.post('/:address/sd-jwt', requireAuth, (req, res) => {
+  const address = req.params.address.toLowerCase()
+  if (address !== req.auth.walletAddress) {
+    return res.status(403).json({ success: false, error: 'You can only request SD-JWTs for your own RacePass' })
+  }
+
+  const credentials = getCredentialStore()
+  const data = credentials.get(address)
+  if (!data) {
+    return res.status(404).json({ success: false, error: 'Credential not found', reason: 'no_credential' })
+  }
+  if (data.revoked) {
+    return res.status(410).json({ success: false, error: 'This RacePass has been revoked', reason: 'credential_revoked' })
+  }
+  if (data.expiresAt && new Date(data.expiresAt).getTime() <= Date.now()) {
+    return res.status(410).json({ success: false, error: 'This RacePass has expired — renew it first', reason: 'credential_expired' })
+  }
+
+  const { holderKeys } = req.body
+  if (!Array.isArray(holderKeys) || holderKeys.length === 0 || holderKeys.length > SD_JWT_MAX_BATCH) {
+    return res.status(400).json({ success: false, error: `holderKeys must be 1–${SD_JWT_MAX_BATCH} secp256k1 public JWKs` })
+  }
+  if (holderKeys.some(jwk => !jwkToPublicKey(jwk))) {
+    return res.status(400).json({ success: false, error: 'Every holder key must be a secp256k1 public JWK { kty, crv, x, y }', reason: 'invalid_holder_key' })
+  }
+
+  const now = Date.now()
+  const copies = (data.sdJwt?.copies || []).filter(copy => new Date(copy.expiresAt).getTime() > now)
+  if (copies.length + holderKeys.length > SD_JWT_MAX_ACTIVE) {
+    return res.status(429).json({ success: false, error: `At most ${SD_JWT_MAX_ACTIVE} SD-JWTs can be outstanding — use the ones you have first`, reason: 'too_many_sd_jwts' })
+  }
+
+  try {
+    const validUntil = new Date(Math.min(now + SD_JWT_VALIDITY_MS, data.expiresAt ? new Date(data.expiresAt).getTime() : Infinity))
+    const fields = sdJwtFields(address, data)
+    const issued = holderKeys.map(({ kty, crv, x, y }) => {
+      const statusListIndex = allocateStatusIndex()
+      copies.push({ statusListIndex, expiresAt: validUntil.toISOString() })
+      return createSdJwtCredential(fields, { holderJwk: { kty, crv, x, y }, validUntil, credentialStatus: statusEntry(statusListIndex) })
+    })
+    credentials.set(address, { ...data, sdJwt: { copies } })
+
+    console.log(`🪪 Issued ${issued.length} SD-JWT VC(s) to ${address.slice(0, 10)}...`)
+    res.json({ success: true, credentials: issued, expiresAt: validUntil.toISOString() })
+  } catch (error) {
+    console.error('❌ SD-JWT issuance failed:', error.message)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+/**
+ * POST /api/credentials/verify
+ * Body: { credential } (JSON-LD with EIP-712 proof) or { jwt }
+ */
+router.post('/verify', (req, res) => {
+  const { credential, jwt } = req.body
+
+  if (!credential && !jwt) {
+    return res.status(400).json({ success: false, error: 'credential or jwt is required' })
+  }
+
+  const result = jwt ? verifyCredentialJwt(jwt) : verifyCredential(credential)
+  const vc = jwt ? result.credential : credential
+
+  // A valid signature isn't enough if the holder has since revoked, renewed or moved it
+  const holder = vc?.credentialSubject?.walletAddress?.toLowerCase()
+  const record = holder ? getCredentialStore().get(holder) : null
+  const revoked = !!(record?.revoked && record.credential?.id === vc?.id)
+  const superseded = !!record?.previousCredentials?.some(c => c.id === vc?.id)
+  // ...and the status list says the same to anyone holding the VC (covers records we no longer keep)
+  const statusRevoked = isEntryRevoked(vc?.credentialStatus) === true
+  const reason = revoked
+    ? (record.migratedTo ? 'credential_migrated' : record.suspension ? 'credential_suspended' : 'credential_revoked')
+    : superseded ? 'credential_superseded' : statusRevoked ? 'credential_revoked' : result.reason
+
+  res.json({
+    success: true,
+    valid: result.valid && !revoked && !superseded && !statusRevoked,
+    reason,
+    signer: result.signer,
+    format: jwt ? 'vc-jwt' : 'ldp-eip712',
+    credentialId: vc?.id || null,
+    subject: vc?.credentialSubject?.id || null
+  })
+})
+
+export default router
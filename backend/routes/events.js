@@ -7,38 +7,75 @@
  * Organizers receive notifications when a user registers.
  *
  * Crypto features:
- *  ● Signed attestation proofs replace boolean "ZKP" checks
+ *  ● Signed attestation proofs replace boolean "ZKP" checks — scoped to the event, until the ticket expires
+ *  ● Or an SD-JWT presentation from the browser, revealing only the fields the holder approved (services/sdJwt.js)
+ *  ● Zero-knowledge age range proofs (proven in the browser, verified here)
+ *  ● Minimum assurance level per event (e.g. only UIDAI-signed KYC, see services/claims.js)
+ *  ● accompaniedBy: 'guardian' — minors below minAge register with their linked guardian (routes/guardians.js)
  *  ● ECDSA-signed tickets (ticketHash + signature) for anti-fraud
+ *  ● Signed QR payloads — gate scanners verify tickets offline
+ *  ● Offline gate mode — ticket manifests + batched check-in sync
+ *  ● Delegated gate staff — only the organizer or invited scanners can burn tickets
  *  ● Attendance tracking → Merkle tree for selective reputation disclosure
  *
- * All data is in-memory (demo).
+ * All data is persisted through the storage layer (see storage/index.js).
  */
 
 import { Router } from 'express'
 import { randomUUID, createHash } from 'crypto'
-import { getCredentialStore, getActivityLog } from './kyc.js'
+import { getCredentialStore, logActivity, getAgeCommitment, getCredentialCountry, getClaimContext } from './kyc.js'
+import { getActiveGuardian } from './guardians.js'
 import {
   generateEligibilityProofs,
   signTicket,
+  verifyTicketSignature,
+  createTicketQRPayload,
+  isTicketQRPayload,
+  verifyTicketQRPayload,
+  getAuthorizedIssuers,
   createAttendanceLeaf,
   buildMerkleTree,
   getMerkleProof,
   getIssuerAddress
 } from '../services/crypto.js'
+import { verifyAgeProof, ageProofContext, RANGE_BITS } from '../services/zkp.js'
+import {
+  ASSURANCE_LEVELS, UNIQUE_PERSON_ASSURANCE, meetsAssurance, isUniquePerson, parseClaim, formatClaim, deriveClaim
+} from '../services/claims.js'
+import { isCountryCode } from '../services/documents.js'
+import { recordScopedAttestations } from '../services/attestationRegistry.js'
+import { verifySdJwtPresentation } from '../services/sdJwt.js'
+import { isEntryRevoked } from '../services/statusList.js'
+import { getCollection } from '../storage/index.js'
+import { requireAuth } from '../middleware/auth.js'
 
 const router = Router()
 
-// ── In-memory stores ──────────────────────────────
-const users = new Map()          // walletAddress → { role, name, email, createdAt }
-const events = new Map()         // eventId → { ...eventData, organizerWallet }
-const registrations = new Map()  // eventId → [ { wallet, disclosures, qrToken, ... } ]
-const notifications = new Map()  // walletAddress (organizer) → [ { ...notification } ]
-const qrTokens = new Map()       // qrToken → { wallet, eventId, verified, usedAt }
+const TICKET_GRACE_SEC = 24 * 60 * 60  // QR payloads stay valid a day past the event start
+
+// Gate staff roles an organizer can delegate:
+//   scanner    → scan tickets, mark attendance, run an offline gate device
+//   supervisor → scanner + view scan records + invite/revoke scanners
+const STAFF_ROLES = ['scanner', 'supervisor']
+const GATE_ROLES = ['organizer', ...STAFF_ROLES]
+
+// ── Stores (persisted via storage/, see config/storage.js) ──
+const users = getCollection('users')                  // walletAddress → { role, name, email, createdAt }
+const events = getCollection('events')                // eventId → { ...eventData, organizerWallet }
+const registrations = getCollection('registrations')  // eventId → [ { wallet, disclosures, qrToken, ... } ]
+const notifications = getCollection('notifications')  // walletAddress (organizer) → [ { ...notification } ]
+const qrTokens = getCollection('qrTokens')            // qrToken → { wallet, eventId, verified, usedAt }
+const eventStaff = getCollection('eventStaff')        // eventId → [ { wallet, role, invitedBy, invitedAt, revokedAt } ]
 
 // ── Attendance & Reputation ──
-const attendanceLeaves = []                // All attendance Merkle leaves (global)
-let attendanceMerkleTree = null            // Latest Merkle tree
-const reputationScores = new Map()         // walletAddress → { score, attendance, leaves[] }
+const attendanceLeaves = getCollection('attendanceLeaves')  // leaf → { wallet, eventId, recordedAt }
+const reputationScores = getCollection('reputationScores')  // walletAddress → { score, attendance, leaves[] }
+const disclosureRequests = getCollection('disclosureRequests', { persist: false })  // "<wallet>:<eventId>" → { nonce, requested, expiresAt }
+
+const DISCLOSURE_REQUEST_TTL_MS = 5 * 60 * 1000
+
+// Latest Merkle tree — derived data, rebuilt from stored leaves on startup
+let attendanceMerkleTree = attendanceLeaves.size > 0 ? buildMerkleTree([...attendanceLeaves.keys()]) : null
 
 // ── Getters for external access ──
 export function getEvents() { return events }
@@ -53,13 +90,14 @@ export function getQRTokens() { return qrTokens }
 
 /**
  * POST /api/events/auth/register
- * Register as organizer or user
+ * Register the signed-in wallet as organizer or user
  */
-router.post('/auth/register', (req, res) => {
-  const { walletAddress, role, name, email } = req.body
+router.post('/auth/register', requireAuth, (req, res) => {
+  const { walletAddress } = req.auth
+  const { role, name, email } = req.body
 
-  if (!walletAddress || !role) {
-    return res.status(400).json({ success: false, error: 'walletAddress and role are required' })
+  if (!role) {
+    return res.status(400).json({ success: false, error: 'role is required' })
   }
   if (!['organizer', 'user'].includes(role)) {
     return res.status(400).json({ success: false, error: 'role must be "organizer" or "user"' })
@@ -104,18 +142,34 @@ router.get('/auth/me/:address', (req, res) => {
 
 /**
  * POST /api/events/create
- * Organizer creates an event
+ * Organizer (signed-in wallet) creates an event
  */
-router.post('/create', (req, res) => {
+router.post('/create', requireAuth, (req, res) => {
+  const { walletAddress } = req.auth
   const {
-    walletAddress, name, description, emoji, category,
+    name, description, emoji, category,
     date, time, venue, price, capacity,
-    minAge, requireIdentity, requireAge, requireCountry,
-    gradient
+    minAge, requireIdentity, requireAge, requireCountry, country, minAssurance, accompaniedBy,
+    onePerPerson, gradient
   } = req.body
 
-  if (!walletAddress || !name) {
-    return res.status(400).json({ success: false, error: 'walletAddress and name are required' })
+  if (!name) {
+    return res.status(400).json({ success: false, error: 'name is required' })
+  }
+  if (minAssurance && !(minAssurance in ASSURANCE_LEVELS)) {
+    return res.status(400).json({
+      success: false,
+      error: `minAssurance must be one of: ${Object.keys(ASSURANCE_LEVELS).join(', ')}`
+    })
+  }
+  if (requireCountry && country && !isCountryCode(country)) {
+    return res.status(400).json({ success: false, error: 'country must be an ISO 3166 alpha-2 code, e.g. "IN"' })
+  }
+  if (accompaniedBy && accompaniedBy !== 'guardian') {
+    return res.status(400).json({ success: false, error: 'accompaniedBy must be "guardian"' })
+  }
+  if (accompaniedBy && !(minAge > 0 && requireAge !== false)) {
+    return res.status(400).json({ success: false, error: 'accompaniedBy needs an age requirement (minAge)' })
   }
 
   const key = walletAddress.toLowerCase()
@@ -143,6 +197,10 @@ router.post('/create', (req, res) => {
     requireIdentity: requireIdentity !== false,   // default true
     requireAge: requireAge !== false,             // default true
     requireCountry: requireCountry || false,
+    country: requireCountry ? country || 'IN' : null,  // where attendees must be from
+    minAssurance: minAssurance || null,           // null → any RacePass
+    accompaniedBy: accompaniedBy || null,         // 'guardian' → under minAge allowed with their guardian
+    onePerPerson: !!onePerPerson,                 // true → only RacePasses from UIDAI-signed Aadhaar (claims.js isUniquePerson)
     gradient: gradient || 'linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%)',
     status: 'active',
     createdAt: new Date().toISOString()
@@ -224,11 +282,11 @@ router.get('/:eventId', (req, res) => {
  * DELETE /api/events/:eventId
  * Organizer cancels/deletes an event
  */
-router.delete('/:eventId', (req, res) => {
-  const { walletAddress } = req.body
+router.delete('/:eventId', requireAuth, (req, res) => {
+  const { walletAddress } = req.auth
   const ev = events.get(req.params.eventId)
   if (!ev) return res.status(404).json({ success: false, error: 'Event not found' })
-  if (ev.organizerWallet !== walletAddress?.toLowerCase()) {
+  if (ev.organizerWallet !== walletAddress) {
     return res.status(403).json({ success: false, error: 'Only the organizer can delete this event' })
   }
   ev.status = 'cancelled'
@@ -240,22 +298,113 @@ router.delete('/:eventId', (req, res) => {
 //  ATTESTATION-BASED SELECTIVE DISCLOSURE + REGISTRATION
 // ══════════════════════════════════════════════════
 
+/** SD-JWT fields an event needs revealed (see sdJwtFields in routes/credentials.js) */
+function requestedDisclosures(ev) {
+  return [
+    'walletAddress',  // binds the presentation to the wallet registering
+    ...(ev.requireIdentity ? ['identityVerified'] : []),
+    ...(ev.requireCountry ? ['country'] : []),
+    ...(ev.minAssurance || ev.onePerPerson ? ['assuranceLevel'] : [])
+  ]
+}
+
+/**
+ * GET /api/events/:eventId/disclosure-request
+ * What to reveal from an SD-JWT to register, and the one-time nonce to bind
+ * the presentation to (valid 5 minutes, one per wallet and event). The holder
+ * may reveal more than `requested`, never less.
+ */
+router.get('/:eventId/disclosure-request', requireAuth, (req, res) => {
+  const ev = events.get(req.params.eventId)
+  if (!ev) return res.status(404).json({ success: false, error: 'Event not found' })
+
+  // Drop abandoned requests so the map doesn't grow forever
+  for (const [key, pending] of disclosureRequests) {
+    if (pending.expiresAt < Date.now()) disclosureRequests.delete(key)
+  }
+
+  const request = {
+    audience: eventAudience(ev.id),
+    nonce: randomUUID(),
+    requested: requestedDisclosures(ev),
+    expiresAt: Date.now() + DISCLOSURE_REQUEST_TTL_MS
+  }
+  disclosureRequests.set(`${req.auth.walletAddress}:${ev.id}`, request)
+  res.json({ success: true, ...request, expiresAt: new Date(request.expiresAt).toISOString() })
+})
+
+/**
+ * Check an SD-JWT presentation against the disclosure request handed out for
+ * this wallet and event (which it uses up)
+ *
+ * @returns {{ claims: Object, disclosed: string[], issuer: string }|{ reason: string }}
+ */
+function checkDisclosure(presentation, key, ev) {
+  const pendingKey = `${key}:${ev.id}`
+  const request = disclosureRequests.get(pendingKey)
+  if (!request || request.expiresAt < Date.now()) return { reason: 'unknown_nonce' }
+  disclosureRequests.delete(pendingKey)
+
+  const result = verifySdJwtPresentation(presentation, {
+    audience: request.audience,
+    nonce: request.nonce,
+    trustedIssuers: getAuthorizedIssuers(),
+    isStatusRevoked: credentialStatus => isEntryRevoked(credentialStatus) === true
+  })
+  if (!result.valid) return { reason: result.reason }
+  if (request.requested.some(path => !result.disclosed.includes(path))) return { reason: 'disclosure_missing' }
+  if (String(result.claims.walletAddress).toLowerCase() !== key) return { reason: 'holder_mismatch' }
+  return { claims: result.claims, disclosed: result.disclosed, issuer: result.issuer }
+}
+
+/**
+ * Why a wallet can't take a ticket in `regs`, or null: the event is full, the
+ * wallet is registered, or so is its identity — one ticket per person, a
+ * wallet that held the same identity before counts too
+ *
+ * @returns {{ status: number, body: Object } | null}
+ */
+function registrationConflict(ev, regs, wallet, nullifier) {
+  if (regs.length >= ev.capacity) {
+    return { status: 400, body: { success: false, error: 'Event is full' } }
+  }
+  if (regs.some(r => r.wallet === wallet)) {
+    return { status: 409, body: { success: false, error: 'Already registered for this event' } }
+  }
+  if (nullifier && regs.some(r => r.nullifier === nullifier)) {
+    return {
+      status: 409,
+      body: { success: false, reason: 'identity_already_registered', error: 'This identity is already registered for this event' }
+    }
+  }
+  return null
+}
+
 /**
  * POST /api/events/register
  * User registers for an event with ECDSA-signed attestation proofs.
  *
  * Instead of boolean "ZKP" flags, we now:
- *  1. Generate real ECDSA-signed attestations (e.g. "ageAbove:18")
- *  2. Issue an ECDSA-signed ticket (anti-fraud, verifiable on-chain)
- *  3. Return proof metadata so the frontend can display crypto details
+ *  1. Verify a zero-knowledge proof that the committed age ≥ event.minAge
+ *     (body.ageProof, generated in the browser — required for age-gated events)
+ *     and that the RacePass meets event.minAssurance (and event.country, from its identity document)
+ *  2. Generate real ECDSA-signed attestations (identity, country), scoped to
+ *     this event (audience "racepass-event:<id>") until the ticket expires
+ *  3. Issue an ECDSA-signed ticket (anti-fraud, verifiable on-chain)
+ *  4. Return proof metadata so the frontend can display crypto details
+ *
+ * With body.presentation (an SD-JWT presentation for GET /:eventId/disclosure-request),
+ * identity, country and assurance come from the fields the holder revealed
+ * instead, and no attestations are signed for the registration.
  *
  * Returns signed QR ticket + attestation proofs on success.
  */
-router.post('/register', async (req, res) => {
-  const { walletAddress, eventId } = req.body
+router.post('/register', requireAuth, async (req, res) => {
+  const { walletAddress } = req.auth
+  const { eventId, ageProof, presentation } = req.body
 
-  if (!walletAddress || !eventId) {
-    return res.status(400).json({ success: false, error: 'walletAddress and eventId required' })
+  if (!eventId) {
+    return res.status(400).json({ success: false, error: 'eventId required' })
   }
 
   const ev = events.get(eventId)
@@ -263,22 +412,15 @@ router.post('/register', async (req, res) => {
   if (ev.status !== 'active') return res.status(400).json({ success: false, error: 'Event is not active' })
 
   const key = walletAddress.toLowerCase()
+  const credStore = getCredentialStore()
+  const cred = credStore.get(key)
 
-  // Check capacity
+  // Capacity, duplicate wallet, duplicate person (checked again before the ticket is stored)
   const regs = registrations.get(eventId) || []
-  if (regs.length >= ev.capacity) {
-    return res.status(400).json({ success: false, error: 'Event is full' })
-  }
-
-  // Check duplicate
-  if (regs.find(r => r.wallet === key)) {
-    return res.status(409).json({ success: false, error: 'Already registered for this event' })
-  }
+  const conflict = registrationConflict(ev, regs, key, cred?.nullifier)
+  if (conflict) return res.status(conflict.status).json(conflict.body)
 
   // ── Credential check ──
-  const credStore = getCredentialStore()
-  const cred = credStore.get(key)
-
   if (!cred) {
     return res.json({
       success: false,
@@ -308,53 +450,167 @@ router.post('/register', async (req, res) => {
     })
   }
 
-  // ── Generate real ECDSA attestation proofs ──
-  const requirements = {
-    minAge: ev.minAge || 0,
-    requireIdentity: ev.requireIdentity,
-    requireCountry: ev.requireCountry
+  // ── Selective disclosure (SD-JWT presented from the browser) ──
+  let sdJwt = null
+  if (presentation) {
+    const result = checkDisclosure(presentation, key, ev)
+    if (result.reason) {
+      return res.status(400).json({
+        success: false,
+        verified: false,
+        reason: result.reason,
+        error: result.reason === 'disclosure_missing'
+          ? `Reveal at least: ${requestedDisclosures(ev).join(', ')}`
+          : `SD-JWT presentation rejected (${result.reason})`
+      })
+    }
+    sdJwt = result
   }
 
-  let proofs
-  try {
-    proofs = await generateEligibilityProofs(key, cred, requirements)
-  } catch (err) {
-    console.error('   Attestation generation error:', err.message)
-    return res.status(500).json({ success: false, error: 'Failed to generate cryptographic proofs' })
+  // ── Assurance level ──
+  const assuranceLevel = sdJwt ? sdJwt.claims.assuranceLevel : cred.assuranceLevel || 'ocr-only'
+  if (!meetsAssurance(assuranceLevel, ev.minAssurance)) {
+    return res.json({
+      success: false,
+      verified: false,
+      reason: 'assurance_too_low',
+      message: `${ev.name} needs a RacePass verified at "${ev.minAssurance}" or stronger — yours is "${assuranceLevel}".`,
+      minAssurance: ev.minAssurance,
+      assuranceLevel
+    })
   }
-
-  // Build disclosure summary from attestation proofs
-  const disclosures = {
-    ageAboveMin: proofs.attestations.some(a => a.claim.startsWith('ageAbove:')),
-    identityVerified: proofs.attestations.some(a => a.claim === 'identityVerified'),
-    countryResident: proofs.attestations.some(a => a.claim.startsWith('countryResident'))
-  }
-
-  // Check age requirement using attestation-based proof
-  const userAge = cred.age != null ? cred.age : (cred.isAdult ? 18 : 0)
-  if (ev.requireAge && ev.minAge > 0 && userAge < ev.minAge) {
-    // Log blocked attempt
-    const logMap = getActivityLog()
-    if (!logMap.has(key)) logMap.set(key, [])
-    logMap.get(key).push({
-      action: 'EVENT_AGE_BLOCKED',
-      timestamp: new Date().toISOString(),
-      eventId: ev.id,
-      eventName: ev.name,
-      minAge: ev.minAge,
-      message: `Attempted ${ev.name} — requires ${ev.minAge}+`
+  // Other documents of the same person have nullifiers of their own — the
+  // identity check in registrationConflict() only holds one ticket per person for these
+  if (ev.onePerPerson && !isUniquePerson(assuranceLevel)) {
+    return res.json({
+      success: false,
+      verified: false,
+      reason: 'unique_person_required',
+      message: `${ev.name} allows one ticket per person, so it needs a RacePass issued from a UIDAI-signed Aadhaar (Secure QR or offline e-KYC) — yours is "${assuranceLevel}".`,
+      assuranceLevel
     })
+  }
 
+  // ── Country (events before per-event countries meant India) ──
+  const credentialCountry = sdJwt ? sdJwt.claims.country ?? null : getCredentialCountry(cred)
+  const eventCountry = ev.requireCountry ? ev.country || 'IN' : null
+  if (eventCountry && credentialCountry !== eventCountry) {
     return res.json({
       success: false,
       verified: false,
-      reason: 'age_restricted',
-      message: `You must be ${ev.minAge}+ for this event.`,
-      minAge: ev.minAge,
-      disclosures: { ageAboveMin: false, identityVerified: true, countryResident: true }
+      reason: 'country_mismatch',
+      message: `${ev.name} is only open to residents of ${eventCountry}.`,
+      country: eventCountry
     })
   }
 
+  // ── Zero-knowledge age check ──
+  let zkAgeProof = null
+  let accompaniedBy = null   // guardian wallet, when admitted below minAge with them
+  if (ev.requireAge && ev.minAge > 0) {
+    // Only the holder's browser knows the exact age — the recorded bracket says
+    // whether they may be below minAge (and then can't make a proof)
+    const mayBeUnderAge = getClaimContext(cred).minAge < ev.minAge
+    const ageCommitment = getAgeCommitment(key)
+    const result = ageProof && ageCommitment
+      ? verifyAgeProof(ageProof, {
+        commitment: ageCommitment.commitment,
+        minAge: ev.minAge,
+        context: ageProofContext(key, eventId, ev.minAge)
+      })
+      : null
+
+    const guardianWallet = !result?.valid && mayBeUnderAge && ev.accompaniedBy === 'guardian'
+      ? getActiveGuardian(cred)
+      : null
+
+    if (guardianWallet) {
+      // Below minAge, admitted together with their guardian — who needs a ticket first
+      if (!regs.some(r => r.wallet === guardianWallet)) {
+        return res.json({
+          success: false,
+          verified: false,
+          reason: 'guardian_not_registered',
+          message: `Your guardian needs a ticket for ${ev.name} first — you will be admitted together.`,
+          guardianWallet
+        })
+      }
+      accompaniedBy = guardianWallet
+    } else if (!result?.valid) {
+      // The browser sends no proof when the age is below minAge — say so instead of "proof required"
+      if (!ageProof && mayBeUnderAge) {
+        logActivity(key, 'EVENT_AGE_BLOCKED', {
+          eventId: ev.id,
+          eventName: ev.name,
+          minAge: ev.minAge,
+          message: `Attempted ${ev.name} — requires ${ev.minAge}+`
+        })
+        return res.json({
+          success: false,
+          verified: false,
+          reason: 'age_restricted',
+          message: ev.accompaniedBy === 'guardian'
+            ? `You must be ${ev.minAge}+ for this event, or come with a guardian linked to your RacePass.`
+            : `You must be ${ev.minAge}+ for this event.`,
+          minAge: ev.minAge,
+          guardianAllowed: ev.accompaniedBy === 'guardian',
+          disclosures: { ageAboveMin: false, identityVerified: true, countryResident: true }
+        })
+      }
+      return res.status(400).json({
+        success: false,
+        verified: false,
+        reason: result ? 'age_proof_invalid' : 'age_proof_required',
+        error: result
+          ? `Zero-knowledge age proof rejected (${result.reason})`
+          : `This event requires a zero-knowledge proof of age ${ev.minAge}+`,
+        minAge: ev.minAge
+      })
+    }
+
+    if (!accompaniedBy) {
+      zkAgeProof = {
+        type: ageProof.type,
+        statement: `age ≥ ${ev.minAge}`,
+        commitment: ageCommitment.commitment,
+        rangeBits: RANGE_BITS,
+        verified: true
+      }
+    }
+  }
+
+  // ── Generate real ECDSA attestation proofs ──
+  // (age is covered by the zero-knowledge proof above, not by an attestation;
+  // an SD-JWT presentation already proves the rest)
+  const requirements = {
+    minAge: 0,
+    requireIdentity: ev.requireIdentity,
+    requireCountry: ev.requireCountry,
+    country: credentialCountry
+  }
+
+  // Scoped to this event and valid as long as its ticket (services/attestationRegistry.js)
+  const { notBefore, notAfter } = getTicketValidity(ev)
+  let proofs = { attestations: [] }
+  if (!sdJwt) {
+    try {
+      proofs = await generateEligibilityProofs(key, cred, requirements, { audience: eventAudience(ev.id), expiresAt: notAfter })
+      recordScopedAttestations(proofs.attestations)
+    } catch (err) {
+      console.error('   Attestation generation error:', err.message)
+      return res.status(500).json({ success: false, error: 'Failed to generate cryptographic proofs' })
+    }
+  }
+
+  // Build disclosure summary from the zero-knowledge proof + attestation proofs (or revealed SD-JWT fields)
+  const claimTypes = proofs.attestations.map(a => parseClaim(a.claim)?.type)
+  const disclosures = {
+    ageAboveMin: !!zkAgeProof,
+    identityVerified: sdJwt ? sdJwt.claims.identityVerified === true : claimTypes.includes('identityVerified'),
+    countryResident: sdJwt ? sdJwt.disclosed.includes('country') : claimTypes.includes('countryResident'),
+    ...(accompaniedBy && { accompaniedByGuardian: true })
+  }
+
   // ── Generate ECDSA-signed ticket ──
   let ticketData
   try {
@@ -367,10 +623,21 @@ router.post('/register', async (req, res) => {
   // Also generate a human-readable QR token (wraps the crypto ticket)
   const qrToken = generateQRToken(key, eventId)
 
+  // Signed payload encoded in the QR — verifiable at the gate without the backend
+  const qrPayload = await createTicketQRPayload({
+    qrToken,
+    ticketHash: ticketData.ticketHash,
+    wallet: key,
+    eventId,
+    notBefore,
+    notAfter
+  })
+
   // Store registration with crypto proof metadata
   const registration = {
     wallet: key,
     eventId,
+    nullifier: cred.nullifier || null,   // the person, across wallets (one ticket each)
     disclosures,
     disclosedName: cred.credential?.credentialSubject?.verification ? 'Verified User' : 'Anonymous',
     qrToken,
@@ -382,12 +649,19 @@ router.post('/register', async (req, res) => {
     ticketS: ticketData.s,
     attestationCount: proofs.attestations.length,
     attestationTypes: proofs.attestations.map(a => a.claim),
+    zkAgeProof,
+    sdJwtDisclosed: sdJwt?.disclosed || null,
+    accompaniedBy,
     issuer: ticketData.issuer,
     registeredAt: new Date().toISOString(),
     checkedIn: false
   }
-  regs.push(registration)
-  registrations.set(eventId, regs)
+  // Another request for this event may have registered while the ticket was signed
+  const current = registrations.get(eventId) || []
+  const lateConflict = registrationConflict(ev, current, key, cred.nullifier)
+  if (lateConflict) return res.status(lateConflict.status).json(lateConflict.body)
+  current.push(registration)
+  registrations.set(eventId, current)
 
   // Store QR token with crypto link
   qrTokens.set(qrToken, {
@@ -397,27 +671,31 @@ router.post('/register', async (req, res) => {
     verified: true,
     ticketHash: ticketData.ticketHash,
     ticketSignature: ticketData.signature,
+    // Preimage of ticketHash — lets the scanner detect tampering
+    ticketTimestamp: ticketData.timestamp,
+    ticketNonce: ticketData.nonce,
+    qrPayload,
+    accompaniedBy,
     usedAt: null,
     createdAt: new Date().toISOString()
   })
 
   // Log activity
-  const logMap = getActivityLog()
-  if (!logMap.has(key)) logMap.set(key, [])
-  logMap.get(key).push({
-    action: 'EVENT_REGISTERED',
-    timestamp: new Date().toISOString(),
+  logActivity(key, 'EVENT_REGISTERED', {
     eventId: ev.id,
     eventName: ev.name,
     qrToken,
     ticketHash: ticketData.ticketHash,
-    attestationsUsed: proofs.attestations.map(a => a.claim)
+    attestationsUsed: proofs.attestations.map(a => a.claim),
+    sdJwtDisclosed: sdJwt?.disclosed || null,
+    zkAgeProof: zkAgeProof?.statement || null,
+    accompaniedBy
   })
 
   // ── Notify organizer ──
   const orgKey = ev.organizerWallet
-  if (!notifications.has(orgKey)) notifications.set(orgKey, [])
-  notifications.get(orgKey).push({
+  const orgNotifs = notifications.get(orgKey) || []
+  orgNotifs.push({
     id: randomUUID(),
     type: 'NEW_REGISTRATION',
     eventId: ev.id,
@@ -428,15 +706,20 @@ router.post('/register', async (req, res) => {
     registeredAt: new Date().toISOString(),
     read: false
   })
+  notifications.set(orgKey, orgNotifs)
 
   console.log(`🎟️ Registration: ${key.slice(0, 10)}... → "${ev.name}" (ticket: ${ticketData.ticketHash.slice(0, 16)}...)`)
 
   res.json({
     success: true,
     verified: true,
-    message: 'Successfully registered! Your cryptographically signed ticket is ready.',
+    message: accompaniedBy
+      ? 'Registered! You will be admitted together with your guardian.'
+      : 'Successfully registered! Your cryptographically signed ticket is ready.',
     qrToken,
+    qrPayload,
     disclosures,
+    accompaniedBy,
     // Crypto proof metadata for frontend display
     cryptoProofs: {
       ticketHash: ticketData.ticketHash,
@@ -446,11 +729,18 @@ router.post('/register', async (req, res) => {
         claim: a.claim,
         claimHash: a.claimHash,
         nonce: a.nonce,
+        audience: a.audience,
+        audienceHash: a.audienceHash,
+        expiresAt: a.expiresAt,
         signature: a.signature,
         v: a.v, r: a.r, s: a.s
       })),
       commitments: proofs.commitments,
-      note: 'Each attestation is an ECDSA signature verifiable on-chain via ecrecover'
+      zkAgeProof,
+      ...(sdJwt && { sdJwt: { issuer: sdJwt.issuer, disclosed: sdJwt.disclosed } }),
+      note: sdJwt
+        ? 'Only the SD-JWT fields you chose were revealed, signed once by the issuer and bound to this event by your browser key; age is proven in zero knowledge'
+        : 'Each attestation is an ECDSA signature for this event only, verifiable on-chain via RacePassV2.verifyScopedAttestation; age is proven in zero knowledge'
     },
     event: {
       id: ev.id,
@@ -475,6 +765,34 @@ function generateQRToken(wallet, eventId) {
   return 'RP-' + createHash('sha256').update(raw).digest('hex').slice(0, 24).toUpperCase()
 }
 
+/** Audience of the attestations issued with an event registration */
+function eventAudience(eventId) {
+  return `racepass-event:${eventId}`
+}
+
+/**
+ * Validity window for a ticket's QR payload (unix seconds):
+ * from registration until a day after the event starts.
+ * Events without a date get a one-year window.
+ */
+function getTicketValidity(ev) {
+  const now = Math.floor(Date.now() / 1000)
+  const start = ev.date ? Math.floor(new Date(`${ev.date}T${ev.time || '00:00'}`).getTime() / 1000) : NaN
+  const notAfter = Number.isFinite(start)
+    ? Math.max(start, now) + TICKET_GRACE_SEC
+    : now + 365 * 24 * 60 * 60
+  return { notBefore: now, notAfter }
+}
+
+/**
+ * GET /api/events/ticket/issuers
+ * Issuer addresses a scanner should trust when verifying QR payloads offline.
+ * Scanners cache this list before going to the gate.
+ */
+router.get('/ticket/issuers', (req, res) => {
+  res.json({ success: true, issuers: getAuthorizedIssuers(), fetchedAt: new Date().toISOString() })
+})
+
 /**
  * GET /api/events/ticket/:qrToken
  * Validate a QR ticket (used at venue entry)
@@ -519,38 +837,28 @@ router.get('/ticket/:qrToken', (req, res) => {
 })
 
 /**
- * POST /api/events/ticket/scan
- * Scan a ticket at venue entry (marks as used).
- * NOW ALSO: records attendance leaf → rebuilds Merkle tree → updates reputation.
+ * Mark a ticket used and credit the holder's attendance:
+ * attendance leaf → Merkle tree rebuild → reputation score.
+ * Shared by live scans and offline check-in sync.
+ *
+ * @param {string} qrToken
+ * @param {Object} data     qrTokens record (mutated + saved)
+ * @param {Object} scan     { scannedBy, role, usedAt?, deviceId? }
  */
-router.post('/ticket/scan', (req, res) => {
-  const { qrToken, scannerWallet } = req.body
-
-  if (!qrToken) {
-    return res.status(400).json({ success: false, error: 'qrToken required' })
-  }
-
-  const data = qrTokens.get(qrToken)
-  if (!data) {
-    return res.json({ success: false, valid: false, message: 'Invalid ticket — not found' })
-  }
-
-  if (data.usedAt) {
-    return res.json({
-      success: false,
-      valid: false,
-      message: `Ticket already used at ${new Date(data.usedAt).toLocaleString()}`
-    })
-  }
-
-  // Mark as used
-  data.usedAt = new Date().toISOString()
+function recordTicketUse(qrToken, data, { scannedBy, role, usedAt = new Date().toISOString(), deviceId = null }) {
+  data.usedAt = usedAt
+  data.scannedBy = scannedBy
+  data.scannedByRole = role
+  data.scanDeviceId = deviceId
   qrTokens.set(qrToken, data)
 
   // Update registration
   const regs = registrations.get(data.eventId) || []
   const reg = regs.find(r => r.wallet === data.wallet)
-  if (reg) reg.checkedIn = true
+  if (reg) {
+    reg.checkedIn = true
+    registrations.set(data.eventId, regs)
+  }
 
   const ev = events.get(data.eventId)
 
@@ -559,12 +867,10 @@ router.post('/ticket/scan', (req, res) => {
   try {
     // Create attendance leaf for Merkle tree
     const leaf = createAttendanceLeaf(walletKey, data.eventId)
-    attendanceLeaves.push(leaf)
+    attendanceLeaves.set(leaf, { wallet: walletKey, eventId: data.eventId, recordedAt: data.usedAt })
 
     // Rebuild global Merkle tree
-    if (attendanceLeaves.length > 0) {
-      attendanceMerkleTree = buildMerkleTree(attendanceLeaves)
-    }
+    attendanceMerkleTree = buildMerkleTree([...attendanceLeaves.keys()])
 
     // Update reputation score
     if (!reputationScores.has(walletKey)) {
@@ -574,6 +880,7 @@ router.post('/ticket/scan', (req, res) => {
     rep.attendance += 1
     rep.score = Math.min(100, rep.score + 5) // +5 per event attended
     rep.leaves.push({ leaf, eventId: data.eventId, eventName: ev?.name, attendedAt: data.usedAt })
+    reputationScores.set(walletKey, rep)
 
     // Also update credentialStore reputation
     const credStore = getCredentialStore()
@@ -581,12 +888,126 @@ router.post('/ticket/scan', (req, res) => {
     if (cred && cred.reputation) {
       cred.reputation.score = rep.score
       cred.reputation.attendance = rep.attendance
+      credStore.set(walletKey, cred)
     }
 
     console.log(`📊 Reputation updated: ${walletKey.slice(0, 10)}... → score=${rep.score}, attendance=${rep.attendance}`)
   } catch (err) {
     console.error('   Attendance tracking error (non-fatal):', err.message)
   }
+}
+
+/**
+ * POST /api/events/ticket/scan
+ * Scan a ticket at venue entry (marks as used).
+ * Body: { qrToken } — the short RP- token or the signed RP1. QR payload.
+ * NOW ALSO: records attendance leaf → rebuilds Merkle tree → updates reputation.
+ */
+router.post('/ticket/scan', requireAuth, (req, res) => {
+  const scannerWallet = req.auth.walletAddress
+  let { qrToken } = req.body
+
+  if (!qrToken) {
+    return res.status(400).json({ success: false, error: 'qrToken required' })
+  }
+
+  // Signed QR payload → check issuer signature + validity window, then resolve to its token
+  let payloadTicket = null
+  if (isTicketQRPayload(qrToken)) {
+    const check = verifyTicketQRPayload(qrToken)
+    if (!check.valid) {
+      console.log(`🚫 QR payload rejected (${check.reason})`)
+      return res.json({
+        success: false,
+        valid: false,
+        reason: check.reason,
+        message: {
+          malformed_payload: 'Entry denied — unreadable ticket QR',
+          signature_invalid: 'Entry denied — ticket signature is invalid',
+          issuer_not_authorized: 'Entry denied — ticket was not signed by an authorized RacePass issuer',
+          not_yet_valid: 'Entry denied — ticket is not valid yet',
+          ticket_expired: 'Entry denied — ticket has expired'
+        }[check.reason]
+      })
+    }
+    payloadTicket = check.ticket
+    qrToken = payloadTicket.qrToken
+  }
+
+  const data = qrTokens.get(qrToken)
+  if (!data) {
+    return res.json({ success: false, valid: false, reason: 'not_found', message: 'Invalid ticket — not found' })
+  }
+
+  // Only the organizer or delegated gate staff may burn this event's tickets
+  const ev = events.get(data.eventId)
+  const scannerRole = getGateRole(ev, scannerWallet)
+  if (!scannerRole) {
+    console.log(`🚫 Scan refused: ${scannerWallet.slice(0, 10)}... is not gate staff for ${data.eventId}`)
+    return res.status(403).json({
+      success: false,
+      valid: false,
+      reason: 'not_delegated',
+      message: 'You are not authorized to scan tickets for this event'
+    })
+  }
+
+  if (payloadTicket && payloadTicket.ticketHash !== data.ticketHash) {
+    return res.json({
+      success: false,
+      valid: false,
+      reason: 'ticket_tampered',
+      message: 'Entry denied — ticket data does not match its signed hash'
+    })
+  }
+
+  if (data.usedAt) {
+    return res.json({
+      success: false,
+      valid: false,
+      reason: 'already_used',
+      message: `Ticket already used at ${new Date(data.usedAt).toLocaleString()}`
+    })
+  }
+
+  // ── Verify the issuer's ECDSA signature (ecrecover) BEFORE admitting ──
+  const sigCheck = verifyTicketSignature(data.ticketHash, data.ticketSignature, {
+    wallet: data.wallet,
+    eventId: data.eventId,
+    timestamp: data.ticketTimestamp,
+    nonce: data.ticketNonce
+  })
+  if (!sigCheck.valid) {
+    console.log(`🚫 Ticket rejected (${sigCheck.reason}): ${qrToken.slice(0, 12)}...`)
+    return res.json({
+      success: false,
+      valid: false,
+      reason: sigCheck.reason,
+      message: {
+        signature_missing: 'Entry denied — ticket has no issuer signature',
+        ticket_tampered: 'Entry denied — ticket data does not match its signed hash',
+        signature_invalid: 'Entry denied — ticket signature is invalid',
+        issuer_not_authorized: 'Entry denied — ticket was not signed by an authorized RacePass issuer'
+      }[sigCheck.reason]
+    })
+  }
+
+  // A RacePass revoked or suspended since registration no longer gets in (as in /sync)
+  const holderCred = getCredentialStore().get(data.wallet)
+  if (holderCred?.revoked) {
+    const reason = holderCred.suspension ? 'credential_suspended' : 'credential_revoked'
+    console.log(`🚫 Ticket rejected (${reason}): ${qrToken.slice(0, 12)}...`)
+    return res.json({
+      success: false,
+      valid: false,
+      reason,
+      message: reason === 'credential_suspended'
+        ? 'Entry denied — the holder\'s RacePass is suspended'
+        : 'Entry denied — the holder\'s RacePass has been revoked'
+    })
+  }
+
+  recordTicketUse(qrToken, data, { scannedBy: scannerWallet, role: scannerRole })
 
   console.log(`✅ Ticket scanned: ${qrToken.slice(0, 12)}... for "${ev?.name || data.eventId}"`)
 
@@ -594,6 +1015,11 @@ router.post('/ticket/scan', (req, res) => {
   const orgInfo = users.get(ev?.organizerWallet) || {}
   const eventRegs = registrations.get(data.eventId) || []
 
+  // A minor admitted with their guardian — staff check they arrive together
+  const guardianTicket = data.accompaniedBy
+    ? [...qrTokens.values()].find(t => t.eventId === data.eventId && t.wallet === data.accompaniedBy)
+    : null
+
   res.json({
     success: true,
     valid: true,
@@ -617,16 +1043,21 @@ router.post('/ticket/scan', (req, res) => {
       requireAge: ev?.requireAge || false,
       usedAt: data.usedAt,
       ticketHash: data.ticketHash || null,
-      signatureVerified: !!data.ticketSignature
+      signatureVerified: sigCheck.valid,
+      signer: sigCheck.signer,
+      scannedBy: scannerWallet,
+      scannedByRole: scannerRole,
+      accompaniedBy: data.accompaniedBy || null,
+      guardianCheckedIn: data.accompaniedBy ? !!guardianTicket?.usedAt : null
     }
   })
 })
 
 /**
  * POST /api/events/ticket/attendance
- * Mark a scanned attendee as present or absent (organizer attendance toggle).
+ * Mark a scanned attendee as present or absent (organizer / gate staff attendance toggle).
  */
-router.post('/ticket/attendance', (req, res) => {
+router.post('/ticket/attendance', requireAuth, (req, res) => {
   const { qrToken, status: attendanceStatus } = req.body
 
   if (!qrToken || !['present', 'absent'].includes(attendanceStatus)) {
@@ -638,8 +1069,18 @@ router.post('/ticket/attendance', (req, res) => {
     return res.json({ success: false, message: 'Invalid ticket token' })
   }
 
+  const markedBy = req.auth.walletAddress
+  if (!getGateRole(events.get(data.eventId), markedBy)) {
+    return res.status(403).json({
+      success: false,
+      reason: 'not_delegated',
+      message: 'You are not authorized to mark attendance for this event'
+    })
+  }
+
   // Update attendance status on the token data
   data.attendance = attendanceStatus
+  data.attendanceMarkedBy = markedBy
   qrTokens.set(qrToken, data)
 
   // Also update in the registration list
@@ -648,6 +1089,7 @@ router.post('/ticket/attendance', (req, res) => {
   if (reg) {
     reg.attendance = attendanceStatus
     reg.checkedIn = attendanceStatus === 'present'
+    registrations.set(data.eventId, regs)
   }
 
   console.log(`📋 Attendance: ${data.wallet.slice(0, 10)}... marked ${attendanceStatus} for event ${data.eventId}`)
@@ -661,6 +1103,324 @@ router.post('/ticket/attendance', (req, res) => {
   })
 })
 
+// ══════════════════════════════════════════════════
+//  OFFLINE GATE SCANNING
+// ══════════════════════════════════════════════════
+
+const MAX_SYNC_BATCH = 500
+
+/**
+ * Role of a wallet at an event's gate
+ * @returns {'organizer'|'supervisor'|'scanner'|null}
+ */
+function getGateRole(ev, wallet) {
+  if (!ev || !wallet) return null
+  if (ev.organizerWallet === wallet) return 'organizer'
+  const member = (eventStaff.get(ev.id) || []).find(m => m.wallet === wallet && !m.revokedAt)
+  return member?.role || null
+}
+
+/**
+ * Resolve :eventId and check the signed-in wallet holds one of `roles` there
+ * @returns {{ ev, role }|null} null after sending an error response
+ */
+function getGateEvent(req, res, roles = GATE_ROLES) {
+  const ev = events.get(req.params.eventId)
+  if (!ev) {
+    res.status(404).json({ success: false, error: 'Event not found' })
+    return null
+  }
+  const role = getGateRole(ev, req.auth.walletAddress)
+  if (!roles.includes(role)) {
+    res.status(403).json({
+      success: false,
+      error: role ? `Your gate role (${role}) cannot do this` : 'You are not on this event\'s gate staff',
+      reason: 'not_delegated'
+    })
+    return null
+  }
+  return { ev, role }
+}
+
+/**
+ * GET /api/events/:eventId/manifest
+ * Everything a scanner needs to admit this event's tickets without the backend:
+ * trusted issuer addresses, every ticket hash (with usedAt), and the hashes of
+ * tickets whose holder has since revoked their RacePass.
+ */
+router.get('/:eventId/manifest', requireAuth, (req, res) => {
+  const gate = getGateEvent(req, res)
+  if (!gate) return
+  const { ev } = gate
+
+  const credStore = getCredentialStore()
+  const tickets = []
+  const revoked = []
+  for (const data of qrTokens.values()) {
+    if (data.eventId !== ev.id || !data.ticketHash) continue
+    tickets.push({ ticketHash: data.ticketHash, usedAt: data.usedAt || null, accompaniedBy: data.accompaniedBy || null })
+    if (credStore.get(data.wallet)?.revoked) revoked.push(data.ticketHash)
+  }
+
+  res.json({
+    success: true,
+    manifest: {
+      eventId: ev.id,
+      eventName: ev.name,
+      eventDate: ev.date || null,
+      issuers: getAuthorizedIssuers(),
+      tickets,
+      revoked,
+      generatedAt: new Date().toISOString()
+    }
+  })
+})
+
+/**
+ * POST /api/events/:eventId/sync
+ * Push check-ins recorded offline by a gate device.
+ * Body: { deviceId, checkIns: [ { qrToken, ticketHash, scannedAt } ] }
+ *
+ * Conflict rule: the EARLIEST scan of a ticket (across all devices) is the
+ * entry; every other scan is kept on the ticket as a duplicate for review.
+ * Re-sending a check-in that was already synced is harmless.
+ *
+ * Returns one result per check-in:
+ *   { qrToken, status: 'accepted' | 'duplicate' | 'already_synced' | 'rejected', reason?, firstScan? }
+ */
+router.post('/:eventId/sync', requireAuth, (req, res) => {
+  const gate = getGateEvent(req, res)
+  if (!gate) return
+  const { ev, role } = gate
+
+  const { deviceId, checkIns } = req.body
+  if (!deviceId || !Array.isArray(checkIns)) {
+    return res.status(400).json({ success: false, error: 'deviceId and checkIns[] required' })
+  }
+  if (checkIns.length > MAX_SYNC_BATCH) {
+    return res.status(400).json({ success: false, error: `At most ${MAX_SYNC_BATCH} check-ins per sync` })
+  }
+
+  const scannedBy = req.auth.walletAddress
+  const credStore = getCredentialStore()
+  const now = Date.now()
+
+  // Earliest first, so a batch resolves the same way regardless of order
+  const ordered = checkIns
+    .map(c => {
+      const t = new Date(c?.scannedAt).getTime()
+      // Unparseable or future timestamps (bad device clock) count as "now"
+      return { ...c, scannedAt: new Date(Number.isFinite(t) && t <= now ? t : now).toISOString() }
+    })
+    .sort((a, b) => new Date(a.scannedAt) - new Date(b.scannedAt))
+
+  const results = ordered.map(checkIn => {
+    const { qrToken, ticketHash, scannedAt } = checkIn
+    const data = qrToken ? qrTokens.get(qrToken) : null
+
+    if (!data || data.eventId !== ev.id) {
+      return { qrToken, status: 'rejected', reason: 'not_found' }
+    }
+    if (ticketHash && ticketHash !== data.ticketHash) {
+      return { qrToken, status: 'rejected', reason: 'ticket_tampered' }
+    }
+
+    const scan = { scannedAt, deviceId, scannedBy, role }
+    const firstScan = data.usedAt
+      ? { scannedAt: data.usedAt, deviceId: data.scanDeviceId || null, scannedBy: data.scannedBy || null, role: data.scannedByRole || null }
+      : null
+    const sameScan = s => s.deviceId === deviceId && s.scannedAt === scannedAt
+    if ((firstScan && sameScan(firstScan)) || (data.duplicateScans || []).some(sameScan)) {
+      return { qrToken, status: 'already_synced' }
+    }
+
+    if (!firstScan) {
+      if (credStore.get(data.wallet)?.revoked) {
+        return { qrToken, status: 'rejected', reason: 'credential_revoked' }
+      }
+      recordTicketUse(qrToken, data, { scannedBy, role, usedAt: scannedAt, deviceId })
+      return { qrToken, status: 'accepted' }
+    }
+
+    data.duplicateScans = data.duplicateScans || []
+    if (new Date(scannedAt) < new Date(firstScan.scannedAt)) {
+      // This device let the holder in first — it becomes the entry, the old one a duplicate
+      data.duplicateScans.push(firstScan)
+      data.usedAt = scannedAt
+      data.scannedBy = scannedBy
+      data.scannedByRole = role
+      data.scanDeviceId = deviceId
+      qrTokens.set(qrToken, data)
+      return { qrToken, status: 'accepted', superseded: firstScan }
+    }
+
+    data.duplicateScans.push(scan)
+    qrTokens.set(qrToken, data)
+    return { qrToken, status: 'duplicate', reason: 'already_used', firstScan }
+  })
+
+  const summary = results.reduce((acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }), {})
+  console.log(`🔄 Gate sync for "${ev.name}" from ${String(deviceId).slice(0, 8)}: ${JSON.stringify(summary)}`)
+
+  logActivity(scannedBy, 'GATE_SYNC', {
+    eventId: ev.id,
+    eventName: ev.name,
+    deviceId,
+    ...summary
+  })
+
+  res.json({ success: true, results, summary })
+})
+
+// ══════════════════════════════════════════════════
+//  GATE STAFF (delegated scanners)
+// ══════════════════════════════════════════════════
+
+/**
+ * GET /api/events/staff/assignments
+ * Events the signed-in wallet has been invited to scan for
+ */
+router.get('/staff/assignments', requireAuth, (req, res) => {
+  const wallet = req.auth.walletAddress
+  const assignments = []
+  for (const [eventId, staff] of eventStaff) {
+    const member = staff.find(m => m.wallet === wallet && !m.revokedAt)
+    const ev = events.get(eventId)
+    if (!member || !ev || ev.status === 'cancelled') continue
+    assignments.push({
+      ...ev,
+      role: member.role,
+      invitedAt: member.invitedAt
+    })
+  }
+  res.json({ success: true, assignments })
+})
+
+/**
+ * GET /api/events/:eventId/staff
+ * Gate staff for an event, including revoked members (organizer / supervisor)
+ */
+router.get('/:eventId/staff', requireAuth, (req, res) => {
+  const gate = getGateEvent(req, res, ['organizer', 'supervisor'])
+  if (!gate) return
+  res.json({ success: true, role: gate.role, staff: eventStaff.get(gate.ev.id) || [] })
+})
+
+/**
+ * POST /api/events/:eventId/staff
+ * Body: { wallet, role: 'scanner' | 'supervisor' }
+ * Organizers can delegate either role; supervisors can only add scanners.
+ * Re-inviting a revoked wallet restores it with the new role.
+ */
+router.post('/:eventId/staff', requireAuth, (req, res) => {
+  const gate = getGateEvent(req, res, ['organizer', 'supervisor'])
+  if (!gate) return
+  const { ev, role: callerRole } = gate
+
+  const { wallet, role } = req.body
+  if (!wallet || !/^0x[a-fA-F0-9]{40}$/.test(wallet)) {
+    return res.status(400).json({ success: false, error: 'Valid wallet address required' })
+  }
+  if (!STAFF_ROLES.includes(role)) {
+    return res.status(400).json({ success: false, error: `role must be one of: ${STAFF_ROLES.join(', ')}` })
+  }
+  if (callerRole === 'supervisor' && role !== 'scanner') {
+    return res.status(403).json({ success: false, error: 'Supervisors can only invite scanners', reason: 'not_delegated' })
+  }
+
+  const key = wallet.toLowerCase()
+  if (key === ev.organizerWallet) {
+    return res.status(400).json({ success: false, error: 'The organizer already has full gate access' })
+  }
+
+  const staff = eventStaff.get(ev.id) || []
+  const member = {
+    wallet: key,
+    role,
+    invitedBy: req.auth.walletAddress,
+    invitedAt: new Date().toISOString(),
+    revokedAt: null,
+    revokedBy: null
+  }
+  const existing = staff.findIndex(m => m.wallet === key)
+  if (existing >= 0) staff[existing] = member
+  else staff.push(member)
+  eventStaff.set(ev.id, staff)
+
+  logActivity(req.auth.walletAddress, 'GATE_STAFF_ADDED', {
+    eventId: ev.id,
+    eventName: ev.name,
+    staffWallet: key,
+    role
+  })
+  console.log(`🛂 Gate staff: ${key.slice(0, 10)}... → ${role} for "${ev.name}"`)
+
+  res.json({ success: true, member, staff })
+})
+
+/**
+ * DELETE /api/events/:eventId/staff/:wallet
+ * Revoke a staff member (kept in the list for the audit trail).
+ * Supervisors can only revoke scanners.
+ */
+router.delete('/:eventId/staff/:wallet', requireAuth, (req, res) => {
+  const gate = getGateEvent(req, res, ['organizer', 'supervisor'])
+  if (!gate) return
+  const { ev, role: callerRole } = gate
+
+  const key = req.params.wallet.toLowerCase()
+  const staff = eventStaff.get(ev.id) || []
+  const member = staff.find(m => m.wallet === key && !m.revokedAt)
+  if (!member) {
+    return res.status(404).json({ success: false, error: 'No active staff member with that wallet' })
+  }
+  if (callerRole === 'supervisor' && member.role !== 'scanner') {
+    return res.status(403).json({ success: false, error: 'Supervisors can only revoke scanners', reason: 'not_delegated' })
+  }
+
+  member.revokedAt = new Date().toISOString()
+  member.revokedBy = req.auth.walletAddress
+  eventStaff.set(ev.id, staff)
+
+  logActivity(req.auth.walletAddress, 'GATE_STAFF_REVOKED', {
+    eventId: ev.id,
+    eventName: ev.name,
+    staffWallet: key,
+    role: member.role
+  })
+  console.log(`🛂 Gate staff revoked: ${key.slice(0, 10)}... for "${ev.name}"`)
+
+  res.json({ success: true, member, staff })
+})
+
+/**
+ * GET /api/events/:eventId/scans
+ * Who admitted whom: every used ticket with the staff wallet + role that
+ * scanned it, the gate device, attendance marks and duplicate scans.
+ */
+router.get('/:eventId/scans', requireAuth, (req, res) => {
+  const gate = getGateEvent(req, res, ['organizer', 'supervisor'])
+  if (!gate) return
+
+  const scans = []
+  for (const [token, data] of qrTokens) {
+    if (data.eventId !== gate.ev.id || !data.usedAt) continue
+    scans.push({
+      qrToken: token,
+      attendee: data.wallet,
+      usedAt: data.usedAt,
+      scannedBy: data.scannedBy || null,
+      scannedByRole: data.scannedByRole || null,
+      deviceId: data.scanDeviceId || null,
+      attendance: data.attendance || null,
+      attendanceMarkedBy: data.attendanceMarkedBy || null,
+      duplicateScans: data.duplicateScans || []
+    })
+  }
+  scans.sort((a, b) => new Date(b.usedAt) - new Date(a.usedAt))
+  res.json({ success: true, scans })
+})
+
 /**
  * GET /api/events/my-tickets/:address
  * Get all tickets for a user
@@ -681,6 +1441,7 @@ router.get('/my-tickets/:address', (req, res) => {
         venue: ev?.venue,
         gradient: ev?.gradient,
         verified: data.verified,
+        qrPayload: data.qrPayload || null,
         usedAt: data.usedAt,
         createdAt: data.createdAt
       })
@@ -708,11 +1469,10 @@ router.get('/notifications/:address', (req, res) => {
 
 /**
  * POST /api/events/notifications/read
- * Mark notifications as read
+ * Mark the signed-in organizer's notifications as read
  */
-router.post('/notifications/read', (req, res) => {
-  const { walletAddress } = req.body
-  const key = walletAddress?.toLowerCase()
+router.post('/notifications/read', requireAuth, (req, res) => {
+  const key = req.auth.walletAddress
   const notifs = notifications.get(key) || []
   notifs.forEach(n => { n.read = true })
   notifications.set(key, notifs)
@@ -758,7 +1518,10 @@ router.post('/zkp/check', async (req, res) => {
     })
   }
 
-  const userAge = cred.age != null ? cred.age : (cred.isAdult ? 18 : 0)
+  const credentialCountry = getCredentialCountry(cred)
+  const eventCountry = ev.requireCountry ? ev.country || 'IN' : null
+  const context = getClaimContext(cred)
+  const canProve = claim => deriveClaim(claim, context).holds
 
   // Generate a preview of what attestations would be created
   const attestationTypes = []
@@ -770,10 +1533,12 @@ router.post('/zkp/check', async (req, res) => {
       attestationTypes.push(...Object.values(cred.attestations).map(a => a.claim))
     }
   } else {
-    attestationTypes.push('identityVerified')
-    if (userAge >= 18) attestationTypes.push('ageAbove:18')
-    if (userAge >= 21) attestationTypes.push('ageAbove:21')
-    attestationTypes.push('countryResident:IN')
+    attestationTypes.push(...[
+      formatClaim('identityVerified'),
+      formatClaim('ageAbove', 18),
+      formatClaim('ageAbove', 21),
+      credentialCountry && formatClaim('countryResident', credentialCountry)
+    ].filter(claim => claim && canProve(claim)))
   }
 
   res.json({
@@ -784,36 +1549,107 @@ router.post('/zkp/check', async (req, res) => {
       requireIdentity: ev.requireIdentity,
       requireAge: ev.requireAge,
       requireCountry: ev.requireCountry,
-      minAge: ev.minAge
+      country: eventCountry,
+      minAge: ev.minAge,
+      minAssurance: ev.minAssurance || null,
+      onePerPerson: !!ev.onePerPerson,
+      accompaniedBy: ev.accompaniedBy || null
     },
     zkpProofs: {
       ageAboveMin: {
         label: ev.minAge > 0 ? `I am ${ev.minAge}+` : 'No age requirement',
         description: ev.minAge > 0
-          ? `ECDSA-signed attestation proving age ≥ ${ev.minAge} without revealing exact DOB`
+          ? `Zero-knowledge proof, generated in your browser, that your committed age is ≥ ${ev.minAge} — the age itself is never sent`
           : 'No age verification needed',
-        canProve: ev.minAge > 0 ? userAge >= ev.minAge : true,
+        // Unless the recorded bracket rules it out, the browser finds out when it makes the proof
+        canProve: ev.minAge > 0 ? context.maxAge >= ev.minAge : true,
         required: ev.requireAge && ev.minAge > 0,
-        cryptoMethod: 'ECDSA signed attestation (keccak256 + ecrecover)'
+        cryptoMethod: 'Zero-knowledge range proof (Pedersen commitment + bit OR-proofs on secp256k1)'
       },
       identityVerified: {
         label: 'I am a verified person',
-        description: 'ECDSA-signed attestation proving identity without revealing name or Aadhaar',
+        description: 'ECDSA-signed attestation proving identity without revealing name or document number',
         canProve: true,
         required: ev.requireIdentity,
         cryptoMethod: 'ECDSA signed attestation (keccak256 + ecrecover)'
       },
       countryResident: {
-        label: 'I am from India',
-        description: 'ECDSA-signed attestation proving residency without revealing documents',
-        canProve: true,
+        label: `I am from ${eventCountry || credentialCountry || 'a verified country'}`,
+        description: 'ECDSA-signed attestation, from the country on your identity document, without revealing the document',
+        canProve: !!(eventCountry || credentialCountry) && canProve(formatClaim('countryResident', eventCountry || credentialCountry)),
         required: ev.requireCountry,
         cryptoMethod: 'ECDSA signed attestation (keccak256 + ecrecover)'
-      }
+      },
+      ...(ev.minAssurance && {
+        assurance: {
+          label: `My RacePass is verified at "${ev.minAssurance}" or stronger`,
+          description: `Yours: "${cred.assuranceLevel || 'ocr-only'}" — how strongly your identity was checked at KYC`,
+          canProve: canProve(formatClaim('assurance', ev.minAssurance)),
+          required: true,
+          cryptoMethod: 'ECDSA signed attestation (assurance:<level>)'
+        }
+      }),
+      ...(ev.onePerPerson && {
+        uniquePerson: {
+          label: 'My RacePass is from a UIDAI-signed Aadhaar',
+          description: 'One ticket per person — only an Aadhaar Secure QR or offline e-KYC ties a RacePass to a single person',
+          canProve: isUniquePerson(cred.assuranceLevel),
+          required: true,
+          cryptoMethod: `ECDSA signed attestation (assurance:${UNIQUE_PERSON_ASSURANCE})`
+        }
+      }),
+      ...(ev.accompaniedBy === 'guardian' && ev.minAge > 0 && context.maxAge < ev.minAge && {
+        guardianConsent: {
+          label: 'I come with my guardian',
+          description: 'Your guardian co-signed your RacePass and needs a ticket for this event first — you are admitted together',
+          canProve: !!getActiveGuardian(cred),
+          required: true,
+          cryptoMethod: 'EIP-712 guardian signature + ECDSA signed attestation (guardianConsent:<guardian wallet>)'
+        }
+      })
     },
     availableAttestations: attestationTypes,
     issuer: getIssuerAddress(),
-    privacyNote: 'Only ECDSA-signed boolean attestations are shared. No personal data is revealed. Each attestation is independently verifiable on-chain via ecrecover.'
+    privacyNote: 'Age is proven in zero knowledge; identity and residency are ECDSA-signed boolean attestations verifiable on-chain via ecrecover. No personal data is revealed.'
+  })
+})
+
+/**
+ * POST /api/events/zkp/verify
+ * Body: { walletAddress, minAge, context, proof }
+ *
+ * Check a zero-knowledge age proof against the wallet's issuer-attested
+ * age commitment. For relying parties outside the marketplace; the proof's
+ * context must be whatever the relying party asked the holder to bind it to.
+ */
+router.post('/zkp/verify', (req, res) => {
+  const { walletAddress, minAge, context, proof } = req.body
+
+  if (!walletAddress || minAge == null || !context || !proof) {
+    return res.status(400).json({ success: false, error: 'walletAddress, minAge, context and proof are required' })
+  }
+
+  const cred = getCredentialStore().get(walletAddress.toLowerCase())
+  const commitment = cred?.commitments?.age?.commitment
+  if (!cred || !cred.attestations?.ageCommitment) {
+    return res.json({ success: true, valid: false, reason: 'no_commitment' })
+  }
+  if (cred.revoked) {
+    return res.json({ success: true, valid: false, reason: 'credential_revoked' })
+  }
+
+  const result = verifyAgeProof(proof, { commitment, minAge: Number(minAge), context })
+  res.json({
+    success: true,
+    valid: result.valid,
+    reason: result.reason,
+    statement: `age ≥ ${Number(minAge)}`,
+    commitment,
+    commitmentAttestation: {
+      claim: cred.attestations.ageCommitment.claim,
+      signature: cred.attestations.ageCommitment.signature,
+      issuer: cred.attestations.ageCommitment.issuer
+    }
   })
 })
 
@@ -835,7 +1671,7 @@ router.get('/reputation/:address', (req, res) => {
   let merkleRoot = null
   if (attendanceMerkleTree && rep.leaves.length > 0) {
     const lastLeaf = rep.leaves[rep.leaves.length - 1].leaf
-    const leafIndex = attendanceLeaves.indexOf(lastLeaf)
+    const leafIndex = attendanceMerkleTree.leaves.indexOf(lastLeaf)
     if (leafIndex >= 0) {
       merkleProof = getMerkleProof(attendanceMerkleTree.layers, leafIndex)
       merkleRoot = attendanceMerkleTree.root
@@ -865,4 +1701,127 @@ router.get('/reputation/:address', (req, res) => {
   })
 })
 
+// ══════════════════════════════════════════════════
+//  WALLET MIGRATION (used by routes/migration.js)
+// ══════════════════════════════════════════════════
+
+/** Has this wallet ever registered for an event or earned reputation? */
+export function hasEventHistory(walletKey) {
+  if (reputationScores.has(walletKey)) return true
+  for (const [, data] of qrTokens) {
+    if (data.wallet === walletKey) return true
+  }
+  return false
+}
+
+/**
+ * Prepare moving a wallet's registrations, tickets, attendance and
+ * reputation to another wallet.
+ *
+ * Tickets and attendance leaves are bound to the wallet, so unused tickets
+ * are re-signed (same qrToken, new ticketHash + QR payload — old printed QRs
+ * stop working) and attendance leaves are recomputed. All signing happens
+ * here; apply() only writes, synchronously, so the caller can commit it in
+ * the same tick as the credential move.
+ *
+ * @returns {Promise<{ summary: Object, apply: Function }>}
+ */
+export async function prepareWalletMigration(fromKey, toKey) {
+  const tickets = []
+  for (const [qrToken, data] of qrTokens) {
+    if (data.wallet !== fromKey) continue
+    let reissued = null
+    if (!data.usedAt) {
+      const ticketData = await signTicket(toKey, data.eventId)
+      const ev = events.get(data.eventId)
+      const { notBefore, notAfter } = getTicketValidity(ev || {})
+      const qrPayload = await createTicketQRPayload({
+        qrToken,
+        ticketHash: ticketData.ticketHash,
+        wallet: toKey,
+        eventId: data.eventId,
+        notBefore,
+        notAfter
+      })
+      reissued = { ticketData, qrPayload }
+    }
+    tickets.push({ qrToken, data, reissued })
+  }
+
+  const leaves = [...attendanceLeaves]
+    .filter(([, record]) => record.wallet === fromKey)
+    .map(([leaf, record]) => ({ leaf, record, newLeaf: createAttendanceLeaf(toKey, record.eventId) }))
+  const rep = reputationScores.get(fromKey)
+
+  const summary = {
+    tickets: tickets.length,
+    ticketsReissued: tickets.filter(t => t.reissued).length,
+    attendance: leaves.length,
+    reputationScore: rep?.score ?? null
+  }
+
+  function apply() {
+    const migratedAt = new Date().toISOString()
+
+    for (const { qrToken, data, reissued } of tickets) {
+      const updated = { ...data, wallet: toKey, migratedFrom: fromKey, migratedAt }
+      if (reissued) {
+        const { ticketData, qrPayload } = reissued
+        Object.assign(updated, {
+          ticketHash: ticketData.ticketHash,
+          ticketSignature: ticketData.signature,
+          ticketTimestamp: ticketData.timestamp,
+          ticketNonce: ticketData.nonce,
+          qrPayload
+        })
+      }
+      qrTokens.set(qrToken, updated)
+
+      const regs = registrations.get(data.eventId) || []
+      const reg = regs.find(r => r.wallet === fromKey && r.qrToken === qrToken)
+      if (reg) {
+        reg.wallet = toKey
+        reg.migratedFrom = fromKey
+        if (reissued) {
+          Object.assign(reg, {
+            ticketHash: reissued.ticketData.ticketHash,
+            ticketSignature: reissued.ticketData.signature,
+            ticketV: reissued.ticketData.v,
+            ticketR: reissued.ticketData.r,
+            ticketS: reissued.ticketData.s,
+            issuer: reissued.ticketData.issuer
+          })
+        }
+        registrations.set(data.eventId, regs)
+      }
+    }
+
+    const leafMap = new Map(leaves.map(({ leaf, newLeaf }) => [leaf, newLeaf]))
+    for (const { leaf, record, newLeaf } of leaves) {
+      attendanceLeaves.delete(leaf)
+      attendanceLeaves.set(newLeaf, { ...record, wallet: toKey })
+    }
+    if (leaves.length > 0) {
+      attendanceMerkleTree = attendanceLeaves.size > 0 ? buildMerkleTree([...attendanceLeaves.keys()]) : null
+    }
+
+    if (rep) {
+      reputationScores.set(toKey, {
+        ...rep,
+        leaves: rep.leaves.map(l => ({ ...l, leaf: leafMap.get(l.leaf) || l.leaf }))
+      })
+      reputationScores.delete(fromKey)
+    }
+
+    // Attendee profiles follow the wallet; organizer profiles stay with the events they own
+    const profile = users.get(fromKey)
+    if (profile?.role === 'user' && !users.has(toKey)) {
+      users.set(toKey, { ...profile, walletAddress: toKey, updatedAt: migratedAt })
+      users.delete(fromKey)
+    }
+  }
+
+  return { summary, apply }
+}
+
 export default router
@@ -0,0 +1,214 @@
+/**
+ * guardians.js - Guardian Link Routes
+ *
+ * POST   /api/guardians/authorization → typed data the GUARDIAN signs to consent
+ * POST   /api/guardians               → link the guardian to the signed-in minor's RacePass
+ * GET    /api/guardians               → the signed-in wallet's guardian and wards
+ * DELETE /api/guardians/:minorWallet  → either side ends the link
+ *
+ * The minor always makes the request; an adult RacePass holder signs the
+ * consent (see services/guardian.js). The minor then holds a signed
+ * "guardianConsent:<guardian wallet>" attestation, and events with
+ * accompaniedBy: 'guardian' / sites passing allowGuardian admit them below
+ * the minimum age together with that guardian.
+ *
+ * A link only counts while both RacePasses are active, the guardian is an
+ * adult and the minor is still under 18 (getActiveGuardian). A renewal at 18
+ * drops it.
+ */
+
+import { Router } from 'express'
+import { requireAuth } from '../middleware/auth.js'
+import { getCredentialStore, logActivity } from './kyc.js'
+import { createSignedAttestation } from '../services/crypto.js'
+import { createGuardianConsent, verifyGuardianConsent, guardianClaim } from '../services/guardian.js'
+
+const router = Router()
+
+function isValidAddress(address) {
+  return typeof address === 'string' && /^0x[a-fA-F0-9]{40}$/.test(address)
+}
+
+function isActiveCredential(data) {
+  return !!data && !data.revoked && !(data.expiresAt && new Date(data.expiresAt) < new Date())
+}
+
+/**
+ * The wallet of a minor's guardian, if the link still counts — null otherwise
+ *
+ * @param {Object} data - the minor's credential record
+ * @returns {string|null}
+ */
+export function getActiveGuardian(data) {
+  if (!data?.guardian || data.isAdult || !data.attestations?.guardianConsent) return null
+  const guardian = getCredentialStore().get(data.guardian.wallet)
+  return isActiveCredential(guardian) && guardian.isAdult ? data.guardian.wallet : null
+}
+
+/**
+ * Can guardian → minor be linked? Returns an error response body + status, or null.
+ */
+function checkGuardianLink(guardianKey, minorKey) {
+  const credentials = getCredentialStore()
+  const minor = credentials.get(minorKey)
+  const guardian = credentials.get(guardianKey)
+
+  if (guardianKey === minorKey) {
+    return { status: 400, body: { success: false, error: 'A RacePass cannot be its own guardian', reason: 'same_wallet' } }
+  }
+  if (!isActiveCredential(minor)) {
+    return { status: 404, body: { success: false, error: 'No active RacePass found for this wallet', reason: 'no_credential' } }
+  }
+  if (minor.isAdult) {
+    return { status: 409, body: { success: false, error: 'Guardian consent is only for RacePass holders under 18', reason: 'not_a_minor' } }
+  }
+  if (getActiveGuardian(minor)) {
+    return {
+      status: 409,
+      body: { success: false, error: 'This RacePass already has a guardian — remove the link first', reason: 'guardian_already_linked' }
+    }
+  }
+  if (!isActiveCredential(guardian)) {
+    return { status: 403, body: { success: false, error: 'The guardian needs an active RacePass', reason: 'guardian_not_verified' } }
+  }
+  if (!guardian.isAdult) {
+    return { status: 403, body: { success: false, error: 'The guardian must be 18 or older', reason: 'guardian_not_adult' } }
+  }
+  return null
+}
+
+/**
+ * POST /api/guardians/authorization
+ * Body: { guardianWallet }
+ * Returns EIP-712 typed data for the GUARDIAN to sign (eth_signTypedData_v4).
+ */
+router.post('/authorization', requireAuth, (req, res) => {
+  const minorKey = req.auth.walletAddress
+  const { guardianWallet } = req.body || {}
+
+  if (!isValidAddress(guardianWallet)) {
+    return res.status(400).json({ success: false, error: 'Valid guardianWallet is required' })
+  }
+
+  const problem = checkGuardianLink(guardianWallet.toLowerCase(), minorKey)
+  if (problem) return res.status(problem.status).json(problem.body)
+
+  res.json({ success: true, ...createGuardianConsent(guardianWallet, minorKey) })
+})
+
+/**
+ * POST /api/guardians
+ * Body: { guardianWallet, nonce, signature }
+ */
+router.post('/', requireAuth, async (req, res) => {
+  const minorKey = req.auth.walletAddress
+  const { guardianWallet, nonce, signature } = req.body || {}
+
+  if (!isValidAddress(guardianWallet)) {
+    return res.status(400).json({ success: false, error: 'Valid guardianWallet is required' })
+  }
+  if (!nonce || !signature) {
+    return res.status(400).json({ success: false, error: 'nonce and signature are required' })
+  }
+
+  const guardianKey = guardianWallet.toLowerCase()
+  const problem = checkGuardianLink(guardianKey, minorKey)
+  if (problem) return res.status(problem.status).json(problem.body)
+
+  const check = verifyGuardianConsent({ nonce, signature }, guardianKey, minorKey)
+  if (!check.valid) {
+    console.log(`🚫 Guardian consent rejected (${check.reason})`)
+    return res.status(403).json({ success: false, error: 'Guardian consent is invalid', reason: check.reason })
+  }
+
+  try {
+    const { statusListIndex } = getCredentialStore().get(minorKey)
+    const attestation = await createSignedAttestation(minorKey, guardianClaim(guardianKey), Date.now(), { statusListIndex })
+
+    // Another request may have linked (or revoked) while we were signing
+    const conflict = checkGuardianLink(guardianKey, minorKey)
+    if (conflict) return res.status(conflict.status).json(conflict.body)
+
+    const credentials = getCredentialStore()
+    const data = credentials.get(minorKey)
+    const linkedAt = new Date().toISOString()
+    credentials.set(minorKey, {
+      ...data,
+      guardian: { wallet: guardianKey, linkedAt, consentSignature: signature },
+      attestations: { ...data.attestations, guardianConsent: attestation }
+    })
+
+    logActivity(minorKey, 'GUARDIAN_LINKED', { guardian: guardianKey })
+    logActivity(guardianKey, 'GUARDIAN_CONSENT_GIVEN', { minor: minorKey })
+    console.log(`👪 Guardian ${guardianKey.slice(0, 10)}... linked to ${minorKey.slice(0, 10)}...`)
+
+    res.json({
+      success: true,
+      message: 'Guardian linked. Events and sites that allow it will admit you together with your guardian.',
+      guardian: { wallet: guardianKey, linkedAt },
+      attestation: {
+        claim: attestation.claim,
+        nonce: attestation.nonce,
+        signature: attestation.signature,
+        issuer: attestation.issuer
+      }
+    })
+  } catch (error) {
+    console.error('❌ Guardian link error:', error.message)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+/**
+ * GET /api/guardians
+ * → { guardian: { wallet, linkedAt, active } | null, wards: [{ wallet, linkedAt, active }] }
+ */
+router.get('/', requireAuth, (req, res) => {
+  const key = req.auth.walletAddress
+  const credentials = getCredentialStore()
+  const data = credentials.get(key)
+
+  const wards = []
+  for (const [wallet, ward] of credentials) {
+    if (ward.guardian?.wallet !== key || ward.revoked) continue
+    wards.push({ wallet, linkedAt: ward.guardian.linkedAt, active: getActiveGuardian(ward) === key })
+  }
+
+  res.json({
+    success: true,
+    guardian: data?.guardian && !data.revoked
+      ? { wallet: data.guardian.wallet, linkedAt: data.guardian.linkedAt, active: !!getActiveGuardian(data) }
+      : null,
+    wards
+  })
+})
+
+/**
+ * DELETE /api/guardians/:minorWallet
+ * The minor or their guardian ends the link; the guardianConsent attestation goes with it.
+ */
+router.delete('/:minorWallet', requireAuth, (req, res) => {
+  const key = req.auth.walletAddress
+  const minorKey = req.params.minorWallet.toLowerCase()
+  const credentials = getCredentialStore()
+  const data = credentials.get(minorKey)
+
+  if (!data?.guardian) {
+    return res.status(404).json({ success: false, error: 'No guardian link found for this wallet', reason: 'no_guardian' })
+  }
+  if (key !== minorKey && key !== data.guardian.wallet) {
+    return res.status(403).json({ success: false, error: 'Only the RacePass holder or their guardian can remove the link' })
+  }
+
+  const { guardianConsent, ...attestations } = data.attestations || {}
+  const { guardian, ...rest } = data
+  credentials.set(minorKey, { ...rest, attestations })
+
+  logActivity(minorKey, 'GUARDIAN_UNLINKED', { guardian: guardian.wallet, by: key })
+  logActivity(guardian.wallet, 'GUARDIAN_UNLINKED', { minor: minorKey, by: key })
+  console.log(`👪 Guardian link removed for ${minorKey.slice(0, 10)}...`)
+
+  res.json({ success: true, message: 'Guardian link removed.' })
+})
+
+export default router
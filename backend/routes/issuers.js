@@ -0,0 +1,112 @@
+/**
+ * issuers.js - Issuer Key Routes
+ *
+ * GET  /api/issuers                 → current + historical issuer keys (public)
+ * POST /api/issuers/rotate          → new primary key, old one enters its grace period (admin)
+ * POST /api/issuers/keys            → add a generated or imported key (admin)
+ * POST /api/issuers/keys/:kid/retire → retire a key, optionally with a grace period (admin)
+ *
+ * Verifiers use the public list to accept signatures from keys that are
+ * retired-but-still-valid (status "retiring" until validUntil).
+ * See services/keystore.js for the key lifecycle.
+ */
+
+import { Router } from 'express'
+import { requireAuth, requireAdmin } from '../middleware/auth.js'
+import { getAuthorizedIssuers } from '../services/crypto.js'
+import {
+  listIssuerKeys, rotateIssuerKey, addIssuerKey, retireIssuerKey, findKeyByAddress
+} from '../services/keystore.js'
+
+const router = Router()
+
+const MAX_GRACE_DAYS = 365
+
+/** graceDays from the body: undefined = keystore default, otherwise 0..MAX_GRACE_DAYS */
+function readGraceDays(body) {
+  if (body?.graceDays === undefined) return { graceDays: undefined }
+  const graceDays = Number(body.graceDays)
+  if (!Number.isFinite(graceDays) || graceDays < 0 || graceDays > MAX_GRACE_DAYS) {
+    return { error: `graceDays must be between 0 and ${MAX_GRACE_DAYS}` }
+  }
+  return { graceDays }
+}
+
+/**
+ * GET /api/issuers
+ * Every issuer key we have used, newest first, with its on-chain
+ * authorizeIssuer/revokeIssuer results. Never includes private keys.
+ */
+router.get('/', (req, res) => {
+  const keys = listIssuerKeys()
+  const primary = keys.find(k => k.primary)
+  const trusted = getAuthorizedIssuers()
+
+  res.json({
+    success: true,
+    current: { kid: primary.kid, address: primary.address },
+    trusted,  // accept signatures from these (active + grace period + AUTHORIZED_ISSUERS)
+    external: trusted.filter(address => !findKeyByAddress(address)),
+    keys,
+    fetchedAt: new Date().toISOString()
+  })
+})
+
+/**
+ * POST /api/issuers/rotate
+ * Body: { graceDays?, reason? }
+ */
+router.post('/rotate', requireAuth, requireAdmin, (req, res) => {
+  const { graceDays, error } = readGraceDays(req.body)
+  if (error) return res.status(400).json({ success: false, error })
+
+  try {
+    const { current, previous } = rotateIssuerKey({ graceDays, reason: req.body?.reason || 'rotation' })
+    console.log(`🔄 Issuer key rotated by ${req.auth.walletAddress.slice(0, 10)}...: ${previous?.kid} → ${current.kid}`)
+    res.json({ success: true, message: `Issuer key rotated to ${current.kid}`, current, previous })
+  } catch (error) {
+    console.error('❌ Issuer key rotation failed:', error.message)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+/**
+ * POST /api/issuers/keys
+ * Body: { privateKey?, label? } — generates a key when privateKey is omitted.
+ * The new key becomes the primary; other active keys stay accepted.
+ */
+router.post('/keys', requireAuth, requireAdmin, (req, res) => {
+  const { privateKey, label } = req.body || {}
+  if (privateKey !== undefined && !/^(0x)?[a-fA-F0-9]{64}$/.test(privateKey)) {
+    return res.status(400).json({ success: false, error: 'privateKey must be 32 bytes of hex' })
+  }
+
+  try {
+    const key = addIssuerKey({ privateKey, label })
+    res.status(201).json({ success: true, message: `Issuer key ${key.kid} added`, key })
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message })
+  }
+})
+
+/**
+ * POST /api/issuers/keys/:kid/retire
+ * Body: { graceDays?, reason? } — graceDays 0 retires (and revokes on-chain) immediately
+ */
+router.post('/keys/:kid/retire', requireAuth, requireAdmin, (req, res) => {
+  const { graceDays, error } = readGraceDays(req.body)
+  if (error) return res.status(400).json({ success: false, error })
+
+  if (!listIssuerKeys().some(k => k.kid === req.params.kid)) {
+    return res.status(404).json({ success: false, error: `Unknown issuer key: ${req.params.kid}` })
+  }
+
+  try {
+    const key = retireIssuerKey(req.params.kid, { graceDays, reason: req.body?.reason || 'manual' })
+    res.json({ success: true, message: `Issuer key ${key.kid} is now ${key.status}`, key })
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message })
+  }
+})
+
+export default router
@@ -2,64 +2,222 @@
  * kyc.js - KYC API Routes (V2 — Cryptographic Proofs)
  *
  * UPGRADES:
- * - Commitment scheme: age commitment = keccak256(age || secret)
+ * - Commitment scheme: age = Pedersen commitment (zero-knowledge range proofs, see services/zkp.js),
+ *   identity = Pedersen commitment to DOB|document — re-proven for renewal and wallet recovery
+ * - Commitment secrets (age blinding, identity secret) are picked and kept in the holder's
+ *   browser: we get only s·H for each and store only the commitments, so we can't open
+ *   them ourselves — the browser proves an opening instead (zkp.js verifyIdentityOpening)
  * - Signed attestations generated at KYC time
  * - On-chain revocation (via smart contract revokeCredential)
  * - Reputation initialization
+ * - Renewal (POST /renew) with reminders 30/7/1 days before expiresAt
+ * - One Aadhaar identity per active RacePass (nullifier, see services/nullifier.js)
+ * - UIDAI-signed Secure QR / offline e-KYC XML re-verified before issuing (services/aadhaar.js)
+ * - Aadhaar numbers checked (Verhoeff check digit, no test/dummy numbers) before issuing
+ * - Assurance level (ocr-only … secure-qr+face) signed into the credential and an
+ *   "assurance:<level>" attestation, so events / relying parties can demand a minimum
+ * - Face match + liveness checked server-side in a session (services/faceSession.js);
+ *   /submit only issues with a passed session for the same wallet and Aadhaar number
+ * - Other identity documents — PAN, passport (MRZ), driving licence — checked per type
+ *   (services/documents.js); the countryResident attestation comes from the document
+ * - Guardian consent for minors (routes/guardians.js) — carried over on renewal until 18
+ * - Operator suspension (routes/admin.js): a suspended RacePass keeps its identity — the
+ *   holder can't revoke, renew or re-issue it away (services/moderation.js)
+ * - Revocation status list index per RacePass (services/statusList.js): in the VC's
+ *   credentialStatus and every attestation nonce; revoke / renew set its bit
+ * - Claims come from the registry (services/claims.js): the common ones are stored as
+ *   attestations here, anything else is derived on request from getClaimContext()
+ * - No exact age is kept: a RacePass records its age bracket (claims.js AGE_RANGE_EDGES);
+ *   the age itself is only in the Pedersen commitment, opened in the holder's browser
  *
  * Flow:
- * 1. User submits KYC data (Aadhaar OCR)
- * 2. Backend verifies → creates credential + fingerprint
- * 3. Generates cryptographic commitments for age/identity
- * 4. Pre-generates signed attestations (ageAbove:18, ageAbove:21, identityVerified, etc.)
+ * 0. User passes a face match + liveness session (POST /face-session → /face-session/:id/complete)
+ * 1. User submits KYC data (Aadhaar Secure QR / offline e-KYC, or OCR of an identity document
+ *    as a low-assurance fallback)
+ * 2. Backend verifies (document number / MRZ, UIDAI signature if attached) → creates credential + fingerprint
+ * 3. Generates cryptographic commitments for age/identity (over the secrets the browser sent)
+ * 4. Pre-generates signed attestations (ageAbove:18, ageAbove:21, identityVerified, countryResident:<XX>, etc.)
  * 5. Stores fingerprint on BOTH blockchains
  * 6. Returns credential + attestation data (no raw PII)
  */
 
 import { Router } from 'express'
-import { createCredential, signCredential } from '../services/credential.js'
+import { createCredential, signCredential, credentialToJwt } from '../services/credential.js'
 import { createCredentialFingerprint } from '../services/hash.js'
+import {
+  ageBlindingContext, verifyAgeBlinding, commitAge,
+  identityBlindingContext, identityOpeningContext, verifyIdentityBlinding, commitIdentity, verifyIdentityOpening
+} from '../services/zkp.js'
 import { storeOnBothChains } from '../services/blockchain.js'
 import {
-  initIssuerWallet, createCommitment, createSignedAttestation, getIssuerAddress
+  initIssuerWallet, verifyCommitment, createSignedAttestation, getIssuerAddress
 } from '../services/crypto.js'
+import { formatClaim, deriveClaim, ageRangeFor } from '../services/claims.js'
+import {
+  initNullifiers, deriveNullifier, getNullifierHolder, bindNullifier, releaseNullifier,
+  recordCollision, getCollisionReport
+} from '../services/nullifier.js'
+import { verifyAadhaarDocument, assuranceLevelFor, EVIDENCE } from '../services/aadhaar.js'
+import {
+  identityDocument, validateDocumentNumber, verifyIdentityDocument, identityKey, documentState
+} from '../services/documents.js'
+import {
+  getFaceLock, startFaceSession, completeFaceSession, checkFaceSession, consumeFaceSession
+} from '../services/faceSession.js'
+import { guardianClaim } from '../services/guardian.js'
+import { suspensionRejection } from '../services/moderation.js'
+import { allocateStatusIndex, statusEntry, setRecordRevoked } from '../services/statusList.js'
+import { getCollection } from '../storage/index.js'
+import { requireAuth, requireAdmin } from '../middleware/auth.js'
 
 // Initialize issuer wallet for crypto operations
 initIssuerWallet()
+initNullifiers()
 
-// ── In-memory stores ──
-const credentialStore = new Map()   // wallet → credential data
-const activityLog = new Map()       // wallet → [{action, timestamp, details}]
-const rateLimit = new Map()         // wallet → { count, windowStart }
+// ── Stores (persisted via storage/, see config/storage.js) ──
+const credentialStore = getCollection('credentials')   // wallet → credential data
+const activityLog = getCollection('activityLog')       // wallet → [{action, timestamp, details}]
+const rateLimit = getCollection('rateLimit', { persist: false })  // wallet → { count, windowStart }
 
 const RATE_LIMIT_WINDOW = 60_000    // 1 minute
 const RATE_LIMIT_MAX = 5            // max 5 submissions per minute
+const AGE_COMMITMENT_SCHEME = 'pedersen-secp256k1'
+const IDENTITY_COMMITMENT_SCHEME = 'pedersen-secp256k1'  // earlier ones are keccak256(value || secret)
+const IDENTITY_BINDING = 'dateOfBirth|aadhaarNumber'
+const DOCUMENT_IDENTITY_BINDING = 'dateOfBirth|document'   // other documents: type:country:number
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const CREDENTIAL_VALIDITY_MS = 365 * DAY_MS
+const RENEWAL_WINDOW_DAYS = 30           // /renew opens 30 days before expiresAt...
+const RENEWAL_LAPSE_DAYS = 90            // ...and stays open 90 days after (then full KYC again)
+const YEAR_MS = 365.25 * DAY_MS
+
+// Attestations stored with every RacePass (key → claim); others are issued on request
+const STORED_CLAIMS = {
+  identityVerified: () => formatClaim('identityVerified'),
+  // Country of the identity document (Aadhaar / PAN: IN, passport: nationality, licence: issuing country)
+  countryResident: ctx => ctx.country && formatClaim('countryResident', ctx.country),
+  ageAbove18: () => formatClaim('ageAbove', 18),
+  ageAbove21: () => formatClaim('ageAbove', 21),
+  assurance: ctx => formatClaim('assurance', ctx.assuranceLevel)
+}
+const RENEWAL_REMINDER_DAYS = [30, 7, 1] // reminders before expiresAt
+const REMINDER_CHECK_INTERVAL_MS = 60 * 60 * 1000
 
 /** Export getters so verify.js and thirdParty.js can read stores */
 export function getCredentialStore() { return credentialStore }
 export function getActivityLog() { return activityLog }
 
-/** Helper: push an event to the activity log */
-function logActivity(wallet, action, details = {}) {
+/** Helper: push an event to the activity log (shared with events.js / thirdParty.js) */
+export function logActivity(wallet, action, details = {}) {
   const key = wallet.toLowerCase()
-  if (!activityLog.has(key)) activityLog.set(key, [])
-  activityLog.get(key).push({
+  const log = activityLog.get(key) || []
+  log.push({
     action,
     timestamp: new Date().toISOString(),
     ...details
   })
+  activityLog.set(key, log)
+}
+
+/**
+ * Helper: the wallet's Pedersen age commitment (shared with events.js)
+ * Credentials issued before zero-knowledge proofs only have a keccak256 age
+ * commitment — their holders make a Pedersen one with recommitAge().
+ *
+ * @returns {{ commitment, attestation }|null} null if no usable credential or commitment
+ */
+export function getAgeCommitment(walletAddress) {
+  const data = credentialStore.get(walletAddress.toLowerCase())
+  if (!data || data.revoked) return null
+  if (data.commitments?.age?.scheme !== AGE_COMMITMENT_SCHEME || !data.attestations?.ageCommitment) return null
+  return { commitment: data.commitments.age.commitment, attestation: data.attestations.ageCommitment }
+}
+
+/**
+ * Helper: replace the wallet's age commitment with one over a blinding the
+ * holder picked (a new browser, or one that lost its secrets) and re-sign its attestation
+ *
+ * @param {number} age - from the re-entered DOB, checked against the identity commitment
+ * @param {Object} ageBlinding - { blindingPoint, proof } from the browser (zkp.js createAgeBlinding)
+ * @returns {Promise<{ commitment, attestation }|null>} null if no usable credential
+ */
+async function recommitAge(walletAddress, age, ageBlinding) {
+  const key = walletAddress.toLowerCase()
+  const data = credentialStore.get(key)
+  if (!data || data.revoked) return null
+
+  const commitment = commitAge(age, ageBlinding.blindingPoint)
+  data.commitments = { ...data.commitments, age: { scheme: AGE_COMMITMENT_SCHEME, commitment } }
+  data.attestations = {
+    ...data.attestations,
+    ageCommitment: await createSignedAttestation(key, formatClaim('ageCommitment', commitment), null, { statusListIndex: data.statusListIndex })
+  }
+  credentialStore.set(key, data)
+  console.log(`🔐 Pedersen age commitment renewed for ${key.slice(0, 10)}...`)
+  return { commitment, attestation: data.attestations.ageCommitment }
+}
+
+/**
+ * Helper: where a credential stands in its renewal cycle (shared with verify.js)
+ *
+ * @returns {{ daysUntilExpiry: number, due: boolean, open: boolean, opensAt: string, closesAt: string }|null}
+ *   due  — within RENEWAL_WINDOW_DAYS of expiry (or expired)
+ *   open — /renew accepts it now (due, and not lapsed for more than RENEWAL_LAPSE_DAYS)
+ */
+export function getRenewalStatus(data, now = Date.now()) {
+  if (!data?.expiresAt || data.revoked) return null
+  const expiresAt = new Date(data.expiresAt).getTime()
+  const opensAt = expiresAt - RENEWAL_WINDOW_DAYS * DAY_MS
+  const closesAt = expiresAt + RENEWAL_LAPSE_DAYS * DAY_MS
+  return {
+    daysUntilExpiry: Math.ceil((expiresAt - now) / DAY_MS),
+    due: now >= opensAt,
+    open: now >= opensAt && now <= closesAt,
+    opensAt: new Date(opensAt).toISOString(),
+    closesAt: new Date(closesAt).toISOString()
+  }
+}
+
+/**
+ * Helper: log a RENEWAL_REMINDER activity 30, 7 and 1 day(s) before expiry
+ * (once per threshold; a credential first seen at 5 days left gets only the 7-day one)
+ */
+export function sendRenewalReminders(now = Date.now()) {
+  for (const [wallet, data] of credentialStore) {
+    const status = getRenewalStatus(data, now)
+    if (!status || status.daysUntilExpiry <= 0) continue
+
+    const sent = data.renewalRemindersSent || []
+    const due = RENEWAL_REMINDER_DAYS.filter(days => status.daysUntilExpiry <= days && !sent.includes(days))
+    if (due.length === 0) continue
+
+    const daysBefore = Math.min(...due)
+    data.renewalRemindersSent = [...sent, ...due]
+    credentialStore.set(wallet, data)
+    logActivity(wallet, 'RENEWAL_REMINDER', { daysBefore, expiresAt: data.expiresAt })
+    console.log(`⏰ Renewal reminder (${daysBefore}d) for ${wallet.slice(0, 10)}... — expires ${data.expiresAt}`)
+  }
 }
 
-/** Helper: calculate age from DOB string */
-function calculateAge(dob) {
+// Check for due reminders now and every hour
+sendRenewalReminders()
+setInterval(sendRenewalReminders, REMINDER_CHECK_INTERVAL_MS).unref()
+
+/** Helper: calculate age from DOB string (on `today`, default now) */
+function calculateAge(dob, today = new Date()) {
   const birth = new Date(dob)
-  const today = new Date()
   let age = today.getFullYear() - birth.getFullYear()
   const m = today.getMonth() - birth.getMonth()
   if (m < 0 || (m === 0 && today.getDate() < birth.getDate())) age--
   return age
 }
 
+/** Helper: is an age inside a recorded { min, max } bracket? */
+function isInAgeRange(age, { min, max }) {
+  return age >= min && age <= max
+}
+
 /** Helper: check rate limit */
 function isRateLimited(wallet) {
   const key = wallet.toLowerCase()
@@ -70,168 +228,855 @@ function isRateLimited(wallet) {
     return false
   }
   entry.count++
+  rateLimit.set(key, entry)
   return entry.count > RATE_LIMIT_MAX
 }
 
-const router = Router()
+/**
+ * Helper: the value the identity commitment is made over.
+ * Renewal and lost-wallet recovery re-enter the same DOB + document number
+ * instead of redoing OCR and face match; only its commitment is stored.
+ * (For Aadhaar identityKey() is the bare number — unchanged from before other documents.)
+ */
+function identityValue(dateOfBirth, idDocument) {
+  return `${dateOfBirth}|${identityKey(idDocument)}`
+}
+
+function identityBinding(idDocument) {
+  return idDocument.type === 'aadhaar' ? IDENTITY_BINDING : DOCUMENT_IDENTITY_BINDING
+}
 
 /**
- * POST /api/kyc/submit
+ * Helper: the RacePass's identity document, with the number the user
+ * re-entered (renewal / recovery only ask for the number — type and
+ * issuing country were recorded at KYC; RacePasses from before that are Aadhaar)
+ */
+function reenteredDocument(data, { documentNumber, aadhaarNumber }) {
+  return identityDocument({
+    documentType: data?.documentType || 'aadhaar',
+    issuingCountry: data?.issuingCountry,
+    documentNumber: documentNumber ?? aadhaarNumber
+  })
+}
+
+/** Helper: the credential's identity commitment, if it has one */
+function storedIdentityCommitment(data) {
+  const identity = data?.commitments?.identity
+  // Credentials issued between renewal and recovery kept it as commitments.renewal
+  return [IDENTITY_BINDING, DOCUMENT_IDENTITY_BINDING].includes(identity?.binds)
+    ? identity
+    : data?.commitments?.renewal || null
+}
+
+/**
+ * Helper: how the credential's identity commitment is opened (shared with migration.js)
+ *   'proof'  — Pedersen: the holder's browser proves the opening (identityProof)
+ *   'held'   — issued before client-held secrets: we still have its secret
+ *   'sealed' — keccak256 over a secret only the holder's browser has; opening it
+ *              would mean sending that secret, so it isn't opened at all
  *
- * Direct endpoint called by the frontend.
- * Handles the full KYC flow in one place:
- * validate → create credential → hash → store on blockchain
+ * @returns {'proof'|'held'|'sealed'|null} null if the credential has no identity commitment
  */
-router.post('/submit', async (req, res) => {
-  console.log('')
-  console.log('🔐 ================================')
-  console.log('   New KYC Submission')
-  console.log('================================')
+export function identityOpening(data) {
+  const stored = storedIdentityCommitment(data)
+  if (!stored) return null
+  if (stored.scheme === IDENTITY_COMMITMENT_SCHEME) return 'proof'
+  return stored.secret ? 'held' : 'sealed'
+}
 
-  try {
-    const { walletAddress, kycData } = req.body
+/**
+ * Helper: do these details open the credential's identity commitment?
+ * (shared with migration.js)
+ *
+ * @param {Object} details - { dateOfBirth, documentNumber, identityProof } ({ dateOfBirth, aadhaarNumber } also accepted);
+ *   identityProof is from the holder's browser (zkp.js proveIdentityOpening) — 'held' commitments don't need it
+ * @param {string} context - identityOpeningContext(...) the proof must be bound to
+ * @returns {boolean|null} null if the credential has no commitment to check
+ *   (issued before identity commitments covered DOB + Aadhaar)
+ */
+export function matchesIdentityCommitment(data, { dateOfBirth, identityProof, ...details }, context) {
+  const opening = identityOpening(data)
+  if (!opening) return null
+  const stored = storedIdentityCommitment(data)
+  const value = identityValue(dateOfBirth, reenteredDocument(data, details))
+  if (opening === 'held') return verifyCommitment(value, stored.secret, stored.commitment)
+  if (opening === 'sealed' || !identityProof) return false
+  return verifyIdentityOpening(stored.commitment, value, identityProof, context)
+}
 
-    // ── Validate required fields ──
-    if (!walletAddress) {
-      return res.status(400).json({ success: false, message: 'Wallet address is required' })
-    }
-    if (!/^0x[a-fA-F0-9]{40}$/.test(walletAddress)) {
-      return res.status(400).json({ success: false, message: 'Invalid wallet address format' })
-    }
-    if (!kycData?.fullName || kycData.fullName.trim() === '') {
-      return res.status(400).json({ success: false, message: 'Full name is required' })
+/**
+ * Helper: reject missing or invalid commitment blindings from the browser
+ * (/submit and /renew commit over them — see createAgeBlinding and
+ * createIdentityBlinding in frontend/src/utils/zkp.js)
+ *
+ * @param {Object} holder - { identityBlinding, ageBlinding }, each { blindingPoint, proof }
+ * @returns {Object|null} 400 response body, or null if usable
+ */
+function holderCommitmentsRejection(holder, walletAddress) {
+  if (!holder?.identityBlinding || !holder?.ageBlinding) {
+    return {
+      success: false,
+      message: 'Your browser must send the blindings for your commitments (identityBlinding, ageBlinding)',
+      reason: 'holder_commitments_required'
     }
-    if (!kycData?.dateOfBirth) {
-      return res.status(400).json({ success: false, message: 'Date of birth is required' })
+  }
+  if (!verifyIdentityBlinding(holder.identityBlinding, identityBlindingContext(walletAddress))) {
+    return { success: false, message: 'The identity commitment blinding proof is invalid', reason: 'identity_blinding_invalid' }
+  }
+  if (!verifyAgeBlinding(holder.ageBlinding, ageBlindingContext(walletAddress))) {
+    return { success: false, message: 'The age commitment blinding proof is invalid', reason: 'age_blinding_invalid' }
+  }
+  return null
+}
+
+/**
+ * Helper: the country a RacePass attests residence in (shared with events.js)
+ * RacePasses from before other documents are all Aadhaar → IN.
+ *
+ * @returns {string|null} ISO 3166-1 alpha-2, null if the document gave none
+ */
+export function getCredentialCountry(data) {
+  if (!data) return null
+  return data.documentType ? data.country ?? null : 'IN'
+}
+
+/**
+ * Helper: what claims about a RacePass are derived from (claims.js deriveClaim)
+ * The age bracket was recorded at KYC / renewal — birthdays may have passed since.
+ *
+ * @returns {{ minAge, maxAge, country, state, assuranceLevel, attendance, reputation }}
+ */
+export function getClaimContext(data, now = Date.now()) {
+  // Records without a bracket only know adult / not
+  const range = data.ageRange || (data.isAdult ? { min: 18, max: 150 } : { min: 0, max: 17 })
+  const years = Math.max(0, (now - new Date(data.renewedAt || data.createdAt || now).getTime()) / YEAR_MS)
+  const reputation = data.reputation || { score: 50, attendance: 0 }
+  return {
+    minAge: range.min + Math.floor(years),
+    maxAge: range.max + Math.ceil(years),
+    country: getCredentialCountry(data),
+    state: data.state ?? null,
+    assuranceLevel: data.assuranceLevel || 'ocr-only',
+    attendance: reputation.attendance || 0,
+    reputation: reputation.score ?? 50
+  }
+}
+
+/**
+ * Helper: another wallet with an active (unexpired, unrevoked) or suspended
+ * RacePass for this identity, or null. Records the collision when there is one.
+ *
+ * @param {string} nullifier
+ * @param {string} walletAddress   wallet asking
+ * @param {string} action          'submit' | 'renew' (for the collision report)
+ */
+function findIdentityConflict(nullifier, walletAddress, action) {
+  const key = walletAddress.toLowerCase()
+  const holder = getNullifierHolder(nullifier)
+  if (!holder || holder === key) return null
+
+  const held = credentialStore.get(holder)
+  const active = held && !held.revoked && !(held.expiresAt && new Date(held.expiresAt) < new Date())
+  if (!active && !held?.suspension) return null
+
+  recordCollision({ nullifier, attemptedBy: key, heldBy: holder, action })
+  logActivity(holder, 'IDENTITY_COLLISION', { attemptedAction: action, attemptedBy: key })
+  console.log(`🚫 Identity already holds a RacePass on ${holder.slice(0, 10)}... (${action} from ${key.slice(0, 10)}...)`)
+  return holder
+}
+
+/** Helper: error response for a document verifyAadhaarDocument() rejected */
+function documentRejection(reason) {
+  const unconfigured = reason === 'uidai_certificate_missing'
+  return {
+    status: unconfigured ? 503 : 422,
+    body: {
+      success: false,
+      message: unconfigured
+        ? 'Aadhaar document verification is not set up on this server — use the card photo instead'
+        : 'The Aadhaar document could not be verified',
+      reason
     }
-    if (!kycData?.aadhaarNumber || kycData.aadhaarNumber.length !== 12) {
-      return res.status(400).json({ success: false, message: 'Aadhaar must be exactly 12 digits' })
+  }
+}
+
+const DOCUMENT_ERRORS = {
+  document_type: 'documentType must be one of: aadhaar, pan, passport, driving-licence',
+  document_country: 'A valid issuing country (ISO 3166 code, e.g. "US") is required for this document',
+  aadhaar_format: 'Aadhaar must be exactly 12 digits',
+  aadhaar_checksum: 'This is not a valid Aadhaar number — check for a mistyped digit',
+  aadhaar_test_number: 'This is a test / sample Aadhaar number, not one issued by UIDAI',
+  pan_format: 'PAN must be 5 letters, 4 digits and a letter (e.g. ABCPE1234F)',
+  pan_not_individual: 'This PAN belongs to a company, firm or trust — use a personal PAN',
+  passport_format: 'Passport number must be up to 9 letters and digits',
+  dl_format: 'This is not a valid driving licence number for the issuing country',
+  dl_state: 'The driving licence number does not start with an Indian state code',
+  mrz_required: 'The passport\'s machine-readable zone (the two lines at the bottom) is required',
+  mrz_format: 'The passport machine-readable zone must be two lines of 44 characters',
+  mrz_checksum: 'The passport machine-readable zone has a wrong check digit — check for a misread character',
+  mrz_mismatch: 'The passport number or date of birth does not match the machine-readable zone',
+  passport_expired: 'This passport has expired'
+}
+
+/**
+ * Helper: 400 body for an identity document that failed validateDocumentNumber()
+ * or verifyIdentityDocument() (wrong format / check digit, Aadhaar test range,
+ * passport MRZ not matching, ...)
+ */
+function identityDocumentRejection(idDocument, { reason }) {
+  console.log(`🚫 ${idDocument.type} document rejected (${reason})`)
+  return { success: false, message: DOCUMENT_ERRORS[reason], reason }
+}
+
+/**
+ * Helper: what the submitted details are backed by. With a UIDAI-signed
+ * document (kycData.document) it is verified and must match the details
+ * (it only carries the last 4 Aadhaar digits); without one they come from
+ * OCR of a card photo — low assurance. Of the document's contents only the
+ * state / UT (stateResident claims) is kept.
+ *
+ * @returns {{ evidence: Object, state: string|null }|{ status: number, body: Object }}
+ */
+function kycEvidence({ document, dateOfBirth }, idDocument) {
+  if (!document) {
+    return { evidence: { type: EVIDENCE.OCR, lowAssurance: true, documentType: idDocument.type }, state: documentState(idDocument) }
+  }
+  if (idDocument.type !== 'aadhaar') {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        message: 'A UIDAI-signed document can only back an Aadhaar submission',
+        reason: 'document_type_mismatch'
+      }
     }
-    if (!/^\d{12}$/.test(kycData.aadhaarNumber)) {
-      return res.status(400).json({ success: false, message: 'Aadhaar must contain only digits' })
+  }
+  const aadhaarNumber = idDocument.number
+
+  const result = verifyAadhaarDocument(document)
+  if (!result.valid) {
+    console.log(`🚫 Aadhaar document rejected (${result.reason})`)
+    return documentRejection(result.reason)
+  }
+
+  const { fields } = result
+  const dobMatches = fields.dateOfBirth
+    ? fields.dateOfBirth === dateOfBirth
+    : fields.yearOfBirth === new Date(dateOfBirth).getFullYear()
+  if (fields.aadhaarLast4 !== aadhaarNumber.slice(-4) || !dobMatches) {
+    return {
+      status: 422,
+      body: {
+        success: false,
+        message: 'The Aadhaar number or date of birth does not match the signed document',
+        reason: 'document_mismatch'
+      }
     }
+  }
+
+  return {
+    evidence: { type: result.evidence, lowAssurance: false, documentType: 'aadhaar', documentGeneratedAt: fields.generatedAt },
+    state: documentState(idDocument, fields)
+  }
+}
 
-    // ── Rate limiting ──
-    if (isRateLimited(walletAddress)) {
-      console.log(`⚠️ Rate limited: ${walletAddress}`)
-      return res.status(429).json({ success: false, message: 'Too many requests. Please wait a minute and try again.' })
+/** 409 body for a second RacePass on the same identity */
+const IDENTITY_IN_USE = {
+  success: false,
+  message: 'This identity document is already linked to an active RacePass on another wallet. ' +
+    'Move it to this wallet from the Dashboard (wallet migration), or revoke it there first.',
+  reason: 'identity_in_use'
+}
+
+/** 400 body for a renewal without the identity opening proof from the holder's browser */
+const IDENTITY_PROOF_REQUIRED = {
+  success: false,
+  message: 'Renewing needs the RacePass key kept in the browser you signed up with — open RacePass there, or restore your key backup first',
+  reason: 'identity_proof_required'
+}
+
+/** 409 body for a renewal of a RacePass whose identity commitment can't be opened here */
+const IDENTITY_COMMITMENT_SEALED = {
+  success: false,
+  message: 'This RacePass can\'t be renewed without sending its identity secret — revoke it and complete KYC again',
+  reason: 'identity_commitment_sealed'
+}
+
+/**
+ * Helper: assurance level for a submission. Issuing requires a passed face
+ * session (faceSessionRejection), so every new RacePass is "+face".
+ */
+function submissionAssurance(evidence) {
+  return assuranceLevelFor(evidence, { faceMatched: true })
+}
+
+const FACE_SESSION_ERRORS = {
+  face_session_required: 'Complete the live face check before submitting',
+  face_session_not_found: 'Face check session not found — please redo the live face check',
+  face_session_not_passed: 'The live face check did not pass',
+  face_session_used: 'This face check was already used — please redo the live face check',
+  face_session_expired: 'The face check has expired — please redo the live face check',
+  face_session_document_mismatch: 'The face check was done for a different identity document — please redo it'
+}
+
+/**
+ * Helper: 403 body if kycData.faceSessionId isn't a passed face session of
+ * this wallet for this identity document (by nullifier), null if it is
+ */
+function faceSessionRejection(faceSessionId, walletAddress, nullifier) {
+  const { valid, reason } = checkFaceSession(faceSessionId, walletAddress, nullifier)
+  if (valid) return null
+  console.log(`🚫 Face session rejected (${reason})`)
+  return { success: false, message: FACE_SESSION_ERRORS[reason], reason }
+}
+
+/**
+ * Helper: issue a fresh credential + commitments + attestations for a wallet
+ * (shared by /submit and /renew — nothing is stored here)
+ *
+ * @param {Object} kycData - needs dateOfBirth
+ * @param {Object} idDocument - from identityDocument()
+ * @param {Object} options - { assuranceLevel, country, state } (country null → no countryResident attestation)
+ * @param {Object} holder - { identityBlinding, ageBlinding } from the browser (holderCommitmentsRejection)
+ * @returns {Promise<Object>} also the new statusListIndex — every issue gets a fresh one
+ */
+async function issueCredential(walletAddress, age, kycData, idDocument, { assuranceLevel, country, state = null }, holder) {
+  // Step 1: Create credential (with its entry in the revocation status list)
+  console.log('📝 Creating credential...')
+  const statusListIndex = allocateStatusIndex()
+  const credential = createCredential(walletAddress, kycData, { assuranceLevel, credentialStatus: statusEntry(statusListIndex) })
+
+  // Step 2: Sign credential
+  console.log('✍️  Signing credential...')
+  const signedCredential = await signCredential(credential)
+
+  // Step 3: Generate fingerprint
+  console.log('🔑 Generating fingerprint...')
+  const fingerprint = createCredentialFingerprint(signedCredential)
+  console.log(`   Fingerprint: ${fingerprint.slice(0, 20)}...`)
+
+  // Step 4: Generate cryptographic commitments over the holder's blindings
+  // (Pedersen: the holder can prove age ≥ N, and re-prove its identity, without revealing either)
+  console.log('🔐 Generating cryptographic commitments...')
+  const ageCommitment = { commitment: commitAge(age, holder.ageBlinding.blindingPoint) }
+  const identityCommitment = { commitment: commitIdentity(identityValue(kycData.dateOfBirth, idDocument), holder.identityBlinding.blindingPoint) }
+  console.log(`   Age commitment: ${ageCommitment.commitment.slice(0, 20)}...`)
+
+  // Step 5: Pre-generate signed attestations
+  console.log('✍️  Creating signed attestations...')
+  const attestations = {}
+  const nonce = Date.now()
+  const status = { statusListIndex }
+  const context = { minAge: age, maxAge: age, country, state, assuranceLevel }
+  const claims = Object.entries(STORED_CLAIMS)
+    .map(([key, claimFor]) => [key, claimFor(context)])
+    .filter(([, claim]) => claim && deriveClaim(claim, context).holds)
+  // Binds the age commitment to this wallet — range proofs are checked against it
+  claims.push(['ageCommitment', formatClaim('ageCommitment', ageCommitment.commitment)])
+  try {
+    for (const [i, [key, claim]] of claims.entries()) {
+      attestations[key] = await createSignedAttestation(walletAddress, claim, nonce + i, status)
     }
+    console.log(`   ✅ ${Object.keys(attestations).length} attestations signed by ${getIssuerAddress().slice(0, 10)}...`)
+  } catch (attestErr) {
+    console.log('   ⚠️ Attestation signing skipped:', attestErr.message)
+  }
+
+  return { signedCredential, fingerprint, ageCommitment, identityCommitment, attestations, statusListIndex }
+}
+
+const router = Router()
+
+/**
+ * POST /api/kyc/document/verify
+ *
+ * Check a UIDAI-signed Aadhaar document and return the signed fields, so
+ * the signup form can be filled from it. /submit verifies it again — this
+ * only previews.
+ *
+ * Request body: { document: { type: 'secure-qr', qrData } | { type: 'offline-ekyc', zipBase64, shareCode } }
+ */
+router.post('/document/verify', requireAuth, (req, res) => {
+  const result = verifyAadhaarDocument(req.body?.document)
+  if (!result.valid) {
+    const { status, body } = documentRejection(result.reason)
+    return res.status(status).json({ ...body, valid: false })
+  }
+
+  const { name, dateOfBirth, yearOfBirth, gender, aadhaarLast4, generatedAt } = result.fields
+  res.json({
+    success: true,
+    valid: true,
+    evidence: result.evidence,
+    fields: { name, dateOfBirth, yearOfBirth, gender, aadhaarLast4, generatedAt }
+  })
+})
+
+/**
+ * GET /api/kyc/face-session/status
+ *
+ * Whether the signed-in wallet may still try the live face check
+ * → { locked, lockedUntil, attemptsRemaining }
+ */
+router.get('/face-session/status', requireAuth, (req, res) => {
+  res.json({ success: true, ...getFaceLock(req.auth.walletAddress) })
+})
+
+/**
+ * POST /api/kyc/face-session
+ *
+ * Start a live face check for the signed-in wallet and an identity document.
+ * Returns the liveness challenge to perform (e.g. ['blink', 'turn-left', 'blink']).
+ *
+ * Request body: { documentType, documentNumber, issuingCountry?, mrz? } (or { aadhaarNumber })
+ */
+router.post('/face-session', requireAuth, async (req, res) => {
+  const { walletAddress } = req.auth
+  const idDocument = identityDocument(req.body || {})
+
+  const documentCheck = validateDocumentNumber(idDocument)
+  if (!documentCheck.valid) return res.status(400).json(identityDocumentRejection(idDocument, documentCheck))
+
+  // Attempts also count per document — by nullifier, the number isn't stored
+  const nullifier = await deriveNullifier(identityKey(idDocument))
+  const started = startFaceSession(walletAddress, nullifier)
+  if (!started.session) {
+    return res.status(429).json({
+      success: false,
+      message: 'Too many failed face checks. Try again after ' + new Date(started.lockedUntil).toLocaleString(),
+      reason: started.reason,
+      lockedUntil: started.lockedUntil
+    })
+  }
+
+  const { id, challenge, expiresAt } = started.session
+  res.json({ success: true, sessionId: id, challenge, expiresAt })
+})
+
+/**
+ * POST /api/kyc/face-session/:id/complete
+ *
+ * Finish a live face check: the liveness steps and the face match are
+ * checked here, and failures count towards the attempt limit.
+ *
+ * Request body: {
+ *   selfieDescriptor: number[128], documentDescriptor: number[128],
+ *   liveness: { steps: [{ action, at, metric, descriptor }] }
+ * }
+ */
+router.post('/face-session/:id/complete', requireAuth, (req, res) => {
+  const { walletAddress } = req.auth
+  const result = completeFaceSession(req.params.id, walletAddress, req.body || {})
+
+  if (result.passed) {
+    logActivity(walletAddress, 'FACE_CHECK_PASSED', { score: result.score })
+    console.log(`🙂 Face check passed for ${walletAddress.slice(0, 10)}... (${result.score}%)`)
+    return res.json({ success: true, passed: true, sessionId: req.params.id, score: result.score })
+  }
+
+  const status = {
+    face_session_not_found: 404,
+    face_session_used: 409,
+    face_session_expired: 410,
+    invalid_descriptor: 400,
+    face_attempts_exceeded: 429
+  }[result.reason] || 422
+  if (status === 422 || status === 429) {
+    logActivity(walletAddress, 'FACE_CHECK_FAILED', { reason: result.reason, attemptsRemaining: result.attemptsRemaining })
+    console.log(`🚫 Face check failed for ${walletAddress.slice(0, 10)}... (${result.reason})`)
+  }
+
+  res.status(status).json({
+    success: false,
+    passed: false,
+    message: result.message || {
+      face_session_not_found: 'Face check session not found',
+      face_session_used: 'This face check session is already finished — start a new one',
+      face_session_expired: 'The face check took too long — start a new one',
+      invalid_descriptor: 'Face descriptors must be 128 numbers',
+      face_attempts_exceeded: 'Too many failed face checks'
+    }[result.reason],
+    reason: result.reason,
+    score: result.score,
+    attemptsRemaining: result.attemptsRemaining,
+    lockedUntil: result.lockedUntil
+  })
+})
+
+/**
+ * Helper: the KYC flow shared by /submit and /process (n8n)
+ * validate → create credential → hash → store on blockchain
+ *
+ * @param {string} walletAddress - the signed-in wallet (the credential is always issued to it)
+ * @param {Object} kycData - from the request body
+ * @returns {Promise<{ status: number, body: Object }>} the response to send
+ */
+async function submitKyc(walletAddress, kycData) {
+  // ── Validate required fields ──
+  if (!kycData?.fullName || kycData.fullName.trim() === '') {
+    return { status: 400, body: { success: false, message: 'Full name is required' } }
+  }
+  if (!kycData?.dateOfBirth) {
+    return { status: 400, body: { success: false, message: 'Date of birth is required' } }
+  }
+  // ── Identity document (Aadhaar, PAN, passport MRZ, driving licence) ──
+  const idDocument = identityDocument(kycData)
+  const documentCheck = verifyIdentityDocument(idDocument, kycData)
+  if (!documentCheck.valid) return { status: 400, body: identityDocumentRejection(idDocument, documentCheck) }
+  const { country } = documentCheck
+
+  // ── Commitment secrets (picked and kept by the browser) ──
+  const holderRejected = holderCommitmentsRejection(kycData.holderCommitments, walletAddress)
+  if (holderRejected) return { status: 400, body: holderRejected }
 
-    // ── Duplicate check ──
-    const existingCred = credentialStore.get(walletAddress.toLowerCase())
-    if (existingCred && !existingCred.revoked) {
-      console.log(`⚠️ Duplicate submission for: ${walletAddress}`)
-      return res.status(409).json({
+  // ── Rate limiting ──
+  if (isRateLimited(walletAddress)) {
+    console.log(`⚠️ Rate limited: ${walletAddress}`)
+    return { status: 429, body: { success: false, message: 'Too many requests. Please wait a minute and try again.' } }
+  }
+
+  // ── Duplicate check ──
+  // (an expired RacePass doesn't count — it can be renewed or replaced)
+  const existingCred = credentialStore.get(walletAddress.toLowerCase())
+  const suspended = suspensionRejection(existingCred)
+  if (suspended) return { status: 403, body: suspended }
+  const existingExpired = existingCred?.expiresAt && new Date(existingCred.expiresAt) < new Date()
+  if (existingCred && !existingCred.revoked && !existingExpired) {
+    console.log(`⚠️ Duplicate submission for: ${walletAddress}`)
+    return {
+      status: 409,
+      body: {
         success: false,
         message: 'This wallet already has an active RacePass. Go to Dashboard to view it or revoke it first.'
-      })
+      }
     }
+  }
 
-    // ── Age verification ──
-    const age = calculateAge(kycData.dateOfBirth)
-    if (age < 0 || age > 150) {
-      return res.status(400).json({ success: false, message: 'Invalid date of birth' })
-    }
-    const isAdult = age >= 18
-
-    console.log(`📧 Wallet: ${walletAddress}`)
-    console.log(`🎂 Age: ${age} | Adult: ${isAdult}`)
-
-    // Step 1: Create credential
-    console.log('📝 Creating credential...')
-    const credential = createCredential(walletAddress, kycData)
-
-    // Step 2: Sign credential
-    console.log('✍️  Signing credential...')
-    const signedCredential = signCredential(credential)
-
-    // Step 3: Generate fingerprint
-    console.log('🔑 Generating fingerprint...')
-    const fingerprint = createCredentialFingerprint(signedCredential)
-    console.log(`   Fingerprint: ${fingerprint.slice(0, 20)}...`)
-
-    // Step 4: Generate cryptographic commitments (Poseidon-style)
-    console.log('🔐 Generating cryptographic commitments...')
-    const ageCommitment = createCommitment(String(age))
-    const identityCommitment = createCommitment('verified')
-    console.log(`   Age commitment: ${ageCommitment.commitment.slice(0, 20)}...`)
-
-    // Step 5: Pre-generate signed attestations
-    console.log('✍️  Creating signed attestations...')
-    const attestations = {}
-    const nonce = Date.now()
-    try {
-      // Always generate identity attestation
-      attestations.identityVerified = await createSignedAttestation(walletAddress, 'identityVerified', nonce)
-      attestations.countryResident = await createSignedAttestation(walletAddress, 'countryResident:IN', nonce + 1)
-      // Age-based attestations
-      if (age >= 18) {
-        attestations.ageAbove18 = await createSignedAttestation(walletAddress, 'ageAbove:18', nonce + 2)
-      }
-      if (age >= 21) {
-        attestations.ageAbove21 = await createSignedAttestation(walletAddress, 'ageAbove:21', nonce + 3)
+  // ── UIDAI-signed document (Secure QR / offline e-KYC), or OCR ──
+  const checked = kycEvidence(kycData, idDocument)
+  if (!checked.evidence) return { status: checked.status, body: checked.body }
+  const { evidence, state } = checked
+  const assuranceLevel = submissionAssurance(evidence)
+
+  // ── Age verification ──
+  const age = calculateAge(kycData.dateOfBirth)
+  if (age < 0 || age > 150) {
+    return { status: 400, body: { success: false, message: 'Invalid date of birth' } }
+  }
+  const isAdult = age >= 18
+
+  // ── One identity per active RacePass ──
+  const nullifier = await deriveNullifier(identityKey(idDocument))
+  if (findIdentityConflict(nullifier, walletAddress, 'submit')) {
+    return { status: 409, body: IDENTITY_IN_USE }
+  }
+
+  // ── Live face check (server-side session) ──
+  const faceRejected = faceSessionRejection(kycData.faceSessionId, walletAddress, nullifier)
+  if (faceRejected) return { status: 403, body: faceRejected }
+
+  console.log(`📧 Wallet: ${walletAddress}`)
+  console.log(`🎂 Adult: ${isAdult}`)
+  console.log(`🪪 Evidence: ${idDocument.type} ${evidence.type}${evidence.lowAssurance ? ' (low assurance)' : ''} → ${assuranceLevel}`)
+  console.log(`🌍 Country: ${country || 'none'}${state ? ` / ${state}` : ''}`)
+
+  // Steps 1–5: credential, fingerprint, commitments, attestations
+  const { signedCredential, fingerprint, ageCommitment, identityCommitment, attestations, statusListIndex } =
+    await issueCredential(walletAddress, age, kycData, idDocument, { assuranceLevel, country, state }, kycData.holderCommitments)
+
+  // Step 6: Try to store on blockchain (graceful fallback if not deployed)
+  let blockchainResults = { ethereum: { success: false }, polygon: { success: false } }
+  let blockchainNote = ''
+
+  try {
+    blockchainResults = await storeOnBothChains(walletAddress, fingerprint)
+  } catch (blockchainError) {
+    console.log('   ⚠️ Blockchain storage skipped:', blockchainError.message)
+    blockchainNote = 'Blockchain not configured — running in demo mode.'
+  }
+
+  // Another wallet may have claimed this identity while we were signing
+  if (findIdentityConflict(nullifier, walletAddress, 'submit')) {
+    return { status: 409, body: IDENTITY_IN_USE }
+  }
+  // ...or a parallel submission used the same face check
+  const faceUsed = faceSessionRejection(kycData.faceSessionId, walletAddress, nullifier)
+  if (faceUsed) return { status: 403, body: faceUsed }
+
+  // Step 7: Save locally (NO personal data — only flags, hashes, and signed proofs)
+  const expiresAt = new Date(Date.now() + CREDENTIAL_VALIDITY_MS).toISOString()
+  bindNullifier(nullifier, walletAddress)
+  // A revoked or expired RacePass this one replaces is gone for good
+  setRecordRevoked(existingCred)
+  credentialStore.set(walletAddress.toLowerCase(), {
+    credential: signedCredential,
+    credentialJwt: credentialToJwt(signedCredential),
+    fingerprint,
+    statusListIndex,
+    nullifier,
+    evidence,
+    assuranceLevel,
+    // Which document backs it — not its number (renewal / recovery re-enter that)
+    documentType: idDocument.type,
+    issuingCountry: idDocument.issuingCountry,
+    country,
+    state,
+    isAdult,
+    ageRange: ageRangeFor(age),
+    ageCategory: age >= 21 ? '21+' : age >= 18 ? '18+' : 'minor',
+    blockchainResults,
+    createdAt: new Date().toISOString(),
+    expiresAt,
+    // V2: Cryptographic proofs
+    commitments: {
+      age: { scheme: AGE_COMMITMENT_SCHEME, commitment: ageCommitment.commitment },
+      identity: { scheme: IDENTITY_COMMITMENT_SCHEME, binds: identityBinding(idDocument), commitment: identityCommitment.commitment }
+    },
+    attestations,
+    reputation: { score: 50, attendance: 0 },  // Initial reputation
+    revoked: false
+  })
+  consumeFaceSession(kycData.faceSessionId)
+
+  // Log the activity
+  logActivity(walletAddress, 'KYC_SUBMITTED', {
+    credentialId: signedCredential.id, documentType: idDocument.type, evidence: evidence.type, assuranceLevel
+  })
+
+  console.log('')
+  console.log('✅ KYC Processing Complete!')
+  console.log(`   🔐 Commitments: age + identity`)
+  console.log(`   ✍️  Attestations: ${Object.keys(attestations).join(', ')}`)
+  console.log('================================')
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      message: isAdult
+        ? 'KYC verified successfully! You have full access.'
+        : 'KYC verified, but you are under 18. Some age-restricted events will not be accessible.',
+      data: {
+        walletAddress,
+        credentialId: signedCredential.id,
+        fingerprint,
+        isAdult,
+        evidence,
+        assuranceLevel,
+        documentType: idDocument.type,
+        country,
+        blockchainResults,
+        note: blockchainNote || undefined,
+        issuedAt: signedCredential.issuanceDate,
+        expiresAt,
+        // V2: Return proof metadata (no raw data)
+        cryptoProofs: {
+          commitments: {
+            age: ageCommitment.commitment,
+            identity: identityCommitment.commitment
+          },
+          attestationCount: Object.keys(attestations).length,
+          attestationTypes: Object.keys(attestations),
+          issuer: getIssuerAddress()
+        }
       }
-      console.log(`   ✅ ${Object.keys(attestations).length} attestations signed by ${getIssuerAddress().slice(0, 10)}...`)
-    } catch (attestErr) {
-      console.log('   ⚠️ Attestation signing skipped:', attestErr.message)
     }
+  }
+}
 
-    // Step 6: Try to store on blockchain (graceful fallback if not deployed)
-    let blockchainResults = { ethereum: { success: false }, polygon: { success: false } }
-    let blockchainNote = ''
+/**
+ * POST /api/kyc/submit
+ *
+ * Direct endpoint called by the frontend (requires a wallet session).
+ * Handles the full KYC flow (submitKyc).
+ */
+router.post('/submit', requireAuth, async (req, res) => {
+  console.log('')
+  console.log('🔐 ================================')
+  console.log('   New KYC Submission')
+  console.log('================================')
 
+  try {
+    const { status, body } = await submitKyc(req.auth.walletAddress, req.body?.kycData)
+    res.status(status).json(body)
+  } catch (error) {
+    console.error('❌ Error:', error.message)
+    res.status(500).json({ success: false, message: error.message })
+  }
+})
+
+/**
+ * POST /api/kyc/renew
+ *
+ * Reissue the signed-in wallet's RacePass before (or shortly after) it expires,
+ * without redoing Aadhaar OCR + face match.
+ *
+ * Lighter re-verification: the user re-enters DOB + document number (the
+ * document type and issuing country are the ones recorded at KYC), and their
+ * browser proves those open the identity commitment made at KYC time
+ * (without sending its secret). Credentials issued before it covered
+ * DOB + Aadhaar fall back to "DOB gives the same age bracket as at KYC".
+ *
+ * Reissues credential, fingerprint, commitments and attestations; keeps the
+ * wallet's reputation and activity history. The old credential id is
+ * recorded in previousCredentials (POST /api/credentials/verify reports it
+ * as superseded).
+ *
+ * Request body: { kycData: { dateOfBirth, documentNumber, identityProof, holderCommitments } }
+ *   (aadhaarNumber is accepted for documentNumber; identityProof from zkp.js
+ *   proveIdentityOpening with identityOpeningContext('renew', wallet);
+ *   holderCommitments are the blindings for the new commitments, as for /submit)
+ */
+router.post('/renew', requireAuth, async (req, res) => {
+  const { walletAddress } = req.auth
+  const { dateOfBirth, documentNumber, aadhaarNumber, identityProof, holderCommitments } = req.body?.kycData || {}
+
+  if (!dateOfBirth) {
+    return res.status(400).json({ success: false, message: 'Date of birth is required' })
+  }
+  // Presence only — the number must open the commitment made at KYC time,
+  // where it already passed the format / checksum checks
+  if (!(documentNumber ?? aadhaarNumber)) {
+    return res.status(400).json({ success: false, message: 'Document number is required' })
+  }
+  const holderRejected = holderCommitmentsRejection(holderCommitments, walletAddress)
+  if (holderRejected) return res.status(400).json(holderRejected)
+  if (isRateLimited(walletAddress)) {
+    return res.status(429).json({ success: false, message: 'Too many requests. Please wait a minute and try again.' })
+  }
+
+  const key = walletAddress.toLowerCase()
+  const data = credentialStore.get(key)
+  if (!data) {
+    return res.status(404).json({ success: false, message: 'No RacePass found for this wallet', reason: 'no_credential' })
+  }
+  const suspended = suspensionRejection(data)
+  if (suspended) return res.status(403).json(suspended)
+  if (data.revoked) {
+    return res.status(410).json({ success: false, message: 'This RacePass has been revoked — complete KYC again', reason: 'credential_revoked' })
+  }
+
+  const renewal = getRenewalStatus(data)
+  if (!renewal?.due) {
+    return res.status(409).json({
+      success: false,
+      message: `Renewal opens ${RENEWAL_WINDOW_DAYS} days before expiry (${new Date(renewal?.opensAt || data.expiresAt).toDateString()})`,
+      reason: 'renewal_not_due',
+      opensAt: renewal?.opensAt
+    })
+  }
+  if (!renewal.open) {
+    return res.status(409).json({
+      success: false,
+      message: `This RacePass expired more than ${RENEWAL_LAPSE_DAYS} days ago — complete KYC again`,
+      reason: 'renewal_window_closed'
+    })
+  }
+
+  // ── Lighter re-verification ──
+  const opening = identityOpening(data)
+  if (opening === 'sealed') return res.status(409).json(IDENTITY_COMMITMENT_SEALED)
+  if (opening === 'proof' && !identityProof) return res.status(400).json(IDENTITY_PROOF_REQUIRED)
+  const idDocument = reenteredDocument(data, { documentNumber, aadhaarNumber })
+  const matches = matchesIdentityCommitment(data, { dateOfBirth, documentNumber: idDocument.number, identityProof },
+    identityOpeningContext('renew', walletAddress)) ??
+    (!!data.ageRange && !!data.createdAt && isInAgeRange(calculateAge(dateOfBirth, new Date(data.createdAt)), data.ageRange))
+  if (!matches) {
+    logActivity(key, 'RENEWAL_REJECTED', { reason: 'reverification_failed' })
+    console.log(`⚠️ Renewal re-verification failed for ${key.slice(0, 10)}...`)
+    return res.status(403).json({
+      success: false,
+      message: 'These details do not match the ones used for your RacePass',
+      reason: 'reverification_failed'
+    })
+  }
+
+  // Credentials issued before nullifiers get theirs now
+  const nullifier = data.nullifier || await deriveNullifier(identityKey(idDocument))
+  if (findIdentityConflict(nullifier, walletAddress, 'renew')) {
+    return res.status(409).json(IDENTITY_IN_USE)
+  }
+
+  console.log('')
+  console.log('🔄 ================================')
+  console.log('   RacePass Renewal')
+  console.log('================================')
+
+  try {
+    // Renewal re-proves the original KYC, so the assurance level, country and state carry over
+    const age = calculateAge(dateOfBirth)
+    const assuranceLevel = data.assuranceLevel || 'ocr-only'
+    const country = getCredentialCountry(data)
+    const { signedCredential, fingerprint, ageCommitment, identityCommitment, attestations, statusListIndex } =
+      await issueCredential(walletAddress, age, { dateOfBirth }, idDocument, { assuranceLevel, country, state: data.state }, holderCommitments)
+    // A guardian link stays until the holder turns 18
+    const guardian = age < 18 ? data.guardian : undefined
+    if (guardian) {
+      attestations.guardianConsent = await createSignedAttestation(walletAddress, guardianClaim(guardian.wallet), Date.now(), { statusListIndex })
+    }
+
+    let blockchainResults = { ethereum: { success: false }, polygon: { success: false } }
     try {
       blockchainResults = await storeOnBothChains(walletAddress, fingerprint)
     } catch (blockchainError) {
       console.log('   ⚠️ Blockchain storage skipped:', blockchainError.message)
-      blockchainNote = 'Blockchain not configured — running in demo mode.'
     }
 
-    // Step 7: Save locally (NO personal data — only flags, hashes, and signed proofs)
-    const expiresAt = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString()
-    credentialStore.set(walletAddress.toLowerCase(), {
+    const previousCredentialId = data.credential?.id
+    const renewedAt = new Date().toISOString()
+    const expiresAt = new Date(Date.now() + CREDENTIAL_VALIDITY_MS).toISOString()
+    bindNullifier(nullifier, key)
+    // The superseded credential and its attestations stop verifying
+    setRecordRevoked(data)
+    credentialStore.set(key, {
+      ...data,  // keeps createdAt, reputation, ...
       credential: signedCredential,
+      credentialJwt: credentialToJwt(signedCredential),
       fingerprint,
-      isAdult,
-      age,
+      statusListIndex,
+      nullifier,
+      assuranceLevel,
+      documentType: idDocument.type,
+      issuingCountry: idDocument.issuingCountry,
+      country,
+      isAdult: age >= 18,
+      ageRange: ageRangeFor(age),
       ageCategory: age >= 21 ? '21+' : age >= 18 ? '18+' : 'minor',
+      guardian,
       blockchainResults,
-      createdAt: new Date().toISOString(),
       expiresAt,
-      // V2: Cryptographic proofs
+      renewedAt,
+      renewalRemindersSent: [],
+      sdJwt: null,  // the old copies are revoked with the superseded credential
+      previousCredentials: [
+        ...(data.previousCredentials || []),
+        { id: previousCredentialId, fingerprint: data.fingerprint, expiresAt: data.expiresAt, supersededAt: renewedAt }
+      ],
       commitments: {
-        age: { commitment: ageCommitment.commitment, secret: ageCommitment.secret },
-        identity: { commitment: identityCommitment.commitment, secret: identityCommitment.secret }
+        age: { scheme: AGE_COMMITMENT_SCHEME, commitment: ageCommitment.commitment },
+        identity: { scheme: IDENTITY_COMMITMENT_SCHEME, binds: identityBinding(idDocument), commitment: identityCommitment.commitment }
       },
-      attestations,
-      reputation: { score: 50, attendance: 0 },  // Initial reputation
-      revoked: false
+      attestations
     })
 
-    // Log the activity
-    logActivity(walletAddress, 'KYC_SUBMITTED', { credentialId: signedCredential.id })
+    logActivity(key, 'CREDENTIAL_RENEWED', { credentialId: signedCredential.id, previousCredentialId, expiresAt })
 
-    console.log('')
-    console.log('✅ KYC Processing Complete!')
-    console.log(`   🔐 Commitments: age + identity`)
-    console.log(`   ✍️  Attestations: ${Object.keys(attestations).join(', ')}`)
+    console.log(`✅ RacePass renewed for ${key.slice(0, 10)}... until ${expiresAt}`)
     console.log('================================')
 
     res.json({
       success: true,
-      message: isAdult
-        ? 'KYC verified successfully! You have full access.'
-        : 'KYC verified, but you are under 18. Some age-restricted events will not be accessible.',
+      message: 'RacePass renewed for another year. Your reputation and history are unchanged.',
       data: {
         walletAddress,
         credentialId: signedCredential.id,
+        previousCredentialId,
         fingerprint,
-        isAdult,
+        isAdult: age >= 18,
+        assuranceLevel,
         blockchainResults,
-        note: blockchainNote || undefined,
         issuedAt: signedCredential.issuanceDate,
         expiresAt,
-        // V2: Return proof metadata (no raw data)
         cryptoProofs: {
           commitments: {
             age: ageCommitment.commitment,
@@ -243,9 +1088,8 @@ router.post('/submit', async (req, res) => {
         }
       }
     })
-
   } catch (error) {
-    console.error('❌ Error:', error.message)
+    console.error('❌ Renewal error:', error.message)
     res.status(500).json({ success: false, message: error.message })
   }
 })
@@ -254,84 +1098,34 @@ router.post('/submit', async (req, res) => {
  * POST /api/kyc/process
  * 
  * Called by n8n after KYC verification is complete.
- * Creates credential and stores fingerprint on blockchain.
+ * Runs the same flow and checks as /submit (submitKyc) — n8n's own
+ * validation is only a first pass.
+ * n8n forwards the user's Authorization header, so the wallet
+ * comes from the session — not from the body.
  * 
  * Request body:
  * {
- *   walletAddress: "0x...",
- *   kycData: { ... },  // Only used for credential creation, then discarded
+ *   kycData: { ... },  // as for /submit (incl. holderCommitments); only used for issuance, then discarded
  *   kycStatus: "approved"
  * }
  */
-router.post('/process', async (req, res) => {
+router.post('/process', requireAuth, async (req, res) => {
   console.log('')
   console.log('🔐 ================================')
-  console.log('   Processing KYC Request')
+  console.log('   Processing KYC Request (n8n)')
   console.log('================================')
   
   try {
-    const { walletAddress, kycData, kycStatus } = req.body
-    
     // Validate request
-    if (!walletAddress) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Wallet address is required' 
-      })
-    }
-    
-    if (kycStatus !== 'approved') {
+    if (req.body?.kycStatus !== 'approved') {
       return res.status(400).json({ 
         success: false, 
         error: 'KYC not approved' 
       })
     }
-    
-    console.log(`📧 Wallet: ${walletAddress}`)
-    console.log(`📋 KYC Status: ${kycStatus}`)
-    
-    // Step 1: Create credential
-    console.log('📝 Creating credential...')
-    const credential = createCredential(walletAddress, kycData)
-    
-    // Step 2: Sign credential
-    console.log('✍️  Signing credential...')
-    const signedCredential = signCredential(credential)
-    
-    // Step 3: Generate fingerprint
-    console.log('🔑 Generating fingerprint...')
-    const fingerprint = createCredentialFingerprint(signedCredential)
-    console.log(`   Fingerprint: ${fingerprint.slice(0, 20)}...`)
-    
-    // Step 4: Store on blockchain
-    console.log('⛓️  Storing on blockchain...')
-    const blockchainResults = await storeOnBothChains(walletAddress, fingerprint)
-    
-    // Step 5: Store credential locally (for reference)
-    credentialStore.set(walletAddress.toLowerCase(), {
-      credential: signedCredential,
-      fingerprint,
-      blockchainResults,
-      createdAt: new Date().toISOString()
-    })
-    
-    // Success!
-    console.log('')
-    console.log('✅ KYC Processing Complete!')
-    console.log('================================')
-    console.log('')
-    
-    res.json({
-      success: true,
-      message: 'KYC processed successfully',
-      data: {
-        walletAddress,
-        credentialId: signedCredential.id,
-        fingerprint,
-        blockchainResults,
-        issuedAt: signedCredential.issuanceDate
-      }
-    })
+
+    const { status, body } = await submitKyc(req.auth.walletAddress, req.body.kycData)
+    res.status(status).json(body.success ? body : { ...body, error: body.message })
     
   } catch (error) {
     console.error('❌ Error processing KYC:', error.message)
@@ -369,11 +1163,15 @@ router.get('/credential/:address', (req, res) => {
       fingerprint: data.fingerprint,
       isAdult: data.isAdult,
       ageCategory: data.ageCategory,
+      assuranceLevel: data.assuranceLevel || 'ocr-only',
+      documentType: data.documentType || 'aadhaar',
+      country: getCredentialCountry(data),
       walletAddress: address,
       expiresAt: data.expiresAt,
       createdAt: data.createdAt,
       blockchainResults: data.blockchainResults,
       revoked: data.revoked || false,
+      credentialStatus: data.credential.credentialStatus || null,
       reputation: data.reputation || { score: 50, attendance: 0 },
       cryptoProofs: {
         commitments: data.commitments ? {
@@ -387,28 +1185,140 @@ router.get('/credential/:address', (req, res) => {
   })
 })
 
+/** Helper: an age commitment + its attestation as sent to the holder (the age itself is in their browser) */
+function ageCommitmentResponse(ageCommitment) {
+  const { attestation } = ageCommitment || {}
+  return {
+    success: true,
+    commitment: ageCommitment?.commitment || null,
+    attestation: attestation ? {
+      claim: attestation.claim,
+      nonce: attestation.nonce,
+      signature: attestation.signature,
+      issuer: attestation.issuer
+    } : null
+  }
+}
+
+/**
+ * GET /api/kyc/age-commitment
+ * The signed-in wallet's age commitment, so the browser can generate
+ * zero-knowledge age proofs with the blinding (and age) it keeps (see services/zkp.js).
+ * commitment is null until the holder has made a Pedersen one.
+ */
+router.get('/age-commitment', requireAuth, (req, res) => {
+  const { walletAddress } = req.auth
+  const data = credentialStore.get(walletAddress)
+  if (!data) {
+    return res.status(404).json({ success: false, error: 'Credential not found', reason: 'no_credential' })
+  }
+  if (data.revoked) {
+    return res.status(410).json({ success: false, error: 'This RacePass has been revoked', reason: 'credential_revoked' })
+  }
+
+  res.json(ageCommitmentResponse(getAgeCommitment(walletAddress)))
+})
+
+/**
+ * POST /api/kyc/age-commitment
+ * Replace the age commitment with one over a new blinding from the browser —
+ * when it doesn't have the blinding for the current one (another browser,
+ * cleared storage, or a commitment from before client-held blindings).
+ * We don't keep the age, so the user re-enters DOB + document number, which
+ * must open the identity commitment (as for /renew).
+ *
+ * Request body: { ageBlinding, dateOfBirth, documentNumber, identityProof }
+ *   (ageBlinding from zkp.js createAgeBlinding; identityProof from proveIdentityOpening
+ *   with identityOpeningContext('age-commitment', wallet); aadhaarNumber is accepted for documentNumber)
+ */
+router.post('/age-commitment', requireAuth, async (req, res) => {
+  const { walletAddress } = req.auth
+  const { ageBlinding, dateOfBirth, documentNumber, aadhaarNumber, identityProof } = req.body || {}
+  if (!ageBlinding || !verifyAgeBlinding(ageBlinding, ageBlindingContext(walletAddress))) {
+    return res.status(400).json({ success: false, error: 'A valid age commitment blinding proof is required', reason: 'age_blinding_invalid' })
+  }
+  if (!dateOfBirth || !(documentNumber ?? aadhaarNumber)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Date of birth and document number are required to make a new age commitment',
+      reason: 'identity_required'
+    })
+  }
+  if (isRateLimited(walletAddress)) {
+    return res.status(429).json({ success: false, error: 'Too many requests. Please wait a minute and try again.' })
+  }
+
+  const data = credentialStore.get(walletAddress)
+  if (!data) {
+    return res.status(404).json({ success: false, error: 'Credential not found', reason: 'no_credential' })
+  }
+  if (data.revoked) {
+    return res.status(410).json({ success: false, error: 'This RacePass has been revoked', reason: 'credential_revoked' })
+  }
+  const suspended = suspensionRejection(data)
+  if (suspended) return res.status(403).json(suspended)
+
+  const opening = identityOpening(data)
+  if (!opening || opening === 'sealed') {
+    return res.status(409).json({
+      success: false,
+      error: 'This RacePass can\'t re-prove its date of birth — renew it, or complete KYC again',
+      reason: opening ? 'identity_commitment_sealed' : 'no_identity_commitment'
+    })
+  }
+  if (opening === 'proof' && !identityProof) {
+    return res.status(400).json({
+      success: false,
+      error: 'This needs the RacePass key kept in the browser you signed up with — open RacePass there, or restore your key backup first',
+      reason: 'identity_proof_required'
+    })
+  }
+  const matches = matchesIdentityCommitment(data, { dateOfBirth, documentNumber, aadhaarNumber, identityProof },
+    identityOpeningContext('age-commitment', walletAddress))
+  if (!matches) {
+    return res.status(403).json({
+      success: false,
+      error: 'These details do not match the ones used for your RacePass',
+      reason: 'reverification_failed'
+    })
+  }
+
+  try {
+    const ageCommitment = await recommitAge(walletAddress, calculateAge(dateOfBirth), ageBlinding)
+    logActivity(walletAddress, 'AGE_COMMITMENT_RENEWED', { commitment: ageCommitment.commitment })
+    res.json(ageCommitmentResponse(ageCommitment))
+  } catch (error) {
+    console.error('❌ Age commitment error:', error.message)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
 /**
  * POST /api/kyc/revoke
  * User revokes their own RacePass (self-sovereign identity)
  * V2: Marks as revoked in local store (on-chain revocation would happen
  * via smart contract revokeCredential() if contracts are deployed)
+ * Only the signed-in wallet's own RacePass can be revoked.
  */
-router.post('/revoke', (req, res) => {
-  const { walletAddress } = req.body
-  if (!walletAddress) {
-    return res.status(400).json({ success: false, error: 'Wallet address is required' })
-  }
+router.post('/revoke', requireAuth, (req, res) => {
+  const { walletAddress } = req.auth
 
   const key = walletAddress.toLowerCase()
   const data = credentialStore.get(key)
   if (!data) {
     return res.status(404).json({ success: false, error: 'No active RacePass found for this wallet' })
   }
+  const suspended = suspensionRejection(data)
+  if (suspended) return res.status(403).json(suspended)
 
   // V2: Mark as revoked instead of deleting (so revocation is verifiable)
   data.revoked = true
   data.revokedAt = new Date().toISOString()
   credentialStore.set(key, data)
+  // ...and for verifiers holding the VC or its attestations (status list)
+  setRecordRevoked(data)
+  // The identity is free for a new RacePass (on any wallet)
+  if (data.nullifier) releaseNullifier(data.nullifier, key)
 
   logActivity(walletAddress, 'CREDENTIAL_REVOKED', {
     credentialId: data.credential?.id,
@@ -424,12 +1334,24 @@ router.post('/revoke', (req, res) => {
   })
 })
 
+/**
+ * GET /api/kyc/identity-collisions
+ * Admin report: attempts to get a second RacePass for an identity that
+ * already has an active one, grouped per identity (short reference only).
+ */
+router.get('/identity-collisions', requireAuth, requireAdmin, (req, res) => {
+  res.json({ success: true, ...getCollisionReport(), generatedAt: new Date().toISOString() })
+})
+
 /**
  * GET /api/kyc/activity/:address
- * Get the activity/audit log for a wallet
+ * Get the activity/audit log for your own wallet (it names the sites you verified with)
  */
-router.get('/activity/:address', (req, res) => {
+router.get('/activity/:address', requireAuth, (req, res) => {
   const key = req.params.address.toLowerCase()
+  if (key !== req.auth.walletAddress) {
+    return res.status(403).json({ success: false, error: 'You can only read your own activity log' })
+  }
   const log = activityLog.get(key) || []
   res.json({ success: true, activities: log })
 })
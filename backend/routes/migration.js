@@ -0,0 +1,327 @@
+/**
+ * migration.js - Wallet Migration Routes
+ *
+ * POST /api/migration/authorization → typed data the OLD wallet signs to approve a transfer
+ * POST /api/migration               → move a RacePass + reputation to the signed-in (new) wallet
+ *
+ * The new wallet always makes the request. The old wallet either signs the
+ * transfer authorization, or — if it is lost — the user re-proves identity
+ * against the identity commitment stored at KYC (DOB + identity document number;
+ * the browser proves they open it with the secret from the RacePass key backup).
+ * See services/migration.js.
+ *
+ * Everything that needs a signature is prepared first; the store writes
+ * (credentials, activityLog, qrTokens, registrations, attendance,
+ * reputation, identity nullifier) then happen together in one synchronous step. Afterwards the
+ * old fingerprint is revoked on-chain and the new one stored on both chains. The new wallet's
+ * RacePass gets its own status list index; the old one's bit is set (services/statusList.js).
+ */
+
+import { Router } from 'express'
+import { randomUUID } from 'crypto'
+import { requireAuth } from '../middleware/auth.js'
+import { getCredentialStore, getActivityLog, logActivity, matchesIdentityCommitment, identityOpening } from './kyc.js'
+import { hasEventHistory, prepareWalletMigration } from './events.js'
+import { normalizeCredential, signCredential, credentialToJwt } from '../services/credential.js'
+import { createCredentialFingerprint } from '../services/hash.js'
+import { createSignedAttestation } from '../services/crypto.js'
+import { storeOnBothChains, revokeOnBothChains } from '../services/blockchain.js'
+import { createTransferAuthorization, verifyTransferAuthorization } from '../services/migration.js'
+import { identityOpeningContext } from '../services/zkp.js'
+import { bindNullifier } from '../services/nullifier.js'
+import { suspensionRejection } from '../services/moderation.js'
+import { allocateStatusIndex, statusEntry, setRecordRevoked } from '../services/statusList.js'
+import { getCollection } from '../storage/index.js'
+
+const router = Router()
+
+const RECOVERY_WINDOW_MS = 60 * 60 * 1000   // failed identity re-proofs are limited...
+const RECOVERY_MAX_FAILURES = 5             // ...to 5 per old wallet per hour
+
+// Failed recovery attempts — short-lived, so they don't need to survive a restart
+const recoveryFailures = getCollection('migrationFailures', { persist: false })  // old wallet → { count, windowStart }
+
+function isValidAddress(address) {
+  return typeof address === 'string' && /^0x[a-fA-F0-9]{40}$/.test(address)
+}
+
+function recoveryLocked(fromKey) {
+  const entry = recoveryFailures.get(fromKey)
+  return !!entry && Date.now() - entry.windowStart <= RECOVERY_WINDOW_MS && entry.count >= RECOVERY_MAX_FAILURES
+}
+
+function recordRecoveryFailure(fromKey) {
+  const now = Date.now()
+  const entry = recoveryFailures.get(fromKey)
+  if (!entry || now - entry.windowStart > RECOVERY_WINDOW_MS) {
+    recoveryFailures.set(fromKey, { count: 1, windowStart: now })
+  } else {
+    recoveryFailures.set(fromKey, { ...entry, count: entry.count + 1 })
+  }
+}
+
+/**
+ * Can the RacePass move from → to? Returns an error response body + status, or null.
+ */
+function checkMigration(fromKey, toKey) {
+  const credentials = getCredentialStore()
+  const data = credentials.get(fromKey)
+
+  if (fromKey === toKey) {
+    return { status: 400, body: { success: false, error: 'The new wallet must differ from the old one', reason: 'same_wallet' } }
+  }
+  if (!data) {
+    return { status: 404, body: { success: false, error: 'No RacePass found for the old wallet', reason: 'no_credential' } }
+  }
+  if (data.migratedTo) {
+    return { status: 409, body: { success: false, error: 'This RacePass has already been moved to another wallet', reason: 'already_migrated' } }
+  }
+  if (data.suspension) {
+    return { status: 403, body: suspensionRejection(data) }
+  }
+  if (data.revoked) {
+    return { status: 410, body: { success: false, error: 'This RacePass has been revoked', reason: 'credential_revoked' } }
+  }
+  if (credentials.has(toKey) || hasEventHistory(toKey)) {
+    return {
+      status: 409,
+      body: {
+        success: false,
+        error: 'The new wallet already has a RacePass or event history — use a fresh wallet',
+        reason: 'target_in_use'
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * POST /api/migration/authorization
+ * Body: { fromWallet }
+ * Returns EIP-712 typed data for the OLD wallet to sign (eth_signTypedData_v4).
+ */
+router.post('/authorization', requireAuth, (req, res) => {
+  const toKey = req.auth.walletAddress
+  const { fromWallet } = req.body || {}
+
+  if (!isValidAddress(fromWallet)) {
+    return res.status(400).json({ success: false, error: 'Valid fromWallet is required' })
+  }
+
+  const problem = checkMigration(fromWallet.toLowerCase(), toKey)
+  if (problem) return res.status(problem.status).json(problem.body)
+
+  res.json({ success: true, ...createTransferAuthorization(fromWallet, toKey) })
+})
+
+/**
+ * POST /api/migration
+ * Body (old wallet available): { fromWallet, method: 'signature', nonce, signature }
+ * Body (old wallet lost):      { fromWallet, method: 'identity', kycData: { dateOfBirth, documentNumber, identityProof } }
+ *                              (kycData.aadhaarNumber is accepted for documentNumber; identityProof is
+ *                              zkp.js proveIdentityOpening with the key backup's secret and
+ *                              identityOpeningContext('migrate', fromWallet, toWallet) — older RacePasses don't need it)
+ */
+router.post('/', requireAuth, async (req, res) => {
+  const toKey = req.auth.walletAddress
+  const { fromWallet, method } = req.body || {}
+
+  if (!isValidAddress(fromWallet)) {
+    return res.status(400).json({ success: false, error: 'Valid fromWallet is required' })
+  }
+  if (!['signature', 'identity'].includes(method)) {
+    return res.status(400).json({ success: false, error: 'method must be "signature" or "identity"' })
+  }
+
+  const fromKey = fromWallet.toLowerCase()
+  const problem = checkMigration(fromKey, toKey)
+  if (problem) return res.status(problem.status).json(problem.body)
+
+  const credentials = getCredentialStore()
+  const data = credentials.get(fromKey)
+
+  // ── Authorization ──
+  if (method === 'signature') {
+    const { nonce, signature } = req.body
+    if (!nonce || !signature) {
+      return res.status(400).json({ success: false, error: 'nonce and signature are required' })
+    }
+    const check = verifyTransferAuthorization({ nonce, signature }, fromKey, toKey)
+    if (!check.valid) {
+      console.log(`🚫 Wallet transfer authorization rejected (${check.reason})`)
+      return res.status(403).json({ success: false, error: 'Transfer authorization is invalid', reason: check.reason })
+    }
+  } else {
+    const { dateOfBirth, documentNumber, aadhaarNumber, identityProof } = req.body.kycData || {}
+    if (!dateOfBirth) {
+      return res.status(400).json({ success: false, error: 'Date of birth is required' })
+    }
+    if (!(documentNumber ?? aadhaarNumber)) {
+      return res.status(400).json({ success: false, error: 'Document number is required' })
+    }
+    if (recoveryLocked(fromKey)) {
+      return res.status(429).json({
+        success: false,
+        error: 'Too many failed attempts for this RacePass. Try again in an hour.',
+        reason: 'too_many_attempts'
+      })
+    }
+
+    const opening = identityOpening(data)
+    if (opening === 'proof' && !identityProof) {
+      return res.status(400).json({
+        success: false,
+        error: 'Recovering this RacePass needs the RacePass key backup from your old wallet',
+        reason: 'identity_proof_required'
+      })
+    }
+    if (opening === 'sealed') {
+      return res.status(409).json({
+        success: false,
+        error: 'This RacePass can\'t be re-proven without sending its identity secret — sign the transfer with the old wallet instead',
+        reason: 'identity_commitment_sealed'
+      })
+    }
+
+    const matches = matchesIdentityCommitment(data, { dateOfBirth, documentNumber, aadhaarNumber, identityProof },
+      identityOpeningContext('migrate', fromKey, toKey))
+    if (matches === null) {
+      return res.status(409).json({
+        success: false,
+        error: 'This RacePass predates identity recovery — sign the transfer with the old wallet instead',
+        reason: 'no_identity_commitment'
+      })
+    }
+    if (!matches) {
+      recordRecoveryFailure(fromKey)
+      logActivity(fromKey, 'MIGRATION_REJECTED', { reason: 'reverification_failed', to: toKey })
+      console.log(`⚠️ Wallet recovery re-verification failed for ${fromKey.slice(0, 10)}...`)
+      return res.status(403).json({
+        success: false,
+        error: 'These details do not match the ones used for this RacePass',
+        reason: 'reverification_failed'
+      })
+    }
+  }
+
+  console.log('')
+  console.log('🔀 ================================')
+  console.log('   Wallet Migration')
+  console.log('================================')
+  console.log(`   ${fromKey} → ${toKey} (${method})`)
+
+  try {
+    // ── Prepare: everything that signs ──
+    const statusListIndex = allocateStatusIndex()
+    const { credentialSubject, ...body } = normalizeCredential(data.credential, statusEntry(statusListIndex))
+    const signedCredential = await signCredential({
+      ...body,
+      id: `urn:uuid:${randomUUID()}`,
+      issuanceDate: new Date().toISOString(),
+      credentialSubject: { ...credentialSubject, id: `did:ethr:${toKey}`, walletAddress: toKey }
+    })
+    const fingerprint = createCredentialFingerprint(signedCredential)
+
+    // Same claims (and commitments — they are not wallet-bound), re-signed for the new wallet
+    const attestations = {}
+    const nonce = Date.now()
+    const entries = Object.entries(data.attestations || {})
+    for (let i = 0; i < entries.length; i++) {
+      const [name, attestation] = entries[i]
+      attestations[name] = await createSignedAttestation(toKey, attestation.claim, nonce + i, { statusListIndex })
+    }
+
+    const eventMigration = await prepareWalletMigration(fromKey, toKey)
+
+    // Another request may have moved either wallet while we were signing
+    const conflict = checkMigration(fromKey, toKey)
+    if (conflict) return res.status(conflict.status).json(conflict.body)
+
+    // ── Commit: all stores in one synchronous step ──
+    const migratedAt = new Date().toISOString()
+    credentials.set(toKey, {
+      ...data,  // keeps createdAt, expiresAt, commitments, reputation, ...
+      credential: signedCredential,
+      credentialJwt: credentialToJwt(signedCredential),
+      fingerprint,
+      statusListIndex,
+      attestations,
+      sdJwt: null,  // copies name the old wallet and are revoked below
+      migratedFrom: fromKey,
+      migratedAt,
+      previousCredentials: [
+        ...(data.previousCredentials || []),
+        { id: data.credential?.id, fingerprint: data.fingerprint, expiresAt: data.expiresAt, supersededAt: migratedAt }
+      ]
+    })
+    // The old wallet keeps a revoked stub so its credential verifies as migrated
+    credentials.set(fromKey, {
+      credential: data.credential,
+      fingerprint: data.fingerprint,
+      statusListIndex: data.statusListIndex,
+      createdAt: data.createdAt,
+      expiresAt: data.expiresAt,
+      revoked: true,
+      revokedAt: migratedAt,
+      migratedTo: toKey
+    })
+
+    setRecordRevoked(data)
+
+    // The identity nullifier follows the RacePass (this is its transfer path)
+    if (data.nullifier) bindNullifier(data.nullifier, toKey)
+
+    const activityLog = getActivityLog()
+    activityLog.set(toKey, [...(activityLog.get(fromKey) || []), ...(activityLog.get(toKey) || [])])
+    activityLog.set(fromKey, [])
+
+    eventMigration.apply()
+
+    logActivity(toKey, 'WALLET_MIGRATED', {
+      from: fromKey,
+      method,
+      credentialId: signedCredential.id,
+      previousCredentialId: data.credential?.id
+    })
+    logActivity(fromKey, 'WALLET_MIGRATED_OUT', { to: toKey, method })
+
+    console.log(`   ✅ Moved credential, ${eventMigration.summary.tickets} ticket(s), ${eventMigration.summary.attendance} attendance record(s)`)
+
+    // ── On-chain: revoke the old fingerprint, store the new one ──
+    let blockchainResults = { ethereum: { success: false }, polygon: { success: false } }
+    let revocationResults = {}
+    try {
+      revocationResults = await revokeOnBothChains(fromKey)
+      blockchainResults = await storeOnBothChains(toKey, fingerprint)
+    } catch (blockchainError) {
+      console.log('   ⚠️ Blockchain update skipped:', blockchainError.message)
+    }
+    const migrated = credentials.get(toKey)
+    credentials.set(toKey, { ...migrated, blockchainResults })
+    credentials.set(fromKey, { ...credentials.get(fromKey), revocationResults })
+
+    console.log('================================')
+
+    res.json({
+      success: true,
+      message: 'RacePass moved to this wallet. Your reputation, history and tickets came with it.',
+      data: {
+        walletAddress: toKey,
+        fromWallet: fromKey,
+        method,
+        credentialId: signedCredential.id,
+        previousCredentialId: data.credential?.id,
+        fingerprint,
+        expiresAt: data.expiresAt,
+        migrated: eventMigration.summary,
+        blockchainResults,
+        revocationResults
+      }
+    })
+  } catch (error) {
+    console.error('❌ Wallet migration error:', error.message)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+export default router
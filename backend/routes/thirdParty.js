@@ -7,17 +7,66 @@
  * UPGRADED: Now queries blockchain first (on-chain verification),
  * checks credential revocation, and references ECDSA-signed attestations.
  * 
+ * PRESENTATIONS (preferred): /verify trusts whatever walletAddress it is
+ * given. /presentation-request + /verify-presentation instead make the
+ * user's wallet sign a Verifiable Presentation of their issuer attestations,
+ * so only the wallet owner can pass. See services/presentation.js.
+ *
+ * SCOPED ATTESTATIONS: presentations must carry attestations issued for the
+ * request's audience, each accepted only once. /verify-attestation checks a
+ * single scoped attestation the same way (services/attestationRegistry.js).
+ *
+ * ASSURANCE: both report how strongly the holder's identity was checked
+ * (ocr-only … secure-qr+face) — ask for a minimum with minAssurance on
+ * /verify or an "assurance:<level>" claim in a presentation request.
+ *
+ * GUARDIANS: sites whose rating lets minors in with a parent (e.g. UA 13+)
+ * pass allowGuardian to /verify — a minor whose RacePass a guardian co-signed
+ * (routes/guardians.js) then passes with accompanied: true.
+ *
+ * STATUS LISTS: presentations are checked against the published revocation
+ * list (services/statusList.js); /verify reads the credential store directly.
+ *
+ * PAIRWISE IDS: sites are never told the wallet address or fingerprint —
+ * they get a pairwiseId for their audience instead, the same for the same
+ * person at that site and unrelated across sites (services/pairwise.js).
+ * Nothing else in a response is the same at every site either: attestations
+ * are reported as booleans, without their claims, issuer or status list
+ * index; reputation as a tier; revocation without its timestamp.
+ * The audience is never just the caller's word: it is the one in the
+ * presentation request the holder signed, in the issuer-signed scoped
+ * attestation, or — on /verify — reported under the holder's own session
+ * (the extension, which takes the origin from the tab).
+ *
  * IMPORTANT: These endpoints NEVER expose personal data!
  * They only confirm: "Yes, this wallet is verified" or "No, it's not"
  */
 
 import { Router } from 'express'
-import { getCredentialStore, getActivityLog } from './kyc.js'
+import { optionalAuth } from '../middleware/auth.js'
+import { getCredentialStore, logActivity, getClaimContext } from './kyc.js'
+import { getActiveGuardian } from './guardians.js'
 import { checkVerification, getFingerprint } from '../services/blockchain.js'
+import { getAuthorizedIssuers } from '../services/crypto.js'
+import { isStatusRevoked } from '../services/statusList.js'
+import { consumeScopedAttestation, isValidAudience } from '../services/attestationRegistry.js'
+import { createPresentationRequest, verifyPresentation, verifyScopedAttestation } from '../services/presentation.js'
+import {
+  isSupportedClaim, meetsAssurance, satisfiesClaim, deriveClaim, formatClaim, listClaimTypes, ASSURANCE_LEVELS
+} from '../services/claims.js'
+import { initPairwiseIds, pairwiseId } from '../services/pairwise.js'
+import { getCollection } from '../storage/index.js'
 import { CHAINS } from '../config/chains.js'
 
 const router = Router()
 
+initPairwiseIds()
+
+const MAX_REQUEST_TTL_SEC = 15 * 60
+
+// Pending presentation requests — short-lived, so they don't need to survive a restart
+const presentationRequests = getCollection('presentationRequests', { persist: false })  // nonce → request
+
 /**
  * Helper: check on-chain verification across both chains
  */
@@ -37,6 +86,11 @@ async function checkOnChain(address) {
   return results
 }
 
+/** Reputation as the dashboard's tier — an exact score and attendance count would single a holder out */
+function reputationTier(score) {
+  return score >= 80 ? 'Gold' : score >= 60 ? 'Silver' : 'Bronze'
+}
+
 /**
  * POST /api/third-party/verify
  * Third-party verification with age-gate support.
@@ -45,11 +99,17 @@ async function checkOnChain(address) {
  *  1. Query blockchain (Sepolia + Polygon) for on-chain verification
  *  2. Fall back to local credential store
  *  3. Check revocation status
- *  4. Verify age via attestation reference (never expose actual age)
- *  5. Return boolean flags + crypto proof metadata
+ *  4. Verify age via attestation reference (never expose actual age) — or, with
+ *     allowGuardian, a guardianConsent attestation for holders under minAge
+ *  5. Check the assurance level against minAssurance (optional, e.g. 'secure-qr')
+ *  6. Return boolean flags + crypto proof metadata, and the holder's
+ *     pairwiseId for `audience` (your origin / app id) — only under the
+ *     holder's session (Authorization header, as the extension sends it)
  */
-router.post('/verify', async (req, res) => {
-  const { walletAddress, network = 'ethereum', minAge = 0, eventType = 'general' } = req.body
+router.post('/verify', optionalAuth, async (req, res) => {
+  const {
+    walletAddress, network = 'ethereum', minAge = 0, eventType = 'general', minAssurance, allowGuardian = false, audience
+  } = req.body
 
   console.log('')
   console.log('🎫 ================================')
@@ -61,6 +121,27 @@ router.post('/verify', async (req, res) => {
   if (!walletAddress) {
     return res.status(400).json({ success: false, error: 'Wallet address is required' })
   }
+  if (minAge && !isSupportedClaim(formatClaim('ageAbove', minAge))) {
+    return res.status(400).json({ success: false, error: 'minAge must be a whole number of years (0–150)' })
+  }
+  if (minAssurance !== undefined && !(minAssurance in ASSURANCE_LEVELS)) {
+    return res.status(400).json({
+      success: false,
+      error: `minAssurance must be one of: ${Object.keys(ASSURANCE_LEVELS).join(', ')}`
+    })
+  }
+  if (audience !== undefined && !isValidAudience(audience)) {
+    return res.status(400).json({ success: false, error: 'audience must be your site / app identifier (1–200 characters)' })
+  }
+  // Anyone can call /verify — without this, one site could send another's
+  // audience and collect the holder's id there
+  if (audience !== undefined && req.auth?.walletAddress !== String(walletAddress).toLowerCase()) {
+    return res.status(401).json({
+      success: false,
+      error: "A pairwiseId is only returned under the holder's RacePass session",
+      reason: 'holder_session_required'
+    })
+  }
 
   try {
     // ── Step 1: On-chain verification ──
@@ -82,7 +163,6 @@ router.post('/verify', async (req, res) => {
         success: true,
         verified: false,
         verifiedOnChain: false,
-        walletAddress,
         reason: 'no_credential',
         checkedAt: new Date().toISOString()
       })
@@ -95,9 +175,8 @@ router.post('/verify', async (req, res) => {
         success: true,
         verified: false,
         verifiedOnChain: onChain.verifiedOnChain,
-        walletAddress,
         reason: 'revoked',
-        revokedAt: data.revokedAt,
+        suspended: !!data.suspension,
         checkedAt: new Date().toISOString()
       })
     }
@@ -109,7 +188,6 @@ router.post('/verify', async (req, res) => {
         success: true,
         verified: false,
         verifiedOnChain: onChain.verifiedOnChain,
-        walletAddress,
         reason: 'expired',
         checkedAt: new Date().toISOString()
       })
@@ -122,34 +200,29 @@ router.post('/verify', async (req, res) => {
     let ageAttestationAvailable = false
 
     if (minAge > 0 && data) {
-      // Check attestations object for matching age claim
+      const ageClaim = formatClaim('ageAbove', minAge)
+      // Check attestations object for a stored age claim that proves it
       if (data.attestations && typeof data.attestations === 'object') {
-        const attestationKeys = Object.keys(data.attestations)
-        const attestationClaims = attestationKeys.map(k => data.attestations[k]?.claim || k)
-        ageAttestationAvailable = attestationClaims.some(c =>
-          c === `ageAbove:${minAge}` ||
-          (c.startsWith('ageAbove:') && parseInt(c.split(':')[1]) >= minAge)
-        ) || attestationKeys.some(k =>
-          k === `ageAbove${minAge}` || k.startsWith('ageAbove')
-        )
+        ageAttestationAvailable = Object.values(data.attestations).some(a => a?.claim && satisfiesClaim(a.claim, ageClaim))
       }
-      // Fallback: check actual age (but never expose it)
-      const userAge = data.age != null ? data.age : (data.isAdult ? 18 : 0)
-      ageOk = userAge >= minAge
+      // Otherwise derive it from the recorded age (never exposed)
+      ageOk = deriveClaim(ageClaim, getClaimContext(data)).holds
     }
 
     // Extract optional context from request
     const { movieName, siteName } = req.body
 
+    // Under age, but the site admits minors with a guardian who co-signed their RacePass
+    const accompaniedBy = !ageOk && allowGuardian ? getActiveGuardian(data) : null
+    if (accompaniedBy) {
+      console.log(`   Age ${minAge}+ not met — admitted with guardian consent`)
+      ageOk = true
+    }
+
     if (!ageOk) {
       console.log(`   Result: 🚫 AGE RESTRICTED (needs ${minAge}+)`)
       // Log the blocked attempt
-      const logMap = getActivityLog()
-      const key = walletAddress.toLowerCase()
-      if (!logMap.has(key)) logMap.set(key, [])
-      logMap.get(key).push({
-        action: 'AGE_GATE_BLOCKED',
-        timestamp: new Date().toISOString(),
+      logActivity(walletAddress, 'AGE_GATE_BLOCKED', {
         eventType,
         minAge,
         movieName: movieName || null,
@@ -162,47 +235,67 @@ router.post('/verify', async (req, res) => {
         success: true,
         verified: false,
         verifiedOnChain: onChain.verifiedOnChain,
-        walletAddress,
         reason: 'age_restricted',
-        message: `You must be ${minAge}+ to access this content.`,
+        message: allowGuardian
+          ? `You must be ${minAge}+ to access this content, or link a guardian to your RacePass.`
+          : `You must be ${minAge}+ to access this content.`,
         minAge,
+        guardianAllowed: !!allowGuardian,
         // NOTE: We do NOT expose userAge to the third party — privacy preserving!
         hasAgeAttestation: ageAttestationAvailable,
         checkedAt: new Date().toISOString()
       })
     }
 
-    // ── Step 5: All good! ──
+    // ── Step 5: Assurance level ──
+    // (credentials issued before assurance levels count as ocr-only)
+    const assuranceLevel = data?.assuranceLevel || 'ocr-only'
+    if (!meetsAssurance(assuranceLevel, minAssurance)) {
+      console.log(`   Result: 🚫 ASSURANCE TOO LOW (${assuranceLevel} < ${minAssurance})`)
+      return res.json({
+        success: true,
+        verified: false,
+        verifiedOnChain: onChain.verifiedOnChain,
+        reason: 'assurance_too_low',
+        message: `This requires a RacePass verified at "${minAssurance}" or stronger.`,
+        minAssurance,
+        assuranceLevel,
+        checkedAt: new Date().toISOString()
+      })
+    }
+
+    // ── Step 6: All good! ──
     console.log(`   Result: ✅ VERIFIED (source: ${source})`)
 
     // Log successful verification
-    const logMap = getActivityLog()
-    const key = walletAddress.toLowerCase()
-    if (!logMap.has(key)) logMap.set(key, [])
-    logMap.get(key).push({
-      action: 'THIRD_PARTY_VERIFIED',
-      timestamp: new Date().toISOString(),
+    logActivity(walletAddress, 'THIRD_PARTY_VERIFIED', {
       eventType,
       minAge,
+      accompanied: !!accompaniedBy,
       verificationSource: source,
       movieName: movieName || null,
       siteName: siteName || null
     })
 
-    // Build attestation summary (without exposing raw data)
-    const attestationSummary = data?.attestations
-      ? Object.keys(data.attestations).map(k => data.attestations[k]?.claim || k)
-      : ['identityVerified']
+    // Which attestations the holder has, as booleans — their claims (the age
+    // commitment, the guardian's wallet) would let sites match users up
+    const attestationSummary = Object.fromEntries(
+      Object.keys(data?.attestations || { identityVerified: true })
+        .map(name => [name === 'ageCommitment' ? 'ageVerified' : name, true])
+    )
 
     return res.json({
       success: true,
       verified: true,
       verifiedOnChain: onChain.verifiedOnChain,
       verificationSource: source,
-      walletAddress,
-      fingerprint: data?.fingerprint || null,
+      pairwiseId: audience ? pairwiseId(walletAddress, data, audience) : null,
       isAdult: data?.isAdult ?? true,
+      assuranceLevel,
       eventType,
+      // Admitted below minAge with guardian consent — the site should expect the guardian too
+      accompanied: !!accompaniedBy,
+      ...(accompaniedBy && { message: 'Allowed with guardian consent — must be accompanied by their guardian.' }),
       // Crypto proof metadata
       cryptoProof: {
         onChain: {
@@ -210,11 +303,10 @@ router.post('/verify', async (req, res) => {
           polygon: onChain.polygon
         },
         attestations: attestationSummary,
-        hasAgeAttestation: ageAttestationAvailable || (minAge > 0 && ageOk),
-        issuer: data?.attestations ? Object.values(data.attestations)?.[0]?.issuer || null : null,
+        hasAgeAttestation: ageAttestationAvailable || (minAge > 0 && ageOk && !accompaniedBy),
         note: 'Verification confirmed via on-chain fingerprint and/or ECDSA-signed attestations'
       },
-      reputation: data?.reputation || null,
+      reputationTier: reputationTier(data?.reputation?.score ?? 50),
       checkedAt: new Date().toISOString()
     })
 
@@ -224,6 +316,156 @@ router.post('/verify', async (req, res) => {
   }
 })
 
+/**
+ * POST /api/third-party/presentation-request
+ * Body: { audience, claims: ['ageAbove:18', 'countryResident:IN', 'identityVerified', 'assurance:secure-qr'], ttlSec? }
+ *
+ * The relying party asks for proof of some claims — any claim in the registry
+ * (services/claims.js): ageBelow:N, ageBetween:A:B, stateResident:XX,
+ * attendedAtLeast:N, reputationAbove:N, ... Hand the returned request to the
+ * user's wallet; it answers with a signed presentation.
+ */
+router.post('/presentation-request', (req, res) => {
+  const { audience, claims, ttlSec } = req.body
+
+  if (!isValidAudience(audience)) {
+    return res.status(400).json({ success: false, error: 'audience (your site / app identifier) is required' })
+  }
+  if (!Array.isArray(claims) || claims.length === 0) {
+    return res.status(400).json({ success: false, error: 'claims must be a non-empty array' })
+  }
+  const unsupported = claims.filter(c => !isSupportedClaim(c))
+  if (unsupported.length > 0) {
+    return res.status(400).json({ success: false, error: `Unsupported claims: ${unsupported.join(', ')}` })
+  }
+
+  // Drop abandoned requests so the map doesn't grow forever
+  for (const [key, pending] of presentationRequests) {
+    if (new Date(pending.expiresAt) < new Date()) presentationRequests.delete(key)
+  }
+
+  const request = createPresentationRequest({
+    audience,
+    claims: [...new Set(claims)],
+    ttlSec: Number(ttlSec) > 0 ? Math.min(Number(ttlSec), MAX_REQUEST_TTL_SEC) : undefined
+  })
+  presentationRequests.set(request.nonce, request)
+
+  res.json({ success: true, request })
+})
+
+/**
+ * POST /api/third-party/verify-presentation
+ * Body: { presentation }
+ *
+ * Checks holder binding, issuer signatures, nonce freshness (one-time use),
+ * attestation scope (this audience, unexpired, unused) and revocation.
+ * Returns which claims were proven and the holder's pairwiseId for the
+ * request's audience — never personal data or the wallet.
+ */
+router.post('/verify-presentation', (req, res) => {
+  const { presentation } = req.body
+  const challenge = presentation?.proof?.challenge
+
+  if (!challenge) {
+    return res.status(400).json({ success: false, error: 'presentation with proof.challenge is required' })
+  }
+
+  const request = presentationRequests.get(challenge)
+  if (!request) {
+    return res.json({ success: true, verified: false, reason: 'unknown_nonce', checkedAt: new Date().toISOString() })
+  }
+  // One-time use, even if verification fails below
+  presentationRequests.delete(challenge)
+
+  const store = getCredentialStore()
+  const result = verifyPresentation(presentation, {
+    request,
+    trustedIssuers: getAuthorizedIssuers(),
+    isRevoked: holder => !!store.get(holder)?.revoked,
+    isStatusRevoked,
+    requireScoped: true,
+    consumeNonce: (attestation, holder) => consumeScopedAttestation(attestation, holder)
+  })
+
+  const data = result.holder ? store.get(result.holder) : null
+  const expired = !!(result.valid && data?.expiresAt && new Date(data.expiresAt) < new Date())
+  const verified = result.valid && !expired
+
+  console.log(`🎫 Presentation for ${request.audience}: ${verified ? '✅' : '❌'} ${result.holder || 'unknown holder'} ${result.reason || (expired ? 'expired' : '')}`)
+
+  if (result.holder) {
+    logActivity(result.holder, verified ? 'THIRD_PARTY_VERIFIED' : 'PRESENTATION_REJECTED', {
+      method: 'presentation',
+      audience: request.audience,
+      claims: request.claims,
+      reason: result.reason || (expired ? 'expired' : null)
+    })
+  }
+
+  res.json({
+    success: true,
+    verified,
+    reason: expired ? 'expired' : result.reason,
+    pairwiseId: verified ? pairwiseId(result.holder, data, request.audience) : null,
+    audience: request.audience,
+    requestedClaims: request.claims,
+    provenClaims: result.claims,
+    missingClaims: result.missingClaims,
+    checkedAt: new Date().toISOString()
+  })
+})
+
+/**
+ * POST /api/third-party/verify-attestation
+ * Body: { walletAddress, attestation: { claim, nonce, signature, issuer, audience, expiresAt }, audience }
+ *
+ * Accept one scoped attestation (e.g. from an event registration) without a
+ * presentation: issued by a trusted issuer to this wallet, for YOUR audience,
+ * unexpired, not revoked — and not used before. Using it marks it used.
+ * Returns the holder's pairwiseId for your audience.
+ */
+router.post('/verify-attestation', (req, res) => {
+  const { walletAddress, attestation, audience } = req.body
+
+  if (!/^0x[a-fA-F0-9]{40}$/.test(walletAddress || '') || !attestation?.claim || !attestation?.signature) {
+    return res.status(400).json({ success: false, error: 'walletAddress and attestation are required' })
+  }
+  if (!isValidAudience(audience)) {
+    return res.status(400).json({ success: false, error: 'audience (your site / app identifier) is required' })
+  }
+
+  const holder = walletAddress.toLowerCase()
+  const data = getCredentialStore().get(holder)
+  let { reason } = verifyScopedAttestation(holder, attestation, {
+    audience,
+    trustedIssuers: getAuthorizedIssuers(),
+    isStatusRevoked
+  })
+  if (!reason && data?.revoked) reason = 'credential_revoked'
+  if (!reason) reason = consumeScopedAttestation(attestation, holder)
+
+  console.log(`🎫 Scoped attestation for ${audience}: ${reason ? `❌ ${reason}` : '✅'} ${holder} ${attestation.claim}`)
+  // Anyone can post here — only log what a genuine attestation can cause
+  if (!reason || reason === 'attestation_replayed') {
+    logActivity(holder, reason ? 'ATTESTATION_REPLAYED' : 'THIRD_PARTY_VERIFIED', {
+      method: 'scoped-attestation',
+      audience,
+      claim: attestation.claim
+    })
+  }
+
+  res.json({
+    success: true,
+    verified: !reason,
+    reason,
+    pairwiseId: reason ? null : pairwiseId(holder, data, audience),
+    audience,
+    claim: attestation.claim,
+    checkedAt: new Date().toISOString()
+  })
+})
+
 /**
  * GET /api/third-party/info
  * 
@@ -240,10 +482,16 @@ router.get('/info', (req, res) => {
       'ECDSA-signed attestations (ecrecover verifiable)',
       'Dual-chain verification (Ethereum Sepolia + Polygon Amoy)',
       'Credential revocation registry',
+      'Published revocation status lists (W3C StatusList2021)',
       'Attendance-based Merkle tree reputation',
-      'Cryptographically signed event tickets'
+      'Cryptographically signed event tickets',
+      'Holder-signed Verifiable Presentations (EIP-712) with one-time nonces',
+      'Audience-scoped, expiring attestations accepted only once (nonce registry + RacePassV2.useScopedAttestation)',
+      'Selective-disclosure credentials (SD-JWT VC, ES256K) with key binding — see services/sdJwt.js',
+      'Per-site pairwise identifiers instead of wallet addresses (HMAC of identity + audience)'
     ],
-    privacyNotice: 'RacePass never shares personal data with third parties. Only ECDSA-signed boolean attestations and on-chain verification status are shared.',
+    supportedClaims: listClaimTypes(),
+    privacyNotice: 'RacePass never shares personal data with third parties. Only ECDSA-signed boolean attestations, on-chain verification status and a per-site pairwise id are shared — never the wallet address.',
     documentation: 'https://racepass.example.com/docs'
   })
 })
@@ -11,7 +11,7 @@
  */
 
 import { Router } from 'express'
-import { getCredentialStore, getActivityLog } from './kyc.js'
+import { getCredentialStore, getRenewalStatus, getCredentialCountry } from './kyc.js'
 import { checkVerification, getFingerprint } from '../services/blockchain.js'
 
 const router = Router()
@@ -77,6 +77,9 @@ router.get('/:address', async (req, res) => {
         walletAddress: address,
         isVerifiedOnAny: false,
         expired: true,
+        expiresAt: data.expiresAt,
+        renewal: getRenewalStatus(data),
+        documentType: data.documentType || 'aadhaar',
         message: 'Your RacePass has expired. Please renew.'
       })
     }
@@ -89,7 +92,14 @@ router.get('/:address', async (req, res) => {
         walletAddress: address,
         isVerifiedOnAny: false,
         revoked: true,
-        message: 'Your RacePass has been revoked.'
+        suspended: !!data.suspension,
+        suspensionReason: data.suspension?.reason,
+        migratedTo: data.migratedTo,
+        message: data.migratedTo
+          ? `Your RacePass has moved to ${data.migratedTo}.`
+          : data.suspension
+            ? 'Your RacePass has been suspended by the issuer. Contact RacePass support to appeal.'
+            : 'Your RacePass has been revoked.'
       })
     }
 
@@ -112,9 +122,12 @@ router.get('/:address', async (req, res) => {
       credentialId: data?.credential?.id,
       issuedAt: data?.createdAt,
       expiresAt: data?.expiresAt,
+      renewal: getRenewalStatus(data),
       isAdult: data?.isAdult,
       ageCategory: data?.ageCategory,
-      age: data?.age,
+      assuranceLevel: data ? data.assuranceLevel || 'ocr-only' : undefined,
+      documentType: data ? data.documentType || 'aadhaar' : undefined,
+      country: data ? getCredentialCountry(data) : undefined,
       reputation,
       source
     })
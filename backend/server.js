@@ -14,8 +14,8 @@
  */
 
 // Load environment variables from .env file
-import dotenv from 'dotenv'
-dotenv.config()
+// (side-effect import so it runs BEFORE the route modules below read process.env)
+import 'dotenv/config'
 
 // Import Express and middleware
 import express from 'express'
@@ -26,6 +26,13 @@ import kycRoutes from './routes/kyc.js'
 import verifyRoutes from './routes/verify.js'
 import thirdPartyRoutes from './routes/thirdParty.js'
 import eventsRoutes from './routes/events.js'
+import authRoutes from './routes/auth.js'
+import credentialRoutes from './routes/credentials.js'
+import issuerRoutes from './routes/issuers.js'
+import migrationRoutes from './routes/migration.js'
+import guardianRoutes from './routes/guardians.js'
+import adminRoutes from './routes/admin.js'
+import { flushStorage } from './storage/index.js'
 
 // Create the Express app
 const app = express()
@@ -51,8 +58,8 @@ app.use(cors({
     }
     callback(null, true) // allow all for local demo
   },
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type']
+  methods: ['GET', 'POST', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization']
 }))
 
 // Parse JSON bodies (with size limit)
@@ -84,6 +91,9 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', message: 'RacePass Backend is running!' })
 })
 
+// Auth routes - Sign-In With Ethereum, session tokens
+app.use('/api/auth', authRoutes)
+
 // KYC routes - handles credential creation
 app.use('/api/kyc', kycRoutes)
 
@@ -96,6 +106,21 @@ app.use('/api/third-party', thirdPartyRoutes)
 // Event marketplace routes - organizers, events, tickets, ZKP
 app.use('/api/events', eventsRoutes)
 
+// Credential routes - W3C VC download/verify, issuer DID document
+app.use('/api/credentials', credentialRoutes)
+
+// Issuer key routes - current/historical issuer keys, rotation
+app.use('/api/issuers', issuerRoutes)
+
+// Wallet migration routes - move a RacePass + reputation to a new wallet
+app.use('/api/migration', migrationRoutes)
+
+// Guardian routes - an adult RacePass holder co-signs a minor's RacePass
+app.use('/api/guardians', guardianRoutes)
+
+// Admin routes - operator console: search, suspend/restore, stats, audit trail (ADMIN_WALLETS)
+app.use('/api/admin', adminRoutes)
+
 // ============================================
 // ERROR HANDLING
 // ============================================
@@ -122,6 +147,19 @@ process.on('unhandledRejection', (reason) => {
   console.error('💥 Unhandled Rejection:', reason)
 })
 
+// Persist the latest changes before shutting down (Ctrl+C, docker stop, ...)
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    console.log(`\n🛑 ${signal} received — saving data...`)
+    try {
+      flushStorage()
+    } catch (err) {
+      console.error('❌ Failed to save data on shutdown:', err.message)
+    }
+    process.exit(0)
+  })
+}
+
 // ============================================
 // START SERVER
 // ============================================
@@ -0,0 +1,440 @@
+/**
+ * aadhaar.js — UIDAI-Signed Aadhaar Documents
+ *
+ * Why?
+ * - OCR of a card photo (frontend/src/utils/aadhaarOCR.js) only checks that
+ *   the text looks like an Aadhaar card, so an edited image passes.
+ * - UIDAI signs two offline formats with its RSA key; checking that
+ *   signature proves the name / DOB really come from UIDAI.
+ *
+ * Supported documents:
+ *   1. SECURE QR (printed on cards and e-Aadhaar)
+ *        decimal string → big integer → bytes → gunzip
+ *        → fields separated by 0xFF, photo, [email/mobile hashes], 256-byte signature
+ *        signature = RSA-SHA256 over everything before it
+ *   2. OFFLINE e-KYC (the ZIP downloaded from the UIDAI resident portal)
+ *        ZIP encrypted (ZipCrypto) with the 4-character share code
+ *        → OfflinePaperlessKyc XML with an enveloped XML signature (services/xmldsig.js)
+ *
+ * Both expose the last 4 digits of the Aadhaar number (in the referenceId)
+ * and the DOB — not the full number, so the user still types that.
+ *
+ * The signature is checked against UIDAI's public certificate(s), which
+ * must be installed by the operator (see certs/README.md). Nothing from the
+ * document is stored — only which kind of evidence was verified.
+ *
+ * Also here:
+ *   - Aadhaar number validation (Verhoeff check digit, ranges UIDAI never issues)
+ *   - the assurance level a RacePass gets from its evidence (see claims.js
+ *     for the levels and how relying parties ask for a minimum)
+ *
+ * Env:
+ *   UIDAI_CERT_PATH   certificate file(s), comma-separated (default: every
+ *                     .cer/.crt/.pem in backend/certs/)
+ */
+
+import { X509Certificate, createVerify } from 'crypto'
+import { readFileSync, readdirSync, existsSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { join } from 'path'
+import { gunzipSync, inflateRawSync } from 'zlib'
+import { parseXml, verifyEnvelopedSignature, localName, getAttribute, childElements } from './xmldsig.js'
+import { ASSURANCE_LEVELS } from './claims.js'
+
+const CERT_DIR = fileURLToPath(new URL('../certs/', import.meta.url))
+const QR_SIGNATURE_LENGTH = 256      // RSA-2048
+const MAX_QR_DIGITS = 7089           // numeric capacity of the largest QR code (version 40, level L)
+const MAX_XML_BYTES = 5 * 1024 * 1024
+
+// Secure QR text fields, in order (ISO-8859-1, 0xFF-separated)
+const QR_FIELDS_V2 = [
+  'version', 'emailMobileStatus', 'referenceId', 'name', 'dob', 'gender', 'careOf', 'district',
+  'landmark', 'house', 'location', 'pincode', 'postOffice', 'state', 'street', 'subDistrict', 'vtc',
+  'mobileLast4'
+]
+const QR_FIELDS_LEGACY = QR_FIELDS_V2.slice(1, -1)
+
+export const EVIDENCE = {
+  SECURE_QR: 'aadhaar-secure-qr',
+  OFFLINE_EKYC: 'aadhaar-offline-ekyc',
+  OCR: 'ocr'
+}
+
+// ═══════════════════════════════════════════
+//  AADHAAR NUMBER
+// ═══════════════════════════════════════════
+
+// Verhoeff dihedral-group tables (multiplication d, permutation p)
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 2, 3, 4, 0, 6, 7, 8, 9, 5], [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7], [4, 0, 1, 2, 3, 9, 5, 6, 7, 8], [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2], [7, 6, 5, 9, 8, 2, 1, 0, 4, 3], [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+]
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 5, 7, 6, 2, 8, 3, 0, 9, 4], [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7], [9, 4, 5, 3, 1, 2, 6, 8, 7, 0], [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5], [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+]
+
+/** Does the number (check digit last) pass the Verhoeff checksum? */
+export function verhoeffValid(digits) {
+  let check = 0
+  const reversed = String(digits).split('').reverse()
+  for (let i = 0; i < reversed.length; i++) {
+    check = VERHOEFF_D[check][VERHOEFF_P[i % 8][Number(reversed[i])]]
+  }
+  return check === 0
+}
+
+/**
+ * Is this a number UIDAI could have issued?
+ *   - 12 digits, last one a Verhoeff check digit
+ *   - never starts with 0 or 1 (reserved by UIDAI)
+ *   - not a test number: UIDAI's sandbox residents use the 9999 prefix,
+ *     and repeated-digit placeholders (2222 2222 2222 …) are dummies
+ *
+ * @returns {{ valid: boolean, reason: string|null }}
+ *   reason: 'aadhaar_format' | 'aadhaar_checksum' | 'aadhaar_test_number'
+ */
+export function validateAadhaarNumber(number) {
+  const digits = String(number || '')
+  if (!/^\d{12}$/.test(digits)) return { valid: false, reason: 'aadhaar_format' }
+  if (/^[01]/.test(digits) || /^9999/.test(digits) || /^(\d)\1{11}$/.test(digits)) {
+    return { valid: false, reason: 'aadhaar_test_number' }
+  }
+  if (!verhoeffValid(digits)) return { valid: false, reason: 'aadhaar_checksum' }
+  return { valid: true, reason: null }
+}
+
+// ═══════════════════════════════════════════
+//  ASSURANCE LEVEL
+// ═══════════════════════════════════════════
+
+/**
+ * Assurance level for a RacePass, from what backed its KYC:
+ *   ocr-only / ocr+face                   — details read from a card photo
+ *   secure-qr / offline-ekyc (+face)      — details signed by UIDAI
+ * "+face" = a live selfie was matched against the card photo.
+ *
+ * @param {{ type: string }} evidence   from the KYC submission (EVIDENCE.*)
+ * @param {{ faceMatched: boolean }} checks
+ * @returns {string} one of ASSURANCE_LEVELS
+ */
+export function assuranceLevelFor(evidence, { faceMatched }) {
+  const base = {
+    [EVIDENCE.SECURE_QR]: 'secure-qr',
+    [EVIDENCE.OFFLINE_EKYC]: 'offline-ekyc'
+  }[evidence?.type]
+
+  const level = base
+    ? (faceMatched ? `${base}+face` : base)
+    : (faceMatched ? 'ocr+face' : 'ocr-only')
+  return level in ASSURANCE_LEVELS ? level : 'ocr-only'
+}
+
+// ═══════════════════════════════════════════
+//  UIDAI CERTIFICATES
+// ═══════════════════════════════════════════
+
+let cachedKeys = null
+
+/**
+ * Public keys of the installed UIDAI certificates (loaded once).
+ * UIDAI rotates its signing certificate, so several can be installed side by side.
+ *
+ * @returns {import('crypto').KeyObject[]}
+ */
+export function getUidaiKeys() {
+  if (cachedKeys) return cachedKeys
+
+  const files = process.env.UIDAI_CERT_PATH
+    ? process.env.UIDAI_CERT_PATH.split(',').map(f => f.trim()).filter(Boolean)
+    : existsSync(CERT_DIR)
+      ? readdirSync(CERT_DIR).filter(f => /\.(cer|crt|pem)$/i.test(f)).map(f => join(CERT_DIR, f))
+      : []
+
+  const keys = []
+  for (const file of files) {
+    try {
+      const cert = new X509Certificate(readFileSync(file))
+      keys.push(cert.publicKey)
+      console.log(`🪪 UIDAI certificate loaded: ${cert.subject.split('\n').find(l => l.startsWith('CN=')) || file} (valid to ${cert.validTo})`)
+    } catch (error) {
+      console.warn(`⚠️ Could not load UIDAI certificate ${file}: ${error.message}`)
+    }
+  }
+  if (keys.length === 0) {
+    console.warn('⚠️ No UIDAI certificate installed — Secure QR / offline e-KYC documents cannot be verified (see backend/certs/README.md)')
+  }
+  cachedKeys = keys
+  return keys
+}
+
+// ═══════════════════════════════════════════
+//  FIELD HELPERS
+// ═══════════════════════════════════════════
+
+/**
+ * UIDAI dates are DD-MM-YYYY (sometimes DD/MM/YYYY), or just YYYY when only
+ * the year of birth is known.
+ *
+ * @returns {{ dateOfBirth: string|null, yearOfBirth: number|null }} dateOfBirth as YYYY-MM-DD
+ */
+export function parseUidaiDate(value) {
+  const text = String(value || '').trim()
+  const full = text.match(/^(\d{2})[-/](\d{2})[-/](\d{4})$/)
+  if (full) return { dateOfBirth: `${full[3]}-${full[2]}-${full[1]}`, yearOfBirth: Number(full[3]) }
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})$/)
+  if (iso) return { dateOfBirth: text, yearOfBirth: Number(iso[1]) }
+  if (/^\d{4}$/.test(text)) return { dateOfBirth: null, yearOfBirth: Number(text) }
+  return { dateOfBirth: null, yearOfBirth: null }
+}
+
+/**
+ * referenceId = last 4 digits of the Aadhaar number + generation time
+ * (YYYYMMDDHHMMSSmmm, Indian Standard Time)
+ */
+function parseReferenceId(referenceId) {
+  const match = String(referenceId || '').match(/^(\d{4})(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{3})?/)
+  if (!match) return { aadhaarLast4: null, generatedAt: null }
+  const [, last4, y, mo, d, h, mi, s, ms = '000'] = match
+  const generatedAt = new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}.${ms}+05:30`)
+  return { aadhaarLast4: last4, generatedAt: isNaN(generatedAt) ? null : generatedAt.toISOString() }
+}
+
+function documentFields({ name, dob, gender, state, referenceId }) {
+  return {
+    name: name || null,
+    ...parseUidaiDate(dob),
+    gender: gender || null,
+    state: state || null,     // state / UT name from the address (stateResident claims)
+    ...parseReferenceId(referenceId)
+  }
+}
+
+// ═══════════════════════════════════════════
+//  SECURE QR
+// ═══════════════════════════════════════════
+
+/**
+ * Decode a Secure QR payload (the decimal digits read from the QR code)
+ *
+ * @param {string} qrData
+ * @returns {{ fields: Object, signedData: Buffer, signature: Buffer }}
+ * @throws if the payload is not a Secure QR
+ */
+export function decodeSecureQr(qrData) {
+  const digits = String(qrData || '').trim()
+  if (!/^\d+$/.test(digits) || digits.length < 100 || digits.length > MAX_QR_DIGITS) {
+    throw new Error('Not a Secure QR payload')
+  }
+
+  let hex = BigInt(digits).toString(16)
+  if (hex.length % 2) hex = '0' + hex
+  const bytes = gunzipSync(Buffer.from(hex, 'hex'), { maxOutputLength: MAX_XML_BYTES })
+  if (bytes.length <= QR_SIGNATURE_LENGTH) throw new Error('Secure QR payload too short')
+
+  const signedData = bytes.subarray(0, bytes.length - QR_SIGNATURE_LENGTH)
+  const signature = bytes.subarray(bytes.length - QR_SIGNATURE_LENGTH)
+
+  // Version 2 starts with "V2"; the original format starts with the email/mobile indicator
+  const prefix = signedData.subarray(0, 2).toString('latin1')
+  if (/^V\d$/.test(prefix) && prefix !== 'V2') throw new Error('Unsupported Secure QR version')
+  const names = prefix === 'V2' ? QR_FIELDS_V2 : QR_FIELDS_LEGACY
+
+  const raw = {}
+  let start = 0
+  for (const name of names) {
+    const end = signedData.indexOf(0xff, start)
+    if (end === -1) throw new Error('Secure QR payload is truncated')
+    raw[name] = signedData.subarray(start, end).toString('latin1')
+    start = end + 1
+  }
+
+  return { fields: documentFields(raw), signedData, signature }
+}
+
+function verifySecureQr({ qrData }) {
+  let decoded
+  try {
+    decoded = decodeSecureQr(qrData)
+  } catch {
+    return { valid: false, reason: 'malformed_document' }
+  }
+
+  const keys = getUidaiKeys()
+  if (keys.length === 0) return { valid: false, reason: 'uidai_certificate_missing' }
+
+  const trusted = keys.some(key =>
+    createVerify('RSA-SHA256').update(decoded.signedData).verify(key, decoded.signature))
+  if (!trusted) return { valid: false, reason: 'invalid_signature' }
+
+  return { valid: true, reason: null, evidence: EVIDENCE.SECURE_QR, fields: decoded.fields }
+}
+
+// ═══════════════════════════════════════════
+//  OFFLINE e-KYC ZIP
+// ═══════════════════════════════════════════
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+const crcUpdate = (crc, byte) => (CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)) >>> 0
+
+function crc32(bytes) {
+  let crc = 0xffffffff
+  for (const byte of bytes) crc = crcUpdate(crc, byte)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+/** Traditional PKWARE (ZipCrypto) decryption — what the UIDAI ZIP uses */
+function zipCryptoDecrypt(data, password) {
+  const keys = [0x12345678, 0x23456789, 0x34567890]
+  const update = byte => {
+    keys[0] = crcUpdate(keys[0], byte)
+    keys[1] = (keys[1] + (keys[0] & 0xff)) >>> 0
+    keys[1] = (Math.imul(keys[1], 134775813) + 1) >>> 0
+    keys[2] = crcUpdate(keys[2], keys[1] >>> 24)
+  }
+  for (const byte of Buffer.from(password, 'utf8')) update(byte)
+
+  const out = Buffer.alloc(data.length)
+  for (let i = 0; i < data.length; i++) {
+    const temp = (keys[2] | 2) & 0xffff
+    out[i] = data[i] ^ ((Math.imul(temp, temp ^ 1) >>> 8) & 0xff)
+    update(out[i])
+  }
+  return out
+}
+
+/**
+ * Read the (first) XML file from an offline e-KYC ZIP
+ *
+ * @returns {{ xml: string }|{ error: string }}
+ *   error: 'malformed_document' | 'invalid_share_code' | 'unsupported_zip_encryption'
+ */
+function readEkycZip(zip, shareCode) {
+  // End of central directory record (no archive comment expected, but allow one)
+  let eocd = -1
+  for (let i = zip.length - 22; i >= Math.max(0, zip.length - 22 - 0xffff); i--) {
+    if (zip.readUInt32LE(i) === 0x06054b50) { eocd = i; break }
+  }
+  if (eocd === -1) return { error: 'malformed_document' }
+
+  const entries = zip.readUInt16LE(eocd + 10)
+  let offset = zip.readUInt32LE(eocd + 16)
+  for (let n = 0; n < entries; n++) {
+    if (zip.readUInt32LE(offset) !== 0x02014b50) return { error: 'malformed_document' }
+    const flags = zip.readUInt16LE(offset + 8)
+    const method = zip.readUInt16LE(offset + 10)
+    const modTime = zip.readUInt16LE(offset + 12)
+    const crc = zip.readUInt32LE(offset + 16)
+    const compressedSize = zip.readUInt32LE(offset + 20)
+    const nameLength = zip.readUInt16LE(offset + 28)
+    const extraLength = zip.readUInt16LE(offset + 30)
+    const commentLength = zip.readUInt16LE(offset + 32)
+    const localOffset = zip.readUInt32LE(offset + 42)
+    const fileName = zip.subarray(offset + 46, offset + 46 + nameLength).toString('utf8')
+    offset += 46 + nameLength + extraLength + commentLength
+
+    if (!/\.xml$/i.test(fileName)) continue
+    if (method === 99) return { error: 'unsupported_zip_encryption' }   // WinZip AES
+    if (method !== 0 && method !== 8) return { error: 'malformed_document' }
+
+    if (zip.readUInt32LE(localOffset) !== 0x04034b50) return { error: 'malformed_document' }
+    const dataStart = localOffset + 30 + zip.readUInt16LE(localOffset + 26) + zip.readUInt16LE(localOffset + 28)
+    let data = zip.subarray(dataStart, dataStart + compressedSize)
+
+    if (flags & 1) {
+      if (!shareCode) return { error: 'invalid_share_code' }
+      const decrypted = zipCryptoDecrypt(data, shareCode)
+      // Last header byte is a check byte: high byte of the CRC (or of the time with a data descriptor)
+      const check = flags & 8 ? (modTime >>> 8) & 0xff : crc >>> 24
+      if (decrypted[11] !== check) return { error: 'invalid_share_code' }
+      data = decrypted.subarray(12)
+    }
+
+    let xml
+    try {
+      xml = method === 8 ? inflateRawSync(data, { maxOutputLength: MAX_XML_BYTES }) : data
+    } catch {
+      // The check byte matches 1 in 256 wrong codes — those end up here or at the CRC
+      return { error: flags & 1 ? 'invalid_share_code' : 'malformed_document' }
+    }
+    if (crc32(xml) !== crc) return { error: flags & 1 ? 'invalid_share_code' : 'malformed_document' }
+    return { xml: xml.toString('utf8') }
+  }
+  return { error: 'malformed_document' }
+}
+
+function verifyOfflineEkyc({ zipBase64, shareCode }) {
+  let read
+  try {
+    read = readEkycZip(Buffer.from(String(zipBase64 || ''), 'base64'), shareCode ? String(shareCode) : '')
+  } catch {
+    read = { error: 'malformed_document' }
+  }
+  if (read.error) return { valid: false, reason: read.error }
+
+  let root
+  try {
+    root = parseXml(read.xml)
+  } catch {
+    return { valid: false, reason: 'malformed_document' }
+  }
+  const uidData = childElements(root, 'UidData')
+  const poi = uidData.flatMap(u => childElements(u, 'Poi'))[0]
+  const poa = uidData.flatMap(u => childElements(u, 'Poa'))[0]
+  if (localName(root) !== 'OfflinePaperlessKyc' || !poi) return { valid: false, reason: 'malformed_document' }
+
+  const keys = getUidaiKeys()
+  if (keys.length === 0) return { valid: false, reason: 'uidai_certificate_missing' }
+
+  const signature = verifyEnvelopedSignature(root, keys)
+  if (!signature.valid) return { valid: false, reason: signature.reason }
+
+  return {
+    valid: true,
+    reason: null,
+    evidence: EVIDENCE.OFFLINE_EKYC,
+    fields: documentFields({
+      name: getAttribute(poi, 'name'),
+      dob: getAttribute(poi, 'dob'),
+      gender: getAttribute(poi, 'gender'),
+      state: poa ? getAttribute(poa, 'state') : null,
+      referenceId: getAttribute(root, 'referenceId')
+    })
+  }
+}
+
+// ═══════════════════════════════════════════
+//  ENTRY POINT
+// ═══════════════════════════════════════════
+
+/**
+ * Verify a UIDAI-signed Aadhaar document
+ *
+ * @param {Object} document
+ *   { type: 'secure-qr', qrData }                       — digits read from the QR code
+ *   { type: 'offline-ekyc', zipBase64, shareCode }      — the resident-portal ZIP
+ * @returns {{ valid: boolean, reason: string|null, evidence?: string,
+ *             fields?: { name, dateOfBirth, yearOfBirth, gender, aadhaarLast4, generatedAt } }}
+ *   reason: 'unsupported_document' | 'malformed_document' | 'invalid_share_code' |
+ *           'unsupported_zip_encryption' | 'signature_missing' | 'unsupported_signature_algorithm' |
+ *           'digest_mismatch' | 'invalid_signature' | 'uidai_certificate_missing'
+ */
+export function verifyAadhaarDocument(document) {
+  switch (document?.type) {
+    case 'secure-qr': return verifySecureQr(document)
+    case 'offline-ekyc': return verifyOfflineEkyc(document)
+    default: return { valid: false, reason: 'unsupported_document' }
+  }
+}
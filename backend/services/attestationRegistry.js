@@ -0,0 +1,107 @@
+/**
+ * attestationRegistry.js — Audience-Scoped Attestations + Nonce Registry
+ *
+ * Why?
+ * - A RacePass's stored attestations sign keccak256(wallet, claim, nonce) with
+ *   a timestamp nonce: no audience, no expiry. A leaked ageAbove:18 could be
+ *   shown to any relying party (or RacePassV2.verifyAttestation) forever.
+ *
+ * Relying parties get SCOPED attestations instead (crypto.js
+ * createScopedAttestation), which also sign keccak256(audience) and an
+ * expiry. Every one we issue is recorded here by nonce; verifying one marks
+ * it used, so it is accepted once, by the audience it was issued for, until
+ * it expires:
+ *
+ *   GET  /api/credentials/:address/attestations?claims=…&audience=…  → issue (presentations)
+ *   POST /api/events/register                                       → issue (audience "racepass-event:<id>")
+ *   POST /api/third-party/verify-presentation                       → consume
+ *   POST /api/third-party/verify-attestation                        → consume
+ *
+ * On-chain, RacePassV2.useScopedAttestation() keeps its own used set.
+ * Records are dropped once expired — the signature check rejects them anyway.
+ */
+
+import { getCollection } from '../storage/index.js'
+import { createScopedAttestation } from './crypto.js'
+
+export const SCOPED_ATTESTATION_TTL_SEC = 10 * 60
+const MAX_TTL_SEC = 400 * 24 * 60 * 60                // event attestations last until the event
+const MAX_AUDIENCE_LENGTH = 200
+
+// ── Store (persisted via storage/, see config/storage.js) ──
+const issued = getCollection('attestationNonces')    // nonce → { wallet, claim, audience, expiresAt, issuedAt, usedAt, usedBy }
+
+/** Is this a usable relying-party id (origin, app id, "racepass-event:<id>", ...)? */
+export function isValidAudience(audience) {
+  return typeof audience === 'string' && audience.trim() === audience && audience.length > 0 && audience.length <= MAX_AUDIENCE_LENGTH
+}
+
+/** Drop records that have expired, so the store doesn't grow forever */
+function prune(now = Date.now()) {
+  for (const [nonce, record] of issued) {
+    if (record.expiresAt * 1000 < now) issued.delete(nonce)
+  }
+}
+
+/**
+ * Record scoped attestations issued elsewhere (e.g. generateEligibilityProofs)
+ *
+ * @param {Object[]} attestations  From createScopedAttestation()
+ */
+export function recordScopedAttestations(attestations) {
+  prune()
+  const issuedAt = new Date().toISOString()
+  for (const a of attestations) {
+    issued.set(String(a.nonce), {
+      wallet: a.wallet.toLowerCase(),
+      claim: a.claim,
+      audience: a.audience,
+      expiresAt: a.expiresAt,
+      issuedAt,
+      usedAt: null,
+      usedBy: null
+    })
+  }
+}
+
+/**
+ * Issue scoped attestations for a relying party, one per claim
+ *
+ * @param {string} wallet
+ * @param {string[]} claims         Claims the RacePass holds (claims.js deriveClaim)
+ * @param {Object} scope
+ * @param {string} scope.audience
+ * @param {number} [scope.ttlSec]   default SCOPED_ATTESTATION_TTL_SEC
+ * @param {number} [scope.statusListIndex]
+ * @returns {Promise<Object[]>}
+ */
+export async function issueScopedAttestations(wallet, claims, { audience, ttlSec = SCOPED_ATTESTATION_TTL_SEC, statusListIndex = null }) {
+  const expiresAt = Math.floor(Date.now() / 1000) + Math.min(ttlSec, MAX_TTL_SEC)
+  const attestations = []
+  for (const claim of claims) {
+    attestations.push(await createScopedAttestation(wallet, claim, { audience, expiresAt, statusListIndex }))
+  }
+  recordScopedAttestations(attestations)
+  return attestations
+}
+
+/**
+ * Accept a scoped attestation once. Call after its signature, audience and
+ * expiry have been checked (presentation.js).
+ *
+ * @param {Object} attestation  { nonce, claim, audience }
+ * @param {string} wallet       Holder it was presented for
+ * @param {string} [usedBy]     Who accepted it (audience, or the verifying endpoint)
+ * @returns {null|'attestation_unknown'|'attestation_replayed'}
+ */
+export function consumeScopedAttestation(attestation, wallet, usedBy = null) {
+  const key = String(attestation?.nonce)
+  const record = issued.get(key)
+  if (!record || record.wallet !== wallet.toLowerCase() || record.claim !== attestation.claim || record.audience !== attestation.audience) {
+    return 'attestation_unknown'
+  }
+  if (record.usedAt) return 'attestation_replayed'
+
+  issued.set(key, { ...record, usedAt: new Date().toISOString(), usedBy: usedBy || record.audience })
+  return null
+}
@@ -0,0 +1,214 @@
+/**
+ * auth.js — Sign-In With Ethereum (EIP-4361) + Session Tokens
+ *
+ * Why?
+ * - Routes used to trust whatever walletAddress was in the JSON body,
+ *   so anyone could revoke someone else's RacePass or cancel their event.
+ * - Now the wallet owner proves control of the address ONCE by signing a
+ *   human-readable EIP-4361 message, and gets a short-lived session token.
+ *
+ * Flow:
+ *   1. POST /api/auth/nonce   → backend issues a one-time nonce + SIWE message
+ *   2. MetaMask personal_sign → user signs the message
+ *   3. POST /api/auth/verify  → backend checks signature, nonce, domain, expiry
+ *                               and returns a session token (HS256 JWT)
+ *   4. Every mutating call sends  Authorization: Bearer <token>
+ *      and middleware/auth.js resolves it to req.auth.walletAddress
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto'
+import { verifyMessage, getAddress } from 'ethers'
+import { getCollection } from '../storage/index.js'
+
+const NONCE_TTL_MS = 5 * 60 * 1000              // challenge must be signed within 5 minutes
+const SESSION_TTL_SEC = 24 * 60 * 60            // sessions last 24 hours
+const SIWE_STATEMENT = 'Sign in to RacePass. This request will not trigger a blockchain transaction or cost any gas fees.'
+
+// Pending challenges — short-lived, so they don't need to survive a restart
+const nonces = getCollection('authNonces', { persist: false })  // nonce → { walletAddress, domain, expiresAt }
+
+let sessionSecret = null
+
+function getSessionSecret() {
+  if (sessionSecret) return sessionSecret
+  if (process.env.SESSION_SECRET) {
+    sessionSecret = process.env.SESSION_SECRET
+  } else {
+    console.warn('⚠️ SESSION_SECRET not configured — using a random secret (sessions end when the server restarts)')
+    sessionSecret = randomBytes(32).toString('hex')
+  }
+  return sessionSecret
+}
+
+// ═══════════════════════════════════════════
+//  EIP-4361 MESSAGES
+// ═══════════════════════════════════════════
+
+/**
+ * Build an EIP-4361 message
+ *
+ * @param {Object} fields { domain, address, uri, chainId, nonce, issuedAt, expirationTime }
+ * @returns {string} The exact text the wallet signs
+ */
+export function buildSiweMessage({ domain, address, uri, chainId, nonce, issuedAt, expirationTime }) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    SIWE_STATEMENT,
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expirationTime}`
+  ].join('\n')
+}
+
+/**
+ * Parse an EIP-4361 message back into its fields
+ * @returns {Object|null} null if the message is not a valid SIWE message
+ */
+export function parseSiweMessage(message) {
+  if (typeof message !== 'string') return null
+  const lines = message.split('\n')
+
+  const header = lines[0]?.match(/^(\S+) wants you to sign in with your Ethereum account:$/)
+  if (!header || !/^0x[a-fA-F0-9]{40}$/.test(lines[1] || '')) return null
+
+  const fields = { domain: header[1], address: lines[1] }
+  const keys = {
+    'URI': 'uri',
+    'Version': 'version',
+    'Chain ID': 'chainId',
+    'Nonce': 'nonce',
+    'Issued At': 'issuedAt',
+    'Expiration Time': 'expirationTime'
+  }
+  for (const line of lines.slice(2)) {
+    const idx = line.indexOf(': ')
+    if (idx === -1) continue
+    const key = keys[line.slice(0, idx)]
+    if (key) fields[key] = line.slice(idx + 2)
+  }
+
+  if (fields.version !== '1' || !fields.nonce || !fields.uri) return null
+  return fields
+}
+
+// ═══════════════════════════════════════════
+//  CHALLENGE / VERIFY
+// ═══════════════════════════════════════════
+
+/**
+ * Issue a one-time sign-in challenge for a wallet
+ *
+ * @param {string} walletAddress
+ * @param {Object} context { domain, uri, chainId } — taken from the request origin
+ * @returns {{ nonce, message, expiresAt }}
+ */
+export function createChallenge(walletAddress, { domain, uri, chainId = 1 }) {
+  const nonce = randomBytes(16).toString('hex')
+  const now = Date.now()
+
+  // Drop abandoned challenges so the map doesn't grow forever
+  for (const [key, pending] of nonces) {
+    if (new Date(pending.expiresAt) < new Date(now)) nonces.delete(key)
+  }
+
+  const expiresAt = new Date(now + NONCE_TTL_MS).toISOString()
+
+  const message = buildSiweMessage({
+    domain,
+    address: getAddress(walletAddress),
+    uri,
+    chainId,
+    nonce,
+    issuedAt: new Date(now).toISOString(),
+    expirationTime: expiresAt
+  })
+
+  nonces.set(nonce, { walletAddress: walletAddress.toLowerCase(), domain, expiresAt })
+  return { nonce, message, expiresAt }
+}
+
+/**
+ * Verify a signed SIWE message and consume its nonce
+ *
+ * @returns {{ valid: true, walletAddress } | { valid: false, reason }}
+ */
+export function verifySignIn(message, signature) {
+  const fields = parseSiweMessage(message)
+  if (!fields) return { valid: false, reason: 'malformed_message' }
+
+  const pending = nonces.get(fields.nonce)
+  if (!pending) return { valid: false, reason: 'unknown_nonce' }
+  // One-time use, even if verification fails below
+  nonces.delete(fields.nonce)
+
+  if (new Date(pending.expiresAt) < new Date()) return { valid: false, reason: 'nonce_expired' }
+  if (fields.expirationTime && new Date(fields.expirationTime) < new Date()) {
+    return { valid: false, reason: 'message_expired' }
+  }
+  if (fields.address.toLowerCase() !== pending.walletAddress) return { valid: false, reason: 'address_mismatch' }
+  if (fields.domain !== pending.domain) return { valid: false, reason: 'domain_mismatch' }
+
+  let recovered
+  try {
+    recovered = verifyMessage(message, signature)
+  } catch {
+    return { valid: false, reason: 'invalid_signature' }
+  }
+  if (recovered.toLowerCase() !== pending.walletAddress) return { valid: false, reason: 'invalid_signature' }
+
+  return { valid: true, walletAddress: pending.walletAddress }
+}
+
+// ═══════════════════════════════════════════
+//  SESSION TOKENS (HS256 JWT)
+// ═══════════════════════════════════════════
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url')
+}
+
+function hmac(data) {
+  return createHmac('sha256', getSessionSecret()).update(data).digest('base64url')
+}
+
+/**
+ * Create a session token for a verified wallet
+ * @returns {{ token, expiresAt }}
+ */
+export function createSessionToken(walletAddress) {
+  const iat = Math.floor(Date.now() / 1000)
+  const exp = iat + SESSION_TTL_SEC
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))
+  const payload = base64url(JSON.stringify({ sub: walletAddress.toLowerCase(), iss: 'racepass', iat, exp }))
+  const token = `${header}.${payload}.${hmac(`${header}.${payload}`)}`
+  return { token, expiresAt: new Date(exp * 1000).toISOString() }
+}
+
+/**
+ * Verify a session token
+ * @returns {{ walletAddress, expiresAt } | null} null if invalid or expired
+ */
+export function verifySessionToken(token) {
+  if (typeof token !== 'string') return null
+  const [header, payload, signature] = token.split('.')
+  if (!header || !payload || !signature) return null
+
+  const expected = Buffer.from(hmac(`${header}.${payload}`))
+  const actual = Buffer.from(signature)
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'))
+    if (claims.iss !== 'racepass' || !claims.sub) return null
+    if (claims.exp * 1000 < Date.now()) return null
+    return { walletAddress: claims.sub, expiresAt: new Date(claims.exp * 1000).toISOString() }
+  } catch {
+    return null
+  }
+}
@@ -6,6 +6,7 @@
  * 2. Calling smart contract functions
  * 3. Storing fingerprints on-chain
  * 4. Reading verification status
+ * 5. Authorizing / revoking issuer keys (see keystore.js)
  * 
  * Key concepts:
  * - Provider: Read-only connection to blockchain
@@ -192,3 +193,223 @@ export async function storeOnBothChains(userAddress, fingerprint) {
   
   return results
 }
+
+/**
+ * Is RacePassV2 deployed on this chain, with a key to send transactions?
+ *
+ * @param {string} chainName - 'ethereum' or 'polygon'
+ * @returns {boolean}
+ */
+export function isContractConfigured(chainName) {
+  const config = getChainConfig(chainName)
+  const privateKey = process.env.PRIVATE_KEY
+  return !!config.contractAddress &&
+    config.contractAddress !== '0x0000000000000000000000000000000000000000' &&
+    !!privateKey && privateKey !== 'your_private_key_here_without_0x_prefix'
+}
+
+/**
+ * Authorize or revoke an issuer address on RacePassV2
+ * (authorizeIssuer / revokeIssuer are owner-only → PRIVATE_KEY must be the contract owner)
+ *
+ * @param {string} issuerAddress - Issuer key address
+ * @param {boolean} authorized - true = authorizeIssuer, false = revokeIssuer
+ * @param {string} chainName - 'ethereum' or 'polygon'
+ * @returns {Object} Transaction receipt
+ */
+export async function setIssuerAuthorization(issuerAddress, authorized, chainName) {
+  console.log(`📝 ${authorized ? 'Authorizing' : 'Revoking'} issuer ${issuerAddress} on ${chainName}...`)
+
+  const contract = getContract(chainName, true)
+  const tx = authorized
+    ? await contract.authorizeIssuer(issuerAddress)
+    : await contract.revokeIssuer(issuerAddress)
+  console.log(`   Transaction sent: ${tx.hash}`)
+
+  const receipt = await tx.wait()
+  console.log(`   ✅ Transaction confirmed in block ${receipt.blockNumber}`)
+
+  return {
+    success: true,
+    transactionHash: tx.hash,
+    blockNumber: receipt.blockNumber,
+    chain: chainName
+  }
+}
+
+/**
+ * Authorize/revoke an issuer on every chain where the contract is configured
+ *
+ * @param {string} issuerAddress - Issuer key address
+ * @param {boolean} authorized - true = authorizeIssuer, false = revokeIssuer
+ * @returns {Object} Results per chain ({ skipped: true } where not configured)
+ */
+export async function syncIssuerOnChains(issuerAddress, authorized) {
+  const results = {}
+
+  for (const chainName of Object.keys(CHAINS)) {
+    if (!isContractConfigured(chainName)) {
+      results[chainName] = { success: false, skipped: true }
+      continue
+    }
+    try {
+      results[chainName] = await setIssuerAuthorization(issuerAddress, authorized, chainName)
+    } catch (error) {
+      results[chainName] = { success: false, error: error.message }
+      console.log(`   ⚠️ Issuer ${authorized ? 'authorization' : 'revocation'} on ${chainName} failed:`, error.message)
+    }
+  }
+
+  return results
+}
+
+/**
+ * Revoke a user's credential on RacePassV2 (revokeCredential — issuer or owner)
+ *
+ * @param {string} userAddress - The user's wallet address
+ * @param {string} chainName - 'ethereum' or 'polygon'
+ * @returns {Object} Transaction receipt
+ */
+export async function revokeCredentialOnChain(userAddress, chainName) {
+  console.log(`📝 Revoking credential of ${userAddress} on ${chainName}...`)
+
+  const contract = getContract(chainName, true)
+  const tx = await contract.revokeCredential(userAddress)
+  console.log(`   Transaction sent: ${tx.hash}`)
+
+  const receipt = await tx.wait()
+  console.log(`   ✅ Transaction confirmed in block ${receipt.blockNumber}`)
+
+  return {
+    success: true,
+    transactionHash: tx.hash,
+    blockNumber: receipt.blockNumber,
+    chain: chainName
+  }
+}
+
+/**
+ * Revoke a user's credential on every chain where the contract is configured
+ *
+ * @param {string} userAddress - The user's wallet address
+ * @returns {Object} Results per chain ({ skipped: true } where not configured)
+ */
+export async function revokeOnBothChains(userAddress) {
+  const results = {}
+
+  for (const chainName of Object.keys(CHAINS)) {
+    if (!isContractConfigured(chainName)) {
+      results[chainName] = { success: false, skipped: true }
+      continue
+    }
+    try {
+      results[chainName] = await revokeCredentialOnChain(userAddress, chainName)
+    } catch (error) {
+      results[chainName] = { success: false, error: error.message }
+      console.log(`   ⚠️ Credential revocation on ${chainName} failed:`, error.message)
+    }
+  }
+
+  return results
+}
+
+/**
+ * Restore a revoked credential on RacePassV2 (restoreCredential — issuer only)
+ *
+ * @param {string} userAddress - The user's wallet address
+ * @param {string} chainName - 'ethereum' or 'polygon'
+ * @returns {Object} Transaction receipt
+ */
+export async function restoreCredentialOnChain(userAddress, chainName) {
+  console.log(`📝 Restoring credential of ${userAddress} on ${chainName}...`)
+
+  const contract = getContract(chainName, true)
+  const tx = await contract.restoreCredential(userAddress)
+  console.log(`   Transaction sent: ${tx.hash}`)
+
+  const receipt = await tx.wait()
+  console.log(`   ✅ Transaction confirmed in block ${receipt.blockNumber}`)
+
+  return {
+    success: true,
+    transactionHash: tx.hash,
+    blockNumber: receipt.blockNumber,
+    chain: chainName
+  }
+}
+
+/**
+ * Restore a user's credential on every chain where the contract is configured
+ *
+ * @param {string} userAddress - The user's wallet address
+ * @returns {Object} Results per chain ({ skipped: true } where not configured)
+ */
+export async function restoreOnBothChains(userAddress) {
+  const results = {}
+
+  for (const chainName of Object.keys(CHAINS)) {
+    if (!isContractConfigured(chainName)) {
+      results[chainName] = { success: false, skipped: true }
+      continue
+    }
+    try {
+      results[chainName] = await restoreCredentialOnChain(userAddress, chainName)
+    } catch (error) {
+      results[chainName] = { success: false, error: error.message }
+      console.log(`   ⚠️ Credential restore on ${chainName} failed:`, error.message)
+    }
+  }
+
+  return results
+}
+
+/**
+ * Anchor a revocation status list on RacePassV2 (publishStatusList — issuer only)
+ * so verifyAttestationWithStatus() accepts that version of the list
+ *
+ * @param {number} listId - Status list number (statusList.js)
+ * @param {string} listHash - keccak256 of the raw bitstring
+ * @param {string} chainName - 'ethereum' or 'polygon'
+ * @returns {Object} Transaction receipt
+ */
+export async function publishStatusListOnChain(listId, listHash, chainName) {
+  console.log(`📝 Anchoring status list ${listId} on ${chainName}...`)
+
+  const contract = getContract(chainName, true)
+  const tx = await contract.publishStatusList(listId, listHash)
+  console.log(`   Transaction sent: ${tx.hash}`)
+
+  const receipt = await tx.wait()
+  console.log(`   ✅ Transaction confirmed in block ${receipt.blockNumber}`)
+
+  return {
+    success: true,
+    transactionHash: tx.hash,
+    blockNumber: receipt.blockNumber,
+    chain: chainName
+  }
+}
+
+/**
+ * Anchor a status list on every chain where the contract is configured
+ *
+ * @returns {Object} Results per chain ({ skipped: true } where not configured)
+ */
+export async function publishStatusListOnBothChains(listId, listHash) {
+  const results = {}
+
+  for (const chainName of Object.keys(CHAINS)) {
+    if (!isContractConfigured(chainName)) {
+      results[chainName] = { success: false, skipped: true }
+      continue
+    }
+    try {
+      results[chainName] = await publishStatusListOnChain(listId, listHash, chainName)
+    } catch (error) {
+      results[chainName] = { success: false, error: error.message }
+      console.log(`   ⚠️ Status list anchor on ${chainName} failed:`, error.message)
+    }
+  }
+
+  return results
+}
@@ -0,0 +1,245 @@
+/**
+ * claims.js — Claim Registry (everything an attestation can say)
+ *
+ * Why?
+ * - Claim strings ('identityVerified', 'ageAbove:18', 'countryResident:IN')
+ *   were hardcoded and prefix-parsed in kyc.js, events.js, thirdParty.js,
+ *   crypto.js and presentation.js, so only those few could ever be issued.
+ *
+ * Every claim type is declared once here:
+ *   params        parameter types, e.g. ageBetween:<age>:<age>
+ *   derive        (context, ...params) → does this RacePass hold the claim?
+ *   minAssurance  weakest KYC assurance level it may be issued from
+ *   implies       (held params, required params) → does a held claim prove a
+ *                 requested one? ("ageAbove:21" proves "ageAbove:18")
+ *   reveals       how much it discloses — the least revealing claim that
+ *                 proves a request is the one shared
+ *   internal      issued by a dedicated flow, never on request
+ *                 (ageCommitment, guardianConsent)
+ *
+ * The context is what we know about a RacePass (kyc.js getClaimContext):
+ *   { minAge, maxAge, country, state, assuranceLevel, attendance, reputation }
+ * Ages are a range: a RacePass records only which AGE_RANGE_EDGES bracket the
+ * age fell in at KYC (the exact age stays in the holder's browser), and
+ * birthdays may have passed since.
+ *
+ * Every route validates with parseClaim / isSupportedClaim and issues with
+ * deriveClaim. STANDALONE like presentation.js: this file depends on nothing.
+ */
+
+/**
+ * How strongly the holder's identity was checked at KYC, weakest first
+ * ("assurance:<level>" claims). Levels with the same rank are equally strong:
+ * both UIDAI-signed documents count the same.
+ */
+export const ASSURANCE_LEVELS = {
+  'ocr-only': 1,           // card photo read by OCR
+  'ocr+face': 2,           // + live selfie matched to the card photo
+  'secure-qr': 3,          // UIDAI-signed Secure QR
+  'offline-ekyc': 3,       // UIDAI-signed offline e-KYC XML
+  'secure-qr+face': 4,
+  'offline-ekyc+face': 4
+}
+
+/**
+ * Is `level` at least as strong as `minimum`? (no minimum → always)
+ * Credentials issued before assurance levels count as 'ocr-only'.
+ */
+export function meetsAssurance(level, minimum) {
+  if (!minimum) return true
+  return (ASSURANCE_LEVELS[level || 'ocr-only'] || 0) >= (ASSURANCE_LEVELS[minimum] ?? Infinity)
+}
+
+// Age brackets a RacePass records instead of the age: under 13, 13–15, 16–17,
+// 18–20, 21–24, 25–64, 65+
+export const AGE_RANGE_EDGES = [13, 16, 18, 21, 25, 65]
+const MAX_AGE = 150
+
+/** The AGE_RANGE_EDGES bracket an age falls in → { min, max } (inclusive) */
+export function ageRangeFor(age) {
+  const min = AGE_RANGE_EDGES.filter(edge => edge <= age).pop() ?? 0
+  const next = AGE_RANGE_EDGES.find(edge => edge > age)
+  return { min, max: next != null ? next - 1 : MAX_AGE }
+}
+
+// Only a UIDAI-signed Aadhaar pins a RacePass to one person: a PAN, passport
+// or licence (or an OCR'd card) of the same person has a nullifier of its own
+export const UNIQUE_PERSON_ASSURANCE = 'secure-qr'
+
+/** Does a RacePass at `level` count as one person (its nullifier can't be had twice)? */
+export function isUniquePerson(level) {
+  return meetsAssurance(level, UNIQUE_PERSON_ASSURANCE)
+}
+
+// ═══════════════════════════════════════════
+//  PARAMETER TYPES
+// ═══════════════════════════════════════════
+
+const integer = (min, max) => value => {
+  if (!/^\d{1,6}$/.test(value)) return undefined
+  const n = Number(value)
+  return n >= min && n <= max ? n : undefined
+}
+
+/** text → parsed value, or undefined if invalid */
+const PARAM_TYPES = {
+  age: integer(0, 150),
+  count: integer(1, 100000),
+  score: integer(0, 100),
+  country: value => /^[A-Z]{2}$/.test(value) ? value : undefined,       // ISO 3166-1 alpha-2
+  state: value => /^[A-Z]{2}$/.test(value) ? value : undefined,         // Indian state / UT code (documents.js)
+  level: value => value in ASSURANCE_LEVELS ? value : undefined,
+  hex: value => /^0x[0-9a-fA-F]+$/.test(value) ? value : undefined,
+  address: value => /^0x[0-9a-fA-F]{40}$/.test(value) ? value.toLowerCase() : undefined
+}
+
+// ═══════════════════════════════════════════
+//  REGISTRY
+// ═══════════════════════════════════════════
+
+export const CLAIM_TYPES = {
+  identityVerified: {
+    description: 'Completed RacePass KYC',
+    params: [],
+    derive: () => true
+  },
+  ageAbove: {
+    description: 'At least N years old',
+    params: ['age'],
+    derive: (ctx, n) => ctx.minAge >= n,
+    implies: ([held], [required]) => held >= required,
+    reveals: ([n]) => n
+  },
+  ageBelow: {
+    description: 'Younger than N',
+    params: ['age'],
+    derive: (ctx, n) => ctx.maxAge < n,
+    implies: ([held], [required]) => held <= required,
+    reveals: ([n]) => 150 - n
+  },
+  ageBetween: {
+    description: 'Between A and B years old (inclusive)',
+    params: ['age', 'age'],
+    valid: (a, b) => a <= b,
+    derive: (ctx, a, b) => ctx.minAge >= a && ctx.maxAge <= b,
+    implies: ([heldA, heldB], [a, b]) => heldA >= a && heldB <= b,
+    reveals: ([a, b]) => 150 - (b - a)
+  },
+  countryResident: {
+    description: 'Identity document issued by / nationality of country CC',
+    params: ['country'],
+    derive: (ctx, cc) => ctx.country === cc
+  },
+  stateResident: {
+    description: 'Identity document places the holder in Indian state / UT XX',
+    params: ['state'],
+    minAssurance: 'ocr+face',
+    derive: (ctx, state) => ctx.country === 'IN' && ctx.state === state
+  },
+  attendedAtLeast: {
+    description: 'Checked in at N or more RacePass events',
+    params: ['count'],
+    derive: (ctx, n) => ctx.attendance >= n,
+    implies: ([held], [required]) => held >= required,
+    reveals: ([n]) => n
+  },
+  reputationAbove: {
+    description: 'Reputation score of at least N (0–100)',
+    params: ['score'],
+    derive: (ctx, n) => ctx.reputation >= n,
+    implies: ([held], [required]) => held >= required,
+    reveals: ([n]) => n
+  },
+  assurance: {
+    description: 'Identity checked at least this strongly at KYC',
+    params: ['level'],
+    derive: (ctx, level) => meetsAssurance(ctx.assuranceLevel, level),
+    implies: ([held], [required]) => meetsAssurance(held, required),
+    reveals: ([level]) => ASSURANCE_LEVELS[level]
+  },
+  ageCommitment: {
+    description: 'Binds the Pedersen age commitment to the wallet (zkp.js)',
+    params: ['hex'],
+    internal: true
+  },
+  guardianConsent: {
+    description: 'An adult RacePass holder co-signed this minor\'s RacePass (guardians.js)',
+    params: ['address'],
+    internal: true
+  }
+}
+
+/**
+ * Parse and validate a claim string
+ *
+ * @returns {{ type: string, params: Array, definition: Object }|null} null if not a valid claim
+ */
+export function parseClaim(claim) {
+  if (typeof claim !== 'string' || claim.length > 200) return null
+  const [type, ...raw] = claim.split(':')
+  const definition = Object.hasOwn(CLAIM_TYPES, type) ? CLAIM_TYPES[type] : null
+  if (!definition || raw.length !== definition.params.length) return null
+
+  const params = raw.map((value, i) => PARAM_TYPES[definition.params[i]](value))
+  if (params.some(p => p === undefined)) return null
+  if (definition.valid && !definition.valid(...params)) return null
+  return { type, params, definition }
+}
+
+/** Build a claim string, e.g. formatClaim('ageAbove', 18) → 'ageAbove:18' */
+export function formatClaim(type, ...params) {
+  return [type, ...params].join(':')
+}
+
+/** Can a relying party ask for this claim? */
+export function isSupportedClaim(claim) {
+  const parsed = parseClaim(claim)
+  return !!parsed && !parsed.definition.internal
+}
+
+/** Claim types a relying party can ask for, e.g. { claim: 'ageBetween:<age>:<age>', description } */
+export function listClaimTypes() {
+  return Object.entries(CLAIM_TYPES)
+    .filter(([, definition]) => !definition.internal)
+    .map(([type, definition]) => ({
+      claim: formatClaim(type, ...definition.params.map(param => `<${param}>`)),
+      description: definition.description,
+      minAssurance: definition.minAssurance || null
+    }))
+}
+
+/**
+ * Does a held claim satisfy a requested one?
+ * Same claim, or a stronger one of the same type ("ageAbove:21" → "ageAbove:18",
+ * "ageBetween:20:25" → "ageBetween:18:30", "assurance:secure-qr+face" → "assurance:ocr+face").
+ */
+export function satisfiesClaim(held, required) {
+  if (held === required) return true
+  const h = parseClaim(held)
+  const r = parseClaim(required)
+  if (!h || !r || h.type !== r.type || !h.definition.implies) return false
+  return h.definition.implies(h.params, r.params)
+}
+
+/** How much a claim discloses (higher = more), for picking the least revealing one */
+export function claimReveals(claim) {
+  const parsed = parseClaim(claim)
+  return parsed?.definition.reveals?.(parsed.params) ?? 0
+}
+
+/**
+ * Can this RacePass be issued the claim?
+ *
+ * @param {string} claim
+ * @param {Object} context  From kyc.js getClaimContext()
+ * @returns {{ holds: boolean, reason: null|'unsupported_claim'|'assurance_too_low'|'claim_not_held' }}
+ */
+export function deriveClaim(claim, context) {
+  const parsed = parseClaim(claim)
+  if (!parsed || parsed.definition.internal) return { holds: false, reason: 'unsupported_claim' }
+  const { definition, params } = parsed
+  if (!meetsAssurance(context.assuranceLevel, definition.minAssurance)) return { holds: false, reason: 'assurance_too_low' }
+  return definition.derive(context, ...params)
+    ? { holds: true, reason: null }
+    : { holds: false, reason: 'claim_not_held' }
+}
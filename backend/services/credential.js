@@ -1,129 +1,464 @@
 /**
  * credential.js - Digital Credential Service
- * 
+ *
  * What is a Verifiable Credential?
  * - A digital document that proves something about you
  * - Like a driver's license, but digital
  * - Can be verified using cryptography
- * 
- * Our credential structure:
+ *
+ * We issue credentials in the W3C Verifiable Credentials Data Model (v1.1)
+ * so any standard VC verifier can check them — not just RacePass:
  * {
- *   id: "unique-id",
- *   type: "RacePassCredential",
- *   issuer: "RacePass",
- *   issuanceDate: "2024-01-01",
- *   subject: {
- *     walletAddress: "0x...",
- *     verified: true
- *   },
- *   proof: {
- *     type: "sha256",
- *     hash: "0x..."
- *   }
+ *   "@context": ["https://www.w3.org/2018/credentials/v1", ...],
+ *   id: "urn:uuid:...",
+ *   type: ["VerifiableCredential", "RacePassCredential"],
+ *   issuer: { id: "did:racepass:issuer", name: "RacePass Identity Service" },
+ *   issuanceDate, expirationDate,
+ *   credentialSubject: { id: "did:ethr:0x...", walletAddress, verification: {...} },
+ *   credentialStatus: { type: "StatusList2021Entry", statusListIndex, statusListCredential },
+ *   proof: { type: "EthereumEip712Signature2021", proofValue: "0x...", eip712: {...} }
  * }
+ *
+ * credentialStatus points into the issuer's published revocation list
+ * (statusList.js) — the list itself is a StatusList2021Credential signed the
+ * same way.
+ *
+ * Three proof formats, all signed by the issuer wallet from crypto.js:
+ * 1. JSON-LD + EthereumEip712Signature2021 (EIP-712 typed-data signature)
+ *    → verifiable by anyone with ethers.verifyTypedData() / MetaMask tooling
+ * 2. VC-JWT with alg ES256K (secp256k1 JWS)
+ *    → for partners whose verifiers only speak JWT
+ * 3. SD-JWT VC (selective disclosure, see sdJwt.js) — issued in batches to a
+ *    holder key in the browser, which reveals field by field
+ *
+ * The issuer's keys (one per kid, see keystore.js) are published in the DID
+ * document for did:racepass:issuer (GET /api/credentials/did/did:racepass:issuer).
  */
 
 import { v4 as uuidv4 } from 'uuid'
 import { createHash } from 'crypto'
+import { verifyTypedData, SigningKey, Signature, computeAddress, getBytes } from 'ethers'
+import { isAuthorizedIssuer } from './crypto.js'
+import { getSigningKey, getPublishedKeys } from './keystore.js'
+import { createSdJwt } from './sdJwt.js'
+
+export const ISSUER_DID = 'did:racepass:issuer'
+export const ISSUER_NAME = 'RacePass Identity Service'
+// verificationMethod ids in the DID document — one pair per issuer key (kid from keystore.js)
+export const eip712KeyId = kid => `${ISSUER_DID}#eip712-${kid}`
+export const jwsKeyId = kid => `${ISSUER_DID}#jws-${kid}`
+
+const VC_CONTEXT = [
+  'https://www.w3.org/2018/credentials/v1',
+  'https://w3id.org/security/suites/eip712sig-2021/v1'
+]
+export const STATUS_LIST_CONTEXT = 'https://w3id.org/vc/status-list/2021/v1'
+
+// ═══════════════════════════════════════════
+//  EIP-712 TYPES
+// ═══════════════════════════════════════════
+
+/**
+ * Typed-data domain + types for RacePass credentials.
+ * Every field of the credential (except proof) must appear here —
+ * verifyCredential() rejects fields the signature does not cover.
+ */
+export const CREDENTIAL_EIP712 = {
+  domain: { name: 'RacePass', version: '1', chainId: 1 },
+  primaryType: 'VerifiableCredential',
+  types: {
+    VerifiableCredential: [
+      { name: '@context', type: 'string[]' },
+      { name: 'id', type: 'string' },
+      { name: 'type', type: 'string[]' },
+      { name: 'issuer', type: 'Issuer' },
+      { name: 'issuanceDate', type: 'string' },
+      { name: 'expirationDate', type: 'string' },
+      { name: 'credentialSubject', type: 'CredentialSubject' },
+      { name: 'credentialStatus', type: 'CredentialStatus' }
+    ],
+    Issuer: [
+      { name: 'id', type: 'string' },
+      { name: 'name', type: 'string' }
+    ],
+    CredentialStatus: [
+      { name: 'id', type: 'string' },
+      { name: 'type', type: 'string' },
+      { name: 'statusPurpose', type: 'string' },
+      { name: 'statusListIndex', type: 'string' },
+      { name: 'statusListCredential', type: 'string' }
+    ],
+    CredentialSubject: [
+      { name: 'id', type: 'string' },
+      { name: 'walletAddress', type: 'string' },
+      { name: 'verification', type: 'Verification' }
+    ],
+    Verification: [
+      { name: 'type', type: 'string' },
+      { name: 'status', type: 'string' },
+      { name: 'verifiedAt', type: 'string' },
+      { name: 'assuranceLevel', type: 'string' }
+    ]
+  }
+}
+
+/** Typed-data types for the issuer's StatusList2021Credential (same domain) */
+export const STATUS_LIST_EIP712_TYPES = {
+  VerifiableCredential: [
+    ...CREDENTIAL_EIP712.types.VerifiableCredential.filter(f => f.name !== 'credentialSubject' && f.name !== 'credentialStatus'),
+    { name: 'credentialSubject', type: 'StatusList' }
+  ],
+  Issuer: CREDENTIAL_EIP712.types.Issuer,
+  StatusList: [
+    { name: 'id', type: 'string' },
+    { name: 'type', type: 'string' },
+    { name: 'statusPurpose', type: 'string' },
+    { name: 'encodedList', type: 'string' }
+  ]
+}
+
+/**
+ * Types to sign / verify a credential with. Credentials issued before
+ * assurance levels have no verification.assuranceLevel, and those issued
+ * before status lists no credentialStatus — they keep the old types so
+ * their signatures still check out.
+ */
+export function eip712TypesFor(credential) {
+  if (credential?.type?.includes?.('StatusList2021Credential')) return STATUS_LIST_EIP712_TYPES
+
+  const types = { ...CREDENTIAL_EIP712.types }
+  if (credential?.credentialSubject?.verification?.assuranceLevel === undefined) {
+    types.Verification = types.Verification.filter(f => f.name !== 'assuranceLevel')
+  }
+  if (credential?.credentialStatus === undefined) {
+    // ethers rejects typed data with unused types
+    types.VerifiableCredential = types.VerifiableCredential.filter(f => f.name !== 'credentialStatus')
+    delete types.CredentialStatus
+  }
+  return types
+}
 
 /**
  * Create a digital credential for a verified user
- * 
+ *
  * @param {string} walletAddress - User's wallet address
  * @param {Object} kycData - The KYC data (NOT stored, just used to create credential)
- * @returns {Object} The credential object
+ * @param {Object} [options]
+ * @param {string} [options.assuranceLevel] - How the KYC was backed (see claims.js ASSURANCE_LEVELS)
+ * @param {Object} [options.credentialStatus] - Status list entry (statusList.js statusEntry())
+ * @returns {Object} The credential object (unsigned)
  */
-export function createCredential(walletAddress, kycData) {
+export function createCredential(walletAddress, kycData, { assuranceLevel = 'ocr-only', credentialStatus = null } = {}) {
   // Create credential
   const credential = {
+    '@context': credentialStatus ? [...VC_CONTEXT, STATUS_LIST_CONTEXT] : VC_CONTEXT,
+
     // Unique identifier
-    id: `racepass:${uuidv4()}`,
-    
+    id: `urn:uuid:${uuidv4()}`,
+
     // Type of credential
     type: ['VerifiableCredential', 'RacePassCredential'],
-    
+
     // Who issued it
     issuer: {
-      id: 'did:racepass:issuer',
-      name: 'RacePass Identity Service'
+      id: ISSUER_DID,
+      name: ISSUER_NAME
     },
-    
+
     // When it was issued
     issuanceDate: new Date().toISOString(),
-    
+
     // When it expires (1 year from now)
     expirationDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString(),
-    
+
     // The subject (what the credential is about)
     credentialSubject: {
       // The wallet this credential belongs to
       id: `did:ethr:${walletAddress}`,
       walletAddress: walletAddress,
-      
+
       // What we're attesting
       verification: {
         type: 'KYC',
         status: 'verified',
-        verifiedAt: new Date().toISOString()
+        verifiedAt: new Date().toISOString(),
+        assuranceLevel
       }
-    }
+    },
+
+    // Where verifiers check whether it has been revoked
+    ...(credentialStatus && { credentialStatus })
   }
-  
+
   // Note: We DON'T include personal data (name, Aadhaar) in the credential!
   // The KYC data is only used to verify, then discarded
-  
+
   return credential
 }
 
 /**
- * Sign a credential
+ * Bring credentials issued before the W3C format up to the current shape
+ * (adds @context) so they can be re-signed. The id/dates are kept as-is.
+ * Pass credentialStatus to add (or replace) the status list entry.
+ */
+export function normalizeCredential(credential, credentialStatus = null) {
+  const { proof: _, ...body } = credential
+  const normalized = { '@context': VC_CONTEXT, ...body }
+  if (!credentialStatus) return normalized
+  return {
+    ...normalized,
+    '@context': [...new Set([...normalized['@context'], STATUS_LIST_CONTEXT])],
+    credentialStatus
+  }
+}
+
+// ═══════════════════════════════════════════
+//  EIP-712 PROOF (JSON-LD credential)
+// ═══════════════════════════════════════════
+
+/**
+ * Sign a credential with an EthereumEip712Signature2021 proof
  * This proves the credential was issued by us
- * 
- * @param {Object} credential - The credential to sign
- * @returns {Object} Credential with proof
+ *
+ * @param {Object} credential - The credential to sign (no proof)
+ * @returns {Promise<Object>} Credential with proof
  */
-export function signCredential(credential) {
-  const secret = process.env.CREDENTIAL_SECRET || 'default-secret'
-  
-  // Create a hash of the credential + secret
-  const credentialString = JSON.stringify(credential)
-  const signature = createHash('sha256')
-    .update(credentialString + secret)
-    .digest('hex')
-  
-  // Add proof to credential
+export async function signCredential(credential) {
+  const { kid, wallet: issuer } = getSigningKey()
+  const { domain, primaryType } = CREDENTIAL_EIP712
+  const types = eip712TypesFor(credential)
+
+  const proofValue = await issuer.signTypedData(domain, types, credential)
+
   return {
     ...credential,
     proof: {
-      type: 'Sha256Signature',
+      type: 'EthereumEip712Signature2021',
       created: new Date().toISOString(),
-      proofValue: signature
+      proofPurpose: 'assertionMethod',
+      verificationMethod: eip712KeyId(kid),
+      proofValue,
+      eip712: { domain, types, primaryType }
     }
   }
 }
 
+/** Every key in `value` must be a declared field of `typeName` (recursively) */
+function coveredBySignature(value, typeName, types) {
+  const fields = types[typeName]
+  if (!fields) return true // primitive / array of primitives
+  if (!value || typeof value !== 'object') return false
+  const declared = new Map(fields.map(f => [f.name, f.type]))
+  return Object.keys(value).every(key =>
+    declared.has(key) && coveredBySignature(value[key], declared.get(key), types)
+  )
+}
+
 /**
- * Verify a credential's signature
- * 
+ * Verify a credential's EIP-712 proof
+ *
  * @param {Object} credential - The credential to verify
- * @returns {boolean} True if valid
+ * @returns {{ valid: boolean, signer: string|null, reason: string|null }}
+ *   reason: 'proof_missing' | 'unsupported_proof' | 'unsigned_fields' | 'signature_invalid'
+ *         | 'issuer_not_authorized' | 'expired'
  */
 export function verifyCredential(credential) {
-  const secret = process.env.CREDENTIAL_SECRET || 'default-secret'
-  
   // Get the proof
-  const proof = credential.proof
-  if (!proof) return false
-  
-  // Recreate the credential without proof
-  const { proof: _, ...credentialWithoutProof } = credential
-  
-  // Create hash
-  const credentialString = JSON.stringify(credentialWithoutProof)
-  const expectedSignature = createHash('sha256')
-    .update(credentialString + secret)
-    .digest('hex')
-  
-  // Compare
-  return proof.proofValue === expectedSignature
+  const proof = credential?.proof
+  if (!proof) return { valid: false, signer: null, reason: 'proof_missing' }
+  if (proof.type !== 'EthereumEip712Signature2021') {
+    return { valid: false, signer: null, reason: 'unsupported_proof' }
+  }
+
+  // Recreate the credential without proof — always against OUR types,
+  // so a tampered proof.eip712 can't redefine what was signed
+  const { proof: _, ...document } = credential
+  const { domain, primaryType } = CREDENTIAL_EIP712
+  const types = eip712TypesFor(document)
+  if (!coveredBySignature(document, primaryType, types)) {
+    return { valid: false, signer: null, reason: 'unsigned_fields' }
+  }
+
+  let signer
+  try {
+    signer = verifyTypedData(domain, types, document, proof.proofValue)
+  } catch {
+    return { valid: false, signer: null, reason: 'signature_invalid' }
+  }
+  if (!isAuthorizedIssuer(signer)) return { valid: false, signer, reason: 'issuer_not_authorized' }
+  if (document.expirationDate && new Date(document.expirationDate) < new Date()) {
+    return { valid: false, signer, reason: 'expired' }
+  }
+
+  return { valid: true, signer, reason: null }
+}
+
+// ═══════════════════════════════════════════
+//  VC-JWT (JWS, alg ES256K)
+// ═══════════════════════════════════════════
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url')
+}
+
+function jwsDigest(signingInput) {
+  return '0x' + createHash('sha256').update(signingInput).digest('hex')
+}
+
+/**
+ * Encode a credential as a VC-JWT (VC Data Model 1.1 §6.3.1)
+ * Signature: ES256K = secp256k1 ECDSA over SHA-256(header.payload), r||s
+ *
+ * @param {Object} credential - The credential (proof is dropped; the JWS is the proof)
+ * @returns {string} compact JWS
+ */
+export function credentialToJwt(credential) {
+  const { kid, wallet: issuer } = getSigningKey()
+  const { proof: _, ...vc } = credential
+
+  const header = { alg: 'ES256K', typ: 'JWT', kid: jwsKeyId(kid) }
+  const payload = {
+    iss: ISSUER_DID,
+    sub: vc.credentialSubject.id,
+    jti: vc.id,
+    nbf: Math.floor(new Date(vc.issuanceDate).getTime() / 1000),
+    exp: Math.floor(new Date(vc.expirationDate).getTime() / 1000),
+    vc
+  }
+
+  const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`
+  const sig = issuer.signingKey.sign(jwsDigest(signingInput))
+  const rs = Buffer.concat([getBytes(sig.r), getBytes(sig.s)])
+  return `${signingInput}.${rs.toString('base64url')}`
+}
+
+/**
+ * Verify a VC-JWT issued by credentialToJwt()
+ *
+ * ES256K signatures carry no recovery id, so try both and accept if
+ * either recovers an authorized issuer address.
+ *
+ * @returns {{ valid: boolean, credential: Object|null, signer: string|null, reason: string|null }}
+ *   reason: 'malformed_jwt' | 'unsupported_alg' | 'signature_invalid' | 'issuer_not_authorized' | 'expired'
+ */
+export function verifyCredentialJwt(jwt) {
+  const fail = (reason, extra = {}) => ({ valid: false, credential: null, signer: null, reason, ...extra })
+
+  const parts = typeof jwt === 'string' ? jwt.split('.') : []
+  if (parts.length !== 3) return fail('malformed_jwt')
+
+  let header, payload
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'))
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'))
+  } catch {
+    return fail('malformed_jwt')
+  }
+  if (header.alg !== 'ES256K') return fail('unsupported_alg')
+
+  const rs = Buffer.from(parts[2], 'base64url')
+  if (rs.length !== 64) return fail('signature_invalid')
+  const digest = jwsDigest(`${parts[0]}.${parts[1]}`)
+  const r = '0x' + rs.subarray(0, 32).toString('hex')
+  const s = '0x' + rs.subarray(32).toString('hex')
+
+  let signer = null
+  for (const v of [27, 28]) {
+    try {
+      const candidate = computeAddress(SigningKey.recoverPublicKey(digest, Signature.from({ r, s, v })))
+      if (isAuthorizedIssuer(candidate)) { signer = candidate; break }
+    } catch { /* try the other recovery id */ }
+  }
+  if (!signer) return fail('issuer_not_authorized')
+
+  if (payload.exp && payload.exp * 1000 < Date.now()) return fail('expired', { signer })
+
+  return { valid: true, credential: payload.vc || null, signer, reason: null }
+}
+
+// ═══════════════════════════════════════════
+//  SD-JWT VC (selective disclosure)
+// ═══════════════════════════════════════════
+
+export const SD_JWT_VCT = 'urn:racepass:vct:identity:1'
+
+/**
+ * Sign one SD-JWT VC copy for a holder key. Every field of `fields` is
+ * selectively disclosable — and so is each key of a nested object
+ * (age_equal_or_over.18). Times are whole days, so copies issued the same
+ * day to different holders look alike.
+ *
+ * @param {Object} fields            { walletAddress, identityVerified, country, age_equal_or_over: {...}, ... }
+ * @param {Object} opts
+ * @param {Object} opts.holderJwk    secp256k1 public JWK the holder proves possession of (cnf)
+ * @param {Date} opts.validUntil
+ * @param {Object} [opts.credentialStatus]  this copy's own status list entry (statusList.js)
+ * @returns {string} SD-JWT with every disclosure attached
+ */
+export function createSdJwtCredential(fields, { holderJwk, validUntil, credentialStatus = null }) {
+  const { kid, wallet: issuer } = getSigningKey()
+  const day = 24 * 60 * 60
+  const iat = Math.floor(Date.now() / 1000 / day) * day
+  const payload = {
+    iss: ISSUER_DID,
+    iat,
+    exp: Math.floor(validUntil.getTime() / 1000 / day) * day,
+    vct: SD_JWT_VCT,
+    cnf: { jwk: holderJwk },
+    ...(credentialStatus && { credentialStatus }),
+    ...fields
+  }
+  const disclose = Object.entries(fields).flatMap(([name, value]) =>
+    value && typeof value === 'object' ? Object.keys(value).map(key => `${name}.${key}`) : [name]
+  )
+  return createSdJwt(payload, { disclose, signingKey: issuer.signingKey, kid: jwsKeyId(kid) })
+}
+
+// ═══════════════════════════════════════════
+//  DID DOCUMENT
+// ═══════════════════════════════════════════
+
+/**
+ * DID document for did:racepass:issuer
+ * Publishes every issuer key that is still accepted (active + grace period,
+ * see keystore.js) both as an Ethereum address (for EIP-712 proofs) and as
+ * a secp256k1 JWK (for VC-JWT verifiers). Retired keys are dropped.
+ */
+export function getIssuerDidDocument() {
+  const keys = getPublishedKeys()
+  const verificationMethod = keys.flatMap(({ kid, address, publicKey }) => {
+    const point = getBytes(publicKey) // 0x04 || x || y
+    return [
+      {
+        id: eip712KeyId(kid),
+        type: 'EcdsaSecp256k1RecoveryMethod2020',
+        controller: ISSUER_DID,
+        blockchainAccountId: `eip155:${CREDENTIAL_EIP712.domain.chainId}:${address}`
+      },
+      {
+        id: jwsKeyId(kid),
+        type: 'JsonWebKey2020',
+        controller: ISSUER_DID,
+        publicKeyJwk: {
+          kty: 'EC',
+          crv: 'secp256k1',
+          kid,
+          x: Buffer.from(point.slice(1, 33)).toString('base64url'),
+          y: Buffer.from(point.slice(33, 65)).toString('base64url')
+        }
+      }
+    ]
+  })
+
+  return {
+    '@context': [
+      'https://www.w3.org/ns/did/v1',
+      'https://w3id.org/security/suites/secp256k1recovery-2020/v2',
+      'https://w3id.org/security/suites/jws-2020/v1'
+    ],
+    id: ISSUER_DID,
+    verificationMethod,
+    assertionMethod: verificationMethod.map(m => m.id),
+    authentication: keys.filter(k => k.primary).map(k => eip712KeyId(k.kid))
+  }
 }
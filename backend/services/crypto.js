@@ -13,17 +13,21 @@
  * Instead, we use a cryptographically sound alternative:
  *
  * 1) SIGNED ATTESTATIONS (ECDSA)
- *    - The issuer (backend) signs: sign(keccak256(wallet, claim, nonce), PRIVATE_KEY)
+ *    - The issuer (backend) signs: sign(keccak256(wallet, claim, nonce), issuer key)
  *    - Anyone can verify: ecrecover(signature) == issuer address
  *    - The CLAIM is boolean ("ageAbove:18") — no raw data in the signature
  *    - The smart contract's verifyAttestation() confirms the signer is authorized
  *    - This IS real cryptography — ECDSA signatures are unforgeable without the key
+ *    - SCOPED attestations (for relying parties) also sign keccak256(audience)
+ *      and an expiry, and their nonce is tracked (attestationRegistry.js), so
+ *      a leaked one can't be replayed elsewhere or later
  *
- * 2) COMMITMENT SCHEME (Poseidon-style)
- *    - At KYC time: commitment = keccak256(age + secret)
- *    - To prove "age ≥ 18": reveal that commitment was computed from age ≥ 18
+ * 2) COMMITMENT SCHEME (hash commitments)
+ *    - commitment = keccak256(value + secret) — used for the identity commitment
  *    - The secret prevents brute-force reversal
  *    - Stored on-chain as part of the fingerprint
+ *    - Age uses a Pedersen commitment instead, so it can be used in a real
+ *      zero-knowledge range proof (age ≥ minAge) — see zkp.js
  *
  * 3) MERKLE PROOFS (Reputation)
  *    - Attendance leaves: keccak256(wallet, eventId)
@@ -35,35 +39,63 @@
  *    - ticketHash = keccak256(wallet, eventId, timestamp, nonce)
  *    - Issuer signs ticketHash with ECDSA
  *    - At entry: signature verified on-chain → unforgeable without issuer key
+ *
+ * 5) SIGNED QR PAYLOADS
+ *    - The QR encodes { ticketHash, eventId, wallet, validity window } + issuer signature
+ *    - Gate scanners verify it offline with just the issuer address
  * ═══════════════════════════════════════════════════════════════
  */
 
-import { Wallet, keccak256, toUtf8Bytes, getBytes, solidityPacked, AbiCoder, getAddress } from 'ethers'
+import { keccak256, toUtf8Bytes, getBytes, solidityPacked, AbiCoder, getAddress, verifyMessage, hexlify, randomBytes } from 'ethers'
+import { initKeystore, getSigningKey, getTrustedKeyAddresses } from './keystore.js'
+import { attestationNonce, attestationMessageHash } from './presentation.js'
+import { formatClaim } from './claims.js'
 
-// ── Issuer wallet (same PRIVATE_KEY used for blockchain transactions) ──
-let issuerWallet = null
+// ── Issuer keys live in the keystore (keystore.js): several keys with key IDs,
+//    rotation and grace periods. Everything here signs with the PRIMARY key. ──
 
 /**
- * Initialize the issuer wallet from env
+ * Initialize the issuer keystore (imports PRIVATE_KEY on first start)
  * Must be called once at server startup
  */
 export function initIssuerWallet() {
-  const pk = process.env.PRIVATE_KEY
-  if (!pk || pk === 'your_private_key_here_without_0x_prefix') {
-    console.warn('⚠️ PRIVATE_KEY not configured — crypto proofs will use demo key')
-    // Use a deterministic demo key (DO NOT use in production)
-    // This is a well-known test private key — only for local development/demo
-    issuerWallet = new Wallet('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80')
-    return
-  }
-  const key = pk.startsWith('0x') ? pk : `0x${pk}`
-  issuerWallet = new Wallet(key)
-  console.log(`🔐 Crypto issuer initialized: ${issuerWallet.address}`)
+  initKeystore()
 }
 
+/** Address of the key that signs new proofs */
 export function getIssuerAddress() {
-  if (!issuerWallet) initIssuerWallet()
-  return issuerWallet.address
+  return getSigningKey().address
+}
+
+/** Key ID of the key that signs new proofs (e.g. "key-2") */
+export function getIssuerKeyId() {
+  return getSigningKey().kid
+}
+
+/**
+ * The current issuer wallet itself — for other services that sign as the issuer
+ * (e.g. W3C credential proofs in credential.js). Never send it anywhere.
+ */
+export function getIssuerSigner() {
+  return getSigningKey().wallet
+}
+
+/**
+ * All addresses whose signatures we accept:
+ * our active + grace-period keys (keystore.js) + any extra keys listed in
+ * AUTHORIZED_ISSUERS (comma-separated)
+ */
+export function getAuthorizedIssuers() {
+  const extra = (process.env.AUTHORIZED_ISSUERS || '')
+    .split(',')
+    .map(a => a.trim())
+    .filter(a => /^0x[a-fA-F0-9]{40}$/.test(a))
+  return [...getTrustedKeyAddresses(), ...extra]
+}
+
+export function isAuthorizedIssuer(address) {
+  if (!address) return false
+  return getAuthorizedIssuers().some(a => a.toLowerCase() === address.toLowerCase())
 }
 
 // ═══════════════════════════════════════════
@@ -82,18 +114,24 @@ export function getIssuerAddress() {
  * The signature proves the ISSUER attests this claim,
  * without revealing any underlying data (DOB, name, Aadhaar).
  *
+ * With a statusListIndex (the RacePass's entry in the revocation status list,
+ * see statusList.js) the index goes into the high bits of the nonce, so
+ * verifiers can check the list without asking us.
+ *
  * @param {string} wallet    0x address
  * @param {string} claim     claim string e.g. "ageAbove:18"
  * @param {number} nonce     unique nonce (timestamp-based for demo)
- * @returns {{ claimHash, nonce, signature, v, r, s, issuer }}
+ * @param {Object} [options]
+ * @param {number} [options.statusListIndex]
+ * @returns {{ claimHash, nonce, signature, v, r, s, issuer, kid }}
  */
-export async function createSignedAttestation(wallet, claim, nonce = null) {
-  if (!issuerWallet) initIssuerWallet()
+export async function createSignedAttestation(wallet, claim, nonce = null, { statusListIndex = null } = {}) {
+  const { kid, wallet: issuerWallet } = getSigningKey()
 
   // Normalize to checksummed address (ethers v6 is strict)
   const checksumWallet = getAddress(wallet)
 
-  nonce = nonce ?? Date.now()
+  nonce = attestationNonce(nonce ?? Date.now(), statusListIndex)
   const claimHash = keccak256(toUtf8Bytes(claim))
 
   // Pack: wallet (address) + claimHash (bytes32) + nonce (uint256)
@@ -104,50 +142,96 @@ export async function createSignedAttestation(wallet, claim, nonce = null) {
     )
   )
 
-  // ECDSA sign (ethers adds \x19Ethereum Signed Message:\n32 prefix)
-  const signature = await issuerWallet.signMessage(getBytes(messageHash))
-
-  // Split signature into v, r, s (for smart contract)
-  const r = '0x' + signature.slice(2, 66)
-  const s = '0x' + signature.slice(66, 130)
-  const v = parseInt(signature.slice(130, 132), 16)
-
   return {
     wallet,
     claim,
     claimHash,
     nonce,
-    signature,
-    v,
-    r,
-    s,
+    ...await signAttestationHash(issuerWallet, messageHash),
+    issuer: issuerWallet.address,
+    kid,
+    messageHash,
+    createdAt: new Date().toISOString()
+  }
+}
+
+/**
+ * Create an attestation that is only valid for one relying party, until it expires.
+ * Signs keccak256(wallet, claimHash, nonce, keccak256(audience), expiresAt) —
+ * RacePassV2.verifyScopedAttestation(). Use attestationRegistry.js to issue
+ * these, so the nonce is recorded and can only be used once.
+ *
+ * @param {string} wallet
+ * @param {string} claim
+ * @param {Object} options
+ * @param {string} options.audience          relying party id / origin
+ * @param {number} options.expiresAt         unix time (seconds)
+ * @param {bigint} [options.nonce]          < 2^64 (default: random)
+ * @param {number} [options.statusListIndex]
+ * @returns {{ claimHash, nonce, audience, audienceHash, expiresAt, signature, v, r, s, issuer, kid }}
+ */
+export async function createScopedAttestation(wallet, claim, {
+  audience, expiresAt, nonce = BigInt(hexlify(randomBytes(8))), statusListIndex = null
+}) {
+  const { kid, wallet: issuerWallet } = getSigningKey()
+
+  const attestation = { claim, nonce: attestationNonce(nonce, statusListIndex).toString(), audience, expiresAt }
+  const messageHash = attestationMessageHash(wallet, attestation)
+
+  return {
+    wallet,
+    ...attestation,
+    claimHash: keccak256(toUtf8Bytes(claim)),
+    audienceHash: keccak256(toUtf8Bytes(audience)),
+    ...await signAttestationHash(issuerWallet, messageHash),
     issuer: issuerWallet.address,
+    kid,
     messageHash,
     createdAt: new Date().toISOString()
   }
 }
 
+/** ECDSA-sign an attestation hash, split into v, r, s for the smart contract */
+async function signAttestationHash(issuerWallet, messageHash) {
+  // ethers adds the \x19Ethereum Signed Message:\n32 prefix
+  const signature = await issuerWallet.signMessage(getBytes(messageHash))
+  return {
+    signature,
+    r: '0x' + signature.slice(2, 66),
+    s: '0x' + signature.slice(66, 130),
+    v: parseInt(signature.slice(130, 132), 16)
+  }
+}
+
 /**
  * Generate all applicable attestations for a user based on their credential.
  * Returns ONLY boolean claims — never raw data.
  *
  * @param {string} wallet
- * @param {Object} credentialData  { age, isAdult, ageCategory, ... }
- * @param {Object} requirements    { minAge, requireIdentity, requireCountry }
+ * @param {Object} credentialData  { ageRange, isAdult, ageCategory, statusListIndex, ... }
+ * @param {Object} requirements    { minAge, requireIdentity, requireCountry, country }
+ *                                 (country — the one the credential's identity document shows)
+ * @param {Object} [scope]         { audience, expiresAt } — issue scoped attestations
+ *                                 (record them with attestationRegistry.js)
  * @returns {{ attestations: [], disclosures: {} }}
  */
-export async function generateEligibilityProofs(wallet, credentialData, requirements = {}) {
+export async function generateEligibilityProofs(wallet, credentialData, requirements = {}, scope = null) {
   const attestations = []
   const disclosures = {}
-  const userAge = credentialData.age ?? (credentialData.isAdult ? 18 : 0)
+  // Only the age bracket from KYC is known — its lower end is the age that is certain
+  const userAge = credentialData.ageRange?.min ?? (credentialData.isAdult ? 18 : 0)
   const nonce = Date.now()
+  const status = { statusListIndex: credentialData.statusListIndex }
+  const sign = (claim, n) => scope
+    ? createScopedAttestation(wallet, claim, { ...scope, ...status })
+    : createSignedAttestation(wallet, claim, n, status)
 
   // Age attestation
   if (requirements.minAge > 0) {
     const ageOk = userAge >= requirements.minAge
     disclosures.ageAboveMin = ageOk
     if (ageOk) {
-      const attest = await createSignedAttestation(wallet, `ageAbove:${requirements.minAge}`, nonce)
+      const attest = await sign(formatClaim('ageAbove', requirements.minAge), nonce)
       attestations.push({ type: 'age', ...attest })
     }
   } else {
@@ -157,14 +241,14 @@ export async function generateEligibilityProofs(wallet, credentialData, requirem
   // Identity attestation
   if (requirements.requireIdentity !== false) {
     disclosures.identityVerified = true
-    const attest = await createSignedAttestation(wallet, 'identityVerified', nonce + 1)
+    const attest = await sign(formatClaim('identityVerified'), nonce + 1)
     attestations.push({ type: 'identity', ...attest })
   }
 
   // Country attestation
-  if (requirements.requireCountry) {
-    disclosures.countryResident = true  // Aadhaar = India
-    const attest = await createSignedAttestation(wallet, 'countryResident:IN', nonce + 2)
+  if (requirements.requireCountry && requirements.country) {
+    disclosures.countryResident = true
+    const attest = await sign(formatClaim('countryResident', requirements.country), nonce + 2)
     attestations.push({ type: 'country', ...attest })
   }
 
@@ -176,13 +260,15 @@ export async function generateEligibilityProofs(wallet, credentialData, requirem
 // ═══════════════════════════════════════════
 
 /**
- * Create a Poseidon-style commitment for a value.
+ * Create a hash commitment for a value.
  * commitment = keccak256(value || secret)
  *
  * This hides the value — cannot be brute-forced if secret is strong.
+ * Hash commitments can only be opened, not proven about — for
+ * "age ≥ N" without revealing the age use zkp.js (Pedersen + range proof).
  *
  * @param {*} value   The private value (e.g. age, DOB string)
- * @param {string} secret  Random secret (generated at KYC time)
+ * @param {string} secret  Random bytes32 secret (the holder's, from their browser — generated here if omitted)
  * @returns {{ commitment, secret }}
  */
 export function createCommitment(value, secret = null) {
@@ -281,10 +367,10 @@ export function createAttendanceLeaf(wallet, eventId) {
  *   - Off-chain: ecrecover(sig) == issuer address
  *   - On-chain:  contract.isValidTicketSignature(hash, v, r, s)
  *
- * @returns {{ ticketHash, signature, v, r, s, issuer, ... }}
+ * @returns {{ ticketHash, signature, v, r, s, issuer, kid, ... }}
  */
 export async function signTicket(wallet, eventId, nonce = null) {
-  if (!issuerWallet) initIssuerWallet()
+  const { kid, wallet: issuerWallet } = getSigningKey()
 
   // Normalize to checksummed address (ethers v6 is strict)
   const checksumWallet = getAddress(wallet)
@@ -292,12 +378,7 @@ export async function signTicket(wallet, eventId, nonce = null) {
   nonce = nonce ?? `${Date.now()}-${Math.random().toString(36).slice(2)}`
   const timestamp = Math.floor(Date.now() / 1000)
 
-  const ticketHash = keccak256(
-    solidityPacked(
-      ['address', 'string', 'uint256', 'string'],
-      [checksumWallet, eventId, timestamp, nonce]
-    )
-  )
+  const ticketHash = computeTicketHash(checksumWallet, eventId, timestamp, nonce)
 
   const signature = await issuerWallet.signMessage(getBytes(ticketHash))
   const r = '0x' + signature.slice(2, 66)
@@ -313,26 +394,146 @@ export async function signTicket(wallet, eventId, nonce = null) {
     timestamp,
     nonce,
     issuer: issuerWallet.address,
+    kid,
     createdAt: new Date().toISOString()
   }
 }
 
 /**
- * Verify a ticket signature off-chain
- * Returns true if the signature was made by our issuer
+ * Recompute a ticket hash from its fields
+ * ticketHash = keccak256(wallet, eventId, timestamp, nonce)
+ */
+export function computeTicketHash(wallet, eventId, timestamp, nonce) {
+  return keccak256(
+    solidityPacked(
+      ['address', 'string', 'uint256', 'string'],
+      [getAddress(wallet), eventId, timestamp, nonce]
+    )
+  )
+}
+
+/**
+ * Verify a ticket signature off-chain (same check as the contract's ecrecover).
+ *
+ * 1. If the ticket fields are given, recompute ticketHash → detects tampering
+ * 2. Recover the signer of ticketHash from the signature
+ * 3. Signer must be our issuer or another authorized issuer key
+ *
+ * @param {string} ticketHash
+ * @param {string} signature
+ * @param {Object} fields  Optional { wallet, eventId, timestamp, nonce }
+ * @returns {{ valid: boolean, signer: string|null, reason: string|null }}
+ *   reason: 'signature_missing' | 'ticket_tampered' | 'signature_invalid' | 'issuer_not_authorized'
+ */
+export function verifyTicketSignature(ticketHash, signature, fields = null) {
+  if (!ticketHash || !signature) {
+    return { valid: false, signer: null, reason: 'signature_missing' }
+  }
+
+  if (fields?.timestamp != null && fields?.nonce != null) {
+    let expectedHash
+    try {
+      expectedHash = computeTicketHash(fields.wallet, fields.eventId, fields.timestamp, fields.nonce)
+    } catch {
+      return { valid: false, signer: null, reason: 'ticket_tampered' }
+    }
+    if (expectedHash !== ticketHash) {
+      return { valid: false, signer: null, reason: 'ticket_tampered' }
+    }
+  }
+
+  let signer
+  try {
+    // signTicket() used signMessage(bytes) → same EIP-191 prefix here
+    signer = verifyMessage(getBytes(ticketHash), signature)
+  } catch {
+    return { valid: false, signer: null, reason: 'signature_invalid' }
+  }
+
+  if (!isAuthorizedIssuer(signer)) {
+    return { valid: false, signer, reason: 'issuer_not_authorized' }
+  }
+
+  return { valid: true, signer, reason: null }
+}
+
+// ═══════════════════════════════════════════
+//  5) SIGNED QR PAYLOADS (offline-verifiable)
+// ═══════════════════════════════════════════
+
+const QR_PAYLOAD_PREFIX = 'RP1'
+
+/**
+ * Build the compact string encoded in a ticket QR code.
+ *
+ *   RP1.<base64url(JSON body)>.<issuer signature>
+ *
+ * body = { q: qrToken, h: ticketHash, e: eventId, w: wallet, nb: notBefore, na: notAfter }
+ * (nb/na are unix seconds)
+ *
+ * The issuer signs the base64url body with EIP-191 personal_sign, so a
+ * scanner holding only the issuer address can check it with verifyMessage()
+ * — no network round-trip. The qrToken inside links back to the server
+ * record so used tickets can be reconciled later.
+ *
+ * @returns {Promise<string>}
+ */
+export async function createTicketQRPayload({ qrToken, ticketHash, wallet, eventId, notBefore, notAfter }) {
+  const issuerWallet = getIssuerSigner()
+
+  const body = Buffer.from(JSON.stringify({
+    q: qrToken,
+    h: ticketHash,
+    e: eventId,
+    w: wallet.toLowerCase(),
+    nb: notBefore,
+    na: notAfter
+  })).toString('base64url')
+
+  const signature = await issuerWallet.signMessage(body)
+  return `${QR_PAYLOAD_PREFIX}.${body}.${signature.slice(2)}`
+}
+
+export function isTicketQRPayload(value) {
+  return typeof value === 'string' && value.startsWith(`${QR_PAYLOAD_PREFIX}.`)
+}
+
+/**
+ * Verify a QR payload produced by createTicketQRPayload()
+ *
+ * @param {string} payload
+ * @param {number} now  unix seconds (defaults to the current time)
+ * @returns {{ valid: boolean, ticket: Object|null, signer: string|null, reason: string|null }}
+ *   ticket: { qrToken, ticketHash, eventId, wallet, notBefore, notAfter }
+ *   reason: 'malformed_payload' | 'signature_invalid' | 'issuer_not_authorized'
+ *         | 'not_yet_valid' | 'ticket_expired'
  */
-export function verifyTicketSignature(ticketHash, signature) {
-  if (!issuerWallet) initIssuerWallet()
+export function verifyTicketQRPayload(payload, now = Math.floor(Date.now() / 1000)) {
+  const fail = (reason, extra = {}) => ({ valid: false, ticket: null, signer: null, reason, ...extra })
+
+  const parts = typeof payload === 'string' ? payload.split('.') : []
+  if (parts.length !== 3 || parts[0] !== QR_PAYLOAD_PREFIX) return fail('malformed_payload')
+  const [, body, sig] = parts
+
+  let ticket
   try {
-    const { recoverAddress } = require('ethers')
-    // Ethers v6 — use Wallet.verifyMessage equivalent
-    const Wallet2 = require('ethers').Wallet
-    const recovered = Wallet2.verifyMessage ? null : null
-    // Simpler: just compare
-    // For off-chain verification, the backend IS the issuer, so this is always valid
-    // On-chain verification uses ecrecover in the contract
-    return true
+    const raw = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'))
+    if (!raw.q || !raw.h || !raw.e || !raw.w) return fail('malformed_payload')
+    ticket = { qrToken: raw.q, ticketHash: raw.h, eventId: raw.e, wallet: raw.w, notBefore: raw.nb, notAfter: raw.na }
   } catch {
-    return false
+    return fail('malformed_payload')
   }
+
+  let signer
+  try {
+    signer = verifyMessage(body, `0x${sig}`)
+  } catch {
+    return fail('signature_invalid')
+  }
+  if (!isAuthorizedIssuer(signer)) return fail('issuer_not_authorized', { signer })
+
+  if (ticket.notBefore && now < ticket.notBefore) return fail('not_yet_valid', { ticket, signer })
+  if (ticket.notAfter && now > ticket.notAfter) return fail('ticket_expired', { ticket, signer })
+
+  return { valid: true, ticket, signer, reason: null }
 }
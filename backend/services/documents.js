@@ -0,0 +1,302 @@
+/**
+ * documents.js — Identity Document Registry
+ *
+ * Why?
+ * - Signup only understood Aadhaar, and every RacePass was attested
+ *   "countryResident:IN" — foreign attendees could not onboard at all.
+ *
+ * Supported documents (kycData.documentType):
+ *   aadhaar          India         12 digits, Verhoeff check digit (aadhaar.js);
+ *                                  UIDAI-signed Secure QR / offline e-KYC optional
+ *   pan              India         AAAAA9999A — 4th letter P (an individual, not a company)
+ *   passport         any country   machine-readable zone (ICAO 9303 TD3, two lines of 44)
+ *                                  with check digits; must match the number and DOB;
+ *                                  country = nationality in the MRZ
+ *   driving-licence  any country   issuing country given by the user; Indian
+ *                                  licences must be SS RR YYYY NNNNNNN with a real state code
+ *
+ * Only Aadhaar has an issuer signature the backend can check, so the other
+ * documents are OCR-level evidence (see aadhaar.js assuranceLevelFor).
+ *
+ * Indian documents can also place the holder in a state / union territory
+ * (stateResident claims, claims.js): a driving licence by its RTO prefix, an
+ * Aadhaar by the state in its UIDAI-signed address. See documentState().
+ *
+ * The document number is never stored — it only goes into the nullifier and
+ * the identity commitment, through identityKey(). For Aadhaar that key is the
+ * bare number, so RacePasses issued before this registry keep matching.
+ * Each document gets its own nullifier: only a UIDAI-signed Aadhaar makes
+ * a RacePass count as one person (claims.js isUniquePerson).
+ */
+
+import { validateAadhaarNumber } from './aadhaar.js'
+
+export const DOCUMENT_TYPES = {
+  aadhaar: { label: 'Aadhaar', country: 'IN' },
+  pan: { label: 'PAN card', country: 'IN' },
+  passport: { label: 'Passport', country: null },           // from the MRZ
+  'driving-licence': { label: 'Driving licence', country: null } // issuingCountry
+}
+
+// ISO 3166-1 alpha-3 (as printed in MRZs) → alpha-2 (as used in claims)
+const ALPHA3_TO_ALPHA2 = Object.fromEntries(`
+  AFG:AF ALA:AX ALB:AL DZA:DZ ASM:AS AND:AD AGO:AO AIA:AI ATA:AQ ATG:AG ARG:AR ARM:AM ABW:AW AUS:AU
+  AUT:AT AZE:AZ BHS:BS BHR:BH BGD:BD BRB:BB BLR:BY BEL:BE BLZ:BZ BEN:BJ BMU:BM BTN:BT BOL:BO BES:BQ
+  BIH:BA BWA:BW BVT:BV BRA:BR IOT:IO BRN:BN BGR:BG BFA:BF BDI:BI CPV:CV KHM:KH CMR:CM CAN:CA CYM:KY
+  CAF:CF TCD:TD CHL:CL CHN:CN CXR:CX CCK:CC COL:CO COM:KM COG:CG COD:CD COK:CK CRI:CR CIV:CI HRV:HR
+  CUB:CU CUW:CW CYP:CY CZE:CZ DNK:DK DJI:DJ DMA:DM DOM:DO ECU:EC EGY:EG SLV:SV GNQ:GQ ERI:ER EST:EE
+  SWZ:SZ ETH:ET FLK:FK FRO:FO FJI:FJ FIN:FI FRA:FR GUF:GF PYF:PF ATF:TF GAB:GA GMB:GM GEO:GE DEU:DE
+  GHA:GH GIB:GI GRC:GR GRL:GL GRD:GD GLP:GP GUM:GU GTM:GT GGY:GG GIN:GN GNB:GW GUY:GY HTI:HT HMD:HM
+  VAT:VA HND:HN HKG:HK HUN:HU ISL:IS IND:IN IDN:ID IRN:IR IRQ:IQ IRL:IE IMN:IM ISR:IL ITA:IT JAM:JM
+  JPN:JP JEY:JE JOR:JO KAZ:KZ KEN:KE KIR:KI PRK:KP KOR:KR KWT:KW KGZ:KG LAO:LA LVA:LV LBN:LB LSO:LS
+  LBR:LR LBY:LY LIE:LI LTU:LT LUX:LU MAC:MO MDG:MG MWI:MW MYS:MY MDV:MV MLI:ML MLT:MT MHL:MH MTQ:MQ
+  MRT:MR MUS:MU MYT:YT MEX:MX FSM:FM MDA:MD MCO:MC MNG:MN MNE:ME MSR:MS MAR:MA MOZ:MZ MMR:MM NAM:NA
+  NRU:NR NPL:NP NLD:NL NCL:NC NZL:NZ NIC:NI NER:NE NGA:NG NIU:NU NFK:NF MKD:MK MNP:MP NOR:NO OMN:OM
+  PAK:PK PLW:PW PSE:PS PAN:PA PNG:PG PRY:PY PER:PE PHL:PH PCN:PN POL:PL PRT:PT PRI:PR QAT:QA REU:RE
+  ROU:RO RUS:RU RWA:RW BLM:BL SHN:SH KNA:KN LCA:LC MAF:MF SPM:PM VCT:VC WSM:WS SMR:SM STP:ST SAU:SA
+  SEN:SN SRB:RS SYC:SC SLE:SL SGP:SG SXM:SX SVK:SK SVN:SI SLB:SB SOM:SO ZAF:ZA SGS:GS SSD:SS ESP:ES
+  LKA:LK SDN:SD SUR:SR SJM:SJ SWE:SE CHE:CH SYR:SY TWN:TW TJK:TJ TZA:TZ THA:TH TLS:TL TGO:TG TKL:TK
+  TON:TO TTO:TT TUN:TN TUR:TR TKM:TM TCA:TC TUV:TV UGA:UG UKR:UA ARE:AE GBR:GB USA:US UMI:UM URY:UY
+  UZB:UZ VUT:VU VEN:VE VNM:VN VGB:VG VIR:VI WLF:WF ESH:EH YEM:YE ZMB:ZM ZWE:ZW
+  D:DE RKS:XK
+`.trim().split(/\s+/).map(pair => pair.split(':')))
+
+const COUNTRIES = new Set(Object.values(ALPHA3_TO_ALPHA2))
+
+// RTO state / union territory prefixes of Indian driving licence numbers
+const INDIAN_DL_STATES = new Set([
+  'AN', 'AP', 'AR', 'AS', 'BR', 'CG', 'CH', 'DD', 'DL', 'DN', 'GA', 'GJ', 'HP', 'HR', 'JH', 'JK', 'KA',
+  'KL', 'LA', 'LD', 'MH', 'ML', 'MN', 'MP', 'MZ', 'NL', 'OD', 'OR', 'PB', 'PY', 'RJ', 'SK', 'TG', 'TN',
+  'TR', 'TS', 'UA', 'UK', 'UP', 'WB'
+])
+
+// Old licence prefixes → the state's current code
+const DL_STATE_ALIASES = { OR: 'OD', UA: 'UK', TS: 'TG', DN: 'DD' }
+
+// Indian state / UT code → names UIDAI addresses use for it
+const INDIAN_STATE_NAMES = {
+  AN: ['Andaman and Nicobar Islands'], AP: ['Andhra Pradesh'], AR: ['Arunachal Pradesh'], AS: ['Assam'],
+  BR: ['Bihar'], CH: ['Chandigarh'], CG: ['Chhattisgarh'],
+  DD: ['Dadra and Nagar Haveli and Daman and Diu', 'Dadra and Nagar Haveli', 'Daman and Diu'],
+  DL: ['Delhi', 'NCT of Delhi'], GA: ['Goa'], GJ: ['Gujarat'], HR: ['Haryana'], HP: ['Himachal Pradesh'],
+  JK: ['Jammu and Kashmir'], JH: ['Jharkhand'], KA: ['Karnataka'], KL: ['Kerala'], LA: ['Ladakh'],
+  LD: ['Lakshadweep'], MP: ['Madhya Pradesh'], MH: ['Maharashtra'], MN: ['Manipur'], ML: ['Meghalaya'],
+  MZ: ['Mizoram'], NL: ['Nagaland'], OD: ['Odisha', 'Orissa'], PY: ['Puducherry', 'Pondicherry'],
+  PB: ['Punjab'], RJ: ['Rajasthan'], SK: ['Sikkim'], TN: ['Tamil Nadu'], TG: ['Telangana'], TR: ['Tripura'],
+  UP: ['Uttar Pradesh'], UK: ['Uttarakhand', 'Uttaranchal'], WB: ['West Bengal']
+}
+
+const stateNameKey = name => String(name).toLowerCase().replace(/&/g, 'and').replace(/[^a-z]/g, '')
+const STATE_BY_NAME = Object.fromEntries(
+  Object.entries(INDIAN_STATE_NAMES).flatMap(([code, names]) => names.map(name => [stateNameKey(name), code]))
+)
+
+/** Is this an ISO 3166-1 alpha-2 code we can attest? */
+export function isCountryCode(code) {
+  return COUNTRIES.has(code)
+}
+
+/** MRZ country code ('DEU', 'D<<', 'IND') → alpha-2, or null (stateless, UN, unknown) */
+export function countryFromMrzCode(code) {
+  return ALPHA3_TO_ALPHA2[String(code || '').replace(/</g, '')] || null
+}
+
+// ═══════════════════════════════════════════
+//  PASSPORT MRZ (ICAO 9303, TD3)
+// ═══════════════════════════════════════════
+
+/** ICAO 9303 check digit: weights 7-3-1, A=10 … Z=35, '<' = 0 */
+function mrzCheckDigit(value) {
+  let sum = 0
+  for (let i = 0; i < value.length; i++) {
+    const c = value[i]
+    const n = c === '<' ? 0 : /\d/.test(c) ? Number(c) : c.charCodeAt(0) - 55
+    sum += n * [7, 3, 1][i % 3]
+  }
+  return sum % 10
+}
+
+function checkDigitMatches(value, check) {
+  // An empty optional field may carry '<' instead of 0
+  return mrzCheckDigit(value) === (check === '<' ? 0 : Number(check))
+}
+
+/** YYMMDD → YYYY-MM-DD; birth dates can't be in the future, expiry dates are in this century */
+function mrzDate(value, { birth }) {
+  if (!/^\d{6}$/.test(value)) return null
+  const yy = Number(value.slice(0, 2))
+  const century = birth && yy > new Date().getFullYear() % 100 ? 1900 : 2000
+  return `${century + yy}-${value.slice(2, 4)}-${value.slice(4, 6)}`
+}
+
+/**
+ * Parse and check a passport MRZ
+ *
+ * @param {string|string[]} mrz - the two lines (newline-separated or as an array)
+ * @returns {{ valid: boolean, reason: 'mrz_format'|'mrz_checksum'|null, fields?: {
+ *   documentNumber, issuingState, nationality, dateOfBirth, expiryDate, sex, surname, givenNames } }}
+ */
+export function parseMrz(mrz) {
+  const lines = (Array.isArray(mrz) ? mrz : String(mrz || '').split(/\r?\n/))
+    .map(line => String(line).toUpperCase().replace(/\s/g, ''))
+    .filter(Boolean)
+  if (lines.length !== 2 || !lines.every(line => /^[A-Z0-9<]{44}$/.test(line)) || lines[0][0] !== 'P') {
+    return { valid: false, reason: 'mrz_format' }
+  }
+
+  const [line1, line2] = lines
+  const number = line2.slice(0, 9)
+  const birth = line2.slice(13, 19)
+  const expiry = line2.slice(21, 27)
+  const personal = line2.slice(28, 42)
+  const composite = line2.slice(0, 10) + line2.slice(13, 20) + line2.slice(21, 43)
+  if (!checkDigitMatches(number, line2[9]) || !checkDigitMatches(birth, line2[19]) ||
+      !checkDigitMatches(expiry, line2[27]) || !checkDigitMatches(personal, line2[42]) ||
+      !checkDigitMatches(composite, line2[43])) {
+    return { valid: false, reason: 'mrz_checksum' }
+  }
+
+  const dateOfBirth = mrzDate(birth, { birth: true })
+  const expiryDate = mrzDate(expiry, { birth: false })
+  if (!dateOfBirth || !expiryDate) return { valid: false, reason: 'mrz_format' }
+
+  const [surname, givenNames = ''] = line1.slice(5).split('<<')
+  return {
+    valid: true,
+    reason: null,
+    fields: {
+      documentNumber: number.replace(/</g, ''),
+      issuingState: line1.slice(2, 5).replace(/</g, ''),
+      nationality: line2.slice(10, 13).replace(/</g, ''),
+      dateOfBirth,
+      expiryDate,
+      sex: line2[20].replace('<', 'X'),
+      surname: surname.replace(/</g, ' ').trim(),
+      givenNames: givenNames.replace(/</g, ' ').trim()
+    }
+  }
+}
+
+// ═══════════════════════════════════════════
+//  REGISTRY
+// ═══════════════════════════════════════════
+
+/**
+ * The identity document a submission is for, normalized.
+ * Requests from before the registry only send aadhaarNumber — those are Aadhaar.
+ * A passport's issuing country comes from its MRZ when one is sent.
+ *
+ * @param {Object} kycData - { documentType?, documentNumber?, issuingCountry?, mrz?, aadhaarNumber? }
+ * @returns {{ type: string, number: string, issuingCountry: string|null, mrz: string|string[]|null }}
+ */
+export function identityDocument(kycData = {}) {
+  const type = kycData.documentType || 'aadhaar'
+  const raw = kycData.documentNumber ?? (type === 'aadhaar' ? kycData.aadhaarNumber : '')
+  const number = type === 'aadhaar'
+    ? String(raw ?? '')
+    : String(raw ?? '').toUpperCase().replace(/[\s-]/g, '')
+
+  let issuingCountry = DOCUMENT_TYPES[type]?.country ??
+    (kycData.issuingCountry ? String(kycData.issuingCountry).toUpperCase() : null)
+  if (type === 'passport' && kycData.mrz) {
+    const { fields } = parseMrz(kycData.mrz)
+    if (fields) issuingCountry = countryFromMrzCode(fields.issuingState)
+  }
+
+  return { type, number, issuingCountry, mrz: kycData.mrz || null }
+}
+
+/**
+ * Could this document number have been issued? (format and check digits —
+ * no MRZ / expiry; see verifyIdentityDocument for the full check)
+ *
+ * @returns {{ valid: boolean, reason: string|null }}
+ */
+export function validateDocumentNumber({ type, number, issuingCountry }) {
+  switch (type) {
+    case 'aadhaar':
+      return validateAadhaarNumber(number)
+    case 'pan':
+      if (!/^[A-Z]{5}\d{4}[A-Z]$/.test(number)) return { valid: false, reason: 'pan_format' }
+      if (number[3] !== 'P') return { valid: false, reason: 'pan_not_individual' }
+      return { valid: true, reason: null }
+    case 'passport':
+      if (!/^[A-Z0-9]{1,9}$/.test(number)) return { valid: false, reason: 'passport_format' }
+      if (!isCountryCode(issuingCountry)) return { valid: false, reason: 'document_country' }
+      return { valid: true, reason: null }
+    case 'driving-licence': {
+      if (!isCountryCode(issuingCountry)) return { valid: false, reason: 'document_country' }
+      if (issuingCountry !== 'IN') {
+        return /^[A-Z0-9]{4,20}$/.test(number) ? { valid: true, reason: null } : { valid: false, reason: 'dl_format' }
+      }
+      const indian = number.match(/^([A-Z]{2})\d{2}(?:19|20)\d{2}\d{7}$/)
+      if (!indian) return { valid: false, reason: 'dl_format' }
+      if (!INDIAN_DL_STATES.has(indian[1])) return { valid: false, reason: 'dl_state' }
+      return { valid: true, reason: null }
+    }
+    default:
+      return { valid: false, reason: 'document_type' }
+  }
+}
+
+/**
+ * Full check of the identity document behind a submission: the number, and
+ * for passports the MRZ (check digits, same number and DOB, not expired).
+ *
+ * @param {Object} idDocument - from identityDocument()
+ * @param {Object} details
+ * @param {string} details.dateOfBirth - YYYY-MM-DD, as submitted
+ * @returns {{ valid: boolean, reason: string|null, country?: string|null }}
+ *   country — what the countryResident attestation is issued for (null: none)
+ */
+export function verifyIdentityDocument(idDocument, { dateOfBirth }) {
+  if (idDocument.type !== 'passport') {
+    const number = validateDocumentNumber(idDocument)
+    return number.valid ? { ...number, country: idDocument.issuingCountry } : number
+  }
+
+  // The passport's issuing country comes from its MRZ — check that first
+  if (!idDocument.mrz) return { valid: false, reason: 'mrz_required' }
+  const mrz = parseMrz(idDocument.mrz)
+  if (!mrz.valid) return mrz
+  const number = validateDocumentNumber(idDocument)
+  if (!number.valid) return number
+  if (mrz.fields.documentNumber !== idDocument.number || mrz.fields.dateOfBirth !== dateOfBirth) {
+    return { valid: false, reason: 'mrz_mismatch' }
+  }
+  if (new Date(mrz.fields.expiryDate + 'T23:59:59Z') < new Date()) {
+    return { valid: false, reason: 'passport_expired' }
+  }
+  // A passport shows nationality — that is the country attested
+  return { valid: true, reason: null, country: countryFromMrzCode(mrz.fields.nationality) }
+}
+
+/**
+ * The value that identifies the holder across wallets — input to the
+ * nullifier and the identity commitment. Passport and licence numbers are
+ * only unique within their issuing country.
+ */
+export function identityKey({ type, number, issuingCountry }) {
+  if (type === 'aadhaar') return number
+  if (type === 'pan') return `pan:${number}`
+  return `${type}:${issuingCountry}:${number}`
+}
+
+/**
+ * The Indian state / UT a document places its holder in, or null
+ *
+ * @param {Object} idDocument - from identityDocument()
+ * @param {Object} [aadhaarFields] - fields of a verified UIDAI-signed document
+ *   (verifyAadhaarDocument) — an Aadhaar number alone says nothing about the address
+ * @returns {string|null} state code, e.g. 'KA'
+ */
+export function documentState(idDocument, aadhaarFields = null) {
+  if (idDocument.type === 'aadhaar') {
+    return aadhaarFields?.state ? STATE_BY_NAME[stateNameKey(aadhaarFields.state)] || null : null
+  }
+  if (idDocument.type === 'driving-licence' && idDocument.issuingCountry === 'IN') {
+    const prefix = idDocument.number.slice(0, 2)
+    return INDIAN_DL_STATES.has(prefix) ? DL_STATE_ALIASES[prefix] || prefix : null
+  }
+  return null
+}
@@ -0,0 +1,302 @@
+/**
+ * faceSession.js — Face Match + Liveness Verification Sessions
+ *
+ * Why?
+ * - The selfie ↔ Aadhaar photo match used to run only in the browser, with
+ *   its 3-strikes lockout in localStorage — clearing storage (or calling
+ *   /api/kyc/submit directly) skipped it.
+ *
+ * Flow:
+ *   1. POST /api/kyc/face-session        → session with a random liveness
+ *      challenge, e.g. ['turn-left', 'blink', 'turn-right']
+ *   2. The browser (frontend/src/utils/faceMatch.js) walks the user through
+ *      the challenge on the live camera and records, per step, when it was
+ *      done (ms since the challenge started), the measured value and the face
+ *      descriptor of that frame
+ *   3. POST /api/kyc/face-session/:id/complete with the selfie + Aadhaar photo
+ *      descriptors and the recorded steps — checked HERE:
+ *        - steps follow the issued challenge, in order, each meeting its threshold
+ *        - every step shows the same face as the selfie
+ *        - the selfie matches the Aadhaar photo
+ *        - the session took at least as long as a person needs for the challenge
+ *   4. /api/kyc/submit only issues with a passed, unused session for the same
+ *      wallet and the same identity document (Aadhaar, passport, ...)
+ *
+ * Attempt limits: a failed session counts against the wallet AND the identity
+ * document (by its nullifier, see nullifier.js) — MAX_FAILED_ATTEMPTS per
+ * ATTEMPT_WINDOW_MS — so switching wallets doesn't reset the count.
+ *
+ * Descriptors are 128 numbers from face-api.js; no image reaches the
+ * backend and nothing here is kept once the window passes. The descriptors
+ * are still computed by the client: this stops skipping the check, not a
+ * client that fabricates descriptors.
+ *
+ * Landmark measures (same definitions as faceMatch.js):
+ *   blink        eye aspect ratio ≤ BLINK_MAX_EYE_RATIO
+ *   turn-left    yaw ≥ TURN_MIN_YAW   (yaw = (nose x − jaw centre x) / jaw width,
+ *   turn-right   yaw ≤ −TURN_MIN_YAW   in the un-mirrored camera frame)
+ */
+
+import { randomUUID, randomInt } from 'crypto'
+import { getCollection } from '../storage/index.js'
+
+const SESSION_TTL_MS = 5 * 60 * 1000           // time to finish the challenge
+const PASSED_VALID_MS = 30 * 60 * 1000         // time to submit KYC after passing
+const ATTEMPT_WINDOW_MS = 24 * 60 * 60 * 1000
+const MAX_FAILED_ATTEMPTS = 3
+const MIN_STEP_MS = 500                        // a person can't do a step faster
+
+const DESCRIPTOR_LENGTH = 128
+const FACE_MATCH_THRESHOLD = 0.6               // max distance: selfie ↔ Aadhaar photo
+const SAME_FACE_THRESHOLD = 0.6                // max distance: challenge frame ↔ selfie
+const BLINK_MAX_EYE_RATIO = 0.2
+const TURN_MIN_YAW = 0.15
+
+export const LIVENESS_ACTIONS = ['blink', 'turn-left', 'turn-right']
+const CHALLENGE_LENGTH = 3
+
+// ── Stores (persisted via storage/, see config/storage.js) ──
+const sessions = getCollection('faceSessions')    // sessionId → session
+const attempts = getCollection('faceAttempts')    // 'wallet:<addr>' | 'document:<nullifier>' → { failures: [iso] }
+
+// ═══════════════════════════════════════════
+//  ATTEMPT LIMITS
+// ═══════════════════════════════════════════
+
+function recentFailures(key, now = Date.now()) {
+  return (attempts.get(key)?.failures || []).filter(at => now - new Date(at).getTime() < ATTEMPT_WINDOW_MS)
+}
+
+function recordFailure(key) {
+  const failures = [...recentFailures(key), new Date().toISOString()]
+  attempts.set(key, { failures })
+}
+
+/**
+ * Lock state for a wallet (and, if known, an identity document's nullifier).
+ * Locked once either has MAX_FAILED_ATTEMPTS failures inside the window.
+ *
+ * @returns {{ locked: boolean, lockedUntil: string|null, attemptsRemaining: number }}
+ */
+export function getFaceLock(wallet, documentKey = null) {
+  const keys = [`wallet:${wallet.toLowerCase()}`, ...(documentKey ? [`document:${documentKey}`] : [])]
+  const failures = keys.map(key => recentFailures(key))
+  const worst = failures.reduce((a, b) => (b.length > a.length ? b : a))
+
+  if (worst.length < MAX_FAILED_ATTEMPTS) {
+    return { locked: false, lockedUntil: null, attemptsRemaining: MAX_FAILED_ATTEMPTS - worst.length }
+  }
+  // Unlocks when the oldest failure that still counts leaves the window
+  const oldest = worst[worst.length - MAX_FAILED_ATTEMPTS]
+  const lockedUntil = new Date(new Date(oldest).getTime() + ATTEMPT_WINDOW_MS).toISOString()
+  return { locked: true, lockedUntil, attemptsRemaining: 0 }
+}
+
+/**
+ * Wallets and identity documents currently locked out, for the admin console.
+ * Documents are shown by a short reference, not the full nullifier.
+ *
+ * @returns {Array<{ subject: 'wallet'|'document', ref: string, failures: number, lockedUntil: string }>}
+ */
+export function listFaceLocks(now = Date.now()) {
+  const locks = []
+  for (const [key] of attempts) {
+    const failures = recentFailures(key, now)
+    if (failures.length < MAX_FAILED_ATTEMPTS) continue
+    const [subject, id] = key.split(':')
+    const oldest = failures[failures.length - MAX_FAILED_ATTEMPTS]
+    locks.push({
+      subject,
+      ref: subject === 'wallet' ? id : id.slice(0, 14),
+      failures: failures.length,
+      lockedUntil: new Date(new Date(oldest).getTime() + ATTEMPT_WINDOW_MS).toISOString()
+    })
+  }
+  return locks.sort((a, b) => b.lockedUntil.localeCompare(a.lockedUntil))
+}
+
+// ═══════════════════════════════════════════
+//  SESSIONS
+// ═══════════════════════════════════════════
+
+function randomChallenge() {
+  const challenge = []
+  while (challenge.length < CHALLENGE_LENGTH) {
+    const action = LIVENESS_ACTIONS[randomInt(LIVENESS_ACTIONS.length)]
+    if (action !== challenge[challenge.length - 1]) challenge.push(action)
+  }
+  return challenge
+}
+
+/** Drop sessions nobody can use and failures that no longer count, so the stores don't grow forever */
+function prune(now = Date.now()) {
+  for (const [id, session] of sessions) {
+    const usableUntil = session.status === 'passed'
+      ? new Date(session.completedAt).getTime() + PASSED_VALID_MS
+      : new Date(session.expiresAt).getTime()
+    if (usableUntil < now) sessions.delete(id)
+  }
+  for (const [key] of attempts) {
+    if (recentFailures(key, now).length === 0) attempts.delete(key)
+  }
+}
+
+/**
+ * Start a session for a wallet + identity document. Any pending session of the
+ * wallet is cancelled — only the newest challenge counts.
+ *
+ * @param {string} wallet
+ * @param {string} documentKey - nullifier of the identity document
+ * @returns {{ session: Object }|{ reason: 'face_attempts_exceeded', lockedUntil: string }}
+ */
+export function startFaceSession(wallet, documentKey) {
+  const key = wallet.toLowerCase()
+  prune()
+
+  const lock = getFaceLock(key, documentKey)
+  if (lock.locked) return { reason: 'face_attempts_exceeded', lockedUntil: lock.lockedUntil }
+
+  for (const [id, session] of sessions) {
+    if (session.wallet === key && session.status === 'pending') sessions.delete(id)
+  }
+
+  const now = Date.now()
+  const session = {
+    id: randomUUID(),
+    wallet: key,
+    documentKey,
+    challenge: randomChallenge(),
+    status: 'pending',
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + SESSION_TTL_MS).toISOString()
+  }
+  sessions.set(session.id, session)
+  return { session }
+}
+
+function isDescriptor(value) {
+  return Array.isArray(value) && value.length === DESCRIPTOR_LENGTH &&
+    value.every(n => typeof n === 'number' && Number.isFinite(n))
+}
+
+function euclideanDistance(a, b) {
+  return Math.sqrt(a.reduce((sum, value, i) => sum + (value - b[i]) ** 2, 0))
+}
+
+/** Does one recorded step show the requested action? */
+function stepPerformed(action, metric) {
+  if (typeof metric !== 'number' || !Number.isFinite(metric)) return false
+  if (action === 'blink') return metric <= BLINK_MAX_EYE_RATIO
+  if (action === 'turn-left') return metric >= TURN_MIN_YAW
+  if (action === 'turn-right') return metric <= -TURN_MIN_YAW
+  return false
+}
+
+/**
+ * Why the liveness steps don't pass, or null
+ * @param {number} elapsed - ms since the session started (server clock)
+ * @returns {string|null} what went wrong, for the user
+ */
+function livenessProblem(session, steps, selfieDescriptor, elapsed) {
+  if (!Array.isArray(steps) || steps.length !== session.challenge.length) {
+    return 'The liveness check was not completed'
+  }
+  if (elapsed < session.challenge.length * MIN_STEP_MS) return 'The liveness check was completed too quickly'
+
+  // Step times are relative to the challenge start, so client clock skew doesn't matter
+  let previousAt = 0
+  for (let i = 0; i < steps.length; i++) {
+    const { action, at, metric, descriptor } = steps[i] || {}
+    if (action !== session.challenge[i]) return 'The liveness steps were done out of order'
+    if (typeof at !== 'number' || !(at >= previousAt) || at > elapsed) return 'The liveness steps have invalid timings'
+    if (!stepPerformed(action, metric)) return `"${action}" was not detected`
+    if (!isDescriptor(descriptor) || euclideanDistance(descriptor, selfieDescriptor) > SAME_FACE_THRESHOLD) {
+      return 'A different face appeared during the liveness check'
+    }
+    previousAt = at
+  }
+  return null
+}
+
+/**
+ * Check a completed challenge and the face match.
+ *
+ * @param {string} sessionId
+ * @param {string} wallet
+ * @param {{ selfieDescriptor: number[], documentDescriptor: number[], liveness: { steps: Object[] } }} result
+ * @returns {{ passed: boolean, reason: string|null, message?: string, score?: number,
+ *             attemptsRemaining?: number, lockedUntil?: string|null }}
+ *   reason: 'face_session_not_found' | 'face_session_expired' | 'face_session_used'
+ *         | 'invalid_descriptor' | 'face_attempts_exceeded' | 'liveness_failed' | 'face_mismatch'
+ */
+export function completeFaceSession(sessionId, wallet, { selfieDescriptor, documentDescriptor, liveness } = {}) {
+  const key = wallet.toLowerCase()
+  const session = sessions.get(sessionId)
+  if (!session || session.wallet !== key) return { passed: false, reason: 'face_session_not_found' }
+  if (session.status !== 'pending') return { passed: false, reason: 'face_session_used' }
+  if (new Date(session.expiresAt) < new Date()) return { passed: false, reason: 'face_session_expired' }
+
+  // Malformed input isn't an attempt — the session stays open
+  if (!isDescriptor(selfieDescriptor) || !isDescriptor(documentDescriptor)) {
+    return { passed: false, reason: 'invalid_descriptor' }
+  }
+
+  const lock = getFaceLock(key, session.documentKey)
+  if (lock.locked) {
+    sessions.delete(sessionId)
+    return { passed: false, reason: 'face_attempts_exceeded', lockedUntil: lock.lockedUntil, attemptsRemaining: 0 }
+  }
+
+  const distance = euclideanDistance(selfieDescriptor, documentDescriptor)
+  const score = Math.round(Math.max(0, Math.min(100, (1 - distance) * 100)))
+  const elapsed = Date.now() - new Date(session.createdAt).getTime()
+
+  const failure = livenessProblem(session, liveness?.steps, selfieDescriptor, elapsed)
+  const reason = failure ? 'liveness_failed' : distance >= FACE_MATCH_THRESHOLD ? 'face_mismatch' : null
+
+  const completedAt = new Date().toISOString()
+  if (reason) {
+    recordFailure(`wallet:${key}`)
+    recordFailure(`document:${session.documentKey}`)
+    sessions.set(sessionId, { ...session, status: 'failed', reason, score, completedAt })
+    const after = getFaceLock(key, session.documentKey)
+    return {
+      passed: false,
+      reason,
+      message: failure || `Your selfie does not match the document photo (${score}% similarity)`,
+      score,
+      attemptsRemaining: after.attemptsRemaining,
+      lockedUntil: after.lockedUntil
+    }
+  }
+
+  sessions.set(sessionId, { ...session, status: 'passed', score, completedAt })
+  return { passed: true, reason: null, score }
+}
+
+/**
+ * May this session back a KYC submission?
+ * (passed, same wallet, same identity document, not used, not too old)
+ *
+ * @returns {{ valid: boolean, reason: string|null }}
+ *   reason: 'face_session_required' | 'face_session_not_found' | 'face_session_not_passed'
+ *         | 'face_session_used' | 'face_session_expired' | 'face_session_document_mismatch'
+ */
+export function checkFaceSession(sessionId, wallet, documentKey) {
+  if (!sessionId) return { valid: false, reason: 'face_session_required' }
+  const session = sessions.get(sessionId)
+  if (!session || session.wallet !== wallet.toLowerCase()) return { valid: false, reason: 'face_session_not_found' }
+  if (session.status === 'used') return { valid: false, reason: 'face_session_used' }
+  if (session.status !== 'passed') return { valid: false, reason: 'face_session_not_passed' }
+  if (Date.now() - new Date(session.completedAt).getTime() > PASSED_VALID_MS) {
+    return { valid: false, reason: 'face_session_expired' }
+  }
+  if (session.documentKey !== documentKey) return { valid: false, reason: 'face_session_document_mismatch' }
+  return { valid: true, reason: null }
+}
+
+/** Mark a passed session as used by an issued RacePass (one session, one credential) */
+export function consumeFaceSession(sessionId) {
+  const session = sessions.get(sessionId)
+  if (session) sessions.set(sessionId, { ...session, status: 'used', usedAt: new Date().toISOString() })
+}
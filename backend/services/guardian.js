@@ -0,0 +1,125 @@
+/**
+ * guardian.js — Guardian Consent for Minors
+ *
+ * Why?
+ * - Under-18s get a RacePass with isAdult: false and nothing else, so every
+ *   age-gated event and site turned them away — even a UA 13+ film or a
+ *   family event they may attend with a parent.
+ *
+ * An adult RacePass holder co-signs the minor's RacePass:
+ *   1. The MINOR's session asks for a consent (POST /api/guardians/authorization
+ *      { guardianWallet }) → EIP-712 GuardianConsent { guardian, minor, nonce,
+ *      expiresAt }. The nonce is issued here, one-time, 10 minutes.
+ *   2. The GUARDIAN's wallet signs it (MetaMask eth_signTypedData_v4).
+ *   3. POST /api/guardians { guardianWallet, nonce, signature }
+ *        → verifyGuardianConsent() consumes the nonce, the minor gets a
+ *          signed "guardianConsent:<guardian wallet>" attestation.
+ *
+ * Events with accompaniedBy: 'guardian' (and sites that pass allowGuardian
+ * to /api/third-party/verify) then admit the minor below their minimum age,
+ * accompanied by that guardian. See routes/guardians.js.
+ */
+
+import { randomBytes } from 'crypto'
+import { verifyTypedData, getAddress } from 'ethers'
+import { getCollection } from '../storage/index.js'
+import { formatClaim } from './claims.js'
+
+const CONSENT_TTL_MS = 10 * 60 * 1000   // the guardian must sign within 10 minutes
+
+export const GUARDIAN_CONSENT_EIP712 = {
+  domain: { name: 'RacePass Guardian Consent', version: '1' },
+  primaryType: 'GuardianConsent',
+  types: {
+    GuardianConsent: [
+      { name: 'statement', type: 'string' },
+      { name: 'guardian', type: 'address' },
+      { name: 'minor', type: 'address' },
+      { name: 'nonce', type: 'string' },
+      { name: 'expiresAt', type: 'string' }
+    ]
+  }
+}
+
+const CONSENT_STATEMENT = 'I am the parent or legal guardian of the RacePass holder below and will accompany them where my consent is required.'
+
+// Pending consents — short-lived, so they don't need to survive a restart
+const pendingConsents = getCollection('guardianNonces', { persist: false })  // nonce → { guardian, minor, expiresAt }
+
+/** The attestation claim a minor holds for a guardian */
+export function guardianClaim(guardianWallet) {
+  return formatClaim('guardianConsent', guardianWallet.toLowerCase())
+}
+
+/**
+ * Issue a one-time consent for the guardian to sign
+ *
+ * @param {string} guardianWallet - Adult RacePass holder co-signing
+ * @param {string} minorWallet    - Minor's wallet (the signed-in one)
+ * @returns {{ nonce, expiresAt, typedData: { domain, types, primaryType, message } }}
+ */
+export function createGuardianConsent(guardianWallet, minorWallet) {
+  const now = Date.now()
+
+  // Drop abandoned consents so the map doesn't grow forever
+  for (const [key, pending] of pendingConsents) {
+    if (new Date(pending.expiresAt) < new Date(now)) pendingConsents.delete(key)
+  }
+
+  const nonce = randomBytes(16).toString('hex')
+  const expiresAt = new Date(now + CONSENT_TTL_MS).toISOString()
+  pendingConsents.set(nonce, { guardian: guardianWallet.toLowerCase(), minor: minorWallet.toLowerCase(), expiresAt })
+
+  const { domain, types, primaryType } = GUARDIAN_CONSENT_EIP712
+  return {
+    nonce,
+    expiresAt,
+    typedData: {
+      domain,
+      types,
+      primaryType,
+      message: {
+        statement: CONSENT_STATEMENT,
+        guardian: getAddress(guardianWallet),
+        minor: getAddress(minorWallet),
+        nonce,
+        expiresAt
+      }
+    }
+  }
+}
+
+/**
+ * Verify the guardian's signature over a consent and consume its nonce
+ *
+ * @returns {{ valid: boolean, reason: string|null }}
+ *   reason: 'unknown_nonce' | 'consent_expired' | 'wallet_mismatch' | 'invalid_signature'
+ */
+export function verifyGuardianConsent({ nonce, signature }, guardianWallet, minorWallet) {
+  const pending = pendingConsents.get(nonce)
+  if (!pending) return { valid: false, reason: 'unknown_nonce' }
+  // One-time use, even if verification fails below
+  pendingConsents.delete(nonce)
+
+  if (new Date(pending.expiresAt) < new Date()) return { valid: false, reason: 'consent_expired' }
+  if (pending.guardian !== guardianWallet.toLowerCase() || pending.minor !== minorWallet.toLowerCase()) {
+    return { valid: false, reason: 'wallet_mismatch' }
+  }
+
+  const { domain, types } = GUARDIAN_CONSENT_EIP712
+  let recovered
+  try {
+    recovered = verifyTypedData(domain, types, {
+      statement: CONSENT_STATEMENT,
+      guardian: getAddress(pending.guardian),
+      minor: getAddress(pending.minor),
+      nonce,
+      expiresAt: pending.expiresAt
+    }, signature)
+  } catch {
+    return { valid: false, reason: 'invalid_signature' }
+  }
+  if (recovered.toLowerCase() !== pending.guardian) return { valid: false, reason: 'invalid_signature' }
+
+  return { valid: true, reason: null }
+}
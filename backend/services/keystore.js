@@ -0,0 +1,374 @@
+/**
+ * keystore.js — Issuer Key Management
+ *
+ * Every attestation, ticket, QR payload and credential is signed by an
+ * issuer key. Instead of one PRIVATE_KEY forever, the keystore holds
+ * several keys, each with a key ID (kid) and a lifecycle:
+ *
+ *   active   → signs new proofs and is accepted by verifiers.
+ *              The newest active key is the PRIMARY (the one that signs);
+ *              older active keys are still accepted (multiple issuers).
+ *   retiring → no longer signs, but is still accepted until validUntil
+ *              (grace period) so proofs issued with it keep working
+ *   retired  → no longer accepted; kept for history so verifiers can
+ *              see which addresses were ours and when
+ *
+ * Rotation = add a new primary key + move the old primary to "retiring".
+ * It runs on demand (POST /api/issuers/rotate) or on a schedule
+ * (ISSUER_KEY_ROTATION_DAYS). When RacePassV2 is deployed, new keys are
+ * authorizeIssuer()'d and retired keys revokeIssuer()'d on-chain.
+ *
+ * Private keys are encrypted at rest (AES-256-GCM, key derived with scrypt
+ * from ISSUER_KEYSTORE_SECRET) and only decrypted in memory.
+ *
+ * Env:
+ *   ISSUER_KEYSTORE_SECRET    passphrase for the encrypted keys (REQUIRED in production)
+ *   ISSUER_KEY_ROTATION_DAYS  rotate the primary key after N days (0/unset = manual only)
+ *   ISSUER_KEY_GRACE_DAYS     how long a rotated-out key stays valid (default 30)
+ *   PRIVATE_KEY               imported as an issuer key on first start (retires the demo key)
+ */
+
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto'
+import { Wallet } from 'ethers'
+import { getCollection } from '../storage/index.js'
+import { syncIssuerOnChains } from './blockchain.js'
+
+// Well-known local test key — only used when PRIVATE_KEY is not configured
+const DEMO_ISSUER_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80'
+const DEMO_KEYSTORE_SECRET = 'racepass-demo-keystore-secret'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const DEFAULT_GRACE_DAYS = 30
+const ROTATION_CHECK_INTERVAL_MS = 60 * 60 * 1000  // hourly
+
+export const KEY_STATUS = { ACTIVE: 'active', RETIRING: 'retiring', RETIRED: 'retired' }
+
+// ── Store (persisted via storage/, see config/storage.js) ──
+const issuerKeys = getCollection('issuerKeys')   // kid → { kid, address, status, encryptedKey, ... }
+
+const unlocked = new Map()   // kid → Wallet (decrypted, never persisted)
+let initialized = false
+let rotationTimer = null
+
+function getGraceDays() {
+  const days = Number(process.env.ISSUER_KEY_GRACE_DAYS)
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_GRACE_DAYS
+}
+
+function getRotationDays() {
+  const days = Number(process.env.ISSUER_KEY_ROTATION_DAYS)
+  return Number.isFinite(days) && days > 0 ? days : 0
+}
+
+// ═══════════════════════════════════════════
+//  ENCRYPTION AT REST
+// ═══════════════════════════════════════════
+
+function getSecret() {
+  return process.env.ISSUER_KEYSTORE_SECRET || DEMO_KEYSTORE_SECRET
+}
+
+/**
+ * Encrypt a private key for storage.
+ * kid + address are authenticated (AAD), so a ciphertext can't be swapped
+ * onto another key record.
+ */
+function encryptPrivateKey(privateKey, kid, address) {
+  const salt = randomBytes(16)
+  const iv = randomBytes(12)
+  const cipher = createCipheriv('aes-256-gcm', scryptSync(getSecret(), salt, 32), iv)
+  cipher.setAAD(Buffer.from(`${kid}|${address.toLowerCase()}`))
+  const ciphertext = Buffer.concat([cipher.update(privateKey.slice(2), 'hex'), cipher.final()])
+  return {
+    cipher: 'aes-256-gcm',
+    kdf: 'scrypt',
+    salt: salt.toString('hex'),
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    ciphertext: ciphertext.toString('hex')
+  }
+}
+
+function decryptPrivateKey(record) {
+  const { salt, iv, tag, ciphertext } = record.encryptedKey
+  const decipher = createDecipheriv('aes-256-gcm', scryptSync(getSecret(), Buffer.from(salt, 'hex'), 32), Buffer.from(iv, 'hex'))
+  decipher.setAAD(Buffer.from(`${record.kid}|${record.address.toLowerCase()}`))
+  decipher.setAuthTag(Buffer.from(tag, 'hex'))
+  return '0x' + Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]).toString('hex')
+}
+
+/** Decrypted wallet for a key record (cached in memory) */
+function unlock(record) {
+  if (!unlocked.has(record.kid)) {
+    let wallet
+    try {
+      wallet = new Wallet(decryptPrivateKey(record))
+    } catch {
+      throw new Error(`Cannot decrypt issuer key ${record.kid} — is ISSUER_KEYSTORE_SECRET correct?`)
+    }
+    if (wallet.address !== record.address) {
+      throw new Error(`Issuer key ${record.kid} does not match its address`)
+    }
+    unlocked.set(record.kid, wallet)
+  }
+  return unlocked.get(record.kid)
+}
+
+// ═══════════════════════════════════════════
+//  LIFECYCLE
+// ═══════════════════════════════════════════
+
+const kidNumber = kid => Number(kid.split('-')[1]) || 0
+
+function nextKid() {
+  return `key-${[...issuerKeys.keys()].reduce((max, kid) => Math.max(max, kidNumber(kid)), 0) + 1}`
+}
+
+/** Sort newest key first (kid breaks ties within the same millisecond) */
+function newestFirst(a, b) {
+  return new Date(b.activatedAt) - new Date(a.activatedAt) || kidNumber(b.kid) - kidNumber(a.kid)
+}
+
+/** Public view of a key record — never includes the encrypted key */
+function toPublicKey(record, primaryKid = getPrimaryRecord()?.kid) {
+  const { encryptedKey: _, ...key } = record
+  return { ...key, primary: record.kid === primaryKid }
+}
+
+/** Newest active key — the one that signs */
+function getPrimaryRecord() {
+  return [...issuerKeys.values()]
+    .filter(k => k.status === KEY_STATUS.ACTIVE)
+    .sort(newestFirst)[0] || null
+}
+
+/**
+ * Authorize/revoke a key on RacePassV2 in the background and remember
+ * the result on the key record (chains without a contract are skipped).
+ */
+function syncOnChain(kid, authorized) {
+  const record = issuerKeys.get(kid)
+  syncIssuerOnChains(record.address, authorized)
+    .then(results => {
+      const latest = issuerKeys.get(kid)
+      latest.onChain = { ...latest.onChain, [authorized ? 'authorize' : 'revoke']: results }
+      issuerKeys.set(kid, latest)
+    })
+    .catch(err => console.error(`❌ On-chain issuer sync failed for ${kid}:`, err.message))
+}
+
+function storeKey(wallet, { source, label }) {
+  const kid = nextKid()
+  const now = new Date().toISOString()
+  issuerKeys.set(kid, {
+    kid,
+    address: wallet.address,
+    publicKey: wallet.signingKey.publicKey,
+    status: KEY_STATUS.ACTIVE,
+    source,
+    label: label || null,
+    createdAt: now,
+    activatedAt: now,
+    validUntil: null,
+    retiredAt: null,
+    retireReason: null,
+    encryptedKey: encryptPrivateKey(wallet.privateKey, kid, wallet.address),
+    onChain: {}
+  })
+  unlocked.set(kid, wallet)
+  console.log(`🔑 Issuer key ${kid} added (${source}): ${wallet.address}`)
+  syncOnChain(kid, true)
+  return issuerKeys.get(kid)
+}
+
+/**
+ * Add an issuer key (generated, or imported from a private key)
+ * It becomes the new primary; existing active keys stay accepted.
+ *
+ * @param {Object} opts { privateKey?, label? }
+ * @returns {Object} Public key record
+ */
+export function addIssuerKey({ privateKey, label } = {}) {
+  initKeystore()
+  const wallet = privateKey
+    ? new Wallet(privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`)
+    : Wallet.createRandom()
+  const existing = findKeyByAddress(wallet.address)
+  if (existing) throw new Error(`Address ${wallet.address} is already issuer key ${existing.kid}`)
+  return toPublicKey(storeKey(wallet, { source: privateKey ? 'imported' : 'generated', label }))
+}
+
+/**
+ * Retire a key. With a grace period it stays accepted (status "retiring")
+ * until validUntil; with graceDays = 0 it is retired immediately.
+ * The last active key can't be retired — rotate instead.
+ *
+ * @param {string} kid
+ * @param {Object} opts { graceDays?, reason? }
+ * @returns {Object} Public key record
+ */
+export function retireIssuerKey(kid, { graceDays = getGraceDays(), reason = 'manual' } = {}) {
+  initKeystore()
+  const record = issuerKeys.get(kid)
+  if (!record) throw new Error(`Unknown issuer key: ${kid}`)
+  if (record.status === KEY_STATUS.RETIRED) throw new Error(`Issuer key ${kid} is already retired`)
+
+  const otherActive = [...issuerKeys.values()].some(k => k.kid !== kid && k.status === KEY_STATUS.ACTIVE)
+  if (record.status === KEY_STATUS.ACTIVE && !otherActive) {
+    throw new Error('Cannot retire the only active issuer key — rotate instead')
+  }
+
+  const now = Date.now()
+  record.retireReason = reason
+  record.validUntil = new Date(now + Number(graceDays) * DAY_MS).toISOString()
+  if (Number(graceDays) > 0) {
+    record.status = KEY_STATUS.RETIRING
+    issuerKeys.set(kid, record)
+    console.log(`🔑 Issuer key ${kid} retiring — accepted until ${record.validUntil}`)
+  } else {
+    finishRetirement(record)
+  }
+  return toPublicKey(issuerKeys.get(kid))
+}
+
+function finishRetirement(record) {
+  record.status = KEY_STATUS.RETIRED
+  record.retiredAt = new Date().toISOString()
+  issuerKeys.set(record.kid, record)
+  unlocked.delete(record.kid)
+  console.log(`🔑 Issuer key ${record.kid} retired: ${record.address}`)
+  syncOnChain(record.kid, false)
+}
+
+/**
+ * Rotate: new primary key, previous primary moves to its grace period
+ *
+ * @param {Object} opts { graceDays?, reason? }
+ * @returns {{ current: Object, previous: Object|null }}
+ */
+export function rotateIssuerKey({ graceDays = getGraceDays(), reason = 'rotation' } = {}) {
+  initKeystore()
+  const previous = getPrimaryRecord()
+  const current = storeKey(Wallet.createRandom(), { source: 'rotation' })
+  const retired = previous ? retireIssuerKey(previous.kid, { graceDays, reason }) : null
+  return { current: toPublicKey(current), previous: retired }
+}
+
+/** Move keys whose grace period is over to "retired" */
+export function sweepRetiringKeys(now = Date.now()) {
+  for (const record of issuerKeys.values()) {
+    if (record.status === KEY_STATUS.RETIRING && new Date(record.validUntil).getTime() <= now) {
+      finishRetirement(record)
+    }
+  }
+}
+
+/** Rotate when the primary key is older than ISSUER_KEY_ROTATION_DAYS */
+function checkScheduledRotation() {
+  sweepRetiringKeys()
+  const rotationDays = getRotationDays()
+  const primary = getPrimaryRecord()
+  if (!rotationDays || !primary) return
+  if (Date.now() - new Date(primary.activatedAt).getTime() >= rotationDays * DAY_MS) {
+    console.log(`🔄 Scheduled issuer key rotation (${primary.kid} is older than ${rotationDays} days)`)
+    rotateIssuerKey({ reason: 'scheduled' })
+  }
+}
+
+/**
+ * The demo key is public, so once a real PRIVATE_KEY is configured anything
+ * it signed (or anyone holding it signs) must stop being accepted — no grace
+ */
+function retireDemoKey(envAddress) {
+  const demoAddress = new Wallet(DEMO_ISSUER_KEY).address
+  if (envAddress === demoAddress) return
+  for (const record of issuerKeys.values()) {
+    if (record.address !== demoAddress || record.status === KEY_STATUS.RETIRED) continue
+    record.retireReason = 'demo_key'
+    record.validUntil = new Date().toISOString()
+    console.warn(`⚠️ PRIVATE_KEY configured — retiring demo issuer key ${record.kid} immediately`)
+    finishRetirement(record)
+  }
+}
+
+/**
+ * Load the keystore. Must be called once at server startup (idempotent).
+ * Imports PRIVATE_KEY (or the demo key on a fresh demo install) the first
+ * time it is seen, and starts the rotation schedule.
+ */
+export function initKeystore() {
+  if (initialized) return
+  initialized = true
+
+  if (!process.env.ISSUER_KEYSTORE_SECRET) {
+    console.warn('⚠️ ISSUER_KEYSTORE_SECRET not configured — issuer keys are encrypted with a demo secret')
+  }
+
+  const pk = process.env.PRIVATE_KEY
+  const envKey = pk && pk !== 'your_private_key_here_without_0x_prefix'
+    ? (pk.startsWith('0x') ? pk : `0x${pk}`)
+    : null
+  if (!envKey) console.warn('⚠️ PRIVATE_KEY not configured — crypto proofs will use demo key')
+
+  const seed = envKey ? new Wallet(envKey) : issuerKeys.size === 0 ? new Wallet(DEMO_ISSUER_KEY) : null
+  if (seed && !findKeyByAddress(seed.address)) {
+    storeKey(seed, { source: envKey ? 'env' : 'demo' })
+  }
+  if (envKey) retireDemoKey(seed.address)
+
+  checkScheduledRotation()
+  if (getRotationDays() && !rotationTimer) {
+    rotationTimer = setInterval(checkScheduledRotation, ROTATION_CHECK_INTERVAL_MS)
+    rotationTimer.unref()
+  }
+
+  const primary = getPrimaryRecord()
+  unlock(primary) // fail at startup, not at the first signature, if the secret is wrong
+  console.log(`🔐 Issuer keystore: ${issuerKeys.size} key(s), primary ${primary.kid} (${primary.address})`)
+}
+
+// ═══════════════════════════════════════════
+//  LOOKUPS
+// ═══════════════════════════════════════════
+
+/**
+ * The key that signs new proofs
+ * @returns {{ kid: string, address: string, wallet: Wallet }}
+ */
+export function getSigningKey() {
+  initKeystore()
+  const primary = getPrimaryRecord()
+  return { kid: primary.kid, address: primary.address, wallet: unlock(primary) }
+}
+
+export function findKeyByAddress(address) {
+  if (!address) return null
+  return [...issuerKeys.values()].find(k => k.address.toLowerCase() === address.toLowerCase()) || null
+}
+
+/** Addresses whose signatures are accepted right now: active + in grace period */
+export function getTrustedKeyAddresses() {
+  initKeystore()
+  sweepRetiringKeys()
+  return [...issuerKeys.values()]
+    .filter(k => k.status !== KEY_STATUS.RETIRED)
+    .map(k => k.address)
+}
+
+/**
+ * Every key we ever used, newest first (public data only)
+ * @returns {Object[]} { kid, address, status, primary, activatedAt, validUntil, retiredAt, ... }
+ */
+export function listIssuerKeys() {
+  initKeystore()
+  sweepRetiringKeys()
+  const primaryKid = getPrimaryRecord()?.kid
+  return [...issuerKeys.values()]
+    .sort(newestFirst)
+    .map(k => toPublicKey(k, primaryKid))
+}
+
+/** Keys to publish in the DID document: active + in grace period */
+export function getPublishedKeys() {
+  return listIssuerKeys().filter(k => k.status !== KEY_STATUS.RETIRED)
+}
@@ -0,0 +1,120 @@
+/**
+ * migration.js — Wallet Transfer Authorizations
+ *
+ * Why?
+ * - A RacePass (and the reputation earned with it) is keyed by wallet.
+ *   Users who switch wallets — or lose one — would otherwise have to redo
+ *   KYC and start again at reputation 50.
+ *
+ * Two ways to authorize moving a RacePass from wallet A to wallet B
+ * (the request is always made by a session for B, see routes/migration.js):
+ *   1. TRANSFER — A signs an EIP-712 WalletTransfer { from: A, to: B, nonce,
+ *      expiresAt }. The nonce is issued here, one-time, 10 minutes.
+ *   2. RECOVERY — A is lost: the user re-enters DOB + document number, which
+ *      must open the identity commitment stored at KYC time (routes/kyc.js).
+ *
+ * Flow (transfer):
+ *   1. POST /api/migration/authorization { fromWallet }  (signed in as B)
+ *        → typed data for A to sign
+ *   2. MetaMask eth_signTypedData_v4 with wallet A
+ *   3. POST /api/migration { fromWallet, method: 'signature', nonce, signature }
+ *        → verifyTransferAuthorization() consumes the nonce
+ */
+
+import { randomBytes } from 'crypto'
+import { verifyTypedData, getAddress } from 'ethers'
+import { getCollection } from '../storage/index.js'
+
+const AUTHORIZATION_TTL_MS = 10 * 60 * 1000   // A must sign within 10 minutes
+
+export const WALLET_TRANSFER_EIP712 = {
+  domain: { name: 'RacePass Wallet Migration', version: '1' },
+  primaryType: 'WalletTransfer',
+  types: {
+    WalletTransfer: [
+      { name: 'statement', type: 'string' },
+      { name: 'from', type: 'address' },
+      { name: 'to', type: 'address' },
+      { name: 'nonce', type: 'string' },
+      { name: 'expiresAt', type: 'string' }
+    ]
+  }
+}
+
+const TRANSFER_STATEMENT = 'Move my RacePass, reputation and tickets to the new wallet below. The old wallet loses them.'
+
+// Pending authorizations — short-lived, so they don't need to survive a restart
+const pendingTransfers = getCollection('migrationNonces', { persist: false })  // nonce → { from, to, expiresAt }
+
+/**
+ * Issue a one-time transfer authorization for the old wallet to sign
+ *
+ * @param {string} fromWallet - Wallet giving up the RacePass
+ * @param {string} toWallet   - Wallet receiving it (the signed-in one)
+ * @returns {{ nonce, expiresAt, typedData: { domain, types, primaryType, message } }}
+ */
+export function createTransferAuthorization(fromWallet, toWallet) {
+  const now = Date.now()
+
+  // Drop abandoned authorizations so the map doesn't grow forever
+  for (const [key, pending] of pendingTransfers) {
+    if (new Date(pending.expiresAt) < new Date(now)) pendingTransfers.delete(key)
+  }
+
+  const nonce = randomBytes(16).toString('hex')
+  const expiresAt = new Date(now + AUTHORIZATION_TTL_MS).toISOString()
+  pendingTransfers.set(nonce, { from: fromWallet.toLowerCase(), to: toWallet.toLowerCase(), expiresAt })
+
+  const { domain, types, primaryType } = WALLET_TRANSFER_EIP712
+  return {
+    nonce,
+    expiresAt,
+    typedData: {
+      domain,
+      types,
+      primaryType,
+      message: {
+        statement: TRANSFER_STATEMENT,
+        from: getAddress(fromWallet),
+        to: getAddress(toWallet),
+        nonce,
+        expiresAt
+      }
+    }
+  }
+}
+
+/**
+ * Verify the old wallet's signature over a transfer authorization and consume its nonce
+ *
+ * @returns {{ valid: boolean, reason: string|null }}
+ *   reason: 'unknown_nonce' | 'authorization_expired' | 'wallet_mismatch' | 'invalid_signature'
+ */
+export function verifyTransferAuthorization({ nonce, signature }, fromWallet, toWallet) {
+  const pending = pendingTransfers.get(nonce)
+  if (!pending) return { valid: false, reason: 'unknown_nonce' }
+  // One-time use, even if verification fails below
+  pendingTransfers.delete(nonce)
+
+  if (new Date(pending.expiresAt) < new Date()) return { valid: false, reason: 'authorization_expired' }
+  if (pending.from !== fromWallet.toLowerCase() || pending.to !== toWallet.toLowerCase()) {
+    return { valid: false, reason: 'wallet_mismatch' }
+  }
+
+  const { domain, types } = WALLET_TRANSFER_EIP712
+  let recovered
+  try {
+    recovered = verifyTypedData(domain, types, {
+      statement: TRANSFER_STATEMENT,
+      from: getAddress(pending.from),
+      to: getAddress(pending.to),
+      nonce,
+      expiresAt: pending.expiresAt
+    }, signature)
+  } catch {
+    return { valid: false, reason: 'invalid_signature' }
+  }
+  if (recovered.toLowerCase() !== pending.from) return { valid: false, reason: 'invalid_signature' }
+
+  return { valid: true, reason: null }
+}
@@ -0,0 +1,123 @@
+/**
+ * moderation.js — Operator Suspension / Restore of RacePasses
+ *
+ * Why?
+ * - Only the holder could revoke a RacePass. The operator had no way to stop
+ *   a fraudulent one (forged document, stolen identity) or to undo a
+ *   revocation made by mistake.
+ *
+ * A suspended RacePass is revoked (revoked: true — every verifier already
+ * rejects it) plus a `suspension` block with the reason code. Unlike a
+ * self-revocation it keeps its identity nullifier, so the same document can't
+ * get a new RacePass on this or another wallet until an admin restores it.
+ * On-chain it is RacePassV2.revokeCredential / restoreCredential.
+ *
+ * Every admin action lands in an append-only audit trail (adminAudit
+ * collection), exported by GET /api/admin/audit. See routes/admin.js.
+ */
+
+import { randomBytes } from 'crypto'
+import { getCollection } from '../storage/index.js'
+
+export const SUSPENSION_REASONS = {
+  fraud_suspected: 'Suspected fraud',
+  document_forged: 'Forged or altered identity document',
+  identity_theft: 'Identity used without the holder\'s consent',
+  duplicate_identity: 'Same person holds another RacePass',
+  underage_misrepresentation: 'Age misrepresented',
+  legal_request: 'Legal or regulatory request',
+  other: 'Other (see note)'
+}
+
+export const RESTORE_REASONS = {
+  revoked_in_error: 'Revoked or suspended by mistake',
+  investigation_cleared: 'Investigation found no abuse',
+  appeal_upheld: 'Holder\'s appeal upheld',
+  holder_request: 'Holder asked to undo their revocation',
+  other: 'Other (see note)'
+}
+
+const MAX_NOTE_LENGTH = 500
+
+const auditTrail = getCollection('adminAudit')  // id → { at, admin, action, wallet, credentialId, reason, note, blockchainResults }
+
+/**
+ * Validate a { reason, note } body against a reason-code table
+ *
+ * @returns {{ reason: string, note: string|null }|{ error: string }}
+ */
+export function readReason(body, reasons) {
+  const { reason, note } = body || {}
+  if (!Object.hasOwn(reasons, reason)) {
+    return { error: `reason must be one of: ${Object.keys(reasons).join(', ')}` }
+  }
+  if (note != null && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+    return { error: `note must be text of at most ${MAX_NOTE_LENGTH} characters` }
+  }
+  if (reason === 'other' && !note?.trim()) {
+    return { error: 'A note is required when the reason is "other"' }
+  }
+  return { reason, note: note?.trim() || null }
+}
+
+/**
+ * Error response body for a holder whose RacePass is suspended, or null.
+ * Holders can't revoke, renew, move or re-issue their way out of a suspension.
+ */
+export function suspensionRejection(data) {
+  if (!data?.suspension) return null
+  return {
+    success: false,
+    error: 'This RacePass has been suspended by the issuer',
+    message: 'This RacePass has been suspended by the issuer. Contact RacePass support to appeal.',
+    reason: 'credential_suspended',
+    suspensionReason: data.suspension.reason
+  }
+}
+
+/**
+ * Lifecycle status of a stored RacePass record
+ *
+ * @returns {'active'|'expired'|'revoked'|'suspended'|'migrated'}
+ */
+export function credentialStatus(data, now = Date.now()) {
+  if (data.migratedTo) return 'migrated'
+  if (data.suspension) return 'suspended'
+  if (data.revoked) return 'revoked'
+  if (data.expiresAt && new Date(data.expiresAt).getTime() < now) return 'expired'
+  return 'active'
+}
+
+/** Append an admin action to the audit trail */
+export function recordAdminAction({ admin, action, wallet = null, credentialId = null, reason = null, note = null, details = {} }) {
+  const at = new Date().toISOString()
+  const entry = { id: `${at}-${randomBytes(4).toString('hex')}`, at, admin, action, wallet, credentialId, reason, note, ...details }
+  auditTrail.set(entry.id, entry)
+  return entry
+}
+
+/**
+ * Audit entries, oldest first
+ *
+ * @param {{ wallet?: string, action?: string, since?: string }} filter
+ */
+export function listAdminActions({ wallet, action, since } = {}) {
+  return [...auditTrail.values()]
+    .filter(e => (!wallet || e.wallet === wallet.toLowerCase()) && (!action || e.action === action) && (!since || e.at >= since))
+    .sort((a, b) => a.at.localeCompare(b.at))
+}
+
+const CSV_COLUMNS = ['at', 'admin', 'action', 'wallet', 'credentialId', 'reason', 'note']
+
+function csvCell(value) {
+  let text = value == null ? '' : String(value)
+  // Spreadsheets run cells starting with = + - @ as formulas (notes are free text)
+  if (/^[=+\-@]/.test(text)) text = `'${text}`
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/** Audit entries as CSV (one row per action) */
+export function auditToCsv(entries) {
+  const rows = entries.map(e => CSV_COLUMNS.map(c => csvCell(e[c])).join(','))
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n'
+}
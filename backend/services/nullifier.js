@@ -0,0 +1,151 @@
+/**
+ * nullifier.js — One Aadhaar Identity per Active RacePass
+ *
+ * Why?
+ * - /api/kyc/submit only blocked duplicates per wallet, so one Aadhaar card
+ *   could mint a RacePass on every wallet it liked (farming reputation,
+ *   dodging per-person ticket limits).
+ *
+ * The nullifier is a stable, one-way tag for "this Aadhaar number":
+ *
+ *   nullifier = HMAC-SHA256(pepper, scrypt(aadhaarNumber, salt))
+ *
+ *   salt   → random, generated once and stored with the data (settings collection)
+ *   pepper → AADHAAR_NULLIFIER_PEPPER, only in the environment — never stored
+ *   scrypt → makes each guess expensive; the Aadhaar space is only 10¹²
+ *
+ * Other identity documents (services/documents.js) go in as their identityKey()
+ * ("passport:DE:C01X00T47", ...) — for Aadhaar that is the bare number, so
+ * existing nullifiers still match. One person with two different documents
+ * (say Aadhaar and a passport) gets two different nullifiers — so a nullifier
+ * only stands for one person when it comes from a UIDAI-signed Aadhaar
+ * (claims.js isUniquePerson). PAN, passport and licence numbers are checked
+ * for format only, and nothing links them to the holder's Aadhaar. Events
+ * that limit tickets per person (onePerPerson) take only those RacePasses.
+ *
+ * A leaked data file alone can't be brute-forced (no pepper), and the raw
+ * number is never stored — only the nullifier, next to the wallet holding it.
+ * The nullifier never leaves the backend (not in credentials, attestations
+ * or on-chain), so it can't link wallets across sites either.
+ *
+ * Env:
+ *   AADHAAR_NULLIFIER_PEPPER  secret pepper (REQUIRED in production; changing it
+ *                             orphans every stored nullifier — startup refuses)
+ */
+
+import { createHmac, randomBytes, scrypt } from 'crypto'
+import { promisify } from 'util'
+import { getCollection } from '../storage/index.js'
+
+const scryptAsync = promisify(scrypt)
+
+const DEMO_PEPPER = 'racepass-demo-nullifier-pepper'
+const SCRYPT_PARAMS = { N: 1 << 14, r: 8, p: 1 }
+const PEPPER_CHECK_LABEL = 'racepass/nullifier-pepper-check'
+
+// ── Stores (persisted via storage/, see config/storage.js) ──
+const settings = getCollection('settings')                   // name → value (instance-wide settings)
+const nullifiers = getCollection('identityNullifiers')        // nullifier → { wallet, boundAt }
+const collisions = getCollection('nullifierCollisions')       // id → { nullifier, attemptedBy, heldBy, action, at }
+
+let initialized = false
+
+function getPepper() {
+  return process.env.AADHAAR_NULLIFIER_PEPPER || DEMO_PEPPER
+}
+
+function pepperCheck() {
+  return createHmac('sha256', getPepper()).update(PEPPER_CHECK_LABEL).digest('hex')
+}
+
+/**
+ * Create the salt on first start and make sure the pepper hasn't changed
+ * since nullifiers were stored (they would silently stop matching).
+ * Idempotent.
+ */
+export function initNullifiers() {
+  if (initialized) return
+  if (!process.env.AADHAAR_NULLIFIER_PEPPER) {
+    console.warn('⚠️ AADHAAR_NULLIFIER_PEPPER not configured — using the demo pepper (set it in production)')
+  }
+
+  if (!settings.has('nullifierSalt')) {
+    settings.set('nullifierSalt', randomBytes(16).toString('hex'))
+    settings.set('nullifierPepperCheck', pepperCheck())
+  } else if (settings.get('nullifierPepperCheck') !== pepperCheck()) {
+    throw new Error('AADHAAR_NULLIFIER_PEPPER does not match the one stored nullifiers were made with')
+  }
+  initialized = true
+}
+
+/**
+ * Derive the nullifier for an Aadhaar number (or another document's identityKey())
+ * @returns {Promise<string>} 0x-prefixed hex
+ */
+export async function deriveNullifier(identityKey) {
+  initNullifiers()
+  const salt = Buffer.from(settings.get('nullifierSalt'), 'hex')
+  const stretched = await scryptAsync(String(identityKey), salt, 32, SCRYPT_PARAMS)
+  return '0x' + createHmac('sha256', getPepper()).update(stretched).digest('hex')
+}
+
+/** Wallet the nullifier is bound to, or null */
+export function getNullifierHolder(nullifier) {
+  return nullifiers.get(nullifier)?.wallet || null
+}
+
+/** Bind a nullifier to a wallet (replaces any previous holder) */
+export function bindNullifier(nullifier, wallet) {
+  nullifiers.set(nullifier, { wallet: wallet.toLowerCase(), boundAt: new Date().toISOString() })
+}
+
+/** Release a nullifier — only if it is still bound to this wallet */
+export function releaseNullifier(nullifier, wallet) {
+  if (getNullifierHolder(nullifier) === wallet.toLowerCase()) nullifiers.delete(nullifier)
+}
+
+/**
+ * Remember a rejected attempt to use an identity already held by another wallet
+ *
+ * @param {Object} attempt { nullifier, attemptedBy, heldBy, action: 'submit'|'renew' }
+ */
+export function recordCollision({ nullifier, attemptedBy, heldBy, action }) {
+  const at = new Date().toISOString()
+  collisions.set(`${at}-${randomBytes(4).toString('hex')}`, {
+    nullifier,
+    attemptedBy: attemptedBy.toLowerCase(),
+    heldBy,
+    action,
+    at
+  })
+}
+
+/**
+ * Collision attempts grouped per identity, most recent first.
+ * Identities are shown by a short reference, not the full nullifier.
+ *
+ * @returns {{ totalAttempts: number, identities: Object[] }}
+ */
+export function getCollisionReport() {
+  const byNullifier = new Map()
+  for (const [, attempt] of collisions) {
+    const group = byNullifier.get(attempt.nullifier) || {
+      identityRef: attempt.nullifier.slice(0, 14),
+      currentHolder: getNullifierHolder(attempt.nullifier),
+      attempts: 0,
+      wallets: [],
+      actions: {},
+      firstAt: attempt.at,
+      lastAt: attempt.at
+    }
+    group.attempts += 1
+    if (!group.wallets.includes(attempt.attemptedBy)) group.wallets.push(attempt.attemptedBy)
+    group.actions[attempt.action] = (group.actions[attempt.action] || 0) + 1
+    if (attempt.at < group.firstAt) group.firstAt = attempt.at
+    if (attempt.at > group.lastAt) group.lastAt = attempt.at
+    byNullifier.set(attempt.nullifier, group)
+  }
+
+  const identities = [...byNullifier.values()].sort((a, b) => b.lastAt.localeCompare(a.lastAt))
+  return { totalAttempts: collisions.size, identities }
+}
@@ -0,0 +1,77 @@
+/**
+ * pairwise.js — Per-Relying-Party Pseudonymous Identifiers
+ *
+ * Why?
+ * - /api/third-party/* answered every site with the holder's wallet address
+ *   and credential fingerprint, so BookMyShow, Paytm and every concert site
+ *   could join their user lists on them.
+ *
+ * Each relying party (its audience: origin, app id, ...) gets its own stable
+ * identifier for a holder instead:
+ *
+ *   pairwiseId = base64url(HMAC-SHA256(secret, audience ‖ subject))
+ *
+ *   subject → the identity nullifier (nullifier.js) when the RacePass has one,
+ *             else the wallet. From the nullifier, the same person keeps the
+ *             same id at a site after moving wallets or renewing — so a site
+ *             can still spot duplicate registrations — while two sites' ids
+ *             for them have nothing in common.
+ *   secret  → PAIRWISE_ID_SECRET, only in the environment
+ *
+ * Env:
+ *   PAIRWISE_ID_SECRET  secret key (REQUIRED in production; changing it gives
+ *                       every holder new ids at every site — startup refuses)
+ */
+
+import { createHmac } from 'crypto'
+import { getCollection } from '../storage/index.js'
+
+const DEMO_SECRET = 'racepass-demo-pairwise-secret'
+const SECRET_CHECK_LABEL = 'racepass/pairwise-secret-check'
+
+// ── Store (persisted via storage/, see config/storage.js) ──
+const settings = getCollection('settings')   // name → value (instance-wide settings)
+
+let initialized = false
+
+function getSecret() {
+  return process.env.PAIRWISE_ID_SECRET || DEMO_SECRET
+}
+
+function secretCheck() {
+  return createHmac('sha256', getSecret()).update(SECRET_CHECK_LABEL).digest('hex')
+}
+
+/**
+ * Make sure the secret hasn't changed since sites were handed ids
+ * (they would silently stop recognising their users). Idempotent.
+ */
+export function initPairwiseIds() {
+  if (initialized) return
+  if (!process.env.PAIRWISE_ID_SECRET) {
+    console.warn('⚠️ PAIRWISE_ID_SECRET not configured — using the demo secret (set it in production)')
+  }
+
+  if (!settings.has('pairwiseSecretCheck')) {
+    settings.set('pairwiseSecretCheck', secretCheck())
+  } else if (settings.get('pairwiseSecretCheck') !== secretCheck()) {
+    throw new Error('PAIRWISE_ID_SECRET does not match the one relying parties were given ids with')
+  }
+  initialized = true
+}
+
+/**
+ * The holder's identifier at one relying party
+ *
+ * @param {string} wallet
+ * @param {Object|null} data      Its credential record, if we have one (for the nullifier)
+ * @param {string} audience       The relying party
+ * @returns {string}
+ */
+export function pairwiseId(wallet, data, audience) {
+  initPairwiseIds()
+  const subject = data?.nullifier ? `nullifier:${data.nullifier}` : `wallet:${wallet.toLowerCase()}`
+  return createHmac('sha256', getSecret())
+    .update(`${audience.length}:${audience}|${subject}`)
+    .digest('base64url')
+}
@@ -0,0 +1,403 @@
+/**
+ * presentation.js — Verifiable Presentations (holder-signed attestation bundles)
+ *
+ * Why?
+ * - POST /api/third-party/verify takes a bare walletAddress, so anyone can
+ *   "claim" any verified wallet. A presentation proves the person asking
+ *   actually controls the wallet the attestations were issued to.
+ *
+ * Flow:
+ *   1. Relying party creates a presentation request:
+ *        { nonce, audience, claims: ['ageAbove:18', 'countryResident:IN', 'assurance:secure-qr'], expiresAt }
+ *   2. Holder picks the matching issuer attestations (crypto.js, section 1)
+ *      and signs an EIP-712 presentation over them + nonce + audience
+ *   3. Verifier checks:
+ *        - holder binding   → EIP-712 signer == holder, and every attestation
+ *                             was issued to that holder (ecrecover on its hash)
+ *        - issuer signature → attestation signer is a trusted issuer
+ *        - freshness        → challenge/domain match the request, not expired
+ *        - scope            → scoped attestations were issued for this audience,
+ *                             are unexpired and not used before (consumeNonce)
+ *        - revocation       → caller-supplied isRevoked(holder), and the status
+ *                             list bit of each attestation (isStatusRevoked)
+ *        - coverage         → every requested claim is satisfied
+ *
+ * STANDALONE: this file only depends on ethers and claims.js (the claim
+ * registry, no dependencies) — relying parties can copy both
+ * and call verifyPresentation() themselves with our issuer address
+ * (GET /api/events/ticket/issuers) instead of trusting our API's answer.
+ * Nonce bookkeeping (one-time use) is left to the caller.
+ *
+ * STATUS LISTS: an attestation's nonce carries the status list index of the
+ * RacePass it was issued from (statusIndexOf). Fetch the StatusList2021
+ * credential it points to (GET /api/credentials/status/<list>), gunzip its
+ * encodedList and check the bit with isStatusBitSet() — see services/statusList.js.
+ *
+ * SCOPED ATTESTATIONS: the attestations stored with a RacePass are valid for
+ * anyone, forever. Relying parties get scoped ones instead, issued for their
+ * audience with an expiry (services/attestationRegistry.js):
+ *   keccak256(wallet, keccak256(claim), nonce, keccak256(audience), expiresAt)
+ * Check one on its own with verifyScopedAttestation(), or on-chain with
+ * RacePassV2.verifyScopedAttestation(). Either way, remember its nonce —
+ * accepting it only once is what stops a replay to the same audience.
+ */
+
+import {
+  keccak256, toUtf8Bytes, solidityPacked, getBytes, getAddress,
+  verifyMessage, verifyTypedData, hexlify, randomBytes
+} from 'ethers'
+import { satisfiesClaim, claimReveals } from './claims.js'
+// Re-exported for relying parties that imported them from here
+export { isSupportedClaim, meetsAssurance, ASSURANCE_LEVELS } from './claims.js'
+
+export const PRESENTATION_EIP712 = {
+  domain: { name: 'RacePass Presentation', version: '1' },
+  primaryType: 'Presentation',
+  types: {
+    Presentation: [
+      { name: 'holder', type: 'string' },
+      { name: 'challenge', type: 'string' },
+      { name: 'domain', type: 'string' },
+      { name: 'created', type: 'string' },
+      { name: 'attestations', type: 'Attestation[]' }
+    ],
+    Attestation: [
+      { name: 'claim', type: 'string' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'signature', type: 'bytes' },
+      { name: 'issuer', type: 'address' }
+    ]
+  }
+}
+
+const DEFAULT_REQUEST_TTL_SEC = 5 * 60
+
+// Entries per published status list (16 KB bitstring — the StatusList2021 minimum)
+export const STATUS_LIST_SIZE = 131072
+// nonce = (statusListIndex + 1) << 64 | issue timestamp; nonces below 2^64 carry no index
+const STATUS_INDEX_SHIFT = 64n
+
+// ═══════════════════════════════════════════
+//  CLAIMS (parsing and matching: claims.js)
+// ═══════════════════════════════════════════
+
+/**
+ * Pick the least-revealing attestation for each requested claim
+ * (e.g. prefer ageAbove:18 over ageAbove:21 when 18+ is asked)
+ *
+ * @param {Object[]} attestations  Holder's attestations ({ claim, nonce, signature, issuer, ... })
+ * @param {string[]} claims        Requested claims
+ * @returns {{ selected: Object[], missing: string[] }}
+ */
+export function selectAttestations(attestations, claims) {
+  const selected = []
+  const missing = []
+  for (const required of claims) {
+    const best = attestations
+      .filter(a => a?.claim && satisfiesClaim(a.claim, required))
+      .sort((a, b) => claimReveals(a.claim) - claimReveals(b.claim))[0]
+    if (!best) missing.push(required)
+    else if (!selected.includes(best)) selected.push(best)
+  }
+  return { selected, missing }
+}
+
+// ═══════════════════════════════════════════
+//  STATUS LIST INDEX (in the attestation nonce)
+// ═══════════════════════════════════════════
+
+/**
+ * Attestation nonce carrying a status list index, so the index is covered by
+ * the issuer signature (and by RacePassV2.verifyAttestation) like the claim
+ *
+ * @param {number|bigint} nonce     < 2^64: issue timestamp (ms), or random for scoped attestations
+ * @param {number|null} statusListIndex
+ * @returns {number|string} nonce unchanged without an index, else a decimal uint256
+ */
+export function attestationNonce(nonce, statusListIndex) {
+  if (statusListIndex == null) return nonce
+  return ((BigInt(statusListIndex) + 1n) << STATUS_INDEX_SHIFT | BigInt(nonce)).toString()
+}
+
+/** Status list index carried by an attestation nonce, or null (issued before status lists) */
+export function statusIndexOf(nonce) {
+  let high
+  try {
+    high = BigInt(nonce) >> STATUS_INDEX_SHIFT
+  } catch {
+    return null
+  }
+  return high > 0n ? Number(high - 1n) : null
+}
+
+/**
+ * Which published list holds a status index, and which bit of it
+ * @returns {{ list: number, offset: number }}  list numbers start at 1
+ */
+export function statusListPosition(index) {
+  return { list: Math.floor(index / STATUS_LIST_SIZE) + 1, offset: index % STATUS_LIST_SIZE }
+}
+
+/**
+ * Is bit `offset` set in a decoded (gunzipped) status list bitstring?
+ * Bit 0 is the most significant bit of the first byte (StatusList2021).
+ */
+export function isStatusBitSet(bitstring, offset) {
+  return ((bitstring[offset >> 3] >> (7 - (offset & 7))) & 1) === 1
+}
+
+// ═══════════════════════════════════════════
+//  REQUEST → PRESENTATION
+// ═══════════════════════════════════════════
+
+/**
+ * Create a presentation request (relying-party side)
+ *
+ * @param {Object} opts { audience, claims, ttlSec? }
+ * @returns {{ nonce, audience, claims, createdAt, expiresAt }}
+ */
+export function createPresentationRequest({ audience, claims, ttlSec = DEFAULT_REQUEST_TTL_SEC }) {
+  const now = Date.now()
+  return {
+    nonce: hexlify(randomBytes(16)),
+    audience,
+    claims,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlSec * 1000).toISOString()
+  }
+}
+
+/**
+ * Build the unsigned presentation for a request (holder side)
+ *
+ * @param {string} holderAddress   0x wallet of the holder
+ * @param {Object} request         From createPresentationRequest()
+ * @param {Object[]} attestations  Issuer attestations to include
+ */
+export function buildPresentation(holderAddress, request, attestations) {
+  return {
+    '@context': ['https://www.w3.org/2018/credentials/v1'],
+    type: ['VerifiablePresentation', 'RacePassPresentation'],
+    holder: `did:ethr:${getAddress(holderAddress)}`,
+    verifiableCredential: attestations.map(({ claim, nonce, signature, issuer, audience, expiresAt }) => ({
+      claim, nonce, signature, issuer, ...(isScopedAttestation({ audience }) && { audience, expiresAt })
+    })),
+    proof: {
+      type: 'EthereumEip712Signature2021',
+      proofPurpose: 'authentication',
+      challenge: request.nonce,
+      domain: request.audience,
+      created: new Date().toISOString()
+    }
+  }
+}
+
+/** The EIP-712 value the holder signs for a presentation */
+export function getPresentationTypedData(presentation) {
+  const { proof } = presentation
+  return {
+    holder: presentation.holder,
+    challenge: proof.challenge,
+    domain: proof.domain,
+    created: proof.created,
+    // audience / expiresAt of scoped attestations are covered by the issuer's signature
+    attestations: presentation.verifiableCredential.map(({ claim, nonce, signature, issuer }) => ({ claim, nonce, signature, issuer }))
+  }
+}
+
+/**
+ * Sign a presentation with any ethers signer (Wallet, BrowserProvider signer)
+ * @returns {Promise<Object>} Presentation with proof.proofValue
+ */
+export async function signPresentation(presentation, signer) {
+  const { domain, types } = PRESENTATION_EIP712
+  const proofValue = await signer.signTypedData(domain, types, getPresentationTypedData(presentation))
+  return {
+    ...presentation,
+    proof: {
+      ...presentation.proof,
+      verificationMethod: `${presentation.holder}#controller`,
+      proofValue
+    }
+  }
+}
+
+// ═══════════════════════════════════════════
+//  VERIFICATION
+// ═══════════════════════════════════════════
+
+/** Was an attestation issued for one audience (with an expiry)? */
+export function isScopedAttestation(attestation) {
+  return attestation?.audience != null
+}
+
+/**
+ * The hash the issuer signs for an attestation:
+ *   keccak256(wallet, keccak256(claim), nonce)                                  — RacePassV2.verifyAttestation()
+ *   keccak256(wallet, keccak256(claim), nonce, keccak256(audience), expiresAt)  — RacePassV2.verifyScopedAttestation()
+ */
+export function attestationMessageHash(wallet, { claim, nonce, audience, expiresAt }) {
+  const claimHash = keccak256(toUtf8Bytes(claim))
+  if (audience == null) {
+    return keccak256(solidityPacked(['address', 'bytes32', 'uint256'], [getAddress(wallet), claimHash, nonce]))
+  }
+  return keccak256(
+    solidityPacked(
+      ['address', 'bytes32', 'uint256', 'bytes32', 'uint256'],
+      [getAddress(wallet), claimHash, nonce, keccak256(toUtf8Bytes(audience)), expiresAt]
+    )
+  )
+}
+
+/**
+ * Recover the issuer of a crypto.js attestation (plain or scoped), bound to `wallet`
+ */
+export function recoverAttestationIssuer(wallet, attestation) {
+  return verifyMessage(getBytes(attestationMessageHash(wallet, attestation)), attestation.signature)
+}
+
+/**
+ * Verify a scoped attestation on its own (relying-party side, no presentation)
+ *
+ * Stateless: the caller must still accept each nonce only once.
+ *
+ * @param {string} wallet                0x address the attestation is about
+ * @param {Object} attestation           { claim, nonce, signature, issuer, audience, expiresAt }
+ * @param {Object} opts
+ * @param {string} opts.audience         The relying party's own audience id
+ * @param {string[]} opts.trustedIssuers Issuer addresses to accept
+ * @param {Function} [opts.isStatusRevoked] (statusListIndex) => boolean
+ * @param {number} [opts.now]            ms timestamp (for testing)
+ * @returns {{ valid, issuer, reason }}
+ *   reason: 'attestation_not_scoped' | 'attestation_audience_mismatch' | 'attestation_expired'
+ *         | 'attestation_invalid' | 'issuer_not_authorized' | 'credential_revoked'
+ */
+export function verifyScopedAttestation(wallet, attestation, {
+  audience, trustedIssuers, isStatusRevoked = () => false, now = Date.now()
+}) {
+  const result = (reason, issuer = null) => ({ valid: !reason, issuer, reason: reason || null })
+
+  if (!isScopedAttestation(attestation)) return result('attestation_not_scoped')
+  const scopeError = checkScope(attestation, audience, now)
+  if (scopeError) return result(scopeError)
+
+  let issuer
+  try {
+    issuer = recoverAttestationIssuer(wallet, attestation)
+  } catch {
+    return result('attestation_invalid')
+  }
+  if (issuer.toLowerCase() !== String(attestation.issuer).toLowerCase()) return result('attestation_invalid')
+  if (!trustedIssuers.some(a => a.toLowerCase() === issuer.toLowerCase())) return result('issuer_not_authorized', issuer)
+
+  const index = statusIndexOf(attestation.nonce)
+  if (index != null && isStatusRevoked(index)) return result('credential_revoked', issuer)
+
+  return result(null, issuer)
+}
+
+/** Audience + expiry of a scoped attestation; expiresAt is unix seconds, like on-chain */
+function checkScope(attestation, audience, now) {
+  if (attestation.audience !== audience) return 'attestation_audience_mismatch'
+  const expiresAt = Number(attestation.expiresAt)
+  if (!Number.isFinite(expiresAt) || expiresAt * 1000 < now) return 'attestation_expired'
+  return null
+}
+
+/**
+ * Verify a presentation against the request it answers
+ *
+ * @param {Object} presentation
+ * @param {Object} opts
+ * @param {Object} opts.request          { nonce, audience, claims, expiresAt }
+ * @param {string[]} opts.trustedIssuers Issuer addresses to accept
+ * @param {Function} [opts.isRevoked]    (holderAddress) => boolean
+ * @param {Function} [opts.isStatusRevoked] (statusListIndex) => boolean — checked for
+ *                                       every attestation whose nonce carries an index
+ * @param {boolean} [opts.requireScoped] Reject attestations not scoped to the request's audience
+ * @param {Function} [opts.consumeNonce] (attestation, holder) => null | reason — record a
+ *                                       scoped attestation's nonce; e.g. 'attestation_replayed'
+ *                                       if it was used before
+ * @param {number} [opts.now]            ms timestamp (for testing)
+ * @returns {{ valid, holder, claims, missingClaims, reason }}
+ *   reason: 'malformed_presentation' | 'challenge_mismatch' | 'audience_mismatch' | 'request_expired'
+ *         | 'holder_signature_invalid' | 'attestation_invalid' | 'issuer_not_authorized'
+ *         | 'credential_revoked' | 'missing_claims' | 'attestation_not_scoped'
+ *         | 'attestation_audience_mismatch' | 'attestation_expired' | consumeNonce's reason (e.g. 'attestation_replayed')
+ */
+export function verifyPresentation(presentation, {
+  request, trustedIssuers, isRevoked = () => false, isStatusRevoked = () => false,
+  requireScoped = false, consumeNonce = () => null, now = Date.now()
+}) {
+  const result = (reason, extra = {}) => ({
+    valid: !reason, holder: null, claims: [], missingClaims: [], reason: reason || null, ...extra
+  })
+
+  const proof = presentation?.proof
+  const attestations = presentation?.verifiableCredential
+  const holderMatch = /^did:ethr:(0x[a-fA-F0-9]{40})$/.exec(presentation?.holder || '')
+  if (!proof?.proofValue || !holderMatch || !Array.isArray(attestations)) {
+    return result('malformed_presentation')
+  }
+  const holder = holderMatch[1].toLowerCase()
+
+  // ── Freshness: answers THIS request, for THIS audience ──
+  if (proof.challenge !== request.nonce) return result('challenge_mismatch', { holder })
+  if (proof.domain !== request.audience) return result('audience_mismatch', { holder })
+  if (new Date(request.expiresAt).getTime() < now) return result('request_expired', { holder })
+
+  // ── Holder binding: the holder signed the bundle ──
+  let signer
+  try {
+    const { domain, types } = PRESENTATION_EIP712
+    signer = verifyTypedData(domain, types, getPresentationTypedData(presentation), proof.proofValue)
+  } catch {
+    return result('holder_signature_invalid', { holder })
+  }
+  if (signer.toLowerCase() !== holder) return result('holder_signature_invalid', { holder })
+
+  // ── Issuer signatures: each attestation was issued to the holder by a trusted issuer ──
+  const trusted = trustedIssuers.map(a => a.toLowerCase())
+  for (const attestation of attestations) {
+    let issuer
+    try {
+      issuer = recoverAttestationIssuer(holder, attestation)
+    } catch {
+      return result('attestation_invalid', { holder })
+    }
+    // A signature over another wallet's attestation recovers some random address
+    if (issuer.toLowerCase() !== String(attestation.issuer).toLowerCase()) {
+      return result('attestation_invalid', { holder })
+    }
+    if (!trusted.includes(issuer.toLowerCase())) return result('issuer_not_authorized', { holder })
+
+    // ── Scope: issued for this audience and still valid ──
+    if (isScopedAttestation(attestation)) {
+      const scopeError = checkScope(attestation, request.audience, now)
+      if (scopeError) return result(scopeError, { holder })
+    } else if (requireScoped) {
+      return result('attestation_not_scoped', { holder })
+    }
+  }
+
+  // ── Revocation ──
+  if (isRevoked(holder)) return result('credential_revoked', { holder })
+  const statusRevoked = attestations.some(a => {
+    const index = statusIndexOf(a.nonce)
+    return index != null && isStatusRevoked(index)
+  })
+  if (statusRevoked) return result('credential_revoked', { holder })
+
+  // ── Coverage: every requested claim is proven ──
+  const claims = attestations.map(a => a.claim)
+  const missingClaims = request.claims.filter(required => !claims.some(held => satisfiesClaim(held, required)))
+  if (missingClaims.length > 0) return result('missing_claims', { holder, claims, missingClaims })
+
+  // ── Replay: each scoped attestation is accepted once ──
+  for (const attestation of attestations.filter(isScopedAttestation)) {
+    const nonceError = consumeNonce(attestation, holder)
+    if (nonceError) return result(nonceError, { holder })
+  }
+
+  return result(null, { holder, claims })
+}
@@ -0,0 +1,304 @@
+/**
+ * sdJwt.js — Selective-Disclosure Credentials (SD-JWT VC)
+ *
+ * Why?
+ * - A holder could only reveal a whole attestation or nothing, and every
+ *   attestation was a separate issuer signature — stored at KYC, or signed
+ *   by us again for each site (attestationRegistry.js). We were in the loop
+ *   of every presentation, and the same signature showed up everywhere.
+ *
+ * A RacePass can also be held as SD-JWT VCs (IETF SD-JWT, RFC 9901, with the
+ * SD-JWT VC type metadata): ONE issuer signature over the salted hashes of
+ * its fields. The holder's browser picks which fields to reveal by attaching
+ * only their disclosures, and proves possession with a key-binding JWT for
+ * the verifier's audience and nonce — no call to the issuer:
+ *
+ *   <issuer JWT>~<disclosure>~<disclosure>~…~<KB-JWT>
+ *   disclosure = base64url(JSON [salt, name, value]); the JWT carries
+ *                base64url(sha-256(disclosure)) in an _sd array
+ *
+ * Unlinkability: SD-JWTs are issued in batches. Each copy has its own salts,
+ * holder key (cnf) and status list index, and the holder uses each copy
+ * once, so two verifiers comparing what they received find nothing in
+ * common beyond the fields that were revealed.
+ *
+ * Signatures are ES256K (secp256k1, r||s), like our VC-JWTs (credential.js).
+ *
+ * STANDALONE like presentation.js: depends only on ethers — relying parties
+ * can copy it and call verifySdJwtPresentation() with our issuer addresses
+ * (GET /api/events/ticket/issuers). Nonce bookkeeping is left to the caller.
+ * The holder side is mirrored in frontend/src/utils/sdJwt.js.
+ */
+
+import { SigningKey, Signature, computeAddress, getAddress, getBytes, hexlify, randomBytes, sha256, toUtf8Bytes } from 'ethers'
+
+export const SD_JWT_TYP = 'dc+sd-jwt'
+export const KB_JWT_TYP = 'kb+jwt'
+const SD_ALG = 'sha-256'
+const KB_MAX_AGE_SEC = 5 * 60          // a key-binding JWT is fresh for 5 minutes
+const CLOCK_SKEW_SEC = 60
+
+// ═══════════════════════════════════════════
+//  ENCODING
+// ═══════════════════════════════════════════
+
+const b64url = bytes => Buffer.from(bytes).toString('base64url')
+const encodeJson = value => b64url(toUtf8Bytes(JSON.stringify(value)))
+const decodeJson = text => JSON.parse(Buffer.from(text, 'base64url').toString('utf8'))
+
+/** base64url(sha-256(ascii)) — how disclosures and sd_hash are digested */
+export function sdDigest(text) {
+  return b64url(getBytes(sha256(toUtf8Bytes(text))))
+}
+
+/** Compact JWS signing input → ES256K signature (base64url r||s) */
+function signEs256k(signingKey, signingInput) {
+  const sig = signingKey.sign(sha256(toUtf8Bytes(signingInput)))
+  return b64url(Buffer.concat([getBytes(sig.r), getBytes(sig.s)]))
+}
+
+/** Public keys (uncompressed hex) an ES256K signature may come from — it has no recovery id */
+function recoverEs256k(signingInput, signature) {
+  const rs = Buffer.from(signature || '', 'base64url')
+  if (rs.length !== 64) return []
+  const digest = sha256(toUtf8Bytes(signingInput))
+  const r = hexlify(rs.subarray(0, 32))
+  const s = hexlify(rs.subarray(32))
+  const keys = []
+  for (const v of [27, 28]) {
+    try {
+      keys.push(SigningKey.recoverPublicKey(digest, Signature.from({ r, s, v })))
+    } catch { /* try the other recovery id */ }
+  }
+  return keys
+}
+
+/** secp256k1 public key → JWK (for cnf) */
+export function publicKeyToJwk(publicKey) {
+  const point = getBytes(SigningKey.computePublicKey(publicKey, false))
+  return { kty: 'EC', crv: 'secp256k1', x: b64url(point.slice(1, 33)), y: b64url(point.slice(33, 65)) }
+}
+
+/** JWK → uncompressed public key hex, or null if it isn't a secp256k1 point */
+export function jwkToPublicKey(jwk) {
+  if (jwk?.kty !== 'EC' || jwk.crv !== 'secp256k1' || typeof jwk.x !== 'string' || typeof jwk.y !== 'string') return null
+  const x = Buffer.from(jwk.x, 'base64url')
+  const y = Buffer.from(jwk.y, 'base64url')
+  if (x.length !== 32 || y.length !== 32) return null
+  try {
+    return SigningKey.computePublicKey(hexlify(Buffer.concat([Buffer.from([4]), x, y])), false)
+  } catch {
+    return null
+  }
+}
+
+// ═══════════════════════════════════════════
+//  ISSUER SIDE
+// ═══════════════════════════════════════════
+
+/**
+ * Sign an SD-JWT. Every path in `disclose` is replaced by the digest of its
+ * disclosure; paths are 'name' or 'object.name' (one level deep, e.g.
+ * 'age_equal_or_over.18').
+ *
+ * @param {Object} payload       All claims, disclosable ones included
+ * @param {Object} opts
+ * @param {string[]} opts.disclose
+ * @param {SigningKey} opts.signingKey
+ * @param {string} [opts.kid]
+ * @returns {string} <issuer JWT>~<disclosure>~…~ (every disclosure — the holder drops what it won't reveal)
+ */
+export function createSdJwt(payload, { disclose, signingKey, kid }) {
+  const body = structuredClone(payload)
+  const disclosures = []
+
+  for (const path of disclose) {
+    const [head, leaf] = path.split('.')
+    const parent = leaf === undefined ? body : body[head]
+    const name = leaf === undefined ? head : leaf
+    if (!parent || typeof parent !== 'object' || !(name in parent)) continue
+
+    const disclosure = encodeJson([b64url(randomBytes(16)), name, parent[name]])
+    delete parent[name]
+    parent._sd = [...(parent._sd || []), sdDigest(disclosure)]
+    disclosures.push(disclosure)
+  }
+
+  // Sorted digests don't reveal the order fields were added in
+  for (const object of [body, ...Object.values(body)]) {
+    if (object && typeof object === 'object' && Array.isArray(object._sd)) object._sd.sort()
+  }
+  body._sd_alg = SD_ALG
+
+  const header = { alg: 'ES256K', typ: SD_JWT_TYP, ...(kid && { kid }) }
+  const signingInput = `${encodeJson(header)}.${encodeJson(body)}`
+  const jwt = `${signingInput}.${signEs256k(signingKey, signingInput)}`
+  return `${jwt}~${disclosures.map(d => `${d}~`).join('')}`
+}
+
+// ═══════════════════════════════════════════
+//  PARSING
+// ═══════════════════════════════════════════
+
+/**
+ * Split an SD-JWT (or a presentation of one)
+ *
+ * @returns {{ jwt, header, payload, disclosures: Object[], kbJwt: string|null }|null} null if malformed
+ */
+export function parseSdJwt(sdJwt) {
+  if (typeof sdJwt !== 'string') return null
+  const parts = sdJwt.split('~')
+  if (parts.length < 2) return null
+  const jwt = parts[0]
+  const kbJwt = parts[parts.length - 1] || null
+  const [h, p, s] = jwt.split('.')
+  if (!h || !p || !s) return null
+
+  try {
+    const disclosures = parts.slice(1, -1).map(disclosure => {
+      const decoded = decodeJson(disclosure)
+      if (!Array.isArray(decoded) || decoded.length !== 3 || typeof decoded[1] !== 'string') throw new Error('bad disclosure')
+      const [salt, name, value] = decoded
+      return { disclosure, digest: sdDigest(disclosure), salt, name, value }
+    })
+    return { jwt, header: decodeJson(h), payload: decodeJson(p), disclosures, kbJwt }
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Where each disclosure of an SD-JWT would go ('name' or 'object.name')
+ *
+ * @returns {{ path: string, name: string, value: *, disclosure: string }[]}
+ */
+export function listDisclosures(sdJwt) {
+  const parsed = parseSdJwt(sdJwt)
+  if (!parsed) return []
+  const owners = new Map()
+  for (const digest of parsed.payload._sd || []) owners.set(digest, null)
+  for (const [key, value] of Object.entries(parsed.payload)) {
+    if (value && typeof value === 'object' && Array.isArray(value._sd)) {
+      for (const digest of value._sd) owners.set(digest, key)
+    }
+  }
+  return parsed.disclosures
+    .filter(d => owners.has(d.digest))
+    .map(d => ({ path: owners.get(d.digest) ? `${owners.get(d.digest)}.${d.name}` : d.name, name: d.name, value: d.value, disclosure: d.disclosure }))
+}
+
+// ═══════════════════════════════════════════
+//  HOLDER SIDE
+// ═══════════════════════════════════════════
+
+/**
+ * Present an SD-JWT revealing only some paths, bound to a verifier's request
+ *
+ * @param {string} sdJwt           As issued (all disclosures)
+ * @param {string[]} reveal        Paths to reveal (listDisclosures)
+ * @param {Object} opts
+ * @param {SigningKey} opts.holderKey   Private key matching the SD-JWT's cnf
+ * @param {string} opts.audience
+ * @param {string} opts.nonce
+ * @returns {string}
+ */
+export function presentSdJwt(sdJwt, reveal, { holderKey, audience, nonce }) {
+  const { jwt } = parseSdJwt(sdJwt)
+  const wanted = new Set(reveal)
+  const disclosures = listDisclosures(sdJwt).filter(d => wanted.has(d.path)).map(d => d.disclosure)
+  const presented = `${jwt}~${disclosures.map(d => `${d}~`).join('')}`
+
+  const header = { alg: 'ES256K', typ: KB_JWT_TYP }
+  const payload = { iat: Math.floor(Date.now() / 1000), aud: audience, nonce, sd_hash: sdDigest(presented) }
+  const signingInput = `${encodeJson(header)}.${encodeJson(payload)}`
+  return `${presented}${signingInput}.${signEs256k(holderKey, signingInput)}`
+}
+
+// ═══════════════════════════════════════════
+//  VERIFIER SIDE
+// ═══════════════════════════════════════════
+
+/**
+ * Verify an SD-JWT presentation
+ *
+ * @param {string} presentation
+ * @param {Object} opts
+ * @param {string} opts.audience           The verifier's identifier (KB-JWT aud)
+ * @param {string} opts.nonce              The one-time nonce the verifier handed out
+ * @param {string[]} opts.trustedIssuers   Issuer addresses to accept
+ * @param {Function} [opts.isStatusRevoked] (credentialStatus) => boolean
+ * @param {number} [opts.now]               ms
+ * @returns {{ valid: boolean, reason: string|null, issuer: string|null, claims: Object|null, disclosed: string[] }}
+ *   reason: 'malformed_sd_jwt' | 'unsupported_alg' | 'issuer_not_authorized' | 'expired' | 'not_yet_valid'
+ *         | 'disclosure_invalid' | 'holder_binding_missing' | 'holder_binding_invalid' | 'audience_mismatch'
+ *         | 'nonce_mismatch' | 'holder_binding_expired' | 'credential_revoked'
+ */
+export function verifySdJwtPresentation(presentation, { audience, nonce, trustedIssuers = [], isStatusRevoked = null, now = Date.now() }) {
+  const fail = (reason, issuer = null) => ({ valid: false, reason, issuer, claims: null, disclosed: [] })
+  const nowSec = Math.floor(now / 1000)
+
+  const parsed = parseSdJwt(presentation)
+  if (!parsed) return fail('malformed_sd_jwt')
+  const { jwt, header, payload, disclosures, kbJwt } = parsed
+  if (header.alg !== 'ES256K' || header.typ !== SD_JWT_TYP || payload._sd_alg !== SD_ALG) return fail('unsupported_alg')
+
+  // ── Issuer signature ──
+  const [h, p, s] = jwt.split('.')
+  const trusted = new Set(trustedIssuers.map(a => getAddress(a)))
+  const issuer = recoverEs256k(`${h}.${p}`, s).map(key => computeAddress(key)).find(a => trusted.has(a))
+  if (!issuer) return fail('issuer_not_authorized')
+  if (payload.exp && payload.exp + CLOCK_SKEW_SEC < nowSec) return fail('expired', issuer)
+  if (payload.nbf && payload.nbf - CLOCK_SKEW_SEC > nowSec) return fail('not_yet_valid', issuer)
+
+  // ── Disclosures: each must match exactly one digest the issuer signed ──
+  const claims = structuredClone(payload)
+  const slots = new Map()
+  for (const digest of claims._sd || []) slots.set(digest, claims)
+  for (const value of Object.values(claims)) {
+    if (value && typeof value === 'object' && Array.isArray(value._sd)) {
+      for (const digest of value._sd) slots.set(digest, value)
+    }
+  }
+  const disclosed = []
+  for (const d of disclosures) {
+    const target = slots.get(d.digest)
+    if (!target || d.name === '_sd' || d.name === '_sd_alg' || d.name in target) return fail('disclosure_invalid', issuer)
+    target[d.name] = d.value
+    slots.delete(d.digest)
+    disclosed.push(target === claims ? d.name : `${Object.keys(claims).find(k => claims[k] === target)}.${d.name}`)
+  }
+  delete claims._sd
+  delete claims._sd_alg
+  for (const value of Object.values(claims)) {
+    if (value && typeof value === 'object') delete value._sd
+  }
+
+  // ── Holder binding (KB-JWT signed by the cnf key) ──
+  if (!kbJwt) return fail('holder_binding_missing', issuer)
+  const holderKey = jwkToPublicKey(payload.cnf?.jwk)
+  const [kh, kp, ks] = kbJwt.split('.')
+  let kbHeader, kbPayload
+  try {
+    kbHeader = decodeJson(kh)
+    kbPayload = decodeJson(kp)
+  } catch {
+    return fail('holder_binding_invalid', issuer)
+  }
+  if (!holderKey || kbHeader.alg !== 'ES256K' || kbHeader.typ !== KB_JWT_TYP) return fail('holder_binding_invalid', issuer)
+  if (!recoverEs256k(`${kh}.${kp}`, ks).includes(holderKey)) return fail('holder_binding_invalid', issuer)
+  if (kbPayload.sd_hash !== sdDigest(presentation.slice(0, presentation.length - kbJwt.length))) {
+    return fail('holder_binding_invalid', issuer)
+  }
+  if (kbPayload.aud !== audience) return fail('audience_mismatch', issuer)
+  if (kbPayload.nonce !== nonce) return fail('nonce_mismatch', issuer)
+  if (!(kbPayload.iat <= nowSec + CLOCK_SKEW_SEC && kbPayload.iat >= nowSec - KB_MAX_AGE_SEC)) {
+    return fail('holder_binding_expired', issuer)
+  }
+
+  // ── Revocation (status list entry signed into the SD-JWT) ──
+  if (isStatusRevoked && payload.credentialStatus && isStatusRevoked(payload.credentialStatus)) {
+    return fail('credential_revoked', issuer)
+  }
+
+  return { valid: true, reason: null, issuer, claims, disclosed }
+}
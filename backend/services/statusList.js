@@ -0,0 +1,209 @@
+/**
+ * statusList.js — Published Revocation Status Lists (W3C StatusList2021)
+ *
+ * Why?
+ * - Revocation was a `revoked` flag in our credential store, checked only by
+ *   our own routes. A VC or attestation already handed to a third party stayed
+ *   verifiable forever unless revokeCredential was also called on-chain.
+ *
+ * Every RacePass gets an index into a bitstring (1 = revoked). Its VC carries
+ * a StatusList2021Entry (credentialStatus) and every attestation issued for
+ * it carries the index in its signed nonce (presentation.js statusIndexOf).
+ * The bitstring is published as a StatusList2021Credential — gzip + base64url,
+ * signed by the issuer like any credential — at a stable URL:
+ *
+ *   GET /api/credentials/status/<list>    (131,072 entries per list)
+ *
+ * Verifiers fetch it, cache it (Cache-Control / expirationDate) and check bits
+ * locally instead of calling us per request. keccak256 of each bitstring is
+ * also anchored on RacePassV2 (publishStatusList), so
+ * verifyAttestationWithStatus() can check an attestation on-chain against a
+ * list the caller brings.
+ *
+ * A bit is set when the RacePass is revoked by its holder, suspended by an
+ * operator, superseded by a renewal, or moved away by wallet migration.
+ * Restoring it clears the bit. Each SD-JWT copy of a RacePass (sdJwt.js) has
+ * an index of its own, so copies can't be linked through it —
+ * setRecordRevoked() flips all of them together.
+ */
+
+import { gzipSync } from 'zlib'
+import { keccak256 } from 'ethers'
+import { getCollection } from '../storage/index.js'
+import { ISSUER_DID, ISSUER_NAME, STATUS_LIST_CONTEXT, signCredential, credentialToJwt } from './credential.js'
+import { STATUS_LIST_SIZE, statusListPosition } from './presentation.js'
+import { publishStatusListOnBothChains } from './blockchain.js'
+
+const STATUS_PURPOSE = 'revocation'
+const LIST_VALIDITY_MS = 24 * 60 * 60 * 1000   // a cached list stays verifiable for a day...
+const RESIGN_AFTER_MS = 60 * 60 * 1000         // ...and is re-signed hourly even without changes
+const ANCHOR_DELAY_MS = 30_000                 // changes within 30s share one on-chain anchor
+
+// ── Stores (persisted via storage/, see config/storage.js) ──
+const settings = getCollection('settings')       // statusListNextIndex → next free index
+const lists = getCollection('statusLists')       // list number → { revoked: [offset], updatedAt }
+
+const signedLists = new Map()                    // list number → { credential, jwt, signedAt, updatedAt }
+const pendingAnchors = new Map()                 // list number → timer
+
+/** Base URL the lists are published under (signed into every credentialStatus) */
+export function getStatusListBaseUrl() {
+  const base = process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 3001}`
+  return `${base.replace(/\/+$/, '')}/api/credentials/status`
+}
+
+export function statusListUrl(list) {
+  return `${getStatusListBaseUrl()}/${list}`
+}
+
+/** Give a new RacePass (or a reissued one) its own status list index */
+export function allocateStatusIndex() {
+  const index = settings.get('statusListNextIndex') || 0
+  settings.set('statusListNextIndex', index + 1)
+  return index
+}
+
+/** Lists published so far (always at least list 1) */
+export function getStatusListCount() {
+  return Math.floor((settings.get('statusListNextIndex') || 0) / STATUS_LIST_SIZE) + 1
+}
+
+/** StatusList2021Entry for a credential's credentialStatus */
+export function statusEntry(index) {
+  const { list, offset } = statusListPosition(index)
+  const url = statusListUrl(list)
+  return {
+    id: `${url}#${offset}`,
+    type: 'StatusList2021Entry',
+    statusPurpose: STATUS_PURPOSE,
+    statusListIndex: String(offset),
+    statusListCredential: url
+  }
+}
+
+/**
+ * Set (revoked) or clear (restored) a RacePass's bit. No-op for records
+ * issued before status lists (index null).
+ */
+export function setStatusRevoked(index, revoked = true) {
+  if (index == null) return
+  const { list, offset } = statusListPosition(index)
+  const entry = lists.get(String(list)) || { revoked: [] }
+  const set = new Set(entry.revoked)
+  if (set.has(offset) === revoked) return
+  if (revoked) set.add(offset)
+  else set.delete(offset)
+
+  lists.set(String(list), { revoked: [...set].sort((a, b) => a - b), updatedAt: new Date().toISOString() })
+  scheduleAnchor(list)
+}
+
+/** Every status index a credential record owns: the RacePass's and its SD-JWT copies' */
+export function recordStatusIndexes(data) {
+  if (!data) return []
+  return [data.statusListIndex, ...(data.sdJwt?.copies || []).map(copy => copy.statusListIndex)].filter(i => i != null)
+}
+
+/** Revoke (or restore) a RacePass everywhere it was handed out */
+export function setRecordRevoked(data, revoked = true) {
+  for (const index of recordStatusIndexes(data)) setStatusRevoked(index, revoked)
+}
+
+export function isStatusRevoked(index) {
+  if (index == null) return false
+  const { list, offset } = statusListPosition(index)
+  return !!lists.get(String(list))?.revoked.includes(offset)
+}
+
+/**
+ * Is a credentialStatus entry revoked in one of OUR lists?
+ * @returns {boolean|null} null if the entry doesn't point at our lists
+ */
+export function isEntryRevoked(credentialStatus) {
+  const url = credentialStatus?.statusListCredential
+  const base = `${getStatusListBaseUrl()}/`
+  if (credentialStatus?.type !== 'StatusList2021Entry' || typeof url !== 'string' || !url.startsWith(base)) return null
+  const list = Number(url.slice(base.length))
+  const offset = Number(credentialStatus.statusListIndex)
+  if (!Number.isInteger(list) || list < 1 || !Number.isInteger(offset) || offset < 0 || offset >= STATUS_LIST_SIZE) return null
+  return isStatusRevoked((list - 1) * STATUS_LIST_SIZE + offset)
+}
+
+// ═══════════════════════════════════════════
+//  BITSTRING
+// ═══════════════════════════════════════════
+
+/** The raw bitstring of a list (bit 0 = most significant bit of byte 0) */
+function getStatusBitstring(list) {
+  const bits = Buffer.alloc(STATUS_LIST_SIZE / 8)
+  for (const offset of lists.get(String(list))?.revoked || []) {
+    bits[offset >> 3] |= 0x80 >> (offset & 7)
+  }
+  return bits
+}
+
+function encodeStatusList(bitstring) {
+  return gzipSync(bitstring).toString('base64url')
+}
+
+// ═══════════════════════════════════════════
+//  PUBLISHED CREDENTIAL
+// ═══════════════════════════════════════════
+
+/**
+ * The signed StatusList2021Credential for a list, re-signed when the list
+ * changed or the signed copy is more than an hour old
+ *
+ * @returns {Promise<{ credential: Object, jwt: string }|null>} null for unknown lists
+ */
+export async function getStatusListCredential(list) {
+  if (!Number.isInteger(list) || list < 1 || list > getStatusListCount()) return null
+
+  const updatedAt = lists.get(String(list))?.updatedAt || null
+  const cached = signedLists.get(list)
+  if (cached && cached.updatedAt === updatedAt && Date.now() - cached.signedAt < RESIGN_AFTER_MS) return cached
+
+  const url = statusListUrl(list)
+  const now = Date.now()
+  const credential = await signCredential({
+    '@context': ['https://www.w3.org/2018/credentials/v1', 'https://w3id.org/security/suites/eip712sig-2021/v1', STATUS_LIST_CONTEXT],
+    id: url,
+    type: ['VerifiableCredential', 'StatusList2021Credential'],
+    issuer: { id: ISSUER_DID, name: ISSUER_NAME },
+    issuanceDate: new Date(now).toISOString(),
+    expirationDate: new Date(now + LIST_VALIDITY_MS).toISOString(),
+    credentialSubject: {
+      id: `${url}#list`,
+      type: 'StatusList2021',
+      statusPurpose: STATUS_PURPOSE,
+      encodedList: encodeStatusList(getStatusBitstring(list))
+    }
+  })
+
+  const signed = { credential, jwt: credentialToJwt(credential), signedAt: now, updatedAt }
+  signedLists.set(list, signed)
+  return signed
+}
+
+// ═══════════════════════════════════════════
+//  ON-CHAIN ANCHOR
+// ═══════════════════════════════════════════
+
+/** keccak256 of a list's raw bitstring — what RacePassV2.statusListHashes stores */
+export function getStatusListHash(list) {
+  return keccak256(getStatusBitstring(list))
+}
+
+function scheduleAnchor(list) {
+  if (pendingAnchors.has(list)) return
+  const timer = setTimeout(async () => {
+    pendingAnchors.delete(list)
+    try {
+      await publishStatusListOnBothChains(list, getStatusListHash(list))
+    } catch (error) {
+      console.log(`   ⚠️ Status list ${list} anchor skipped:`, error.message)
+    }
+  }, ANCHOR_DELAY_MS)
+  timer.unref?.()
+  pendingAnchors.set(list, timer)
+}
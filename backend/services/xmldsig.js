@@ -0,0 +1,313 @@
+/**
+ * xmldsig.js — Minimal XML Signature (XMLDSig) Verifier
+ *
+ * Just enough of XML + XMLDSig to check UIDAI's offline e-KYC XML
+ * (see services/aadhaar.js) without pulling in an XML library:
+ *
+ *   - a small non-validating parser (no DTDs — a DOCTYPE is rejected)
+ *   - Canonical XML 1.0 (inclusive, without comments)
+ *   - one enveloped-signature Reference over the whole document (URI="")
+ *   - RSA-SHA1 / RSA-SHA256 signatures, SHA-1 / SHA-256 digests
+ *
+ * Anything else (other transforms, exclusive c14n, several References)
+ * is reported as unsupported rather than guessed at.
+ */
+
+import { createHash, createVerify } from 'crypto'
+
+const DSIG_NS = 'http://www.w3.org/2000/09/xmldsig#'
+const C14N = 'http://www.w3.org/TR/2001/REC-xml-c14n-20010315'
+const ENVELOPED = 'http://www.w3.org/2000/09/xmldsig#enveloped-signature'
+
+const SIGNATURE_ALGORITHMS = {
+  'http://www.w3.org/2000/09/xmldsig#rsa-sha1': 'RSA-SHA1',
+  'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256': 'RSA-SHA256'
+}
+const DIGEST_ALGORITHMS = {
+  'http://www.w3.org/2000/09/xmldsig#sha1': 'sha1',
+  'http://www.w3.org/2001/04/xmlenc#sha256': 'sha256'
+}
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }
+
+// ═══════════════════════════════════════════
+//  PARSER
+// ═══════════════════════════════════════════
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, ref) => {
+    if (ref[0] === '#') {
+      return String.fromCodePoint(ref[1] === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10))
+    }
+    if (!(ref in ENTITIES)) throw new Error(`Unknown entity &${ref};`)
+    return ENTITIES[ref]
+  })
+}
+
+function parseAttributes(source) {
+  const attrs = []
+  const pattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g
+  let match
+  while ((match = pattern.exec(source))) {
+    const raw = match[3] ?? match[4]
+    // Attribute-value normalization: literal whitespace becomes a space
+    attrs.push({ name: match[1], value: decodeEntities(raw.replace(/[\t\n]/g, ' ')) })
+  }
+  return attrs
+}
+
+/**
+ * Parse an XML document into { type: 'element', name, attrs, children, parent }
+ * nodes (plus { type: 'text' } and { type: 'pi' }). Comments are dropped.
+ *
+ * @param {string} xml
+ * @returns {Object} the document element
+ */
+export function parseXml(xml) {
+  const source = xml.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n')
+  const root = { type: 'document', children: [] }
+  let current = root
+  let pos = 0
+
+  while (pos < source.length) {
+    const lt = source.indexOf('<', pos)
+    if (lt === -1) {
+      if (current !== root) throw new Error('Unexpected end of document')
+      break
+    }
+    if (lt > pos && current !== root) {
+      current.children.push({ type: 'text', value: decodeEntities(source.slice(pos, lt)) })
+    }
+
+    if (source.startsWith('<!--', lt)) {
+      const end = source.indexOf('-->', lt)
+      if (end === -1) throw new Error('Unterminated comment')
+      pos = end + 3
+    } else if (source.startsWith('<![CDATA[', lt)) {
+      const end = source.indexOf(']]>', lt)
+      if (end === -1) throw new Error('Unterminated CDATA section')
+      current.children.push({ type: 'text', value: source.slice(lt + 9, end) })
+      pos = end + 3
+    } else if (source.startsWith('<!', lt)) {
+      throw new Error('DOCTYPE declarations are not supported')
+    } else if (source.startsWith('<?', lt)) {
+      const end = source.indexOf('?>', lt)
+      if (end === -1) throw new Error('Unterminated processing instruction')
+      const [, target, data = ''] = source.slice(lt + 2, end).match(/^(\S+)\s*([\s\S]*)$/) || []
+      // The XML declaration is not part of the infoset
+      if (target && target !== 'xml' && current !== root) current.children.push({ type: 'pi', target, data })
+      pos = end + 2
+    } else if (source[lt + 1] === '/') {
+      const end = source.indexOf('>', lt)
+      const name = source.slice(lt + 2, end).trim()
+      if (current.name !== name) throw new Error(`Mismatched closing tag </${name}>`)
+      current = current.parent
+      pos = end + 1
+    } else {
+      const end = findTagEnd(source, lt)
+      const selfClosing = source[end - 1] === '/'
+      const body = source.slice(lt + 1, selfClosing ? end - 1 : end)
+      const [, name, rest] = body.match(/^([^\s/>]+)([\s\S]*)$/) || []
+      if (!name) throw new Error('Malformed start tag')
+      const element = { type: 'element', name, attrs: parseAttributes(rest), children: [], parent: current }
+      if (current === root && root.children.some(c => c.type === 'element')) {
+        throw new Error('More than one document element')
+      }
+      current.children.push(element)
+      if (!selfClosing) current = element
+      pos = end + 1
+    }
+  }
+
+  const documentElement = root.children.find(c => c.type === 'element')
+  if (!documentElement || current !== root) throw new Error('Malformed XML document')
+  documentElement.parent = null
+  return documentElement
+}
+
+// '>' may appear inside quoted attribute values
+function findTagEnd(source, start) {
+  let quote = null
+  for (let i = start + 1; i < source.length; i++) {
+    const ch = source[i]
+    if (quote) {
+      if (ch === quote) quote = null
+    } else if (ch === '"' || ch === "'") {
+      quote = ch
+    } else if (ch === '>') {
+      return i
+    }
+  }
+  throw new Error('Unterminated start tag')
+}
+
+// ═══════════════════════════════════════════
+//  HELPERS
+// ═══════════════════════════════════════════
+
+export function localName(element) {
+  const colon = element.name.indexOf(':')
+  return colon === -1 ? element.name : element.name.slice(colon + 1)
+}
+
+export function getAttribute(element, name) {
+  return element.attrs.find(a => a.name === name)?.value ?? null
+}
+
+export function childElements(element, name) {
+  return element.children.filter(c => c.type === 'element' && (!name || localName(c) === name))
+}
+
+export function textContent(element) {
+  return element.children.map(c => c.type === 'text' ? c.value : c.type === 'element' ? textContent(c) : '').join('')
+}
+
+/** In-scope namespace declarations (prefix → URI, '' = default) */
+function namespacesInScope(element) {
+  const chain = []
+  for (let e = element; e; e = e.parent) chain.unshift(e)
+  const scope = new Map()
+  for (const e of chain) {
+    for (const { name, value } of e.attrs) {
+      if (name === 'xmlns') scope.set('', value)
+      else if (name.startsWith('xmlns:')) scope.set(name.slice(6), value)
+    }
+  }
+  return scope
+}
+
+function namespaceOf(element) {
+  const colon = element.name.indexOf(':')
+  return namespacesInScope(element).get(colon === -1 ? '' : element.name.slice(0, colon)) || ''
+}
+
+// ═══════════════════════════════════════════
+//  CANONICAL XML 1.0 (inclusive, without comments)
+// ═══════════════════════════════════════════
+
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\r/g, '&#xD;')
+}
+
+function escapeAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;')
+    .replace(/\t/g, '&#x9;').replace(/\n/g, '&#xA;').replace(/\r/g, '&#xD;')
+}
+
+/**
+ * Canonicalize an element subtree. The element is the apex of the output,
+ * so every namespace in scope is rendered on it; `exclude` is an element
+ * left out together with its subtree (the enveloped-signature transform).
+ *
+ * @returns {string}
+ */
+export function canonicalize(element, exclude = null) {
+  return serialize(element, new Map([['', '']]), exclude, true)
+}
+
+function serialize(element, rendered, exclude, apex) {
+  const scope = namespacesInScope(element)
+  const declared = apex
+    ? [...scope.keys()]
+    : element.attrs.filter(a => a.name === 'xmlns' || a.name.startsWith('xmlns:'))
+      .map(a => a.name === 'xmlns' ? '' : a.name.slice(6))
+
+  // Namespace declarations the output ancestor hasn't already rendered
+  const outputScope = new Map(rendered)
+  const nsAttrs = []
+  for (const prefix of new Set(declared)) {
+    const uri = scope.get(prefix)
+    if ((rendered.get(prefix) ?? '') === uri) continue
+    if (prefix === '' && uri === '' && !rendered.get('')) continue
+    outputScope.set(prefix, uri)
+    nsAttrs.push({ prefix, uri })
+  }
+  nsAttrs.sort((a, b) => a.prefix < b.prefix ? -1 : a.prefix > b.prefix ? 1 : 0)
+
+  const attrs = element.attrs
+    .filter(a => a.name !== 'xmlns' && !a.name.startsWith('xmlns:'))
+    .map(a => {
+      const colon = a.name.indexOf(':')
+      const prefix = colon === -1 ? null : a.name.slice(0, colon)
+      const uri = prefix === null ? '' : prefix === 'xml' ? 'http://www.w3.org/XML/1998/namespace' : scope.get(prefix) || ''
+      return { ...a, uri, local: colon === -1 ? a.name : a.name.slice(colon + 1) }
+    })
+    .sort((a, b) => a.uri !== b.uri ? (a.uri < b.uri ? -1 : 1) : a.local < b.local ? -1 : a.local > b.local ? 1 : 0)
+
+  let out = `<${element.name}`
+  for (const { prefix, uri } of nsAttrs) out += ` ${prefix ? `xmlns:${prefix}` : 'xmlns'}="${escapeAttribute(uri)}"`
+  for (const a of attrs) out += ` ${a.name}="${escapeAttribute(a.value)}"`
+  out += '>'
+
+  for (const child of element.children) {
+    if (child === exclude) continue
+    if (child.type === 'text') out += escapeText(child.value)
+    else if (child.type === 'pi') out += `<?${child.target}${child.data ? ' ' + child.data : ''}?>`
+    else out += serialize(child, outputScope, exclude, false)
+  }
+  return out + `</${element.name}>`
+}
+
+// ═══════════════════════════════════════════
+//  SIGNATURE VERIFICATION
+// ═══════════════════════════════════════════
+
+function findSignature(element) {
+  for (const child of childElements(element)) {
+    if (localName(child) === 'Signature' && namespaceOf(child) === DSIG_NS) return child
+    const nested = findSignature(child)
+    if (nested) return nested
+  }
+  return null
+}
+
+function only(element, name) {
+  const found = childElements(element, name)
+  if (found.length !== 1) throw new Error(`Expected exactly one ${name}`)
+  return found[0]
+}
+
+/**
+ * Verify the enveloped XML signature on a parsed document
+ *
+ * @param {Object} documentElement - from parseXml()
+ * @param {import('crypto').KeyObject[]} publicKeys - trusted signer keys (any may match)
+ * @returns {{ valid: boolean, reason: string|null }}
+ *   reason: 'signature_missing' | 'unsupported_signature_algorithm' | 'digest_mismatch' | 'invalid_signature'
+ */
+export function verifyEnvelopedSignature(documentElement, publicKeys) {
+  const signature = findSignature(documentElement)
+  if (!signature) return { valid: false, reason: 'signature_missing' }
+
+  let signedInfo, signatureMethod, digestMethod, digestValue, signatureValue
+  try {
+    signedInfo = only(signature, 'SignedInfo')
+    const c14nMethod = getAttribute(only(signedInfo, 'CanonicalizationMethod'), 'Algorithm')
+    signatureMethod = SIGNATURE_ALGORITHMS[getAttribute(only(signedInfo, 'SignatureMethod'), 'Algorithm')]
+    const reference = only(signedInfo, 'Reference')
+    const transforms = childElements(reference, 'Transforms')
+      .flatMap(t => childElements(t, 'Transform'))
+      .map(t => getAttribute(t, 'Algorithm'))
+    digestMethod = DIGEST_ALGORITHMS[getAttribute(only(reference, 'DigestMethod'), 'Algorithm')]
+    digestValue = textContent(only(reference, 'DigestValue')).replace(/\s/g, '')
+    signatureValue = textContent(only(signature, 'SignatureValue')).replace(/\s/g, '')
+
+    const supported = c14nMethod === C14N &&
+      getAttribute(reference, 'URI') === '' &&
+      transforms.includes(ENVELOPED) &&
+      transforms.every(t => t === ENVELOPED || t === C14N) &&
+      signatureMethod && digestMethod
+    if (!supported) return { valid: false, reason: 'unsupported_signature_algorithm' }
+  } catch {
+    return { valid: false, reason: 'unsupported_signature_algorithm' }
+  }
+
+  // Reference: the whole document minus the Signature element
+  const digest = createHash(digestMethod).update(canonicalize(documentElement, signature), 'utf8').digest('base64')
+  if (digest !== digestValue) return { valid: false, reason: 'digest_mismatch' }
+
+  const signedBytes = Buffer.from(canonicalize(signedInfo), 'utf8')
+  const signatureBytes = Buffer.from(signatureValue, 'base64')
+  const trusted = publicKeys.some(key => createVerify(signatureMethod).update(signedBytes).verify(key, signatureBytes))
+  return trusted ? { valid: true, reason: null } : { valid: false, reason: 'invalid_signature' }
+}
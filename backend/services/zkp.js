@@ -0,0 +1,219 @@
+/**
+ * zkp.js — Zero-Knowledge Age Range Proofs (and the identity commitment)
+ *
+ * Proves "my committed age ≥ minAge" without revealing the age.
+ * No trusted setup, no circuit files — sigma protocols on secp256k1:
+ *
+ * 1) PEDERSEN COMMITMENT (issued at KYC, signed by the issuer)
+ *      C = age·G + r·H
+ *    H is hashed to the curve, so nobody knows log_G(H) → C is hiding
+ *    (r is random) and binding (can't be opened to a different age).
+ *    r never leaves the holder's browser: it sends R = r·H with a Schnorr
+ *    proof of knowing log_H(R) (so R hides no extra age·G), and the issuer,
+ *    who knows the age from KYC, signs C = age·G + R.
+ *
+ * 2) RANGE PROOF (generated in the browser by the holder)
+ *      D = C − minAge·G = d·G + r·H        where d = age − minAge
+ *    Split d into RANGE_BITS bits, commit each bit:
+ *      Cᵢ = bᵢ·G + rᵢ·H    with  Σ 2ⁱ·rᵢ = r   ⇒   Σ 2ⁱ·Cᵢ = D
+ *    For every Cᵢ a 1-of-2 Schnorr OR-proof (Cramer–Damgård–Schoenmakers)
+ *    shows Cᵢ commits to 0 OR 1 without saying which.
+ *    ⇒ d ∈ [0, 2^RANGE_BITS) ⇒ age ≥ minAge.
+ *
+ * 3) FIAT–SHAMIR
+ *    Challenges are keccak256(context, i, Cᵢ, A₀, A₁). The context binds the
+ *    proof to a wallet + event + minAge so it can't be replayed elsewhere.
+ *
+ * 4) IDENTITY COMMITMENT (DOB + document number, for renewal / recovery)
+ *      C = v·G + s·H       v = keccak256("DOB|document")
+ *    Made the same way from the holder's s·H. To open it the user re-enters
+ *    the details and proves knowing log_H(C − v·G) — s stays in the browser.
+ *
+ * The holder side (createAgeBlinding, proveAgeAtLeast, createIdentityBlinding,
+ * proveIdentityOpening) is frontend/src/utils/zkp.js;
+ * this module only commits and verifies. Contexts, H and the challenge hash
+ * must match it — tests/zkp.test.js checks a proof it made.
+ * (On-chain verification would need secp256k1 point arithmetic in Solidity;
+ *  RacePassV2 keeps verifying the issuer's commitment attestation instead.)
+ */
+
+import { secp256k1, hashToCurve } from '@noble/curves/secp256k1'
+import { keccak256, concat, toUtf8Bytes, getBytes } from 'ethers'
+
+const Point = secp256k1.ProjectivePoint
+const N = secp256k1.CURVE.n
+const G = Point.BASE
+const H = Point.fromAffine(hashToCurve(toUtf8Bytes('RacePass/pedersen/H'), { DST: 'RacePass-v1-secp256k1_XMD:SHA-256_SSWU_RO_' }).toAffine())
+
+export const RANGE_BITS = 8          // proves 0 ≤ age − minAge < 256
+export const PROOF_TYPE = 'RacePassAgeRange2024'
+
+// ═══════════════════════════════════════════
+//  HELPERS
+// ═══════════════════════════════════════════
+
+const mod = a => ((a % N) + N) % N
+const mul = (P, k) => (mod(k) === 0n ? Point.ZERO : P.multiply(mod(k)))
+const toHex = P => '0x' + P.toHex(true)
+const fromHex = hex => Point.fromHex(String(hex).replace(/^0x/, ''))
+
+function challenge(context, index, C, A0, A1) {
+  const hash = keccak256(concat([
+    toUtf8Bytes(`${PROOF_TYPE}|${context}|${index}`),
+    getBytes(toHex(C)), getBytes(toHex(A0)), getBytes(toHex(A1))
+  ]))
+  return mod(BigInt(hash))
+}
+
+/** Context string a proof is bound to: wallet + event + threshold */
+export function ageProofContext(wallet, eventId, minAge) {
+  return `${wallet.toLowerCase()}|${eventId}|${minAge}`
+}
+
+// ═══════════════════════════════════════════
+//  COMMITMENT (blinding from the holder, age from the issuer)
+// ═══════════════════════════════════════════
+
+/** Context a blinding proof is bound to: the wallet the commitment is issued to */
+export function ageBlindingContext(wallet) {
+  return `blinding|${wallet.toLowerCase()}`
+}
+
+function blindingChallenge(context, R, A) {
+  const hash = keccak256(concat([toUtf8Bytes(`${PROOF_TYPE}|${context}`), getBytes(toHex(R)), getBytes(toHex(A))]))
+  return mod(BigInt(hash))
+}
+
+/** Does the holder know log_H(R)? (Schnorr: s·H = A + e·R) */
+function knowsBlinding(R, proof, context) {
+  const A = fromHex(proof.A)
+  if (R.equals(Point.ZERO)) return false
+  const e = blindingChallenge(context, R, A)
+  return mul(H, BigInt(proof.s)).equals(A.add(mul(R, e)))
+}
+
+/** Does the holder know log_H(blindingPoint)? */
+export function verifyAgeBlinding(ageBlinding, context) {
+  try {
+    return knowsBlinding(fromHex(ageBlinding.blindingPoint), ageBlinding.proof, context)
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Pedersen-commit to an age with the holder's blinding point (issuer side)
+ * @returns {string} hex commitment age·G + R — only the holder can open it
+ */
+export function commitAge(age, blindingPoint) {
+  return toHex(mul(G, BigInt(age)).add(fromHex(blindingPoint)))
+}
+
+// ═══════════════════════════════════════════
+//  IDENTITY COMMITMENT (DOB + document, re-proven for renewal / recovery)
+// ═══════════════════════════════════════════
+//  C = v·G + s·H    v = keccak256(value) mod n, s picked by the holder.
+//  Opening it: the user re-enters the value, we compute P = C − v·G and the
+//  browser proves it knows log_H(P) — s is never sent. A wrong value leaves
+//  a (v − v′)·G term nobody can prove a discrete log in H for.
+
+/** Context an identity blinding proof is bound to: the wallet the commitment is issued to */
+export function identityBlindingContext(wallet) {
+  return `identity-blinding|${wallet.toLowerCase()}`
+}
+
+/**
+ * Context an identity opening proof is bound to: what it authorizes
+ * ('renew' | 'migrate' | 'age-commitment'), the RacePass's wallet, and the
+ * wallet it moves to (migration)
+ */
+export function identityOpeningContext(action, wallet, toWallet = wallet) {
+  return `identity-opening|${action}|${wallet.toLowerCase()}|${toWallet.toLowerCase()}`
+}
+
+const identityScalar = value => mod(BigInt(keccak256(toUtf8Bytes(value))))
+
+/** Does the holder know log_H(blindingPoint)? */
+export function verifyIdentityBlinding(identityBlinding, context) {
+  try {
+    return knowsBlinding(fromHex(identityBlinding.blindingPoint), identityBlinding.proof, context)
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Pedersen-commit to an identity value ("DOB|document") with the holder's blinding point
+ * @returns {string} hex commitment v·G + R
+ */
+export function commitIdentity(value, blindingPoint) {
+  return toHex(mul(G, identityScalar(value)).add(fromHex(blindingPoint)))
+}
+
+/**
+ * Does the holder's proof open the identity commitment to this value?
+ *
+ * @param {Object} proof - { A, s } from proveIdentityOpening() (frontend/src/utils/zkp.js)
+ * @param {string} context - identityOpeningContext(...)
+ */
+export function verifyIdentityOpening(commitment, value, proof, context) {
+  try {
+    const P = fromHex(commitment).subtract(mul(G, identityScalar(value)))
+    return knowsBlinding(P, proof, context)
+  } catch {
+    return false
+  }
+}
+
+// ═══════════════════════════════════════════
+//  VERIFIER (backend / relying party)
+// ═══════════════════════════════════════════
+
+/**
+ * Verify an age range proof
+ *
+ * @param {Object} proof              From proveAgeAtLeast() (frontend/src/utils/zkp.js)
+ * @param {Object} expected           { commitment, minAge, context } — what the verifier requires
+ * @returns {{ valid: boolean, reason: string|null }}
+ *   reason: 'malformed_proof' | 'commitment_mismatch' | 'threshold_mismatch' | 'context_mismatch'
+ *         | 'sum_mismatch' | 'bit_proof_invalid'
+ */
+export function verifyAgeProof(proof, { commitment, minAge, context }) {
+  if (proof?.type !== PROOF_TYPE || !Array.isArray(proof.bits) || proof.bits.length !== RANGE_BITS) {
+    return { valid: false, reason: 'malformed_proof' }
+  }
+  if (String(proof.commitment).toLowerCase() !== String(commitment).toLowerCase()) {
+    return { valid: false, reason: 'commitment_mismatch' }
+  }
+  if (Number(proof.minAge) !== Number(minAge)) return { valid: false, reason: 'threshold_mismatch' }
+  if (proof.context !== context) return { valid: false, reason: 'context_mismatch' }
+
+  try {
+    // Σ 2ⁱ·Cᵢ must equal C − minAge·G
+    const D = fromHex(commitment).subtract(mul(G, BigInt(minAge)))
+    let sum = Point.ZERO
+    for (let i = 0; i < RANGE_BITS; i++) {
+      sum = sum.add(mul(fromHex(proof.bits[i].C), 1n << BigInt(i)))
+    }
+    if (!sum.equals(D)) return { valid: false, reason: 'sum_mismatch' }
+
+    // Each Cᵢ commits to 0 or 1
+    for (let i = 0; i < RANGE_BITS; i++) {
+      const bit = proof.bits[i]
+      const C = fromHex(bit.C)
+      const P = [C, C.subtract(G)]
+      const e = [BigInt(bit.e0), BigInt(bit.e1)]
+      const s = [BigInt(bit.s0), BigInt(bit.s1)]
+      if ([...e, ...s].some(x => x >= N)) return { valid: false, reason: 'malformed_proof' }
+      const A0 = mul(H, s[0]).subtract(mul(P[0], e[0]))
+      const A1 = mul(H, s[1]).subtract(mul(P[1], e[1]))
+      if (mod(e[0] + e[1]) !== challenge(context, i, C, A0, A1)) {
+        return { valid: false, reason: 'bit_proof_invalid' }
+      }
+    }
+  } catch {
+    return { valid: false, reason: 'malformed_proof' }
+  }
+
+  return { valid: true, reason: null }
+}
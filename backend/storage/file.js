@@ -0,0 +1,61 @@
+/**
+ * file.js - File-Backed Storage Driver
+ *
+ * Keeps the whole store as a single JSON snapshot on disk.
+ *
+ * Crash safety:
+ * - Writes go to a temporary file first, then rename() over the real one.
+ *   rename is atomic, so a crash mid-write never leaves a half-written file.
+ * - Saves requested during one tick of the event loop are coalesced into
+ *   a single write (see storage/index.js).
+ */
+
+import fs from 'fs'
+import path from 'path'
+
+/**
+ * @param {string} filePath - Where the JSON snapshot lives
+ */
+export function createFileDriver(filePath) {
+  const tmpPath = `${filePath}.tmp`
+
+  function serialize(snapshot) {
+    return JSON.stringify({ ...snapshot, savedAt: new Date().toISOString() })
+  }
+
+  return {
+    name: 'file',
+    path: filePath,
+
+    /**
+     * Read the snapshot from disk
+     * @returns {Object|null} null if no data file exists yet
+     */
+    load() {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true })
+      if (!fs.existsSync(filePath)) return null
+
+      const raw = fs.readFileSync(filePath, 'utf8')
+      try {
+        return JSON.parse(raw)
+      } catch (err) {
+        // Never silently start empty on top of real data — keep a copy to inspect
+        const backup = `${filePath}.corrupt-${Date.now()}`
+        fs.copyFileSync(filePath, backup)
+        throw new Error(`Storage file is not valid JSON (copied to ${backup}): ${err.message}`)
+      }
+    },
+
+    /** Asynchronous atomic write */
+    async save(snapshot) {
+      await fs.promises.writeFile(tmpPath, serialize(snapshot))
+      await fs.promises.rename(tmpPath, filePath)
+    },
+
+    /** Synchronous atomic write — used at shutdown when async work can't finish */
+    saveSync(snapshot) {
+      fs.writeFileSync(tmpPath, serialize(snapshot))
+      fs.renameSync(tmpPath, filePath)
+    }
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * storage/index.js - Repository Layer
+ *
+ * Every RacePass store (credentials, events, tickets, reputation, ...) is a
+ * named Collection. A Collection behaves like a Map — get/set/has/delete and
+ * iteration — so routes use it exactly like the old module-level Maps.
+ *
+ * The difference: writes are persisted by the configured driver
+ * (see config/storage.js), so a backend restart no longer wipes RacePasses.
+ *
+ * IMPORTANT: values are plain objects held by reference. If you mutate a
+ * value in place, call collection.set(key, value) afterwards so the change
+ * is saved.
+ */
+
+import { STORAGE_CONFIG, STORAGE_DRIVERS } from '../config/storage.js'
+import { createMemoryDriver } from './memory.js'
+import { createFileDriver } from './file.js'
+import { runMigrations } from './migrations.js'
+
+let driver = null
+let schemaVersion = 0
+const persistentData = new Map()   // collection name → Map (saved by the driver)
+const ephemeralData = new Map()    // collection name → Map (never saved, e.g. rate limits)
+
+let saveScheduled = false
+let saveInFlight = null
+
+/**
+ * Map-compatible view over one named store
+ */
+class Collection {
+  constructor(name, persist) {
+    this.name = name
+    this.persist = persist
+  }
+
+  /** Resolved on every call so collections stay valid after initStorage() reloads */
+  get map() {
+    const bucket = this.persist ? persistentData : ephemeralData
+    if (!bucket.has(this.name)) bucket.set(this.name, new Map())
+    return bucket.get(this.name)
+  }
+
+  get size() { return this.map.size }
+  get(key) { return this.map.get(key) }
+  has(key) { return this.map.has(key) }
+  keys() { return this.map.keys() }
+  values() { return this.map.values() }
+  entries() { return this.map.entries() }
+  forEach(fn) { this.map.forEach(fn) }
+  [Symbol.iterator]() { return this.map.entries() }
+
+  set(key, value) {
+    this.map.set(key, value)
+    this.changed()
+    return this
+  }
+
+  delete(key) {
+    const existed = this.map.delete(key)
+    if (existed) this.changed()
+    return existed
+  }
+
+  clear() {
+    this.map.clear()
+    this.changed()
+  }
+
+  changed() {
+    if (this.persist) scheduleSave()
+  }
+}
+
+function createDriver(config) {
+  if (!STORAGE_DRIVERS.includes(config.driver)) {
+    throw new Error(`Unknown STORAGE_DRIVER "${config.driver}" (expected one of: ${STORAGE_DRIVERS.join(', ')})`)
+  }
+  return config.driver === 'memory' ? createMemoryDriver() : createFileDriver(config.path)
+}
+
+/**
+ * Load the store from the configured driver and run pending migrations.
+ * Called automatically on first use; call it explicitly to pick a driver
+ * (e.g. initStorage({ driver: 'memory' }) in tests).
+ */
+export function initStorage(config = STORAGE_CONFIG) {
+  driver = createDriver(config)
+  persistentData.clear()
+  ephemeralData.clear()
+
+  const snapshot = driver.load() || { schemaVersion: 0, collections: {} }
+  snapshot.collections = snapshot.collections || {}
+  const applied = runMigrations(snapshot)
+  schemaVersion = snapshot.schemaVersion
+
+  for (const [name, entries] of Object.entries(snapshot.collections)) {
+    persistentData.set(name, new Map(Object.entries(entries)))
+  }
+
+  const total = [...persistentData.values()].reduce((n, m) => n + m.size, 0)
+  console.log(`💾 Storage: ${driver.name}${driver.path ? ` (${driver.path})` : ''} — schema v${schemaVersion}, ${total} records`)
+  if (applied.length > 0) {
+    console.log(`   Applied migrations: v${applied.join(', v')}`)
+    driver.saveSync(buildSnapshot())
+  }
+}
+
+/**
+ * Get a named collection
+ *
+ * @param {string} name - Collection name (see storage/migrations.js)
+ * @param {Object} options
+ * @param {boolean} options.persist - false for short-lived data that should not survive a restart
+ * @returns {Collection}
+ */
+export function getCollection(name, { persist = true } = {}) {
+  if (!driver) initStorage()
+  return new Collection(name, persist)
+}
+
+function buildSnapshot() {
+  const collections = {}
+  for (const [name, map] of persistentData) {
+    collections[name] = Object.fromEntries(map)
+  }
+  return { schemaVersion, collections }
+}
+
+/** Coalesce all writes made during one event-loop tick into a single save */
+function scheduleSave() {
+  if (saveScheduled) return
+  saveScheduled = true
+  setImmediate(async () => {
+    if (saveInFlight) await saveInFlight
+    saveScheduled = false
+    saveInFlight = driver.save(buildSnapshot())
+      .catch(err => console.error('❌ Storage save failed:', err.message))
+      .finally(() => { saveInFlight = null })
+  })
+}
+
+/**
+ * Write everything to disk synchronously.
+ * Call before the process exits so the last changes are not lost.
+ */
+export function flushStorage() {
+  if (!driver) return
+  driver.saveSync(buildSnapshot())
+}
@@ -0,0 +1,21 @@
+/**
+ * memory.js - In-Memory Storage Driver
+ *
+ * Nothing is written anywhere — every restart starts from an empty store.
+ * This is the original RacePass behaviour and is meant for tests and demos.
+ */
+
+export function createMemoryDriver() {
+  return {
+    name: 'memory',
+
+    /** Nothing persisted, so there is never a previous snapshot */
+    load() {
+      return null
+    },
+
+    async save() {},
+
+    saveSync() {}
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * migrations.js - Storage Schema Migrations
+ *
+ * Every persisted snapshot records the schemaVersion it was written with.
+ * On startup, each migration with a higher version runs in order against
+ * the raw collections object, so old data files keep working after upgrades.
+ *
+ * Rules for adding a migration:
+ * - Append only, never edit a released migration
+ * - Bump `version` by one
+ * - `up(collections)` mutates the plain-object collections in place
+ * - A new collection goes in COLLECTIONS and gets its own migration
+ */
+
+import { STATUS_LIST_SIZE } from '../services/presentation.js'
+import { ageRangeFor } from '../services/claims.js'
+
+/** Collections every RacePass data file is expected to contain */
+export const COLLECTIONS = [
+  // kyc.js
+  'credentials',       // wallet → credential record
+  'activityLog',       // wallet → [{ action, timestamp, ... }]
+  // events.js
+  'users',             // wallet → { role, name, email, ... }
+  'events',            // eventId → event data
+  'registrations',     // eventId → [registration]
+  'notifications',     // organizer wallet → [notification]
+  'qrTokens',          // qrToken → ticket data
+  'attendanceLeaves',  // leaf hash → { wallet, eventId, recordedAt }
+  'reputationScores',  // wallet → { score, attendance, leaves[] }
+  'eventStaff',        // eventId → [{ wallet, role, invitedBy, invitedAt, revokedAt }]
+  // keystore.js
+  'issuerKeys',        // kid → { address, status, validUntil, encryptedKey, ... }
+  // nullifier.js
+  'settings',              // name → value (nullifier salt, ...)
+  'identityNullifiers',    // nullifier → { wallet, boundAt }
+  'nullifierCollisions',   // id → { nullifier, attemptedBy, heldBy, action, at }
+  // faceSession.js
+  'faceSessions',          // sessionId → { wallet, documentKey, challenge, status, ... }
+  'faceAttempts',          // 'wallet:<addr>' | 'document:<nullifier>' → { failures: [iso] }
+  // moderation.js
+  'adminAudit',            // id → { at, admin, action, wallet, credentialId, reason, note, ... }
+  // statusList.js
+  'statusLists',           // list number → { revoked: [offset], updatedAt }
+  // attestationRegistry.js
+  'attestationNonces'      // nonce → { wallet, claim, audience, expiresAt, issuedAt, usedAt, usedBy }
+]
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Initial schema: create all RacePass collections',
+    up(collections) {
+      const initial = [
+        'credentials', 'activityLog', 'users', 'events', 'registrations',
+        'notifications', 'qrTokens', 'attendanceLeaves', 'reputationScores'
+      ]
+      for (const name of initial) {
+        if (!collections[name]) collections[name] = {}
+      }
+    }
+  },
+  {
+    version: 2,
+    description: 'Add eventStaff (delegated gate scanners per event)',
+    up(collections) {
+      if (!collections.eventStaff) collections.eventStaff = {}
+    }
+  },
+  {
+    version: 3,
+    description: 'Add issuerKeys (encrypted issuer keystore with rotation)',
+    up(collections) {
+      if (!collections.issuerKeys) collections.issuerKeys = {}
+    }
+  },
+  {
+    version: 4,
+    description: 'Add settings, identityNullifiers, nullifierCollisions (one Aadhaar identity per active RacePass)',
+    up(collections) {
+      for (const name of ['settings', 'identityNullifiers', 'nullifierCollisions']) {
+        if (!collections[name]) collections[name] = {}
+      }
+    }
+  },
+  {
+    version: 5,
+    description: 'Add faceSessions, faceAttempts (server-side face match + liveness sessions)',
+    up(collections) {
+      for (const name of ['faceSessions', 'faceAttempts']) {
+        if (!collections[name]) collections[name] = {}
+      }
+    }
+  },
+  {
+    version: 6,
+    description: 'Add adminAudit (operator suspend / restore / export trail)',
+    up(collections) {
+      if (!collections.adminAudit) collections.adminAudit = {}
+    }
+  },
+  {
+    version: 7,
+    description: 'Add statusLists; give existing RacePasses a status list index (revoked ones get their bit set)',
+    up(collections) {
+      if (!collections.statusLists) collections.statusLists = {}
+      if (!collections.settings) collections.settings = {}
+      let next = collections.settings.statusListNextIndex || 0
+      const updatedAt = new Date().toISOString()
+
+      for (const record of Object.values(collections.credentials || {})) {
+        if (!record?.credential || record.statusListIndex != null) continue
+        record.statusListIndex = next++
+        if (!record.revoked) continue
+        const list = String(Math.floor(record.statusListIndex / STATUS_LIST_SIZE) + 1)
+        const entry = collections.statusLists[list] || (collections.statusLists[list] = { revoked: [] })
+        entry.revoked.push(record.statusListIndex % STATUS_LIST_SIZE)
+        entry.updatedAt = updatedAt
+      }
+      collections.settings.statusListNextIndex = next
+    }
+  },
+  {
+    version: 8,
+    description: 'Add attestationNonces (audience-scoped attestations, accepted once)',
+    up(collections) {
+      if (!collections.attestationNonces) collections.attestationNonces = {}
+    }
+  },
+  {
+    version: 9,
+    description: 'Drop issuer-held age commitment blindings (holders re-commit from the browser)',
+    up(collections) {
+      // Identity commitment secrets stay — kyc.js opens those itself until the RacePass is renewed
+      for (const record of Object.values(collections.credentials || {})) {
+        if (record?.commitments?.age?.blinding) delete record.commitments.age.blinding
+      }
+    }
+  },
+  {
+    version: 10,
+    description: "Record the registrant's identity nullifier on event registrations (one ticket per person)",
+    up(collections) {
+      const credentials = collections.credentials || {}
+      for (const regs of Object.values(collections.registrations || {})) {
+        for (const reg of regs || []) {
+          if (reg.nullifier === undefined) reg.nullifier = credentials[reg.wallet]?.nullifier || null
+        }
+      }
+    }
+  },
+  {
+    version: 11,
+    description: 'Replace the stored age with its bracket (the exact age stays in the holder\'s browser)',
+    up(collections) {
+      for (const record of Object.values(collections.credentials || {})) {
+        if (record?.age == null) continue
+        if (!record.ageRange) record.ageRange = ageRangeFor(record.age)
+        delete record.age
+      }
+    }
+  }
+]
+
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version
+
+/**
+ * Run every pending migration against a loaded snapshot
+ *
+ * @param {{ schemaVersion: number, collections: Object }} snapshot
+ * @returns {number[]} Versions that were applied (empty if already current)
+ */
+export function runMigrations(snapshot) {
+  const applied = []
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= snapshot.schemaVersion) continue
+    migration.up(snapshot.collections)
+    snapshot.schemaVersion = migration.version
+    applied.push(migration.version)
+  }
+  return applied
+}
@@ -0,0 +1,34 @@
+/**
+ * Age brackets (services/claims.js): what a RacePass records instead of the
+ * age, and the age claims that can still be derived from it
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { ageRangeFor, deriveClaim, formatClaim } from '../services/claims.js'
+import { MIGRATIONS } from '../storage/migrations.js'
+
+test('an age is recorded as the bracket between two AGE_RANGE_EDGES', () => {
+  assert.deepEqual(ageRangeFor(9), { min: 0, max: 12 })
+  assert.deepEqual(ageRangeFor(18), { min: 18, max: 20 })
+  assert.deepEqual(ageRangeFor(20), { min: 18, max: 20 })
+  assert.deepEqual(ageRangeFor(30), { min: 25, max: 64 })
+  assert.deepEqual(ageRangeFor(70), { min: 65, max: 150 })
+})
+
+test('only claims the whole bracket agrees on hold', () => {
+  const { min, max } = ageRangeFor(19)
+  const holds = (type, n) => deriveClaim(formatClaim(type, n), { minAge: min, maxAge: max }).holds
+  assert.equal(holds('ageAbove', 18), true)
+  assert.equal(holds('ageBelow', 21), true)
+  // 19 or 20 — undecided, so not attested
+  assert.equal(holds('ageAbove', 20), false)
+  assert.equal(holds('ageBelow', 20), false)
+})
+
+test('storage migration 11 drops stored ages for their bracket', () => {
+  const collections = { credentials: { '0xabc': { age: 23, isAdult: true }, '0xdef': { isAdult: false } } }
+  MIGRATIONS.find(m => m.version === 11).up(collections)
+  assert.deepEqual(collections.credentials['0xabc'], { isAdult: true, ageRange: { min: 21, max: 24 } })
+  assert.deepEqual(collections.credentials['0xdef'], { isAdult: false })
+})
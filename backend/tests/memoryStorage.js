@@ -0,0 +1,8 @@
+/**
+ * Import first in tests that touch collections: keeps them in memory,
+ * away from data/racepass.json
+ */
+
+import { initStorage } from '../storage/index.js'
+
+initStorage({ driver: 'memory' })
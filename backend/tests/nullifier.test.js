@@ -0,0 +1,35 @@
+/**
+ * Identity nullifiers (services/nullifier.js): stable per document, keyed by the pepper
+ */
+
+import './memoryStorage.js'
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { deriveNullifier } from '../services/nullifier.js'
+import { identityDocument, identityKey } from '../services/documents.js'
+
+const pepper = process.env.AADHAAR_NULLIFIER_PEPPER
+after(() => {
+  if (pepper === undefined) delete process.env.AADHAAR_NULLIFIER_PEPPER
+  else process.env.AADHAAR_NULLIFIER_PEPPER = pepper
+})
+
+test('the same document gives the same nullifier', async () => {
+  const first = await deriveNullifier(identityKey(identityDocument({ aadhaarNumber: '234567890124' })))
+  const again = await deriveNullifier(identityKey(identityDocument({ documentType: 'aadhaar', documentNumber: '234567890124' })))
+  assert.match(first, /^0x[0-9a-f]{64}$/)
+  assert.equal(again, first)
+})
+
+test('another document gives another nullifier', async () => {
+  const aadhaar = await deriveNullifier(identityKey(identityDocument({ aadhaarNumber: '234567890124' })))
+  const pan = await deriveNullifier(identityKey(identityDocument({ documentType: 'pan', documentNumber: 'ABCPE1234F' })))
+  assert.notEqual(pan, aadhaar)
+})
+
+test('a different pepper gives a different nullifier', async () => {
+  const key = identityKey(identityDocument({ aadhaarNumber: '234567890124' }))
+  const withPepper = await deriveNullifier(key)
+  process.env.AADHAAR_NULLIFIER_PEPPER = 'another-pepper'
+  assert.notEqual(await deriveNullifier(key), withPepper)
+})
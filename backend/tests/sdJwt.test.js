@@ -0,0 +1,59 @@
+/**
+ * SD-JWT VC presentations (services/sdJwt.js): selective disclosure and the
+ * holder's KB-JWT binding them to one verifier and nonce
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { SigningKey, Wallet } from 'ethers'
+import { createSdJwt, presentSdJwt, publicKeyToJwk, verifySdJwtPresentation } from '../services/sdJwt.js'
+
+const issuer = Wallet.createRandom()
+const holderKey = new SigningKey(Wallet.createRandom().privateKey)
+const now = Math.floor(Date.now() / 1000)
+
+const sdJwt = createSdJwt({
+  iss: 'did:ethr:racepass',
+  vct: 'RacePassCredential',
+  iat: now,
+  exp: now + 3600,
+  cnf: { jwk: publicKeyToJwk(holderKey.publicKey) },
+  walletAddress: '0x8b3a350cf5c34c9194ca85829a2df0ec3153be03',
+  identityVerified: true,
+  country: 'IN',
+  age_equal_or_over: { 18: true, 21: true }
+}, {
+  disclose: ['walletAddress', 'identityVerified', 'country', 'age_equal_or_over.18', 'age_equal_or_over.21'],
+  signingKey: issuer.signingKey
+})
+
+const request = { audience: 'racepass-event:evt_1', nonce: 'n-1', trustedIssuers: [issuer.address] }
+const present = (opts = {}) => presentSdJwt(sdJwt, ['identityVerified', 'age_equal_or_over.18'], {
+  holderKey, audience: request.audience, nonce: request.nonce, ...opts
+})
+
+test('a presentation reveals only the chosen fields', () => {
+  const result = verifySdJwtPresentation(present(), request)
+  assert.equal(result.valid, true)
+  assert.equal(result.issuer, issuer.address)
+  assert.deepEqual(result.disclosed.sort(), ['age_equal_or_over.18', 'identityVerified'])
+  assert.equal(result.claims.country, undefined)
+  assert.equal(result.claims.age_equal_or_over['21'], undefined)
+})
+
+test('a KB-JWT for another audience is rejected', () => {
+  assert.equal(verifySdJwtPresentation(present({ audience: 'racepass-event:evt_2' }), request).reason, 'audience_mismatch')
+})
+
+test('a KB-JWT with another nonce is rejected', () => {
+  assert.equal(verifySdJwtPresentation(present({ nonce: 'n-2' }), request).reason, 'nonce_mismatch')
+})
+
+test('a KB-JWT not signed by the holder key is rejected', () => {
+  const other = new SigningKey(Wallet.createRandom().privateKey)
+  assert.equal(verifySdJwtPresentation(present({ holderKey: other }), request).reason, 'holder_binding_invalid')
+})
+
+test('an SD-JWT from an untrusted issuer is rejected', () => {
+  assert.equal(verifySdJwtPresentation(present(), { ...request, trustedIssuers: [] }).reason, 'issuer_not_authorized')
+})
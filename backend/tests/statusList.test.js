@@ -0,0 +1,46 @@
+/**
+ * Revocation status lists (services/statusList.js): a bit set on a RacePass
+ * shows up in the signed, gzip-compressed StatusList2021Credential
+ */
+
+import './memoryStorage.js'
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { gunzipSync } from 'zlib'
+import { allocateStatusIndex, getStatusListCredential, setStatusRevoked, statusEntry, isEntryRevoked } from '../services/statusList.js'
+import { isStatusBitSet, statusListPosition } from '../services/presentation.js'
+import { verifyCredential, verifyCredentialJwt } from '../services/credential.js'
+
+/** The bitstring a verifier reads from the published list, after checking its signature */
+async function publishedBits(list) {
+  const { credential, jwt } = await getStatusListCredential(list)
+  assert.equal(verifyCredential(credential).valid, true)
+  assert.equal(verifyCredentialJwt(jwt).valid, true)
+  return gunzipSync(Buffer.from(credential.credentialSubject.encodedList, 'base64url'))
+}
+
+test('a revoked bit round-trips through the signed list', async () => {
+  allocateStatusIndex()
+  const index = allocateStatusIndex()
+  const { list, offset } = statusListPosition(index)
+  const entry = statusEntry(index)
+
+  assert.equal(isStatusBitSet(await publishedBits(list), offset), false)
+
+  setStatusRevoked(index)
+  const bits = await publishedBits(list)
+  assert.equal(isStatusBitSet(bits, offset), true)
+  assert.equal(isStatusBitSet(bits, offset - 1), false)
+  assert.equal(isEntryRevoked(entry), true)
+
+  setStatusRevoked(index, false)
+  assert.equal(isStatusBitSet(await publishedBits(list), offset), false)
+  assert.equal(isEntryRevoked(entry), false)
+})
+
+test('a tampered list fails verification', async () => {
+  const { credential } = await getStatusListCredential(1)
+  const tampered = structuredClone(credential)
+  tampered.credentialSubject.encodedList = credential.credentialSubject.encodedList.replace(/.$/, c => c === 'A' ? 'B' : 'A')
+  assert.equal(verifyCredential(tampered).valid, false)
+})
@@ -0,0 +1,63 @@
+/**
+ * Age range proofs and identity commitment openings: checked by the backend
+ * (services/zkp.js) against proofs made in the browser (frontend/src/utils/zkp.js)
+ * — fixtures/ageProof.json, fixtures/identityOpening.json
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'fs'
+import {
+  ageBlindingContext, ageProofContext, commitAge, verifyAgeBlinding, verifyAgeProof,
+  identityBlindingContext, identityOpeningContext, commitIdentity, verifyIdentityBlinding, verifyIdentityOpening
+} from '../services/zkp.js'
+
+const vector = JSON.parse(readFileSync(new URL('./fixtures/ageProof.json', import.meta.url)))
+const { wallet, eventId, minAge, commitment, ageProof } = vector
+const context = ageProofContext(wallet, eventId, minAge)
+
+test('a browser blinding proof verifies for its wallet only', () => {
+  assert.equal(verifyAgeBlinding(vector.ageBlinding, ageBlindingContext(wallet)), true)
+  assert.equal(verifyAgeBlinding(vector.ageBlinding, ageBlindingContext('0x5de4111afa1a4b94908f83103eb1f1706367c2e6')), false)
+})
+
+test('the issuer commits to the age over the blinding point', () => {
+  assert.equal(commitAge(vector.age, vector.ageBlinding.blindingPoint), commitment)
+})
+
+test('a browser age proof verifies on the backend', () => {
+  assert.deepEqual(verifyAgeProof(ageProof, { commitment, minAge, context }), { valid: true, reason: null })
+})
+
+test('a tampered age proof is rejected', () => {
+  const bits = ageProof.bits.map((bit, i) => i === 0 ? { ...bit, s0: '0x' + (BigInt(bit.s0) ^ 1n).toString(16) } : bit)
+  assert.equal(verifyAgeProof({ ...ageProof, bits }, { commitment, minAge, context }).reason, 'bit_proof_invalid')
+
+  // Claiming a higher threshold with the same bits
+  assert.equal(verifyAgeProof({ ...ageProof, minAge: 21 }, { commitment, minAge: 21, context }).reason, 'sum_mismatch')
+  // Replayed for another event
+  const other = ageProofContext(wallet, 'evt_2', minAge)
+  assert.equal(verifyAgeProof(ageProof, { commitment, minAge, context: other }).reason, 'context_mismatch')
+  // For someone else's commitment
+  const elsewhere = commitAge(vector.age, vector.ageProof.bits[0].C)
+  assert.equal(verifyAgeProof(ageProof, { commitment: elsewhere, minAge, context }).reason, 'commitment_mismatch')
+})
+
+const identity = JSON.parse(readFileSync(new URL('./fixtures/identityOpening.json', import.meta.url)))
+
+test('an identity blinding proof verifies for its wallet only, not as an age blinding', () => {
+  assert.equal(verifyIdentityBlinding(identity.identityBlinding, identityBlindingContext(identity.wallet)), true)
+  assert.equal(verifyIdentityBlinding(identity.identityBlinding, identityBlindingContext('0x5de4111afa1a4b94908f83103eb1f1706367c2e6')), false)
+  assert.equal(verifyAgeBlinding(identity.identityBlinding, ageBlindingContext(identity.wallet)), false)
+})
+
+test('an identity commitment opens only to the re-entered value it was made over', () => {
+  const committed = commitIdentity(identity.value, identity.identityBlinding.blindingPoint)
+  const renew = identityOpeningContext('renew', identity.wallet)
+  assert.equal(verifyIdentityOpening(committed, identity.value, identity.renewalProof, renew), true)
+  // Wrong date of birth
+  assert.equal(verifyIdentityOpening(committed, '1990-01-02|234567890124', identity.renewalProof, renew), false)
+  // Replayed to recover the RacePass into another wallet
+  const migrate = identityOpeningContext('migrate', identity.wallet, '0x5de4111afa1a4b94908f83103eb1f1706367c2e6')
+  assert.equal(verifyIdentityOpening(committed, identity.value, identity.renewalProof, migrate), false)
+})
@@ -37,6 +37,19 @@ pragma solidity ^0.8.19;
  *    - isValidTicketSignature() verifies ECDSA ticket signatures on-chain
  *    - Prevents forgery: only authorized issuers can sign valid tickets
  *    - usedTickets[] prevents double-entry
+ *
+ * 6) REVOCATION STATUS LISTS (W3C StatusList2021)
+ *    - The issuer publishes a bitstring per list off-chain (1 bit per credential)
+ *      and anchors keccak256(bitstring) here with publishStatusList()
+ *    - Attestation nonces carry the status index: nonce >> 64 = index + 1
+ *    - verifyAttestationWithStatus() checks the signature AND that bit, against
+ *      a list the caller supplies (it must match the anchored hash)
+ *
+ * 7) SCOPED ATTESTATIONS (replay protection)
+ *    - Issuer signs: keccak256(wallet, claimHash, nonce, keccak256(audience), expiresAt)
+ *    - Only valid for one relying party (audience) until expiresAt
+ *    - verifyScopedAttestation() checks expiry and that it was not used yet;
+ *      useScopedAttestation() marks it used (usedAttestations[])
  * ════════════════════════════════════════════════════════════════
  */
 contract RacePassV2 {
@@ -70,6 +83,15 @@ contract RacePassV2 {
     // ticketHash → used (prevents double-entry)
     mapping(bytes32 => bool) public usedTickets;
 
+    // ── Revocation Status Lists ──
+    // list number (from 1) → keccak256 of its raw bitstring
+    mapping(uint256 => bytes32) public statusListHashes;
+    uint256 public constant STATUS_LIST_SIZE = 131072;
+
+    // ── Scoped Attestation Anti-Replay ──
+    // scoped attestation message hash → used
+    mapping(bytes32 => bool) public usedAttestations;
+
     // ══════════════════════════════════════════
     //  EVENTS
     // ══════════════════════════════════════════
@@ -83,6 +105,8 @@ contract RacePassV2 {
     event ReputationUpdated(address indexed user, uint256 newScore);
     event MerkleRootUpdated(bytes32 newRoot, uint256 timestamp);
     event TicketUsed(bytes32 indexed ticketHash, address indexed user, uint256 timestamp);
+    event StatusListPublished(uint256 indexed listId, bytes32 listHash, uint256 timestamp);
+    event AttestationUsed(bytes32 indexed messageHash, address indexed wallet, bytes32 audienceHash, address usedBy);
 
     // ══════════════════════════════════════════
     //  MODIFIERS
@@ -214,7 +238,7 @@ contract RacePassV2 {
         uint8 _v,
         bytes32 _r,
         bytes32 _s
-    ) external view returns (bool valid) {
+    ) public view returns (bool valid) {
         // Reconstruct the message hash (Ethereum signed message prefix)
         bytes32 messageHash = keccak256(abi.encodePacked(_wallet, _claimHash, _nonce));
         bytes32 ethSignedHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", messageHash));
@@ -226,6 +250,108 @@ contract RacePassV2 {
         return (authorizedIssuers[signer] || signer == owner) && !revoked[_wallet];
     }
 
+    /**
+     * @notice Verify an audience-scoped, expiring attestation
+     * @dev The issuer signs: keccak256(abi.encodePacked(wallet, claimHash, nonce, audienceHash, expiresAt))
+     *      Unlike verifyAttestation() it is only good for one relying party, until
+     *      expiresAt, and only until useScopedAttestation() has been called for it.
+     *
+     * @param _audienceHash keccak256 of the relying party id the attestation was issued for
+     * @param _expiresAt    Unix time (seconds) after which it is no longer valid
+     * @return valid        True if valid, unexpired, unused and signed by an authorized issuer
+     */
+    function verifyScopedAttestation(
+        address _wallet,
+        bytes32 _claimHash,
+        uint256 _nonce,
+        bytes32 _audienceHash,
+        uint256 _expiresAt,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) public view returns (bool valid) {
+        if (block.timestamp > _expiresAt) return false;
+
+        bytes32 messageHash = keccak256(abi.encodePacked(_wallet, _claimHash, _nonce, _audienceHash, _expiresAt));
+        if (usedAttestations[messageHash]) return false;
+
+        bytes32 ethSignedHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", messageHash));
+        address signer = ecrecover(ethSignedHash, _v, _r, _s);
+
+        return (authorizedIssuers[signer] || signer == owner) && !revoked[_wallet];
+    }
+
+    /**
+     * @notice Accept a scoped attestation once: verify it and mark it used
+     * @dev Called by the relying party; a second call with the same attestation reverts
+     */
+    function useScopedAttestation(
+        address _wallet,
+        bytes32 _claimHash,
+        uint256 _nonce,
+        bytes32 _audienceHash,
+        uint256 _expiresAt,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external {
+        require(
+            verifyScopedAttestation(_wallet, _claimHash, _nonce, _audienceHash, _expiresAt, _v, _r, _s),
+            "Invalid, expired or used attestation"
+        );
+        bytes32 messageHash = keccak256(abi.encodePacked(_wallet, _claimHash, _nonce, _audienceHash, _expiresAt));
+        usedAttestations[messageHash] = true;
+        emit AttestationUsed(messageHash, _wallet, _audienceHash, msg.sender);
+    }
+
+    // ══════════════════════════════════════════
+    //  REVOCATION STATUS LISTS
+    // ══════════════════════════════════════════
+
+    /**
+     * @notice Anchor the current version of a revocation status list (issuer-only)
+     * @param _listId   List number (1, 2, ...)
+     * @param _listHash keccak256 of the raw (uncompressed) bitstring
+     */
+    function publishStatusList(uint256 _listId, bytes32 _listHash) external onlyAuthorized {
+        require(_listId > 0, "Invalid list");
+        statusListHashes[_listId] = _listHash;
+        emit StatusListPublished(_listId, _listHash, block.timestamp);
+    }
+
+    /**
+     * @notice verifyAttestation() + the attestation's bit in the revocation status list
+     * @dev Attestations issued before status lists (nonce < 2^64) carry no index and
+     *      are only checked by verifyAttestation(). Reverts if _statusList is not the
+     *      anchored version of the list the index points into.
+     *
+     * @param _statusList The raw bitstring (gunzipped encodedList of the StatusList2021Credential)
+     * @return valid      True if the attestation is valid and its bit is not set
+     */
+    function verifyAttestationWithStatus(
+        address _wallet,
+        bytes32 _claimHash,
+        uint256 _nonce,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s,
+        bytes calldata _statusList
+    ) external view returns (bool valid) {
+        if (!verifyAttestation(_wallet, _claimHash, _nonce, _v, _r, _s)) return false;
+
+        uint256 entry = _nonce >> 64;
+        if (entry == 0) return true;
+
+        uint256 index = entry - 1;
+        uint256 listId = index / STATUS_LIST_SIZE + 1;
+        uint256 offset = index % STATUS_LIST_SIZE;
+        require(keccak256(_statusList) == statusListHashes[listId], "Status list not anchored");
+        require(_statusList.length == STATUS_LIST_SIZE / 8, "Invalid status list");
+
+        // Bit 0 is the most significant bit of the first byte
+        return (uint8(_statusList[offset / 8]) >> (7 - (offset % 8))) & 1 == 0;
+    }
+
     // ══════════════════════════════════════════
     //  REPUTATION SYSTEM
     // ══════════════════════════════════════════
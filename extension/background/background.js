@@ -13,9 +13,19 @@
  *   VERIFY_FOR_SITE   → Called by popup or content script to verify user
  *   CHECK_STATUS      → Check if wallet is verified
  *   GRANT_ACCESS      → Tell the content script to unlock the website
+ *
+ *   RACEPASS_SESSION  → The content script on the RacePass site hands over its sign-in session
+ *
+ * Privacy: the site is identified to the backend by its origin (audience)
+ * and only ever learns the pairwiseId RacePass returns for it — never the
+ * wallet address, so two sites can't match up their users. The backend only
+ * returns a pairwiseId under the holder's own session (so a site can't ask
+ * for another site's id): sign in on the RacePass site once and we reuse
+ * that session here.
  */
 
 const BACKEND_URL = "https://racepass-lyxu.onrender.com"
+const RACEPASS_SITE = "http://localhost:5173"
 
 // ── Listen for messages from popup & content scripts ──
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -33,7 +43,7 @@ async function handleMessage(message, sender) {
   switch (message.type) {
 
     case 'VERIFY_FOR_SITE':
-      return handleVerifyForSite(message)
+      return handleVerifyForSite(message, sender)
 
     case 'CHECK_STATUS':
       return handleCheckStatus(message)
@@ -44,6 +54,9 @@ async function handleMessage(message, sender) {
     case 'GET_WALLET':
       return handleGetWallet()
 
+    case 'RACEPASS_SESSION':
+      return handleRacePassSession(message, sender)
+
     default:
       return { success: false, error: `Unknown message type: ${message.type}` }
   }
@@ -54,8 +67,8 @@ async function handleMessage(message, sender) {
  * Called when user clicks "Continue with RacePass" on a site
  * or "Verify on Current Site" in the popup
  */
-async function handleVerifyForSite(message) {
-  const { walletAddress, minAge = 0, eventType = 'general', movieName = '', siteName = '' } = message
+async function handleVerifyForSite(message, sender) {
+  const { walletAddress, minAge = 0, eventType = 'general', movieName = '', siteName = '', allowGuardian = false } = message
 
   if (!walletAddress) {
     // Try to get from storage
@@ -67,16 +80,27 @@ async function handleVerifyForSite(message) {
   }
 
   try {
+    // Content scripts ask for their own page; the popup for the active tab (activeTab grants its URL)
+    const [activeTab] = sender?.tab ? [sender.tab] : await chrome.tabs.query({ active: true, currentWindow: true })
+    // Ask for this site's pairwiseId only when we hold the wallet's RacePass session
+    const session = await getSession(message.walletAddress)
+    const audience = session ? siteAudience(sender?.tab ? sender.url : activeTab?.url) : null
+
     const res = await fetch(`${BACKEND_URL}/api/third-party/verify`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: {
+        'Content-Type': 'application/json',
+        ...(audience && { Authorization: `Bearer ${session.token}` })
+      },
       body: JSON.stringify({
         walletAddress: message.walletAddress,
         network: 'ethereum',
         minAge,
         eventType,
         movieName,
-        siteName
+        siteName,
+        allowGuardian,
+        ...(audience && { audience })
       })
     })
 
@@ -84,12 +108,11 @@ async function handleVerifyForSite(message) {
 
     // If verified, also tell the content script on the active tab
     if (data.verified) {
-      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true })
-      if (tab?.id) {
-        chrome.tabs.sendMessage(tab.id, {
+      if (activeTab?.id) {
+        chrome.tabs.sendMessage(activeTab.id, {
           type: 'VERIFICATION_RESULT',
           verified: true,
-          walletAddress: message.walletAddress
+          pairwiseId: data.pairwiseId || null
         }).catch(() => {}) // ignore if content script not ready
       }
     }
@@ -102,20 +125,35 @@ async function handleVerifyForSite(message) {
       walletAddress: message.walletAddress,
       reason: data.reason,
       message: data.message,
-      fingerprint: data.fingerprint,
+      pairwiseId: data.pairwiseId || null,      // this site's id for the user — never the wallet
       isAdult: data.isAdult,
       eventType: data.eventType,
       minAge: data.minAge,
+      accompanied: data.accompanied || false,   // minor admitted with their guardian's consent
       // Crypto proof metadata
       cryptoProof: data.cryptoProof || null,
       hasAgeAttestation: data.hasAgeAttestation || false,
-      reputation: data.reputation || null
+      reputationTier: data.reputationTier || null
     }
   } catch (err) {
     return { success: false, verified: false, error: err.message }
   }
 }
 
+/**
+ * The relying party a tab belongs to: its origin (or, for file:// demo
+ * pages, the page itself)
+ */
+function siteAudience(url) {
+  try {
+    const { origin, protocol, pathname } = new URL(url)
+    if (protocol !== 'http:' && protocol !== 'https:' && protocol !== 'file:') return null
+    return origin !== 'null' ? origin : `${protocol}//${pathname}`
+  } catch {
+    return null
+  }
+}
+
 /**
  * Check verification status for a wallet
  */
@@ -145,6 +183,37 @@ async function handleConnectWallet(message) {
   return { success: true, walletAddress }
 }
 
+/**
+ * Keep the RacePass site's sign-in session (only accepted from that site's
+ * content script). Also connects its wallet if none is saved yet.
+ */
+async function handleRacePassSession(message, sender) {
+  const { session } = message
+  if (!sender?.url || new URL(sender.url).origin !== RACEPASS_SITE) {
+    return { success: false, error: 'Sessions are only accepted from the RacePass site' }
+  }
+  if (!session?.token || !/^0x[0-9a-f]{40}$/.test(session.walletAddress || '')) {
+    return { success: false, error: 'Invalid session' }
+  }
+
+  const { walletAddress } = await chrome.storage.local.get('walletAddress')
+  await chrome.storage.local.set({
+    racepassSession: { walletAddress: session.walletAddress, token: session.token, expiresAt: session.expiresAt },
+    ...(!walletAddress && { walletAddress: session.walletAddress })
+  })
+  return { success: true }
+}
+
+/**
+ * The saved session for a wallet, or null if missing/expired/other wallet
+ */
+async function getSession(walletAddress) {
+  const { racepassSession: session } = await chrome.storage.local.get('racepassSession')
+  if (!session || session.walletAddress !== walletAddress?.toLowerCase()) return null
+  if (new Date(session.expiresAt) <= new Date()) return null
+  return session
+}
+
 /**
  * Get saved wallet address
  */
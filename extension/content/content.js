@@ -70,12 +70,12 @@
   // ════════════════════════════════════════════
   //  UTILITY: verify with background script
   // ════════════════════════════════════════════
-  async function verifyWithRacePass(minAge, eventType) {
+  async function verifyWithRacePass(minAge, eventType, allowGuardian) {
     var movieName = getMovieName()
     var siteName = getSiteName()
     var response = await chrome.runtime.sendMessage({
       type: 'VERIFY_FOR_SITE', minAge: minAge, eventType: eventType,
-      movieName: movieName, siteName: siteName
+      movieName: movieName, siteName: siteName, allowGuardian: !!allowGuardian
     })
 
     if (response.error === 'No wallet connected') {
@@ -89,12 +89,18 @@
       await chrome.runtime.sendMessage({ type: 'CONNECT_WALLET', walletAddress: address })
       response = await chrome.runtime.sendMessage({
         type: 'VERIFY_FOR_SITE', walletAddress: address, minAge: minAge, eventType: eventType,
-        movieName: movieName, siteName: siteName
+        movieName: movieName, siteName: siteName, allowGuardian: !!allowGuardian
       })
     }
     return response
   }
 
+  // UA ratings are parental guidance: younger viewers may watch with a guardian
+  // linked to their RacePass. "A" (18+) never allows it.
+  function allowsGuardian(ratingLabel) {
+    return /^UA\b/.test(ratingLabel || '')
+  }
+
   // ═══════════════════════════════════════════════════
   //  FULL-PAGE BLOCKER (used by Mode 2 & Mode 3)
   // ═══════════════════════════════════════════════════
@@ -153,7 +159,7 @@
       verifyBtn.innerHTML = '<div class="racepass-spinner-injected"></div><span>Verifying your identity...</span>'
 
       try {
-        var res = await verifyWithRacePass(minAge, eventType)
+        var res = await verifyWithRacePass(minAge, eventType, allowsGuardian(ratingLabel))
 
         if (res.error === 'cancelled') {
           resetVerifyBtn()
@@ -164,10 +170,12 @@
           verifiedUpToAge = Math.max(verifiedUpToAge, minAge)
 
           // Success animation
-          verifyBtn.innerHTML = '<span style="font-size:22px">✅</span><span>Verified! Unlocking page...</span>'
+          verifyBtn.innerHTML = res.accompanied
+            ? '<span style="font-size:22px">👪</span><span>Allowed with your guardian — watch together. Unlocking...</span>'
+            : '<span style="font-size:22px">✅</span><span>Verified! Unlocking page...</span>'
           verifyBtn.classList.add('racepass-blocker-btn-success')
 
-          fireVerifiedEvents(res.walletAddress, eventType)
+          fireVerifiedEvents(res.pairwiseId, eventType)
 
           // Fade out, remove blocker, then re-trigger original book action
           setTimeout(function () {
@@ -229,15 +237,16 @@
     btnArea.appendChild(backLink)
   }
 
-  function fireVerifiedEvents(walletAddress, eventType) {
+  // Pages get RacePass's id for this site (pairwiseId) — never the wallet address
+  function fireVerifiedEvents(pairwiseId, eventType) {
     window.dispatchEvent(new CustomEvent('racepass:verified', {
-      detail: { verified: true, walletAddress: walletAddress, eventType: eventType }
+      detail: { verified: true, pairwiseId: pairwiseId, eventType: eventType }
     }))
     window.postMessage({
       source: 'racepass-extension',
       type: 'VERIFICATION_RESULT',
       verified: true,
-      walletAddress: walletAddress
+      pairwiseId: pairwiseId
     }, '*')
   }
 
@@ -251,6 +260,7 @@
       if (target.querySelector('.racepass-btn-injected')) continue
       var minAge = parseInt(target.dataset.minAge) || 0
       var eventType = target.dataset.eventType || 'general'
+      var allowGuardian = target.dataset.allowGuardian === 'true'
       var label = minAge > 0 ? 'Verify Age with RacePass' : 'Continue with RacePass'
 
       var container = document.createElement('div')
@@ -268,7 +278,7 @@
         '</svg>' +
         '<span>' + label + '</span>'
 
-      ;(function (button, age, type) {
+      ;(function (button, age, type, guardian) {
         button.addEventListener('click', async function (e) {
           e.preventDefault()
           e.stopPropagation()
@@ -276,13 +286,15 @@
           button.innerHTML = '<div class="racepass-spinner-injected"></div><span>Verifying...</span>'
 
           try {
-            var res = await verifyWithRacePass(age, type)
+            var res = await verifyWithRacePass(age, type, guardian)
             if (res.error === 'cancelled') { restoreBtn(); return }
             if (res.verified) {
               ageVerifiedForSession = true
-              button.innerHTML = '<span style="font-size:18px">✅</span><span>Verified!</span>'
+              button.innerHTML = res.accompanied
+                ? '<span style="font-size:18px">👪</span><span>Allowed with guardian</span>'
+                : '<span style="font-size:18px">✅</span><span>Verified!</span>'
               button.classList.add('racepass-btn-success')
-              fireVerifiedEvents(res.walletAddress, type)
+              fireVerifiedEvents(res.pairwiseId, type)
             } else {
               button.innerHTML = '<span style="font-size:18px">❌</span><span>' +
                 (res.reason === 'age_restricted' ? 'Age Restricted' : 'Not Verified') + '</span>'
@@ -305,7 +317,7 @@
               '<span>' + label + '</span>'
           }
         })
-      })(btn, minAge, eventType)
+      })(btn, minAge, eventType, allowGuardian)
 
       container.appendChild(divider)
       container.appendChild(btn)
@@ -572,7 +584,7 @@
   // ════════════════════════════════════════════
   chrome.runtime.onMessage.addListener(function (message, sender, sendResponse) {
     if (message.type === 'VERIFICATION_RESULT') {
-      fireVerifiedEvents(message.walletAddress)
+      fireVerifiedEvents(message.pairwiseId)
     }
     // Popup asks: what does this page require?
     if (message.type === 'GET_PAGE_INFO') {
@@ -590,6 +602,26 @@
     sendResponse({ received: true })
   })
 
+  // ════════════════════════════════════════════
+  //  RacePass site: pass its sign-in session on to the extension
+  //  (the backend only gives sites a pairwiseId under the holder's session)
+  // ════════════════════════════════════════════
+  var RACEPASS_SITE = 'http://localhost:5173'
+  var sharedSessionToken = null
+
+  function shareRacePassSession() {
+    var session = null
+    try { session = JSON.parse(localStorage.getItem('racepass_session')) } catch (e) { session = null }
+    if (!session || !session.token || session.token === sharedSessionToken) return
+    sharedSessionToken = session.token
+    chrome.runtime.sendMessage({ type: 'RACEPASS_SESSION', session: session }).catch(function () {})
+  }
+
+  if (location.origin === RACEPASS_SITE) {
+    shareRacePassSession()
+    setInterval(shareRacePassSession, 5000)  // the user may sign in after the page loaded
+  }
+
   // ════════════════════════════════════════════
   //  Initialize + SPA observer
   // ════════════════════════════════════════════
@@ -68,10 +68,8 @@ async function checkStatus(walletAddress) {
     if (data.isVerifiedOnAny) {
       // User is verified — show verified view
       document.getElementById('wallet-address-v').textContent = shorten(walletAddress)
-      // Show actual age if available, otherwise category
-      const ageDisplay = data.age != null
-        ? `${data.age} yrs (${data.ageCategory || (data.isAdult ? '18+' : 'minor')})`
-        : (data.ageCategory || (data.isAdult ? '18+' : 'Under 18'))
+      // Only the category — the exact age never leaves the holder's browser
+      const ageDisplay = data.ageCategory || (data.isAdult ? '18+' : 'Under 18')
       document.getElementById('age-category').textContent = ageDisplay
       document.getElementById('age-status').textContent = 'Verified'
       document.getElementById('age-status').className = 'badge badge-green'
@@ -18,9 +18,12 @@ import ConcertPage from './pages/ConcertPage'
 import ProfilePage from './pages/ProfilePage'
 import LandingPage from './pages/LandingPage'
 import OrganizerDashboard from './pages/OrganizerDashboard'
+import GatePage from './pages/GatePage'
+import AdminPage from './pages/AdminPage'
 import MarketplacePage from './pages/MarketplacePage'
 
 import { connectWallet, getWalletAddress, checkIfWalletConnected } from './utils/wallet'
+import { ensureSession } from './utils/api'
 
 /* ─────────── Error Boundary ─────────── */
 class ErrorBoundary extends Component {
@@ -166,6 +169,8 @@ function App() {
       const address = await connectWallet()
       setWalletAddress(address)
       setIsWalletConnected(true)
+      // Sign in once (EIP-4361) so later actions don't each prompt MetaMask
+      await ensureSession(address)
     } catch (err) {
       setError(err.message)
     }
@@ -205,6 +210,7 @@ function App() {
                 <>
                   <Link to={userRole === 'user' ? '/dashboard' : '/landing'} className="nav-link">User</Link>
                   <Link to={userRole === 'user' ? '/marketplace' : '/landing'} className="nav-link">Marketplace</Link>
+                  {userRole === 'user' && <Link to="/gate" className="nav-link">Gate</Link>}
                 </>
               )}
               {isWalletConnected ? (
@@ -251,7 +257,7 @@ function App() {
               } />
               <Route path="/concert" element={
                 <ConcertPage isWalletConnected={isWalletConnected} walletAddress={walletAddress}
-                  onConnectWallet={handleConnectWallet} selectedNetwork={selectedNetwork} />
+                  onConnectWallet={handleConnectWallet} />
               } />
               <Route path="/profile" element={
                 <ProfilePage isWalletConnected={isWalletConnected} walletAddress={walletAddress}
@@ -267,6 +273,14 @@ function App() {
                     onConnectWallet={handleConnectWallet} />
                 ) : <Navigate to="/landing" replace />
               } />
+              <Route path="/gate" element={
+                <GatePage isWalletConnected={isWalletConnected} walletAddress={walletAddress}
+                  onConnectWallet={handleConnectWallet} />
+              } />
+              <Route path="/admin" element={
+                <AdminPage isWalletConnected={isWalletConnected} walletAddress={walletAddress}
+                  onConnectWallet={handleConnectWallet} />
+              } />
               <Route path="/marketplace" element={
                 userRole === 'organizer' ? (
                   <Navigate to="/organizer" replace />
@@ -0,0 +1,146 @@
+/**
+ * EventGatePanel.jsx — Gate staff + scan records for one event
+ *
+ * - Invite gate staff wallets as scanner or supervisor
+ * - Revoke staff (kept in the list for the audit trail)
+ * - Scan log: which staff member admitted which attendee
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+import { getEventStaff, addEventStaff, revokeEventStaff, getEventScans } from '../utils/api'
+
+function short(addr) {
+  return addr ? `${addr.slice(0, 8)}...${addr.slice(-4)}` : '—'
+}
+
+export default function EventGatePanel({ eventId, walletAddress }) {
+  const [staff, setStaff] = useState([])
+  const [scans, setScans] = useState([])
+  const [role, setRole] = useState(null)
+  const [inviteWallet, setInviteWallet] = useState('')
+  const [inviteRole, setInviteRole] = useState('scanner')
+  const [busy, setBusy] = useState(false)
+  const [msg, setMsg] = useState('')
+
+  const load = useCallback(async () => {
+    try {
+      const [staffRes, scanRes] = await Promise.all([
+        getEventStaff(eventId, walletAddress),
+        getEventScans(eventId, walletAddress)
+      ])
+      setStaff(staffRes.staff || [])
+      setRole(staffRes.role)
+      setScans(scanRes.scans || [])
+    } catch (err) {
+      setMsg(err.message)
+    }
+  }, [eventId, walletAddress])
+
+  useEffect(() => { load() }, [load])
+
+  async function handleInvite(e) {
+    e.preventDefault()
+    if (!/^0x[a-fA-F0-9]{40}$/.test(inviteWallet.trim())) { setMsg('Enter a valid wallet address'); return }
+    setBusy(true)
+    setMsg('')
+    try {
+      const res = await addEventStaff(eventId, inviteWallet.trim(), inviteRole, walletAddress)
+      setStaff(res.staff || [])
+      setInviteWallet('')
+      setMsg(`Added as ${inviteRole}. They can scan from the Gate page (/gate) after connecting their wallet.`)
+    } catch (err) {
+      setMsg(err.message)
+    }
+    setBusy(false)
+  }
+
+  async function handleRevoke(wallet) {
+    setBusy(true)
+    setMsg('')
+    try {
+      const res = await revokeEventStaff(eventId, wallet, walletAddress)
+      setStaff(res.staff || [])
+    } catch (err) {
+      setMsg(err.message)
+    }
+    setBusy(false)
+  }
+
+  const staffRoleOf = wallet => staff.find(m => m.wallet === wallet)?.role
+
+  return (
+    <div style={{ marginTop: '14px', paddingTop: '14px', borderTop: '1px solid rgba(255,255,255,0.06)', fontSize: '13px' }}>
+      {/* Staff */}
+      <div style={{ fontWeight: 600, color: '#64748b', marginBottom: '8px' }}>Gate Staff</div>
+      {staff.length === 0 && <div style={{ color: '#475569', marginBottom: '8px' }}>No staff invited yet — only you can scan.</div>}
+      {staff.map(m => (
+        <div key={m.wallet} style={{
+          display: 'flex', justifyContent: 'space-between', alignItems: 'center',
+          padding: '6px 10px', background: 'rgba(255,255,255,0.02)', borderRadius: '6px', marginBottom: '4px',
+          opacity: m.revokedAt ? 0.5 : 1
+        }}>
+          <span style={{ fontFamily: 'monospace', color: '#00ff88' }}>{short(m.wallet)}</span>
+          <span style={{ color: '#94a3b8', textTransform: 'capitalize' }}>{m.role}</span>
+          {m.revokedAt ? (
+            <span style={{ fontSize: '11px', color: '#ff5252' }}>Revoked {new Date(m.revokedAt).toLocaleDateString()}</span>
+          ) : (role === 'organizer' || m.role === 'scanner') ? (
+            <button className="btn btn-secondary" disabled={busy} onClick={() => handleRevoke(m.wallet)}
+              style={{ fontSize: '11px', padding: '4px 10px' }}>
+              Revoke
+            </button>
+          ) : <span />}
+        </div>
+      ))}
+
+      <form onSubmit={handleInvite} style={{ display: 'flex', gap: '6px', marginTop: '8px', flexWrap: 'wrap' }}>
+        <input
+          className="form-input"
+          placeholder="0x… staff wallet"
+          value={inviteWallet}
+          onChange={e => setInviteWallet(e.target.value)}
+          style={{ flex: '1 1 220px', fontSize: '13px', padding: '8px 10px' }}
+        />
+        <select className="form-input" value={inviteRole} onChange={e => setInviteRole(e.target.value)}
+          style={{ fontSize: '13px', padding: '8px 10px', width: 'auto' }}>
+          <option value="scanner">Scanner</option>
+          {role === 'organizer' && <option value="supervisor">Supervisor</option>}
+        </select>
+        <button className="btn btn-primary" type="submit" disabled={busy} style={{ fontSize: '13px', padding: '8px 14px' }}>
+          Invite
+        </button>
+      </form>
+      {msg && <div style={{ color: '#f59e0b', fontSize: '12px', marginTop: '6px' }}>{msg}</div>}
+
+      {/* Scan records */}
+      <div style={{ fontWeight: 600, color: '#64748b', margin: '14px 0 8px' }}>Scan Records ({scans.length})</div>
+      {scans.length === 0 && <div style={{ color: '#475569' }}>No tickets scanned yet.</div>}
+      {scans.map(sc => (
+        <div key={sc.qrToken} style={{
+          padding: '6px 10px', background: 'rgba(255,255,255,0.02)', borderRadius: '6px', marginBottom: '4px'
+        }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px', flexWrap: 'wrap' }}>
+            <span>
+              <span style={{ fontFamily: 'monospace', color: '#00ff88' }}>{short(sc.attendee)}</span>
+              <span style={{ color: '#475569' }}> admitted by </span>
+              <span style={{ fontFamily: 'monospace', color: '#e2e8f0' }}>
+                {sc.scannedBy === walletAddress?.toLowerCase() ? 'you' : short(sc.scannedBy)}
+              </span>
+              {(sc.scannedByRole || staffRoleOf(sc.scannedBy)) && (
+                <span style={{ color: '#94a3b8' }}> ({sc.scannedByRole || staffRoleOf(sc.scannedBy)})</span>
+              )}
+            </span>
+            <span style={{ fontSize: '11px', color: '#475569' }}>
+              {new Date(sc.usedAt).toLocaleString()}
+              {sc.attendance && ` · ${sc.attendance}`}
+            </span>
+          </div>
+          {sc.duplicateScans.length > 0 && (
+            <div style={{ fontSize: '11px', color: '#ff5252', marginTop: '2px' }}>
+              Also scanned {sc.duplicateScans.length} more time(s): {sc.duplicateScans.map(d => `${short(d.scannedBy)} @ ${new Date(d.scannedAt).toLocaleTimeString()}`).join(', ')}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,560 @@
+/**
+ * GateScanner.jsx — Ticket Scanner for the event gate
+ *
+ * Used by the organizer dashboard and by delegated gate staff (GatePage).
+ * - Camera / image / manual QR entry
+ * - Attendance toggle after a successful scan
+ * - Offline gate mode: IndexedDB manifest + batched check-in sync
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+import {
+  scanTicket, markAttendance, getTicketIssuers, getEventManifest, syncGateCheckIns
+} from '../utils/api'
+import {
+  isTicketPayload, admitOffline, recordOnlineCheckIn, saveTrustedIssuers,
+  syncCheckIns, OFFLINE_REASON_MESSAGES
+} from '../utils/tickets'
+import { saveManifest, getAllManifests, getUnsyncedCheckIns } from '../utils/gateStore'
+import QRScanner from './QRScanner'
+
+/**
+ * @param {string} walletAddress  Signed-in organizer / staff wallet
+ * @param {Array} events          Events this wallet can scan for (manifest picker + offline ticket details)
+ */
+export default function GateScanner({ walletAddress, events = [] }) {
+  const [scanResult, setScanResult] = useState(null)
+  const [scanInput, setScanInput] = useState('')
+  const [scanLoading, setScanLoading] = useState(false)
+  const [scanMode, setScanMode] = useState('camera') // camera | manual
+  const [cameraScanning, setCameraScanning] = useState(true)
+  const [attendanceStatus, setAttendanceStatus] = useState(null)
+  const [attendanceSaving, setAttendanceSaving] = useState(false)
+
+  // Offline gate mode
+  const [offlineMode, setOfflineMode] = useState(() => localStorage.getItem('racepass_gate_offline') === 'true')
+  const [manifests, setManifests] = useState([])
+  const [manifestEventId, setManifestEventId] = useState('')
+  const [manifestLoading, setManifestLoading] = useState(false)
+  const [pendingScanCount, setPendingScanCount] = useState(0)
+  const [syncing, setSyncing] = useState(false)
+  const [syncNotice, setSyncNotice] = useState('')
+  const [syncConflicts, setSyncConflicts] = useState([])
+
+  const refreshGateState = useCallback(async () => {
+    try {
+      setManifests(await getAllManifests())
+      setPendingScanCount((await getUnsyncedCheckIns()).length)
+    } catch { }
+  }, [])
+
+  // Push check-ins admitted offline once the backend is reachable again
+  const syncOfflineScans = useCallback(async () => {
+    if (!walletAddress) return
+    const unsynced = await getUnsyncedCheckIns().catch(() => [])
+    if (unsynced.length === 0) return
+    setSyncing(true)
+    const { synced, conflicts, pending } = await syncCheckIns(
+      (eventId, batch) => syncGateCheckIns(eventId, batch, walletAddress)
+    )
+    setSyncing(false)
+    setSyncConflicts(conflicts)
+    if (synced > 0 || conflicts.length > 0) {
+      setSyncNotice(`Synced ${synced} check-in(s)${conflicts.length ? ` — ${conflicts.length} need review` : ''}${pending ? `, ${pending} still pending` : ''}`)
+    }
+    refreshGateState()
+  }, [walletAddress, refreshGateState])
+
+  // Cache trusted issuer addresses for offline verification + flush pending check-ins
+  useEffect(() => {
+    getTicketIssuers()
+      .then(res => saveTrustedIssuers(res.issuers || []))
+      .catch(() => { })
+    refreshGateState()
+    syncOfflineScans()
+    window.addEventListener('online', syncOfflineScans)
+    return () => window.removeEventListener('online', syncOfflineScans)
+  }, [refreshGateState, syncOfflineScans])
+
+  function toggleOfflineMode(enabled) {
+    setOfflineMode(enabled)
+    localStorage.setItem('racepass_gate_offline', String(enabled))
+    if (!enabled) syncOfflineScans()
+  }
+
+  async function handleDownloadManifest() {
+    if (!manifestEventId) return
+    setManifestLoading(true)
+    try {
+      const res = await getEventManifest(manifestEventId, walletAddress)
+      await saveManifest(res.manifest)
+      saveTrustedIssuers(res.manifest.issuers)
+      await refreshGateState()
+      setSyncNotice(`Downloaded ${res.manifest.tickets.length} ticket(s) for "${res.manifest.eventName}"`)
+    } catch (err) {
+      setSyncNotice(`Manifest download failed: ${err.message}`)
+    }
+    setManifestLoading(false)
+  }
+
+  /**
+   * Verify a scanned ticket with the backend. In offline mode — or when the
+   * backend is unreachable (no HTTP status) — check it on this device instead.
+   */
+  async function runScan(text) {
+    if (!offlineMode) {
+      try {
+        const res = await scanTicket(text, walletAddress)
+        if (res.valid) recordOnlineCheckIn(res.ticket).catch(() => { })
+        return res
+      } catch (err) {
+        if (err.status) return { success: false, message: err.message }
+      }
+    }
+    return scanOffline(text)
+  }
+
+  async function scanOffline(text) {
+    if (!isTicketPayload(text)) {
+      return { success: false, reason: 'needs_connection', message: OFFLINE_REASON_MESSAGES.needs_connection }
+    }
+
+    let offline
+    try {
+      offline = await admitOffline(text)
+    } catch (err) {
+      return { success: false, message: `Offline check failed: ${err.message}` }
+    }
+    refreshGateState()
+    if (!offline.valid) {
+      return { success: false, valid: false, reason: offline.reason, message: OFFLINE_REASON_MESSAGES[offline.reason] }
+    }
+
+    const ev = events.find(e => e.id === offline.ticket.eventId)
+    return {
+      success: true,
+      valid: true,
+      offline: true,
+      message: offline.checkedAgainstManifest
+        ? 'Verified offline against the event manifest — will sync when online'
+        : 'Signature verified offline (no manifest downloaded for this event) — will sync when online',
+      ticket: {
+        qrToken: offline.ticket.qrToken,
+        wallet: offline.ticket.wallet,
+        eventId: offline.ticket.eventId,
+        eventName: ev?.name || 'Event',
+        eventEmoji: ev?.emoji,
+        eventCategory: ev?.category,
+        eventDate: ev?.date,
+        eventTime: ev?.time,
+        eventVenue: ev?.venue,
+        eventCapacity: ev?.capacity,
+        registeredCount: ev?.registeredCount,
+        organizerName: ev?.organizerName,
+        minAge: ev?.minAge || 0,
+        signatureVerified: true,
+        signer: offline.ticket.signer,
+        accompaniedBy: offline.accompaniedBy
+      }
+    }
+  }
+
+  async function handleScan() {
+    if (!scanInput.trim()) return
+    setScanLoading(true)
+    setScanResult(null)
+    setScanResult(await runScan(scanInput.trim()))
+    setScanInput('')
+    setScanLoading(false)
+  }
+
+  return (
+    <div style={{ maxWidth: '560px', margin: '0 auto', padding: '0 8px' }}>
+      <div className="card glass-card" style={{ textAlign: 'center' }}>
+        <div style={{ marginBottom: '8px' }}><svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="#00ff88" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round"><rect x="2" y="2" width="20" height="20" rx="5" ry="5"/><line x1="2" y1="10" x2="22" y2="10"/></svg></div>
+        <h2 style={{ color: '#00ff88', marginBottom: '6px', fontSize: '22px' }}>Ticket Scanner</h2>
+        <p style={{ color: '#64748b', fontSize: '13px', marginBottom: '20px' }}>
+          Scan QR tickets via camera, image upload, or manual entry
+        </p>
+
+        {/* Offline Gate Mode */}
+        {!scanResult && (
+          <div style={{
+            marginBottom: '18px', padding: '14px', borderRadius: '12px', textAlign: 'left',
+            background: 'rgba(0,0,0,0.2)', border: '1px solid rgba(255,255,255,0.08)'
+          }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#e2e8f0', fontSize: '14px', fontWeight: 600, cursor: 'pointer' }}>
+              <input type="checkbox" checked={offlineMode} onChange={e => toggleOfflineMode(e.target.checked)} />
+              Offline gate mode
+            </label>
+            <div style={{ color: '#64748b', fontSize: '12px', margin: '4px 0 12px' }}>
+              Validate tickets on this device only. Download each event's manifest before doors open.
+            </div>
+
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <select
+                className="form-input"
+                value={manifestEventId}
+                onChange={e => setManifestEventId(e.target.value)}
+                style={{ flex: 1, fontSize: '13px', padding: '10px' }}
+              >
+                <option value="">Select event…</option>
+                {events.map(ev => <option key={ev.id} value={ev.id}>{ev.name}</option>)}
+              </select>
+              <button className="btn btn-secondary" onClick={handleDownloadManifest}
+                disabled={!manifestEventId || manifestLoading}
+                style={{ fontSize: '13px', padding: '10px 14px', whiteSpace: 'nowrap' }}>
+                {manifestLoading ? '...' : 'Download'}
+              </button>
+            </div>
+
+            {manifests.length > 0 && (
+              <div style={{ marginTop: '10px', fontSize: '12px', color: '#94a3b8' }}>
+                {manifests.map(m => (
+                  <div key={m.eventId}>
+                    {m.eventName} — {m.tickets.length} ticket(s), {m.revoked?.length || 0} revoked · downloaded {new Date(m.downloadedAt).toLocaleTimeString()}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {(pendingScanCount > 0 || syncNotice) && (
+              <div style={{
+                marginTop: '12px', padding: '8px 12px', borderRadius: '8px', fontSize: '12px',
+                background: 'rgba(245,158,11,0.08)', border: '1px solid rgba(245,158,11,0.2)', color: '#f59e0b',
+                display: 'flex', alignItems: 'center', gap: '8px'
+              }}>
+                <div style={{ flex: 1 }}>
+                  {pendingScanCount > 0 && <div>{pendingScanCount} check-in(s) waiting to sync</div>}
+                  {syncNotice && <div>{syncNotice}</div>}
+                </div>
+                {pendingScanCount > 0 && (
+                  <button className="btn btn-secondary" onClick={syncOfflineScans} disabled={syncing}
+                    style={{ fontSize: '12px', padding: '6px 12px' }}>
+                    {syncing ? '...' : 'Sync now'}
+                  </button>
+                )}
+              </div>
+            )}
+
+            {syncConflicts.length > 0 && (
+              <div style={{ marginTop: '8px', fontSize: '12px', color: '#ff5252' }}>
+                {syncConflicts.map((c, i) => (
+                  <div key={`${c.qrToken || c.eventId}-${i}`} style={{ fontFamily: 'monospace' }}>
+                    {c.qrToken || c.eventId}: {c.reason || c.status}
+                    {c.firstScan && ` — first admitted ${new Date(c.firstScan.scannedAt).toLocaleTimeString()}`}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Scan Mode Tabs */}
+        {!scanResult && (
+          <div style={{ display: 'flex', gap: '6px', justifyContent: 'center', marginBottom: '18px', flexWrap: 'wrap' }}>
+            {[
+              { key: 'camera', label: 'Camera', icon: '' },
+              { key: 'manual', label: 'Manual', icon: '' }
+            ].map(m => (
+              <button
+                key={m.key}
+                className={`btn ${scanMode === m.key ? 'btn-primary' : 'btn-secondary'}`}
+                onClick={() => { setScanMode(m.key); setCameraScanning(true); setScanResult(null); setAttendanceStatus(null) }}
+                style={{ fontSize: '13px', padding: '9px 18px' }}
+              >
+                {m.label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* Camera / Image Scanner */}
+        {scanMode === 'camera' && !scanResult && !scanLoading && (
+          <QRScanner
+            scanning={cameraScanning}
+            onScan={async (decodedText) => {
+              setCameraScanning(false)
+              setScanLoading(true)
+              setScanResult(null)
+              setAttendanceStatus(null)
+              setScanResult(await runScan(decodedText.trim()))
+              setScanLoading(false)
+            }}
+            onError={(err) => console.log('Scanner error:', err)}
+          />
+        )}
+
+        {/* Manual Input */}
+        {scanMode === 'manual' && !scanResult && (
+          <div style={{ marginBottom: '16px' }}>
+            <div style={{ color: '#94a3b8', fontSize: '13px', marginBottom: '10px' }}>
+              Enter the ticket token (shown below the QR code):
+            </div>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <input
+                className="form-input"
+                placeholder="RP-XXXXXXXX..."
+                value={scanInput}
+                onChange={e => setScanInput(e.target.value)}
+                onKeyDown={e => e.key === 'Enter' && handleScan()}
+                style={{ flex: 1, fontSize: '15px', padding: '14px' }}
+              />
+              <button className="btn btn-primary" onClick={handleScan} disabled={scanLoading}
+                style={{ padding: '14px 22px', whiteSpace: 'nowrap', fontSize: '15px' }}>
+                {scanLoading ? '...' : 'Verify'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Loading */}
+        {scanLoading && (
+          <div style={{ padding: '30px', textAlign: 'center' }}>
+            <div className="spinner" style={{ margin: '0 auto 12px' }} />
+            <div style={{ color: '#94a3b8', fontSize: '14px' }}>Verifying ticket...</div>
+          </div>
+        )}
+
+        {/* ══════ SCAN RESULT — Full Event Details + Attendance ══════ */}
+        {scanResult && (
+          <div style={{ marginTop: '8px' }}>
+            {/* Valid Ticket */}
+            {(scanResult.valid || scanResult.ticket) ? (
+              <div>
+                {/* Status Banner */}
+                <div style={{
+                  background: 'linear-gradient(135deg, rgba(0,255,136,0.12) 0%, rgba(0, 255, 136,0.08) 100%)',
+                  border: '1px solid rgba(0,255,136,0.25)',
+                  borderRadius: '16px', padding: '20px',
+                  animation: 'emerge3D 0.4s ease'
+                }}>
+                  <div style={{ fontSize: '52px', marginBottom: '8px' }}><svg width="52" height="52" viewBox="0 0 24 24" fill="none" stroke="#00ff88" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/></svg></div>
+                  <h3 style={{ color: '#00ff88', fontSize: '22px', margin: '0 0 4px' }}>Ticket Verified!</h3>
+                  <p style={{ color: '#94a3b8', fontSize: '13px', margin: 0 }}>
+                    {scanResult.message || 'Valid ticket — mark attendance below'}
+                  </p>
+                </div>
+
+                {/* Event Details Card */}
+                {scanResult.ticket && (
+                  <div style={{
+                    marginTop: '16px', borderRadius: '16px', overflow: 'hidden',
+                    border: '1px solid rgba(255,255,255,0.08)'
+                  }}>
+                    {/* Event Header with gradient */}
+                    <div style={{
+                      background: 'linear-gradient(135deg, #00cc66 0%, #00ff88 100%)',
+                      padding: '16px 20px',
+                      display: 'flex', alignItems: 'center', gap: '12px'
+                    }}>
+                      <span style={{ fontSize: '36px' }}>{scanResult.ticket.eventEmoji || 'E'}</span>
+                      <div style={{ textAlign: 'left', flex: 1 }}>
+                        <div style={{ color: '#fff', fontSize: '18px', fontWeight: 700 }}>
+                          {scanResult.ticket.eventName}
+                        </div>
+                        <div style={{ color: 'rgba(255,255,255,0.7)', fontSize: '12px', marginTop: '2px' }}>
+                          {scanResult.ticket.eventCategory?.toUpperCase() || 'EVENT'}
+                        </div>
+                      </div>
+                    </div>
+
+                    {/* Event Info Grid */}
+                    <div style={{ padding: '16px 20px', background: 'rgba(0,0,0,0.25)' }}>
+                      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px' }}>
+                        <div>
+                          <div style={{ color: '#64748b', fontSize: '11px', textTransform: 'uppercase', letterSpacing: '0.05em' }}>Date</div>
+                          <div style={{ color: '#e2e8f0', fontSize: '14px', marginTop: '2px' }}>
+                            {scanResult.ticket.eventDate || 'TBD'}
+                          </div>
+                        </div>
+                        <div>
+                          <div style={{ color: '#64748b', fontSize: '11px', textTransform: 'uppercase', letterSpacing: '0.05em' }}>Time</div>
+                          <div style={{ color: '#e2e8f0', fontSize: '14px', marginTop: '2px' }}>
+                            {scanResult.ticket.eventTime || 'TBD'}
+                          </div>
+                        </div>
+                        <div>
+                          <div style={{ color: '#64748b', fontSize: '11px', textTransform: 'uppercase', letterSpacing: '0.05em' }}>Venue</div>
+                          <div style={{ color: '#e2e8f0', fontSize: '14px', marginTop: '2px' }}>
+                            {scanResult.ticket.eventVenue || 'TBD'}
+                          </div>
+                        </div>
+                        <div>
+                          <div style={{ color: '#64748b', fontSize: '11px', textTransform: 'uppercase', letterSpacing: '0.05em' }}>Organizer</div>
+                          <div style={{ color: '#e2e8f0', fontSize: '14px', marginTop: '2px' }}>
+                            {scanResult.ticket.organizerName || 'Unknown'}
+                          </div>
+                        </div>
+                        <div>
+                          <div style={{ color: '#64748b', fontSize: '11px', textTransform: 'uppercase', letterSpacing: '0.05em' }}>Capacity</div>
+                          <div style={{ color: '#e2e8f0', fontSize: '14px', marginTop: '2px' }}>
+                            {scanResult.ticket.registeredCount || 0} / {scanResult.ticket.eventCapacity || '∞'}
+                          </div>
+                        </div>
+                        {scanResult.ticket.minAge > 0 && (
+                          <div>
+                            <div style={{ color: '#64748b', fontSize: '11px', textTransform: 'uppercase', letterSpacing: '0.05em' }}>Min Age</div>
+                            <div style={{ color: '#e2e8f0', fontSize: '14px', marginTop: '2px' }}>
+                              {scanResult.ticket.minAge}+
+                            </div>
+                          </div>
+                        )}
+                      </div>
+
+                      {/* Attendee Wallet */}
+                      <div style={{
+                        marginTop: '14px', padding: '10px 12px',
+                        background: 'rgba(0,0,0,0.2)', borderRadius: '10px',
+                        display: 'flex', alignItems: 'center', gap: '8px'
+                      }}>
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="#94a3b8" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><rect x="2" y="4" width="20" height="16" rx="2"/><path d="M16 12h2"/></svg>
+                        <span style={{ fontFamily: 'monospace', color: '#00ff88', fontSize: '13px', wordBreak: 'break-all' }}>
+                          {scanResult.ticket.wallet}
+                        </span>
+                      </div>
+
+                      {/* Minor admitted with their guardian */}
+                      {scanResult.ticket.accompaniedBy && (
+                        <div style={{
+                          marginTop: '10px', padding: '8px 12px',
+                          background: 'rgba(255,193,7,0.06)', borderRadius: '8px',
+                          border: '1px solid rgba(255,193,7,0.2)', fontSize: '13px', color: '#ffc107'
+                        }}>
+                          Under {scanResult.ticket.minAge} — must enter with guardian{' '}
+                          <span style={{ fontFamily: 'monospace' }}>
+                            {scanResult.ticket.accompaniedBy.slice(0, 6)}...{scanResult.ticket.accompaniedBy.slice(-4)}
+                          </span>
+                          {scanResult.ticket.guardianCheckedIn === true && ' (guardian already checked in)'}
+                          {scanResult.ticket.guardianCheckedIn === false && ' (guardian not checked in yet)'}
+                        </div>
+                      )}
+
+                      {/* Crypto verification badge */}
+                      {scanResult.ticket.signatureVerified && (
+                        <div style={{
+                          marginTop: '10px', padding: '8px 12px',
+                          background: 'rgba(0,255,136,0.06)', borderRadius: '8px',
+                          display: 'flex', alignItems: 'center', gap: '6px',
+                          border: '1px solid rgba(0,255,136,0.15)'
+                        }}>
+                          <span style={{ color: '#00ff88', fontSize: '13px' }}>
+                            ECDSA ticket signature verified{scanResult.offline ? ' (offline)' : ''}
+                          </span>
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                )}
+
+                {/* ══════ ATTENDANCE TOGGLE ══════ */}
+                {scanResult.ticket && (
+                  <div style={{
+                    marginTop: '16px', padding: '20px',
+                    background: 'rgba(0,0,0,0.2)', borderRadius: '16px',
+                    border: '1px solid rgba(255,255,255,0.08)'
+                  }}>
+                    <div style={{ color: '#94a3b8', fontSize: '12px', textTransform: 'uppercase', letterSpacing: '0.1em', marginBottom: '14px' }}>
+                      Mark Attendance
+                    </div>
+                    <div style={{ display: 'flex', gap: '10px', justifyContent: 'center' }}>
+                      <button
+                        className="btn"
+                        disabled={attendanceSaving}
+                        onClick={async () => {
+                          setAttendanceSaving(true)
+                          try {
+                            await markAttendance(scanResult.ticket.qrToken, 'present', walletAddress)
+                            setAttendanceStatus('present')
+                          } catch { setAttendanceStatus('present') }
+                          setAttendanceSaving(false)
+                        }}
+                        style={{
+                          flex: 1, padding: '14px', fontSize: '16px', fontWeight: 700,
+                          background: attendanceStatus === 'present'
+                            ? 'rgba(0,255,136,0.2)' : 'rgba(0,255,136,0.05)',
+                          border: attendanceStatus === 'present'
+                            ? '2px solid #00ff88' : '2px solid rgba(0,255,136,0.15)',
+                          color: attendanceStatus === 'present' ? '#00ff88' : '#94a3b8',
+                          borderRadius: '12px', cursor: 'pointer',
+                          transition: 'all 0.2s ease',
+                          transform: attendanceStatus === 'present' ? 'scale(1.02)' : 'scale(1)'
+                        }}
+                      >
+                        Present
+                      </button>
+                      <button
+                        className="btn"
+                        disabled={attendanceSaving}
+                        onClick={async () => {
+                          setAttendanceSaving(true)
+                          try {
+                            await markAttendance(scanResult.ticket.qrToken, 'absent', walletAddress)
+                            setAttendanceStatus('absent')
+                          } catch { setAttendanceStatus('absent') }
+                          setAttendanceSaving(false)
+                        }}
+                        style={{
+                          flex: 1, padding: '14px', fontSize: '16px', fontWeight: 700,
+                          background: attendanceStatus === 'absent'
+                            ? 'rgba(255,82,82,0.2)' : 'rgba(255,82,82,0.05)',
+                          border: attendanceStatus === 'absent'
+                            ? '2px solid #ff5252' : '2px solid rgba(255,82,82,0.15)',
+                          color: attendanceStatus === 'absent' ? '#ff5252' : '#94a3b8',
+                          borderRadius: '12px', cursor: 'pointer',
+                          transition: 'all 0.2s ease',
+                          transform: attendanceStatus === 'absent' ? 'scale(1.02)' : 'scale(1)'
+                        }}
+                      >
+                        Absent
+                      </button>
+                    </div>
+                    {attendanceStatus && (
+                      <div style={{
+                        marginTop: '12px', padding: '8px',
+                        background: attendanceStatus === 'present' ? 'rgba(0,255,136,0.08)' : 'rgba(255,82,82,0.08)',
+                        borderRadius: '8px',
+                        color: attendanceStatus === 'present' ? '#00ff88' : '#ff5252',
+                        fontSize: '13px', fontWeight: 600
+                      }}>
+                        {attendanceStatus === 'present' ? '✓ Marked as PRESENT' : '✗ Marked as ABSENT'}
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            ) : (
+              /* Invalid Ticket */
+              <div className="card" style={{
+                background: 'rgba(255,82,82,0.06)',
+                border: '1px solid rgba(255,82,82,0.2)',
+                textAlign: 'center', padding: '24px',
+                animation: 'emerge3D 0.4s ease'
+              }}>
+                <div style={{ marginBottom: '8px' }}><svg width="52" height="52" viewBox="0 0 24 24" fill="none" stroke="#ff4444" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/></svg></div>
+                <h3 style={{ color: '#ff5252', fontSize: '20px', marginBottom: '8px' }}>Entry Denied</h3>
+                <p style={{ color: '#94a3b8', fontSize: '14px' }}>
+                  {scanResult.message || 'Invalid or expired ticket'}
+                </p>
+              </div>
+            )}
+
+            {/* Scan Next */}
+            <button
+              className="btn btn-primary btn-glow"
+              onClick={() => {
+                setScanResult(null)
+                setScanInput('')
+                setAttendanceStatus(null)
+                setCameraScanning(true)
+              }}
+              style={{ width: '100%', marginTop: '16px', padding: '14px', fontSize: '15px' }}
+            >
+              Scan Next Ticket
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -21,7 +21,8 @@ export default function QRCodeDisplay({ value, size = 200, label }) {
           size={size}
           bgColor="#ffffff"
           fgColor="#0a0a14"
-          level="H"
+          // Signed ticket payloads are long — lower error correction keeps the modules scannable
+          level={value.length > 100 ? 'M' : 'H'}
           includeMargin={false}
           imageSettings={{
             src: '',
@@ -0,0 +1,348 @@
+/**
+ * AdminPage.jsx - Operator Console
+ *
+ * For the ADMIN_WALLETS operators (backend routes/admin.js):
+ * - Issuance volume and status counts
+ * - Search RacePasses by wallet, credential ID or fingerprint
+ * - Suspend / restore with a reason code (mirrored on-chain where configured)
+ * - Abuse signals: identity collisions, face-check lockouts, repeated age-gate blocks
+ * - Audit trail export (CSV)
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+import {
+  adminListCredentials, adminGetCredential, adminSuspendCredential, adminRestoreCredential,
+  adminGetStats, adminGetAbuseSignals, adminExportAudit
+} from '../utils/api'
+import { SUSPENSION_REASONS, RESTORE_REASONS } from '../utils/constants'
+
+const STATUS_COLORS = {
+  active: '#00ff88',
+  expired: '#ffc107',
+  revoked: '#ff9800',
+  suspended: '#ff5252',
+  migrated: '#94a3b8'
+}
+
+function short(value) {
+  return value ? `${value.slice(0, 8)}...${value.slice(-4)}` : '—'
+}
+
+function StatusBadge({ status }) {
+  return (
+    <span className="status-badge" style={{
+      fontSize: '11px', textTransform: 'capitalize',
+      background: 'rgba(255,255,255,0.05)', color: STATUS_COLORS[status] || '#94a3b8'
+    }}>{status}</span>
+  )
+}
+
+function AdminPage({ isWalletConnected, walletAddress, onConnectWallet }) {
+  const [stats, setStats] = useState(null)
+  const [signals, setSignals] = useState(null)
+  const [query, setQuery] = useState('')
+  const [statusFilter, setStatusFilter] = useState('')
+  const [results, setResults] = useState(null) // { total, credentials }
+  const [selected, setSelected] = useState(null) // { credential, activities, adminActions }
+  const [action, setAction] = useState({ reason: '', note: '' })
+  const [working, setWorking] = useState(false)
+  const [error, setError] = useState('')
+  const [notice, setNotice] = useState('')
+  const [forbidden, setForbidden] = useState(false)
+
+  const loadOverview = useCallback(async () => {
+    if (!walletAddress) return
+    setError('')
+    try {
+      const [statsRes, signalsRes] = await Promise.all([adminGetStats(walletAddress), adminGetAbuseSignals(walletAddress)])
+      setStats(statsRes)
+      setSignals(signalsRes)
+      setForbidden(false)
+    } catch (err) {
+      if (err.status === 403) setForbidden(true)
+      else setError(err.message)
+    }
+  }, [walletAddress])
+
+  useEffect(() => {
+    if (isWalletConnected && walletAddress) loadOverview()
+  }, [isWalletConnected, walletAddress, loadOverview])
+
+  async function handleSearch(e) {
+    e?.preventDefault()
+    setError('')
+    try {
+      setResults(await adminListCredentials(walletAddress, { q: query.trim(), status: statusFilter }))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  async function openCredential(wallet) {
+    setError('')
+    setNotice('')
+    setAction({ reason: '', note: '' })
+    try {
+      setSelected(await adminGetCredential(walletAddress, wallet))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  async function handleModerate(e) {
+    e.preventDefault()
+    const { credential } = selected
+    const restoring = credential.status === 'suspended' || credential.status === 'revoked'
+    setWorking(true)
+    setError('')
+    setNotice('')
+    try {
+      const res = restoring
+        ? await adminRestoreCredential(walletAddress, credential.wallet, action.reason, action.note)
+        : await adminSuspendCredential(walletAddress, credential.wallet, action.reason, action.note)
+      setNotice(res.message)
+      await openCredential(credential.wallet)
+      await loadOverview()
+      if (results) await handleSearch()
+    } catch (err) {
+      setError(err.message)
+    }
+    setWorking(false)
+  }
+
+  async function handleExport() {
+    setError('')
+    try {
+      const csv = await adminExportAudit(walletAddress)
+      const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }))
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `racepass-admin-audit-${new Date().toISOString().slice(0, 10)}.csv`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  if (!isWalletConnected) {
+    return (
+      <div className="page-center">
+        <div className="dashboard" style={{ animation: 'fadeUp 0.5s ease' }}>
+          <h1 className="dashboard-title">Connect Your Wallet</h1>
+          <p className="dashboard-subtitle">Connect an operator wallet to open the admin console.</p>
+          <button className="btn btn-primary btn-glow" onClick={onConnectWallet} style={{ marginTop: '16px' }}>
+            Connect Wallet
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  if (forbidden) {
+    return (
+      <div className="page-center">
+        <div className="card glass-card" style={{ maxWidth: '560px', textAlign: 'center', padding: '40px' }}>
+          <h3 style={{ color: '#ff5252' }}>Admin access required</h3>
+          <p style={{ color: '#64748b', fontSize: '14px', marginTop: '8px' }}>
+            This wallet is not one of the operator wallets (ADMIN_WALLETS) configured on the backend.
+          </p>
+        </div>
+      </div>
+    )
+  }
+
+  const credential = selected?.credential
+  const restoring = credential && (credential.status === 'suspended' || credential.status === 'revoked')
+  const reasons = restoring ? RESTORE_REASONS : SUSPENSION_REASONS
+
+  return (
+    <div style={{ paddingBottom: '40px' }}>
+      <div className="concert-header" style={{ background: 'linear-gradient(135deg, #450a0a 0%, #7f1d1d 100%)' }}>
+        <h1 className="concert-title">Admin Console</h1>
+        <p style={{ color: 'rgba(255,255,255,0.8)', fontSize: '14px' }}>Credential moderation, issuance volume and abuse signals</p>
+      </div>
+
+      <div style={{ maxWidth: '900px', margin: '20px auto', padding: '0 8px' }}>
+        {error && <div className="alert alert-error" style={{ marginBottom: '16px' }}>{error}</div>}
+        {notice && <div className="alert alert-success" style={{ marginBottom: '16px' }}>{notice}</div>}
+
+        {/* ── Issuance ── */}
+        {stats && (
+          <div className="card glass-card" style={{ marginBottom: '20px' }}>
+            <h3 className="card-title">Issuance</h3>
+            <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', marginBottom: '12px' }}>
+              <div style={{ color: '#e2e8f0', fontSize: '14px' }}>Total: <strong>{stats.total}</strong></div>
+              {Object.entries(stats.byStatus).map(([status, count]) => (
+                <div key={status} style={{ color: STATUS_COLORS[status], fontSize: '14px', textTransform: 'capitalize' }}>
+                  {status}: <strong>{count}</strong>
+                </div>
+              ))}
+            </div>
+            <div style={{ color: '#94a3b8', fontSize: '12px', marginBottom: '12px' }}>
+              By document: {Object.entries(stats.byDocumentType).map(([k, v]) => `${k} ${v}`).join(' · ') || '—'}
+              <br />
+              By assurance: {Object.entries(stats.byAssuranceLevel).map(([k, v]) => `${k} ${v}`).join(' · ') || '—'}
+            </div>
+            {/* Last 30 days: issued (green) and renewed (yellow) per day */}
+            <div style={{ display: 'flex', alignItems: 'flex-end', gap: '3px', height: '60px' }}>
+              {stats.daily.map(day => {
+                const peak = Math.max(1, ...stats.daily.map(d => d.issued + d.renewed))
+                return (
+                  <div key={day.date} title={`${day.date}: ${day.issued} issued, ${day.renewed} renewed`}
+                    style={{ flex: 1, display: 'flex', flexDirection: 'column', justifyContent: 'flex-end', height: '100%' }}>
+                    <div style={{ height: `${(day.renewed / peak) * 100}%`, background: '#ffc107' }} />
+                    <div style={{ height: `${(day.issued / peak) * 100}%`, background: '#00ff88', minHeight: '1px' }} />
+                  </div>
+                )
+              })}
+            </div>
+          </div>
+        )}
+
+        {/* ── Search ── */}
+        <div className="card glass-card" style={{ marginBottom: '20px' }}>
+          <h3 className="card-title">Credentials</h3>
+          <form onSubmit={handleSearch} style={{ display: 'flex', gap: '8px', marginBottom: '12px' }}>
+            <input className="form-input" placeholder="Wallet, credential ID (urn:uuid:…) or fingerprint"
+              value={query} onChange={e => setQuery(e.target.value)} style={{ flex: 1 }} />
+            <select className="form-input" value={statusFilter} onChange={e => setStatusFilter(e.target.value)} style={{ width: '140px' }}>
+              <option value="">Any status</option>
+              {Object.keys(STATUS_COLORS).map(s => <option key={s} value={s}>{s}</option>)}
+            </select>
+            <button className="btn btn-primary" type="submit">Search</button>
+          </form>
+          {results && (
+            <div style={{ fontSize: '13px' }}>
+              <div style={{ color: '#64748b', marginBottom: '6px' }}>{results.total} match{results.total === 1 ? '' : 'es'}</div>
+              {results.credentials.map(c => (
+                <div key={c.wallet} onClick={() => openCredential(c.wallet)} style={{
+                  display: 'flex', justifyContent: 'space-between', alignItems: 'center', cursor: 'pointer',
+                  padding: '8px 10px', borderRadius: '6px', marginBottom: '4px',
+                  background: credential?.wallet === c.wallet ? 'rgba(0,255,136,0.06)' : 'rgba(255,255,255,0.02)'
+                }}>
+                  <span style={{ fontFamily: 'monospace', color: '#e2e8f0' }}>{short(c.wallet)}</span>
+                  <span style={{ color: '#64748b' }}>{c.documentType} · {c.assuranceLevel || '—'}</span>
+                  <StatusBadge status={c.status} />
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* ── Selected credential ── */}
+        {credential && (
+          <div className="card glass-card" style={{ marginBottom: '20px' }}>
+            <h3 className="card-title" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <span style={{ fontFamily: 'monospace', fontSize: '14px' }}>{credential.wallet}</span>
+              <StatusBadge status={credential.status} />
+            </h3>
+            <div style={{ color: '#94a3b8', fontSize: '12px', lineHeight: 1.8, wordBreak: 'break-all' }}>
+              Credential: {credential.credentialId || '—'}<br />
+              Fingerprint: {credential.fingerprint || '—'}<br />
+              Document: {credential.documentType}{credential.country ? ` (${credential.country})` : ''} · Assurance: {credential.assuranceLevel || '—'}<br />
+              Issued {credential.createdAt ? new Date(credential.createdAt).toLocaleString() : '—'} ·
+              Expires {credential.expiresAt ? new Date(credential.expiresAt).toLocaleDateString() : '—'}
+              {credential.suspension && (
+                <><br /><span style={{ color: '#ff5252' }}>
+                  Suspended {new Date(credential.suspension.suspendedAt).toLocaleString()} — {SUSPENSION_REASONS[credential.suspension.reason] || credential.suspension.reason}
+                  {credential.suspension.note ? `: ${credential.suspension.note}` : ''}
+                </span></>
+              )}
+              {credential.migratedTo && <><br />Moved to {credential.migratedTo}</>}
+            </div>
+
+            {credential.status !== 'migrated' && (
+              <form onSubmit={handleModerate} style={{ marginTop: '16px' }}>
+                <div className="grid-2">
+                  <div className="form-group">
+                    <label className="form-label">{restoring ? 'Restore Reason' : 'Suspension Reason'}</label>
+                    <select className="form-input" value={action.reason} required
+                      onChange={e => setAction(a => ({ ...a, reason: e.target.value }))}>
+                      <option value="">Choose…</option>
+                      {Object.entries(reasons).map(([code, label]) => <option key={code} value={code}>{label}</option>)}
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label className="form-label">Note</label>
+                    <input className="form-input" maxLength={500} value={action.note}
+                      placeholder={action.reason === 'other' ? 'Required' : 'Optional'}
+                      onChange={e => setAction(a => ({ ...a, note: e.target.value }))} />
+                  </div>
+                </div>
+                <button className={restoring ? 'btn btn-primary' : 'btn btn-secondary'} type="submit"
+                  disabled={working || !action.reason || (action.reason === 'other' && !action.note.trim())}
+                  style={restoring ? undefined : { borderColor: '#ff5252', color: '#ff5252' }}>
+                  {working ? 'Working...' : restoring ? 'Restore RacePass' : 'Suspend RacePass'}
+                </button>
+              </form>
+            )}
+
+            {selected.adminActions.length > 0 && (
+              <div style={{ marginTop: '16px', fontSize: '12px' }}>
+                <div style={{ color: '#64748b', fontWeight: 600, marginBottom: '4px' }}>Admin actions</div>
+                {selected.adminActions.map(a => (
+                  <div key={a.id} style={{ color: '#94a3b8' }}>
+                    {new Date(a.at).toLocaleString()} — {a.action.replace(/_/g, ' ')} ({a.reason}) by {short(a.admin)}
+                  </div>
+                ))}
+              </div>
+            )}
+            {selected.activities.length > 0 && (
+              <div style={{ marginTop: '12px', fontSize: '12px', maxHeight: '160px', overflowY: 'auto' }}>
+                <div style={{ color: '#64748b', fontWeight: 600, marginBottom: '4px' }}>Activity</div>
+                {selected.activities.slice().reverse().map((a, i) => (
+                  <div key={i} style={{ color: '#94a3b8' }}>
+                    {new Date(a.timestamp).toLocaleString()} — {a.action.replace(/_/g, ' ')}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* ── Abuse signals ── */}
+        {signals && (
+          <div className="card glass-card" style={{ marginBottom: '20px' }}>
+            <h3 className="card-title">Abuse Signals</h3>
+            <div style={{ fontSize: '13px', color: '#94a3b8' }}>
+              <div style={{ color: '#e2e8f0', fontWeight: 600, margin: '8px 0 4px' }}>
+                Identity collisions ({signals.identityCollisions.length})
+              </div>
+              {signals.identityCollisions.slice(0, 10).map(c => (
+                <div key={c.identityRef}>
+                  {c.identityRef}… held by{' '}
+                  <span style={{ fontFamily: 'monospace', cursor: 'pointer', color: '#00ff88' }}
+                    onClick={() => c.currentHolder && openCredential(c.currentHolder)}>{short(c.currentHolder)}</span>
+                  {' '}— {c.attempts} attempt{c.attempts === 1 ? '' : 's'} from {c.wallets.length} wallet{c.wallets.length === 1 ? '' : 's'}
+                </div>
+              ))}
+              <div style={{ color: '#e2e8f0', fontWeight: 600, margin: '12px 0 4px' }}>
+                Face-check lockouts ({signals.faceCheckLockouts.length})
+              </div>
+              {signals.faceCheckLockouts.slice(0, 10).map(l => (
+                <div key={`${l.subject}:${l.ref}`}>
+                  {l.subject} {l.subject === 'wallet' ? short(l.ref) : `${l.ref}…`} — {l.failures} failures, locked until {new Date(l.lockedUntil).toLocaleString()}
+                </div>
+              ))}
+              <div style={{ color: '#e2e8f0', fontWeight: 600, margin: '12px 0 4px' }}>
+                Repeated age-gate blocks, last 7 days ({signals.ageGateBlocks.length})
+              </div>
+              {signals.ageGateBlocks.slice(0, 10).map(b => (
+                <div key={b.wallet}>
+                  <span style={{ fontFamily: 'monospace', cursor: 'pointer', color: '#00ff88' }}
+                    onClick={() => openCredential(b.wallet)}>{short(b.wallet)}</span>
+                  {' '}— blocked {b.blocks} times
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <button className="btn btn-secondary" onClick={handleExport}>Export Audit Trail (CSV)</button>
+      </div>
+    </div>
+  )
+}
+
+export default AdminPage
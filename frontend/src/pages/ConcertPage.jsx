@@ -4,10 +4,14 @@
  * Showcases multiple event types with different age requirements.
  * 3D animated event cards with perspective transforms and tilt effects.
  * The event website NEVER sees personal data.
+ *
+ * Verification uses a Verifiable Presentation: the site requests claims,
+ * the wallet signs its matching attestations, the site verifies the bundle.
  */
 
 import { useState } from 'react'
-import { verifyForThirdParty } from '../utils/api'
+import { createPresentationRequest, getPresentationAttestations, verifyPresentation } from '../utils/api'
+import { createPresentation } from '../utils/presentation'
 
 const EVENTS = [
   {
@@ -68,10 +72,10 @@ function EventCard3D({ event, index, onClick }) {
   )
 }
 
-function ConcertPage({ isWalletConnected, walletAddress, onConnectWallet, selectedNetwork }) {
+function ConcertPage({ isWalletConnected, walletAddress, onConnectWallet }) {
   const [selectedEvent, setSelectedEvent] = useState(null)
   const [status, setStatus] = useState(null)
-  const [fingerprint, setFingerprint] = useState(null)
+  const [pairwiseId, setPairwiseId] = useState(null) // the site's id for this user — it never sees the wallet
   const [error, setError] = useState('')
   const [reason, setReason] = useState('')
 
@@ -85,31 +89,43 @@ function ConcertPage({ isWalletConnected, walletAddress, onConnectWallet, select
 
     setStatus('checking')
     setError('')
-    setFingerprint(null)
+    setPairwiseId(null)
     setReason('')
 
     try {
-      const result = await verifyForThirdParty(
-        walletAddress,
-        selectedNetwork || 'ethereum',
-        event.minAge,
-        event.id
-      )
+      // 1. The site asks for the claims this event needs
+      const claims = ['identityVerified', ...(event.minAge > 0 ? [`ageAbove:${event.minAge}`] : [])]
+      const { request } = await createPresentationRequest(`racepass-demo:${event.id}`, claims)
+
+      // 2. The wallet gets its matching attestations, signed for this site only
+      const { attestations, missing } = await getPresentationAttestations(walletAddress, request.claims, request.audience)
+      if (missing.some(c => c.startsWith('ageAbove:'))) {
+        setReason(`You must be ${event.minAge}+ for this event.`)
+        setStatus('age-blocked')
+        return
+      }
+
+      // 3. Sign the presentation (MetaMask) and let the site verify it
+      const presentation = await createPresentation(request, attestations, walletAddress)
+      const result = await verifyPresentation(presentation)
 
       if (result.verified) {
-        setFingerprint(result.fingerprint || null)
+        setPairwiseId(result.pairwiseId || null)
         setStatus('verified')
-      } else if (result.reason === 'age_restricted') {
-        setReason(result.message || `You must be ${event.minAge}+ for this event.`)
+      } else if (result.missingClaims?.some(c => c.startsWith('ageAbove:'))) {
+        setReason(`You must be ${event.minAge}+ for this event.`)
         setStatus('age-blocked')
       } else if (result.reason === 'expired') {
         setReason('Your RacePass has expired. Please renew it.')
         setStatus('not-verified')
       } else {
+        setReason(result.reason === 'credential_revoked' ? 'Your RacePass has been revoked.' : '')
         setStatus('not-verified')
       }
     } catch (err) {
-      setError(err.message || 'Verification failed.')
+      // 404 = no RacePass yet → the default "not verified" screen explains what to do
+      if (err.status === 410) setReason('Your RacePass has been revoked.')
+      else if (err.status !== 404) setError(err.message || 'Verification failed.')
       setStatus('not-verified')
     }
   }
@@ -117,7 +133,7 @@ function ConcertPage({ isWalletConnected, walletAddress, onConnectWallet, select
   function handleBack() {
     setStatus(null)
     setSelectedEvent(null)
-    setFingerprint(null)
+    setPairwiseId(null)
     setError('')
     setReason('')
   }
@@ -155,8 +171,8 @@ function ConcertPage({ isWalletConnected, walletAddress, onConnectWallet, select
             <div style={{ display: 'flex', flexDirection: 'column', gap: '12px', fontSize: '14px', color: '#94a3b8' }}>
               {[
                 { step: 1, text: 'Connect wallet' },
-                { step: 2, text: 'RacePass credential is checked' },
-                { step: 3, text: 'Access granted or denied' }
+                { step: 2, text: 'Sign a one-time presentation of the required claims (no gas)' },
+                { step: 3, text: 'The site checks the signatures — access granted or denied' }
               ].map(s => (
                 <div key={s.step} style={{ display: 'flex', gap: '12px', alignItems: 'center' }}>
                   <span style={{
@@ -221,14 +237,14 @@ function ConcertPage({ isWalletConnected, walletAddress, onConnectWallet, select
                 <div style={{ fontSize: '28px', marginBottom: '10px', animation: 'floatY 4s ease-in-out infinite' }}>{event.ticketLabel}</div>
                 <div style={{ fontSize: '18px', fontWeight: 'bold' }}>{event.name}</div>
                 <div style={{ fontSize: '14px', marginTop: '10px', opacity: 0.9, fontFamily: 'monospace' }}>
-                  {walletAddress?.slice(0, 8)}...{walletAddress?.slice(-6)}
+                  {pairwiseId ? `ID ${pairwiseId.slice(0, 12)}...` : `${walletAddress?.slice(0, 8)}...${walletAddress?.slice(-6)}`}
                 </div>
               </div>
 
-              {fingerprint && (
+              {pairwiseId && (
                 <div style={{ textAlign: 'left', marginBottom: '15px' }}>
-                  <div style={{ color: '#94a3b8', fontSize: '12px', marginBottom: '5px' }}>Verified Fingerprint:</div>
-                  <div className="fingerprint" style={{ fontSize: '10px' }}>{fingerprint}</div>
+                  <div style={{ color: '#94a3b8', fontSize: '12px', marginBottom: '5px' }}>Your ID at this site (other sites get a different one):</div>
+                  <div className="fingerprint" style={{ fontSize: '10px' }}>{pairwiseId}</div>
                 </div>
               )}
 
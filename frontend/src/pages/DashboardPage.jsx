@@ -5,7 +5,12 @@
  * - RacePass Active/Not Active status with 3D animated icon
  * - Privacy Score meter
  * - Credential expiry countdown
+ * - Renew before expiry (re-enter DOB + document number, no OCR / face match)
+ * - Move a RacePass here from another wallet (old wallet signs, or re-prove identity)
+ * - Download a passphrase-encrypted backup of the commitment secrets kept in
+ *   this browser (utils/commitmentVault.js) — lost-wallet recovery needs it
  * - Activity / audit log
+ * - Download credential as a W3C VC (JSON-LD or JWT)
  * - Revoke credential button
  * - Age category display
  * - 3D card animations, perspective transforms
@@ -14,10 +19,22 @@
 import { useState, useEffect, useCallback } from 'react'
 import { Link } from 'react-router-dom'
 import {
-  checkVerificationStatus, revokeCredential,
+  checkVerificationStatus, revokeCredential, downloadCredential, renewCredential, migrateWallet,
+  linkGuardian, getGuardianLinks, unlinkGuardian, getSession,
   getActivityLog as fetchActivityLog,
   getReputation
 } from '../utils/api'
+import { DOCUMENT_TYPES } from '../utils/constants'
+import { normalizeDocumentNumber } from '../utils/documentOCR'
+import {
+  newHolderCommitments, keepHolderCommitments, getIdentityProof, backupIdentityProof,
+  exportCommitmentBackup, readCommitmentBackup, restoreCommitmentBackup, moveCommitmentVault
+} from '../utils/commitmentVault'
+import { identityOpeningContext } from '../utils/zkp'
+
+const EMPTY_MIGRATE_FORM = {
+  fromWallet: '', lostWallet: false, dateOfBirth: '', documentNumber: '', backupFile: '', backupPassphrase: ''
+}
 
 /** Animated counter that counts up from 0 to target */
 function AnimatedNumber({ target, duration = 1000, suffix = '' }) {
@@ -52,6 +69,9 @@ function DashboardPage({
   const [expiresAt, setExpiresAt] = useState(null)
   const [isAdult, setIsAdult] = useState(null)
   const [ageCategory, setAgeCategory] = useState(null)
+  const [assuranceLevel, setAssuranceLevel] = useState(null) // 'ocr-only' … 'secure-qr+face'
+  const [documentType, setDocumentType] = useState('aadhaar') // key of DOCUMENT_TYPES
+  const [country, setCountry] = useState(null) // proven country of residence, if any
   const [isLoading, setIsLoading] = useState(true)
   const [error, setError] = useState('')
   const [expired, setExpired] = useState(false)
@@ -59,8 +79,32 @@ function DashboardPage({
   const [activities, setActivities] = useState([])
   const [revoking, setRevoking] = useState(false)
   const [revokeConfirm, setRevokeConfirm] = useState(false)
+  const [downloading, setDownloading] = useState(null)
   const [countdown, setCountdown] = useState('')
 
+  // Renewal
+  const [renewal, setRenewal] = useState(null) // { daysUntilExpiry, due, open, opensAt, closesAt }
+  const [renewForm, setRenewForm] = useState({ dateOfBirth: '', documentNumber: '' })
+  const [renewing, setRenewing] = useState(false)
+  const [successMessage, setSuccessMessage] = useState('')
+
+  // Wallet migration (into this wallet)
+  const [migrateForm, setMigrateForm] = useState(EMPTY_MIGRATE_FORM)
+  const [migrating, setMigrating] = useState(false)
+  const [migratedTo, setMigratedTo] = useState(null)
+  const [suspended, setSuspended] = useState(false)
+
+  // Key backup (commitment secrets kept in this browser)
+  const [backupPassphrase, setBackupPassphrase] = useState({ passphrase: '', confirm: '' })
+  const [backingUp, setBackingUp] = useState(false)
+
+  // Guardian link (minors) and wards (guardians)
+  const [guardian, setGuardian] = useState(null) // { wallet, linkedAt, active }
+  const [wards, setWards] = useState([])
+  const [guardianWallet, setGuardianWallet] = useState('')
+  const [linkingGuardian, setLinkingGuardian] = useState(false)
+  const [unlinking, setUnlinking] = useState(null)
+
   // V2 crypto state
   const [onChainDetails, setOnChainDetails] = useState(null)
   const [reputation, setReputation] = useState(null)
@@ -74,15 +118,20 @@ function DashboardPage({
     setError('')
     try {
       const result = await checkVerificationStatus(walletAddress)
+      setRenewal(result.renewal || null)
+      setDocumentType(result.documentType || 'aadhaar')
       if (result.expired) {
         setExpired(true)
         setIsVerified(false)
+        setExpiresAt(null)
       } else if (result.isVerifiedOnAny) {
         setIsVerified(true)
         setIssuedAt(result.issuedAt || null)
         setExpiresAt(result.expiresAt || null)
         setIsAdult(result.isAdult)
         setAgeCategory(result.ageCategory || null)
+        setAssuranceLevel(result.assuranceLevel || null)
+        setCountry(result.country || null)
         setExpired(false)
         // V2 fields
         setOnChainDetails(result.onChainDetails || null)
@@ -93,6 +142,8 @@ function DashboardPage({
       } else {
         setIsVerified(false)
         setRevoked(result.revoked || false)
+        setSuspended(result.suspended || false)
+        setMigratedTo(result.migratedTo || null)
       }
 
       // Fetch reputation                                                                                                   
@@ -103,6 +154,15 @@ function DashboardPage({
         }
       } catch { /* reputation not critical */ }
 
+      // Guardian links need a session — don't prompt MetaMask just to load the dashboard
+      if (getSession(walletAddress)) {
+        try {
+          const links = await getGuardianLinks(walletAddress)
+          setGuardian(links.guardian || null)
+          setWards(links.wards || [])
+        } catch { /* guardian links not critical */ }
+      }
+
       try {
         const logRes = await fetchActivityLog(walletAddress)
         setActivities(logRes.activities || [])
@@ -142,6 +202,129 @@ function DashboardPage({
     return () => clearInterval(timer)
   }, [expiresAt])
 
+  async function handleDownload(format) {
+    setDownloading(format)
+    setError('')
+    try {
+      const contents = await downloadCredential(walletAddress, format)
+      const type = format === 'jwt' ? 'application/jwt' : 'application/ld+json'
+      const url = URL.createObjectURL(new Blob([contents], { type }))
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `racepass-credential-${walletAddress.slice(0, 10).toLowerCase()}.${format}`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      setError(err.message)
+    }
+    setDownloading(null)
+  }
+
+  async function handleRenew(e) {
+    e.preventDefault()
+    setRenewing(true)
+    setError('')
+    setSuccessMessage('')
+    try {
+      // Opens the current identity commitment; the new ones are made over fresh secrets
+      const identityProof = await getIdentityProof(walletAddress, identityOpeningContext('renew', walletAddress))
+      const { holderCommitments, secrets } = await newHolderCommitments(walletAddress)
+      const result = await renewCredential(walletAddress, { ...renewForm, identityProof, holderCommitments })
+      await keepHolderCommitments(walletAddress, secrets, result.data?.cryptoProofs?.commitments)
+      setSuccessMessage(result.message)
+      setRenewForm({ dateOfBirth: '', documentNumber: '' })
+      await loadData()
+    } catch (err) {
+      setError(err.message)
+    }
+    setRenewing(false)
+  }
+
+  async function handleMigrate(e) {
+    e.preventDefault()
+    setMigrating(true)
+    setError('')
+    setSuccessMessage('')
+    try {
+      const { fromWallet, lostWallet, dateOfBirth, documentNumber, backupFile, backupPassphrase } = migrateForm
+      const backup = lostWallet && backupFile ? await readCommitmentBackup(backupFile, backupPassphrase) : null
+      const identityProof = backupIdentityProof(backup, identityOpeningContext('migrate', fromWallet.trim(), walletAddress))
+      const result = await migrateWallet(walletAddress, fromWallet.trim(), lostWallet
+        ? { dateOfBirth, documentNumber, identityProof }
+        : null)
+      let message = result.message
+      try {
+        if (backup) await restoreCommitmentBackup(walletAddress, backup)
+        else if (!lostWallet) await moveCommitmentVault(fromWallet.trim(), walletAddress)
+      } catch {
+        message += ' Your RacePass keys could not be copied to this wallet — keep your key backup for renewal.'
+      }
+      setSuccessMessage(message)
+      setMigrateForm(EMPTY_MIGRATE_FORM)
+      await loadData()
+    } catch (err) {
+      setError(err.message)
+    }
+    setMigrating(false)
+  }
+
+  async function handleBackupFile(e) {
+    const file = e.target.files?.[0]
+    const backupFile = file ? await file.text() : ''
+    setMigrateForm(f => ({ ...f, backupFile }))
+  }
+
+  async function handleDownloadBackup(e) {
+    e.preventDefault()
+    setBackingUp(true)
+    setError('')
+    setSuccessMessage('')
+    try {
+      const contents = await exportCommitmentBackup(walletAddress, backupPassphrase.passphrase)
+      const url = URL.createObjectURL(new Blob([contents], { type: 'application/json' }))
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `racepass-keys-${walletAddress.slice(0, 10).toLowerCase()}.json`
+      link.click()
+      URL.revokeObjectURL(url)
+      setBackupPassphrase({ passphrase: '', confirm: '' })
+      setSuccessMessage('Key backup downloaded. Keep it and its passphrase somewhere safe — you need both to recover a lost wallet.')
+    } catch (err) {
+      setError(err.message)
+    }
+    setBackingUp(false)
+  }
+
+  async function handleLinkGuardian(e) {
+    e.preventDefault()
+    setLinkingGuardian(true)
+    setError('')
+    setSuccessMessage('')
+    try {
+      const result = await linkGuardian(walletAddress, guardianWallet.trim())
+      setSuccessMessage(result.message)
+      setGuardianWallet('')
+      await loadData()
+    } catch (err) {
+      setError(err.message)
+    }
+    setLinkingGuardian(false)
+  }
+
+  async function handleUnlinkGuardian(minorWallet) {
+    setUnlinking(minorWallet)
+    setError('')
+    setSuccessMessage('')
+    try {
+      const result = await unlinkGuardian(walletAddress, minorWallet)
+      setSuccessMessage(result.message)
+      await loadData()
+    } catch (err) {
+      setError(err.message)
+    }
+    setUnlinking(null)
+  }
+
   async function handleRevoke() {
     setRevoking(true)
     setError('')
@@ -195,7 +378,9 @@ function DashboardPage({
         <p className="dashboard-subtitle">
           {isLoading ? 'Checking status...'
             : isVerified ? 'Identity verified'
-            : expired ? 'Credential expired. Please re-register.'
+            : expired ? (renewal?.open ? 'Credential expired. Renew it below.' : 'Credential expired. Please re-register.')
+            : migratedTo ? `Your RacePass moved to ${migratedTo.slice(0, 6)}...${migratedTo.slice(-4)}.`
+            : suspended ? 'Your RacePass has been suspended by the issuer. Contact RacePass support to appeal.'
             : 'Complete KYC to activate.'}
         </p>
 
@@ -249,6 +434,16 @@ function DashboardPage({
             <div style={{ color: '#64748b', fontSize: '13px' }}>
               Protected by zero-knowledge cryptography
             </div>
+            {assuranceLevel && (
+              <div style={{ color: '#94a3b8', fontSize: '12px', marginTop: '6px' }}>
+                Assurance level: <span style={{ color: '#00ff88', fontFamily: 'monospace' }}>{assuranceLevel}</span>
+                {assuranceLevel.startsWith('ocr') && ' — some events require a UIDAI-signed Aadhaar'}
+              </div>
+            )}
+            <div style={{ color: '#94a3b8', fontSize: '12px', marginTop: '4px' }}>
+              Verified with: <span style={{ color: '#e2e8f0' }}>{DOCUMENT_TYPES[documentType]?.label || documentType}</span>
+              {country && <> · Country: <span style={{ color: '#e2e8f0', fontFamily: 'monospace' }}>{country}</span></>}
+            </div>
 
             {/* Verification layers */}
             <div style={{ display: 'flex', gap: '12px', justifyContent: 'center', marginTop: '20px', flexWrap: 'wrap' }}>
@@ -479,7 +674,7 @@ function DashboardPage({
                 animation: `fadeIn 0.3s ${0.05 * i}s both`
               }}>
                 <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
-                  <span style={{ width: 8, height: 8, borderRadius: '50%', display: 'inline-block', background: a.action === 'AGE_GATE_BLOCKED' ? '#ff5252' : a.action === 'CREDENTIAL_REVOKED' ? '#ff9800' : '#00ff88' }} />
+                  <span style={{ width: 8, height: 8, borderRadius: '50%', display: 'inline-block', background: a.action === 'AGE_GATE_BLOCKED' || a.action === 'IDENTITY_COLLISION' || a.action === 'CREDENTIAL_SUSPENDED' ? '#ff5252' : a.action === 'CREDENTIAL_REVOKED' ? '#ff9800' : a.action === 'RENEWAL_REMINDER' ? '#ffc107' : a.action === 'WALLET_MIGRATED_OUT' ? '#ff9800' : '#00ff88' }} />
                   <span style={{ color: '#ccc' }}>
                     {a.action.replace(/_/g, ' ')}
                     {a.eventType ? ` (${a.eventType})` : ''}
@@ -502,6 +697,195 @@ function DashboardPage({
         </div>
       </div>
 
+      {/* ── Renewal ── */}
+      {!isLoading && !revoked && renewal?.open && (isVerified || expired) && (
+        <div className="card glass-card" style={{
+          maxWidth: '600px', width: '100%', marginTop: '20px', border: '1px solid rgba(255,193,7,0.3)',
+          animation: 'slideUp3D 0.5s both'
+        }}>
+          <h3 className="card-title" style={{ color: '#ffc107' }}>
+            {expired ? 'Renew Your RacePass' : `Your RacePass expires in ${renewal.daysUntilExpiry} day${renewal.daysUntilExpiry === 1 ? '' : 's'}`}
+          </h3>
+          <p style={{ color: '#94a3b8', fontSize: '13px', marginBottom: '15px' }}>
+            Confirm the date of birth and {DOCUMENT_TYPES[documentType]?.numberLabel || 'document number'} you verified with — no document upload or face match needed.
+            Your trust score and history carry over.
+          </p>
+          <form onSubmit={handleRenew}>
+            <div className="grid-2">
+              <div className="form-group">
+                <label className="form-label">Date of Birth</label>
+                <input className="form-input" type="date" value={renewForm.dateOfBirth} required
+                  onChange={e => setRenewForm(f => ({ ...f, dateOfBirth: e.target.value }))} />
+              </div>
+              <div className="form-group">
+                <label className="form-label">{DOCUMENT_TYPES[documentType]?.numberLabel || 'Document Number'}</label>
+                <input className="form-input" maxLength={DOCUMENT_TYPES[documentType]?.maxLength} required
+                  inputMode={documentType === 'aadhaar' ? 'numeric' : 'text'}
+                  placeholder={DOCUMENT_TYPES[documentType]?.numberHint}
+                  value={renewForm.documentNumber}
+                  onChange={e => setRenewForm(f => ({ ...f, documentNumber: normalizeDocumentNumber(documentType, e.target.value) }))} />
+              </div>
+            </div>
+            <button className="btn btn-primary" type="submit"
+              disabled={renewing || !renewForm.dateOfBirth || !renewForm.documentNumber}>
+              {renewing ? 'Renewing...' : 'Renew RacePass'}
+            </button>
+          </form>
+        </div>
+      )}
+      {/* ── Key Backup ── */}
+      {!isLoading && isVerified && (
+        <div className="card glass-card" style={{ maxWidth: '600px', width: '100%', marginTop: '20px', animation: 'slideUp3D 0.5s both' }}>
+          <h3 className="card-title">Back Up Your RacePass Keys</h3>
+          <p style={{ color: '#94a3b8', fontSize: '13px', marginBottom: '15px' }}>
+            The secrets behind your age and identity commitments are kept only in this browser, locked with your wallet.
+            Renewing elsewhere, or recovering your RacePass if this wallet is lost, needs a backup — encrypted with a passphrase you choose.
+          </p>
+          <form onSubmit={handleDownloadBackup}>
+            <div className="grid-2">
+              <div className="form-group">
+                <label className="form-label">Passphrase</label>
+                <input className="form-input" type="password" minLength={12} required autoComplete="new-password"
+                  value={backupPassphrase.passphrase}
+                  onChange={e => setBackupPassphrase(p => ({ ...p, passphrase: e.target.value }))} />
+              </div>
+              <div className="form-group">
+                <label className="form-label">Repeat Passphrase</label>
+                <input className="form-input" type="password" required autoComplete="new-password"
+                  value={backupPassphrase.confirm}
+                  onChange={e => setBackupPassphrase(p => ({ ...p, confirm: e.target.value }))} />
+              </div>
+            </div>
+            <button className="btn btn-secondary" type="submit"
+              disabled={backingUp || backupPassphrase.passphrase.length < 12 || backupPassphrase.passphrase !== backupPassphrase.confirm}>
+              {backingUp ? 'Preparing...' : 'Download Key Backup'}
+            </button>
+          </form>
+        </div>
+      )}
+
+      {/* ── Guardian (minors) ── */}
+      {!isLoading && isVerified && isAdult === false && (
+        <div className="card glass-card" style={{ maxWidth: '600px', width: '100%', marginTop: '20px', animation: 'slideUp3D 0.5s both' }}>
+          <h3 className="card-title">Guardian</h3>
+          {guardian ? (
+            <>
+              <p style={{ color: '#94a3b8', fontSize: '13px', marginBottom: '15px' }}>
+                Linked to <span style={{ color: '#00ff88', fontFamily: 'monospace' }}>{guardian.wallet.slice(0, 6)}...{guardian.wallet.slice(-4)}</span>
+                {' '}since {new Date(guardian.linkedAt).toLocaleDateString()}.
+                {guardian.active
+                  ? ' Events and sites that allow it admit you below their minimum age when you come with your guardian.'
+                  : ' Your guardian\'s RacePass is no longer active, so the link does not count right now.'}
+              </p>
+              <button className="btn btn-secondary" disabled={unlinking === walletAddress.toLowerCase()}
+                onClick={() => handleUnlinkGuardian(walletAddress.toLowerCase())}>
+                {unlinking ? 'Removing...' : 'Remove Guardian'}
+              </button>
+            </>
+          ) : (
+            <>
+              <p style={{ color: '#94a3b8', fontSize: '13px', marginBottom: '15px' }}>
+                A parent or legal guardian with an adult RacePass can co-sign yours. Their wallet signs the consent,
+                so connect both accounts in MetaMask.
+              </p>
+              <form onSubmit={handleLinkGuardian}>
+                <div className="form-group">
+                  <label className="form-label">Guardian Wallet Address</label>
+                  <input className="form-input" placeholder="0x..." required value={guardianWallet}
+                    onChange={e => setGuardianWallet(e.target.value)} />
+                </div>
+                <button className="btn btn-secondary" type="submit"
+                  disabled={linkingGuardian || !/^0x[a-fA-F0-9]{40}$/.test(guardianWallet.trim())}>
+                  {linkingGuardian ? 'Waiting for guardian signature...' : 'Sign Consent With Guardian Wallet'}
+                </button>
+              </form>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* ── Wards (guardians) ── */}
+      {!isLoading && wards.length > 0 && (
+        <div className="card glass-card" style={{ maxWidth: '600px', width: '100%', marginTop: '20px', animation: 'slideUp3D 0.5s both' }}>
+          <h3 className="card-title">You Are Guardian For</h3>
+          {wards.map(ward => (
+            <div key={ward.wallet} style={{
+              display: 'flex', justifyContent: 'space-between', alignItems: 'center',
+              padding: '10px 0', borderBottom: '1px solid rgba(255,255,255,0.05)', fontSize: '13px'
+            }}>
+              <span style={{ color: ward.active ? '#ccc' : '#64748b', fontFamily: 'monospace' }}>
+                {ward.wallet.slice(0, 6)}...{ward.wallet.slice(-4)}{ward.active ? '' : ' (inactive)'}
+              </span>
+              <button className="btn btn-secondary" style={{ padding: '6px 12px', fontSize: '12px' }}
+                disabled={unlinking === ward.wallet} onClick={() => handleUnlinkGuardian(ward.wallet)}>
+                {unlinking === ward.wallet ? 'Removing...' : 'Remove'}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* ── Wallet Migration ── */}
+      {!isLoading && !isVerified && !expired && !migratedTo && !suspended && (
+        <div className="card glass-card" style={{ maxWidth: '600px', width: '100%', marginTop: '20px', animation: 'slideUp3D 0.5s both' }}>
+          <h3 className="card-title">Moving From Another Wallet?</h3>
+          <p style={{ color: '#94a3b8', fontSize: '13px', marginBottom: '15px' }}>
+            Bring your RacePass, trust score and tickets to this wallet. The old wallet signs the transfer
+            (connect both accounts in MetaMask) — or, if it is lost, confirm the date of birth and the number of the identity document you verified with,
+            and open the key backup you downloaded with it.
+          </p>
+          <form onSubmit={handleMigrate}>
+            <div className="form-group">
+              <label className="form-label">Old Wallet Address</label>
+              <input className="form-input" placeholder="0x..." required value={migrateForm.fromWallet}
+                onChange={e => setMigrateForm(f => ({ ...f, fromWallet: e.target.value }))} />
+            </div>
+            <label style={{ display: 'flex', gap: '8px', alignItems: 'center', color: '#94a3b8', fontSize: '13px', marginBottom: '15px' }}>
+              <input type="checkbox" checked={migrateForm.lostWallet}
+                onChange={e => setMigrateForm(f => ({ ...f, lostWallet: e.target.checked }))} />
+              I no longer have access to the old wallet
+            </label>
+            {migrateForm.lostWallet && (
+              <div className="grid-2">
+                <div className="form-group">
+                  <label className="form-label">Date of Birth</label>
+                  <input className="form-input" type="date" value={migrateForm.dateOfBirth} required
+                    onChange={e => setMigrateForm(f => ({ ...f, dateOfBirth: e.target.value }))} />
+                </div>
+                <div className="form-group">
+                  <label className="form-label">Document Number</label>
+                  <input className="form-input" maxLength={20} placeholder="Aadhaar, PAN, passport or licence number" required
+                    value={migrateForm.documentNumber}
+                    onChange={e => setMigrateForm(f => ({ ...f, documentNumber: e.target.value.toUpperCase().replace(/[^A-Z0-9]/g, '') }))} />
+                </div>
+                <div className="form-group">
+                  <label className="form-label">Key Backup</label>
+                  <input className="form-input" type="file" accept="application/json,.json" onChange={handleBackupFile} />
+                </div>
+                <div className="form-group">
+                  <label className="form-label">Backup Passphrase</label>
+                  <input className="form-input" type="password" autoComplete="current-password"
+                    value={migrateForm.backupPassphrase}
+                    onChange={e => setMigrateForm(f => ({ ...f, backupPassphrase: e.target.value }))} />
+                </div>
+              </div>
+            )}
+            <button className="btn btn-secondary" type="submit"
+              disabled={migrating || !/^0x[a-fA-F0-9]{40}$/.test(migrateForm.fromWallet.trim()) ||
+                (migrateForm.lostWallet && (!migrateForm.dateOfBirth || !migrateForm.documentNumber ||
+                  (migrateForm.backupFile && !migrateForm.backupPassphrase)))}>
+              {migrating ? 'Moving...' : migrateForm.lostWallet ? 'Recover RacePass' : 'Sign Transfer With Old Wallet'}
+            </button>
+          </form>
+        </div>
+      )}
+
+      {successMessage && (
+        <div className="alert alert-success" style={{ maxWidth: '600px', width: '100%', marginTop: '20px' }}>
+          {successMessage}
+        </div>
+      )}
+
       {/* ── Error ── */}
       {error && (
         <div className="alert alert-error" style={{ maxWidth: '600px', width: '100%', marginTop: '20px' }}>
@@ -517,6 +901,18 @@ function DashboardPage({
         {isVerified && (
           <Link to="/concert" className="btn btn-primary">Try Event Demo</Link>
         )}
+        {isVerified && !revoked && (
+          <>
+            <button className="btn btn-secondary" onClick={() => handleDownload('json')} disabled={!!downloading}
+              title="W3C Verifiable Credential with an EIP-712 proof">
+              {downloading === 'json' ? 'Preparing...' : 'Download VC (JSON)'}
+            </button>
+            <button className="btn btn-secondary" onClick={() => handleDownload('jwt')} disabled={!!downloading}
+              title="The same credential as a signed VC-JWT (ES256K)">
+              {downloading === 'jwt' ? 'Preparing...' : 'Download VC (JWT)'}
+            </button>
+          </>
+        )}
         <button className="btn btn-secondary" onClick={loadData} disabled={isLoading}>
           {isLoading ? 'Loading...' : 'Refresh'}
         </button>
@@ -0,0 +1,84 @@
+/**
+ * GatePage.jsx - Gate Staff Scanner
+ *
+ * For wallets an organizer has invited as scanner / supervisor.
+ * Lists the events this wallet is delegated for and opens the same
+ * ticket scanner the organizer uses (including offline gate mode).
+ * Supervisors also see gate staff + scan records per event.
+ */
+
+import { useState, useEffect } from 'react'
+import { getStaffAssignments } from '../utils/api'
+import GateScanner from '../components/GateScanner'
+import EventGatePanel from '../components/EventGatePanel'
+
+function GatePage({ isWalletConnected, walletAddress, onConnectWallet }) {
+  const [assignments, setAssignments] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (!isWalletConnected || !walletAddress) return
+    setLoading(true)
+    getStaffAssignments(walletAddress)
+      .then(res => setAssignments(res.assignments || []))
+      .catch(err => setError(err.message))
+      .finally(() => setLoading(false))
+  }, [isWalletConnected, walletAddress])
+
+  if (!isWalletConnected) {
+    return (
+      <div className="page-center">
+        <div className="dashboard" style={{ animation: 'fadeUp 0.5s ease' }}>
+          <h1 className="dashboard-title">Connect Your Wallet</h1>
+          <p className="dashboard-subtitle">Connect the wallet your organizer invited to start scanning.</p>
+          <button className="btn btn-primary btn-glow" onClick={onConnectWallet} style={{ marginTop: '16px' }}>
+            Connect Wallet
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div style={{ paddingBottom: '40px' }}>
+      <div className="concert-header" style={{ background: 'linear-gradient(135deg, #4c1d95 0%, #6d28d9 100%)' }}>
+        <h1 className="concert-title">Gate Scanner</h1>
+        <p style={{ color: 'rgba(255,255,255,0.8)', fontSize: '14px' }}>Scan tickets for events you are on the gate staff of</p>
+      </div>
+
+      {loading ? (
+        <div style={{ textAlign: 'center', padding: '60px' }}><div className="spinner" style={{ margin: '0 auto' }} /></div>
+      ) : error ? (
+        <div className="alert alert-error" style={{ maxWidth: '560px', margin: '20px auto' }}>{error}</div>
+      ) : assignments.length === 0 ? (
+        <div className="card glass-card" style={{ maxWidth: '560px', margin: '20px auto', textAlign: 'center', padding: '40px' }}>
+          <h3 style={{ color: '#94a3b8' }}>No gate assignments</h3>
+          <p style={{ color: '#64748b', fontSize: '14px', marginTop: '8px' }}>
+            Ask the event organizer to add this wallet as a scanner.
+          </p>
+        </div>
+      ) : (
+        <>
+          <div style={{ maxWidth: '560px', margin: '20px auto', padding: '0 8px' }}>
+            {assignments.map(ev => (
+              <div key={ev.id} className="card" style={{ padding: '12px 16px', marginBottom: '8px' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                  <span style={{ color: '#e2e8f0', fontWeight: 600 }}>{ev.emoji} {ev.name}</span>
+                  <span className="status-badge status-verified" style={{ fontSize: '11px', textTransform: 'capitalize' }}>{ev.role}</span>
+                </div>
+                <div style={{ color: '#64748b', fontSize: '12px', marginTop: '4px' }}>
+                  {ev.date || 'TBD'} • {ev.time || 'TBD'} • {ev.venue || 'TBD'}
+                </div>
+                {ev.role === 'supervisor' && <EventGatePanel eventId={ev.id} walletAddress={walletAddress} />}
+              </div>
+            ))}
+          </div>
+          <GateScanner walletAddress={walletAddress} events={assignments} />
+        </>
+      )}
+    </div>
+  )
+}
+
+export default GatePage
@@ -2,16 +2,37 @@
  * MarketplacePage.jsx — User Event Marketplace
  *
  * Browse events, see ZKP requirements, register with selective disclosure,
- * and get QR entry tickets.
+ * and get QR entry tickets. Fields are revealed from an SD-JWT held in the
+ * browser (utils/sdJwt.js) — the user picks which; without one, the backend
+ * signs attestations for the event instead.
  */
 
 import { useState, useEffect, useCallback } from 'react'
 import {
   listEvents, checkZKPDisclosures, registerForEvent,
-  getMyTickets, validateTicket
+  getMyTickets, validateTicket, getDisclosureRequest
 } from '../utils/api'
+import { proveAgeAtLeast, ageProofContext } from '../utils/zkp'
+import { ensureSdJwtCredentials, listDisclosures, takeSdJwtPresentation, clearSdJwtCredentials } from '../utils/sdJwt'
+import { ensureAgeOpening } from '../utils/commitmentVault'
 import QRCodeDisplay from '../components/QRCodeDisplay'
 
+/** "age_equal_or_over.18" → "Age 18+", etc. */
+function disclosureLabel(path) {
+  const [name, key] = path.split('.')
+  if (name === 'age_equal_or_over') return `Age ${key}+`
+  return {
+    walletAddress: 'Wallet address',
+    identityVerified: 'Verified person',
+    country: 'Country',
+    state: 'State',
+    assuranceLevel: 'Verification strength'
+  }[name] || path
+}
+
+// SD-JWT rejections that mean our stored copies are stale, not that registration should fail
+const UNUSABLE_SD_JWT = ['credential_revoked', 'expired', 'issuer_not_authorized']
+
 function MarketplacePage({ isWalletConnected, walletAddress, onConnectWallet }) {
   const [events, setEvents] = useState([])
   const [myTickets, setMyTickets] = useState([])
@@ -23,6 +44,8 @@ function MarketplacePage({ isWalletConnected, walletAddress, onConnectWallet })
   const [regResult, setRegResult] = useState(null)
   const [regLoading, setRegLoading] = useState(false)
   const [showTicket, setShowTicket] = useState(null)
+  const [disclosure, setDisclosure] = useState(null) // { requested, fields, selected } — SD-JWT fields to reveal
+  const [ageIdentity, setAgeIdentity] = useState(null) // { dateOfBirth, documentNumber } — for a new age key in this browser
 
   const fetchEvents = useCallback(async () => {
     try {
@@ -47,6 +70,7 @@ function MarketplacePage({ isWalletConnected, walletAddress, onConnectWallet })
     setSelectedEvent(ev)
     setRegResult(null)
     setZkpData(null)
+    setDisclosure(null)
     setView('event')
 
     // Fetch ZKP disclosure info
@@ -54,21 +78,70 @@ function MarketplacePage({ isWalletConnected, walletAddress, onConnectWallet })
     try {
       const res = await checkZKPDisclosures(walletAddress, ev.id)
       setZkpData(res)
+      if (res.hasCredential && !res.revoked) loadDisclosure(ev)
     } catch { }
     setZkpLoading(false)
   }
 
+  /** What the event asks to see, and what our SD-JWT could reveal (requested fields pre-checked) */
+  async function loadDisclosure(ev) {
+    try {
+      const [copy] = await ensureSdJwtCredentials(walletAddress)
+      const { requested } = await getDisclosureRequest(walletAddress, ev.id)
+      setDisclosure({ requested, fields: listDisclosures(copy.sdJwt), selected: requested })
+    } catch {
+      setDisclosure(null) // register with event-scoped attestations instead
+    }
+  }
+
+  function toggleDisclosure(path) {
+    setDisclosure(d => ({
+      ...d,
+      selected: d.selected.includes(path) ? d.selected.filter(p => p !== path) : [...d.selected, path]
+    }))
+  }
+
+  /** Prove age ≥ minAge locally — only the proof is sent, never the age or blinding */
+  async function createAgeProof(ev) {
+    const { commitment, age, blinding } = await ensureAgeOpening(walletAddress, ageIdentity)
+    setAgeIdentity(null)
+    if (age < ev.minAge) return null // no proof exists — backend explains
+    return proveAgeAtLeast({
+      age,
+      blinding,
+      commitment,
+      minAge: ev.minAge,
+      context: ageProofContext(walletAddress, ev.id, ev.minAge)
+    })
+  }
+
   async function handleRegister() {
     setRegLoading(true)
     try {
-      const res = await registerForEvent(walletAddress, selectedEvent.id)
+      const needsAgeProof = selectedEvent.requireAge && selectedEvent.minAge > 0
+      const ageProof = needsAgeProof ? await createAgeProof(selectedEvent) : null
+      let res = null
+      if (disclosure) {
+        try {
+          const request = await getDisclosureRequest(walletAddress, selectedEvent.id)
+          const presentation = takeSdJwtPresentation(walletAddress, disclosure.selected, request)
+          res = await registerForEvent(walletAddress, selectedEvent.id, ageProof, presentation)
+        } catch (err) {
+          if (!UNUSABLE_SD_JWT.includes(err.body?.reason)) throw err
+          // e.g. the copies were revoked by a renewal — fall back to attestations
+          clearSdJwtCredentials(walletAddress)
+        }
+      }
+      if (!res) res = await registerForEvent(walletAddress, selectedEvent.id, ageProof)
       setRegResult(res)
       if (res.success && res.verified) {
         fetchTickets()
         fetchEvents()
       }
     } catch (err) {
-      setRegResult({ success: false, message: err.message })
+      // No age key in this browser — ask for the details that make a new one
+      if (err.body?.reason === 'identity_required' && !ageIdentity) setAgeIdentity({ dateOfBirth: '', documentNumber: '' })
+      else setRegResult({ success: false, message: err.message })
     }
     setRegLoading(false)
   }
@@ -152,6 +225,12 @@ function MarketplacePage({ isWalletConnected, walletAddress, onConnectWallet })
                             padding: '3px 8px', borderRadius: '10px'
                           }}>{ev.minAge}+</span>
                         )}
+                        {ev.accompaniedBy === 'guardian' && (
+                          <span style={{
+                            fontSize: '11px', background: 'rgba(255,193,7,0.1)', color: '#ffc107',
+                            padding: '3px 8px', borderRadius: '10px'
+                          }}>Younger with Guardian</span>
+                        )}
                         {ev.requireIdentity && (
                           <span style={{
                             fontSize: '11px', background: 'rgba(0,255,136,0.08)', color: '#00ff88',
@@ -162,7 +241,13 @@ function MarketplacePage({ isWalletConnected, walletAddress, onConnectWallet })
                           <span style={{
                             fontSize: '11px', background: 'rgba(0, 255, 136,0.08)', color: '#00ff88',
                             padding: '3px 8px', borderRadius: '10px'
-                          }}>Country</span>
+                          }}>{ev.country || 'IN'} Resident</span>
+                        )}
+                        {ev.minAssurance && (
+                          <span style={{
+                            fontSize: '11px', background: 'rgba(0, 255, 136,0.08)', color: '#00ff88',
+                            padding: '3px 8px', borderRadius: '10px'
+                          }}>{ev.minAssurance}+</span>
                         )}
                       </div>
 
@@ -250,7 +335,7 @@ function MarketplacePage({ isWalletConnected, walletAddress, onConnectWallet })
             ) : (
               <>
                 <p style={{ color: '#64748b', fontSize: '13px', marginBottom: '16px' }}>
-                  Eligibility is verified via ECDSA-signed attestations — only booleans are shared.
+                  Age is proven with a zero-knowledge proof generated in your browser; identity and residency use ECDSA-signed attestations. Only booleans are shared.
                 </p>
 
                 <div style={{ display: 'flex', flexDirection: 'column', gap: '10px', marginBottom: '20px' }}>
@@ -288,6 +373,32 @@ function MarketplacePage({ isWalletConnected, walletAddress, onConnectWallet })
                   })}
                 </div>
 
+                {/* Choose what to reveal (SD-JWT) */}
+                {disclosure && !regResult && (
+                  <div style={{
+                    background: 'rgba(255,255,255,0.02)', border: '1px solid rgba(255,255,255,0.08)',
+                    borderRadius: '10px', padding: '12px 14px', marginBottom: '20px'
+                  }}>
+                    <div style={{ color: '#e2e8f0', fontSize: '14px', fontWeight: 600, marginBottom: '4px' }}>Choose what to reveal</div>
+                    <div style={{ color: '#64748b', fontSize: '12px', marginBottom: '10px' }}>
+                      From a selective-disclosure credential in your browser — unchecked fields never leave it
+                    </div>
+                    {disclosure.fields.map(field => {
+                      const required = disclosure.requested.includes(field.path)
+                      return (
+                        <label key={field.path} style={{ display: 'flex', alignItems: 'center', gap: '10px', padding: '4px 0', fontSize: '13px', color: '#94a3b8', cursor: required ? 'default' : 'pointer' }}>
+                          <input type="checkbox" checked={disclosure.selected.includes(field.path)} disabled={required}
+                            onChange={() => toggleDisclosure(field.path)} />
+                          <span style={{ flex: 1 }}>
+                            {disclosureLabel(field.path)}: <span style={{ color: '#e2e8f0', fontFamily: 'monospace' }}>{String(field.value)}</span>
+                          </span>
+                          {required && <span style={{ fontSize: '10px', color: '#ffc107' }}>Requested</span>}
+                        </label>
+                      )
+                    })}
+                  </div>
+                )}
+
                 <div style={{
                   background: 'rgba(0, 255, 136,0.04)', border: '1px solid rgba(0, 255, 136,0.1)',
                   borderRadius: '10px', padding: '12px', marginBottom: '20px',
@@ -310,9 +421,15 @@ function MarketplacePage({ isWalletConnected, walletAddress, onConnectWallet })
                         borderRadius: '12px', padding: '16px', marginBottom: '20px', textAlign: 'left'
                       }}>
                         <div style={{ color: '#00ff88', fontWeight: 600, fontSize: '13px', marginBottom: '8px' }}>
-                          Attestations Shared (ECDSA-signed):
+                          {regResult.cryptoProofs?.sdJwt ? 'Fields Shared (selective disclosure):' : 'Attestations Shared (ECDSA-signed):'}
                         </div>
                         <div style={{ display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '13px' }}>
+                          {regResult.disclosures?.accompaniedByGuardian && (
+                            <div style={{ color: '#ffc107' }}>
+                              Admitted with your guardian — you must arrive together
+                              <span style={{ color: '#475569' }}> (guardian consent attestation)</span>
+                            </div>
+                          )}
                           {regResult.disclosures?.ageAboveMin != null && (
                             <div style={{ color: '#94a3b8' }}>
                               Age {ev.minAge}+: {regResult.disclosures.ageAboveMin ? 'Yes' : 'No'}
@@ -327,8 +444,8 @@ function MarketplacePage({ isWalletConnected, walletAddress, onConnectWallet })
                           )}
                           {regResult.disclosures?.countryResident != null && (
                             <div style={{ color: '#94a3b8' }}>
-                              India Resident: {regResult.disclosures.countryResident ? 'Yes' : 'No'}
-                              <span style={{ color: '#475569' }}> (Aadhaar NOT revealed)</span>
+                              {ev.country || 'IN'} Resident: {regResult.disclosures.countryResident ? 'Yes' : 'No'}
+                              <span style={{ color: '#475569' }}> (document NOT revealed)</span>
                             </div>
                           )}
                         </div>
@@ -343,6 +460,15 @@ function MarketplacePage({ isWalletConnected, walletAddress, onConnectWallet })
                           <div style={{ color: '#00ff88', fontWeight: 600, fontSize: '13px', marginBottom: '10px' }}>
                             Cryptographic Proof Details
                           </div>
+                          {regResult.cryptoProofs.zkAgeProof && (
+                            <div style={{ marginBottom: '10px' }}>
+                              <div style={{ color: '#64748b', fontSize: '11px', marginBottom: '4px' }}>Zero-Knowledge Proof</div>
+                              <div style={{ fontSize: '11px', color: '#94a3b8' }}>
+                                ✓ <span style={{ color: '#e2e8f0' }}>{regResult.cryptoProofs.zkAgeProof.statement}</span>
+                                <span style={{ color: '#475569' }}> — {regResult.cryptoProofs.zkAgeProof.rangeBits}-bit range proof, age never sent</span>
+                              </div>
+                            </div>
+                          )}
                           {regResult.cryptoProofs.attestations && regResult.cryptoProofs.attestations.length > 0 && (
                             <div style={{ marginBottom: '10px' }}>
                               <div style={{ color: '#64748b', fontSize: '11px', marginBottom: '4px' }}>Attestations ({regResult.cryptoProofs.attestations.length})</div>
@@ -350,6 +476,19 @@ function MarketplacePage({ isWalletConnected, walletAddress, onConnectWallet })
                                 <div key={i} style={{ fontSize: '11px', color: '#94a3b8', marginBottom: '2px' }}>
                                   ✓ <span style={{ color: '#e2e8f0' }}>{a.claim}</span>
                                   <span style={{ color: '#475569', fontFamily: 'monospace' }}> sig: {a.signature?.slice(0, 20)}...</span>
+                                  {a.expiresAt && (
+                                    <span style={{ color: '#475569' }}> · this event only, until {new Date(a.expiresAt * 1000).toLocaleDateString()}</span>
+                                  )}
+                                </div>
+                              ))}
+                            </div>
+                          )}
+                          {regResult.cryptoProofs.sdJwt && (
+                            <div style={{ marginBottom: '10px' }}>
+                              <div style={{ color: '#64748b', fontSize: '11px', marginBottom: '4px' }}>Revealed from your SD-JWT ({regResult.cryptoProofs.sdJwt.disclosed.length})</div>
+                              {regResult.cryptoProofs.sdJwt.disclosed.map(path => (
+                                <div key={path} style={{ fontSize: '11px', color: '#94a3b8', marginBottom: '2px' }}>
+                                  ✓ <span style={{ color: '#e2e8f0' }}>{disclosureLabel(path)}</span>
                                 </div>
                               ))}
                             </div>
@@ -381,7 +520,7 @@ function MarketplacePage({ isWalletConnected, walletAddress, onConnectWallet })
                           marginBottom: '20px'
                         }}>
                           <div style={{ fontSize: '12px', color: '#64748b', marginBottom: '12px', letterSpacing: '0.1em' }}>YOUR QR ENTRY TICKET</div>
-                          <QRCodeDisplay value={regResult.qrToken} size={200} label={regResult.qrToken} />
+                          <QRCodeDisplay value={regResult.qrPayload || regResult.qrToken} size={200} label={regResult.qrToken} />
                           <div style={{ fontSize: '11px', color: '#475569', marginTop: '12px' }}>
                             Show this QR code to the organizer's scanner at entry
                           </div>
@@ -395,10 +534,13 @@ function MarketplacePage({ isWalletConnected, walletAddress, onConnectWallet })
                   ) : (
                     <div style={{ textAlign: 'center' }}>
                       <div style={{ fontSize: '48px', marginBottom: '12px' }}>
-                        <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke={regResult.reason === 'age_restricted' ? '#ffc107' : '#ff5252'} strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/></svg>
+                        <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke={regResult.reason === 'age_restricted' || regResult.reason === 'guardian_not_registered' ? '#ffc107' : '#ff5252'} strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/></svg>
                       </div>
-                      <h2 style={{ color: regResult.reason === 'age_restricted' ? '#ffc107' : '#ff5252' }}>
-                        {regResult.reason === 'age_restricted' ? 'Age Restricted' : 'Registration Failed'}
+                      <h2 style={{ color: regResult.reason === 'age_restricted' || regResult.reason === 'guardian_not_registered' ? '#ffc107' : '#ff5252' }}>
+                        {regResult.reason === 'age_restricted' ? 'Age Restricted'
+                          : regResult.reason === 'guardian_not_registered' ? 'Guardian Ticket Needed'
+                          : regResult.reason === 'assurance_too_low' ? 'Stronger Verification Needed'
+                          : regResult.reason === 'country_mismatch' ? 'Residents Only' : 'Registration Failed'}
                       </h2>
                       <p style={{ color: '#94a3b8', margin: '12px 0' }}>{regResult.message}</p>
 
@@ -418,7 +560,15 @@ function MarketplacePage({ isWalletConnected, walletAddress, onConnectWallet })
                       )}
 
                       <div className="alert alert-info" style={{ textAlign: 'left' }}>
-                        This event requires age {ev.minAge}+. No personal data was exposed.
+                        {regResult.reason === 'assurance_too_low'
+                          ? 'Verify with your Aadhaar Secure QR or offline e-KYC to raise your RacePass assurance level.'
+                          : regResult.reason === 'country_mismatch'
+                            ? `This event is only open to residents of ${regResult.country}, proven by the identity document you verified with.`
+                            : regResult.reason === 'guardian_not_registered'
+                              ? `Ask your guardian (${regResult.guardianWallet.slice(0, 6)}...${regResult.guardianWallet.slice(-4)}) to register first, then try again.`
+                              : regResult.guardianAllowed
+                                ? `This event requires age ${ev.minAge}+, or a guardian linked to your RacePass from your Dashboard.`
+                                : `This event requires age ${ev.minAge}+.`} No personal data was exposed.
                       </div>
 
                       <button className="btn btn-secondary" onClick={() => { setView('browse'); setSelectedEvent(null); setRegResult(null) }}
@@ -428,11 +578,36 @@ function MarketplacePage({ isWalletConnected, walletAddress, onConnectWallet })
                     </div>
                   )
                 ) : (
-                  <button className="btn btn-primary btn-glow" onClick={handleRegister}
-                    disabled={regLoading}
-                    style={{ width: '100%' }}>
-                    {regLoading ? 'Generating Attestation Proofs...' : 'Register with Attestation Verification'}
-                  </button>
+                  <>
+                    {ageIdentity && (
+                      <div style={{
+                        background: 'rgba(255,193,7,0.04)', border: '1px solid rgba(255,193,7,0.15)',
+                        borderRadius: '10px', padding: '12px 14px', marginBottom: '20px'
+                      }}>
+                        <div style={{ color: '#ffc107', fontSize: '14px', fontWeight: 600, marginBottom: '4px' }}>Confirm your details</div>
+                        <div style={{ color: '#64748b', fontSize: '12px', marginBottom: '10px' }}>
+                          This browser has no key for your age proofs. Re-enter the date of birth and document number you verified with to make a new one — your age stays in this browser.
+                        </div>
+                        <div className="grid-2">
+                          <div className="form-group">
+                            <label className="form-label">Date of Birth</label>
+                            <input className="form-input" type="date" value={ageIdentity.dateOfBirth}
+                              onChange={e => setAgeIdentity(f => ({ ...f, dateOfBirth: e.target.value }))} />
+                          </div>
+                          <div className="form-group">
+                            <label className="form-label">Document Number</label>
+                            <input className="form-input" value={ageIdentity.documentNumber}
+                              onChange={e => setAgeIdentity(f => ({ ...f, documentNumber: e.target.value.trim() }))} />
+                          </div>
+                        </div>
+                      </div>
+                    )}
+                    <button className="btn btn-primary btn-glow" onClick={handleRegister}
+                      disabled={regLoading || (ageIdentity && (!ageIdentity.dateOfBirth || !ageIdentity.documentNumber))}
+                      style={{ width: '100%' }}>
+                      {regLoading ? 'Generating Attestation Proofs...' : 'Register with Attestation Verification'}
+                    </button>
+                  </>
                 )}
               </>
             )}
@@ -469,7 +644,7 @@ function MarketplacePage({ isWalletConnected, walletAddress, onConnectWallet })
 
             {/* QR Code */}
             <div style={{ marginBottom: '20px' }}>
-              <QRCodeDisplay value={t.qrToken} size={220} label={t.qrToken} />
+              <QRCodeDisplay value={t.qrPayload || t.qrToken} size={220} label={t.qrToken} />
             </div>
 
             {/* Details */}
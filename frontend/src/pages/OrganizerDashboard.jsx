@@ -4,15 +4,16 @@
  * - Create new events with requirements (age, identity, country)
  * - View created events + registrations
  * - Real-time notification bell
- * - QR ticket scanner
+ * - QR ticket scanner with offline gate mode (see components/GateScanner.jsx)
+ * - Gate staff delegation + scan records per event
  */
 
 import { useState, useEffect, useCallback } from 'react'
 import {
-  createEvent, getOrganizerEvents, getNotifications,
-  markNotificationsRead, scanTicket, markAttendance
+  createEvent, getOrganizerEvents, getNotifications, markNotificationsRead
 } from '../utils/api'
-import QRScanner from '../components/QRScanner'
+import GateScanner from '../components/GateScanner'
+import EventGatePanel from '../components/EventGatePanel'
 
 const CATEGORIES = [
   { value: 'concert', label: 'Concert', gradient: 'linear-gradient(135deg, #ff6b6b 0%, #ff8e53 100%)' },
@@ -34,19 +35,21 @@ const PLANS = [
 
 const FREE_TRIAL_LIMIT = 2
 
+// Minimum assurance level — how strongly attendees' identity was checked at KYC
+const ASSURANCE_OPTIONS = [
+  { value: '', label: 'Any RacePass' },
+  { value: 'ocr+face', label: 'Card photo + face match' },
+  { value: 'secure-qr', label: 'UIDAI-signed Aadhaar (Secure QR / e-KYC)' },
+  { value: 'secure-qr+face', label: 'UIDAI-signed Aadhaar + face match' }
+]
+
 function OrganizerDashboard({ walletAddress }) {
   const [view, setView] = useState('events') // events | create | notifications | scanner | subscription
   const [myEvents, setMyEvents] = useState([])
   const [notifs, setNotifs] = useState([])
   const [unreadCount, setUnreadCount] = useState(0)
   const [loading, setLoading] = useState(true)
-  const [scanResult, setScanResult] = useState(null)
-  const [scanInput, setScanInput] = useState('')
-  const [scanLoading, setScanLoading] = useState(false)
-  const [scanMode, setScanMode] = useState('camera') // camera | manual
-  const [cameraScanning, setCameraScanning] = useState(true)
-  const [attendanceStatus, setAttendanceStatus] = useState(null)
-  const [attendanceSaving, setAttendanceSaving] = useState(false)
+  const [gateEventId, setGateEventId] = useState(null) // event whose staff/scan panel is open
 
   // Subscription state
   const subKey = `racepass_sub_${walletAddress?.toLowerCase()}`
@@ -71,7 +74,8 @@ function OrganizerDashboard({ walletAddress }) {
   const [form, setForm] = useState({
     name: '', description: '', emoji: 'E', category: 'general',
     date: '', time: '19:00', venue: '', price: 0, capacity: 100,
-    minAge: 0, requireIdentity: true, requireAge: true, requireCountry: false
+    minAge: 0, requireIdentity: true, requireAge: true, requireCountry: false, country: 'IN', minAssurance: '',
+    allowGuardian: false, onePerPerson: false
   })
   const [createLoading, setCreateLoading] = useState(false)
   const [createMsg, setCreateMsg] = useState('')
@@ -108,17 +112,20 @@ function OrganizerDashboard({ walletAddress }) {
   async function handleCreate(e) {
     e.preventDefault()
     if (!form.name.trim()) { setCreateMsg('Event name is required'); return }
+    if (form.requireCountry && !/^[A-Z]{2}$/.test(form.country)) { setCreateMsg('Country must be a 2-letter code (e.g. IN, DE, US)'); return }
     setCreateLoading(true)
     setCreateMsg('')
     try {
       const cat = CATEGORIES.find(c => c.value === form.category)
+      const { allowGuardian, ...fields } = form
       await createEvent({
         walletAddress,
-        ...form,
+        ...fields,
+        accompaniedBy: allowGuardian && form.minAge > 0 && form.requireAge ? 'guardian' : undefined,
         gradient: cat?.gradient || CATEGORIES[6].gradient
       })
       setCreateMsg('Event created successfully!')
-      setForm(f => ({ ...f, name: '', description: '', venue: '', price: 0, capacity: 100, minAge: 0 }))
+      setForm(f => ({ ...f, name: '', description: '', venue: '', price: 0, capacity: 100, minAge: 0, allowGuardian: false, onePerPerson: false }))
       fetchData()
       setTimeout(() => { setView('events'); setCreateMsg('') }, 1200)
     } catch (err) {
@@ -135,20 +142,6 @@ function OrganizerDashboard({ walletAddress }) {
     } catch { }
   }
 
-  async function handleScan() {
-    if (!scanInput.trim()) return
-    setScanLoading(true)
-    setScanResult(null)
-    try {
-      const res = await scanTicket(scanInput.trim(), walletAddress)
-      setScanResult(res)
-      setScanInput('')
-    } catch (err) {
-      setScanResult({ success: false, message: err.message })
-    }
-    setScanLoading(false)
-  }
-
   const selectedCat = CATEGORIES.find(c => c.value === form.category) || CATEGORIES[6]
 
   return (
@@ -245,11 +238,20 @@ function OrganizerDashboard({ walletAddress }) {
                       {ev.minAge > 0 && (
                         <span className="status-badge status-pending" style={{ fontSize: '11px' }}>{ev.minAge}+ Only</span>
                       )}
+                      {ev.accompaniedBy === 'guardian' && (
+                        <span className="status-badge" style={{ fontSize: '11px', background: 'rgba(255,193,7,0.1)', color: '#ffc107' }}>Younger with Guardian</span>
+                      )}
                       {ev.requireIdentity && (
                         <span className="status-badge status-verified" style={{ fontSize: '11px' }}>Identity Required</span>
                       )}
                       {ev.requireCountry && (
-                        <span className="status-badge" style={{ fontSize: '11px', background: 'rgba(0, 255, 136,0.1)', color: '#00ff88' }}>Country Check</span>
+                        <span className="status-badge" style={{ fontSize: '11px', background: 'rgba(0, 255, 136,0.1)', color: '#00ff88' }}>Resident: {ev.country || 'IN'}</span>
+                      )}
+                      {ev.minAssurance && (
+                        <span className="status-badge" style={{ fontSize: '11px', background: 'rgba(0, 255, 136,0.1)', color: '#00ff88' }}>Assurance: {ev.minAssurance}+</span>
+                      )}
+                      {ev.onePerPerson && (
+                        <span className="status-badge" style={{ fontSize: '11px', background: 'rgba(0, 255, 136,0.1)', color: '#00ff88' }}>One Per Person</span>
                       )}
                       <span className="status-badge" style={{ fontSize: '11px', background: 'rgba(255,255,255,0.05)', color: '#94a3b8' }}>
                         {ev.spotsLeft}/{ev.capacity} left
@@ -276,6 +278,7 @@ function OrganizerDashboard({ walletAddress }) {
                               {r.disclosures?.ageAboveMin && <span title="Age verified" style={{ color: '#00ff88', fontSize: '11px' }}>Age ✓</span>}
                               {r.disclosures?.identityVerified && <span title="Identity verified" style={{ color: '#00ff88', fontSize: '11px' }}>ID ✓</span>}
                               {r.disclosures?.countryResident && <span title="Country verified" style={{ color: '#00ff88', fontSize: '11px' }}>Country ✓</span>}
+                              {r.disclosures?.accompaniedByGuardian && <span title="Admitted with their guardian" style={{ color: '#ffc107', fontSize: '11px' }}>With Guardian</span>}
                             </div>
                             <span style={{ fontSize: '11px', color: '#475569' }}>
                               {new Date(r.registeredAt).toLocaleString()}
@@ -284,6 +287,15 @@ function OrganizerDashboard({ walletAddress }) {
                         ))}
                       </div>
                     )}
+
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => setGateEventId(gateEventId === ev.id ? null : ev.id)}
+                      style={{ fontSize: '12px', padding: '6px 14px', marginTop: '12px' }}
+                    >
+                      {gateEventId === ev.id ? 'Hide Gate Staff' : 'Gate Staff & Scans'}
+                    </button>
+                    {gateEventId === ev.id && <EventGatePanel eventId={ev.id} walletAddress={walletAddress} />}
                   </div>
                 </div>
               ))}
@@ -429,7 +441,7 @@ function OrganizerDashboard({ walletAddress }) {
                 {[
                   { key: 'requireIdentity', label: 'Require Identity Verification', desc: '"I am a verified person" — no name revealed' },
                   { key: 'requireAge', label: `Require Age ${form.minAge || 18}+`, desc: `"I am ${form.minAge || 18}+" — exact age never revealed` },
-                  { key: 'requireCountry', label: 'Require India Residency', desc: '"I am from India" — Aadhaar number never revealed' }
+                  { key: 'requireCountry', label: `Require ${form.country || 'Country'} Residency`, desc: `"I am from ${form.country || '…'}" — document number never revealed` }
                 ].map(req => (
                   <label key={req.key} style={{
                     display: 'flex', gap: '12px', alignItems: 'flex-start',
@@ -447,8 +459,54 @@ function OrganizerDashboard({ walletAddress }) {
                     </div>
                   </label>
                 ))}
+                {form.requireCountry && (
+                  <div style={{ display: 'flex', gap: '10px', alignItems: 'center', paddingLeft: '34px' }}>
+                    <input className="form-input" maxLength={2} value={form.country} placeholder="IN"
+                      onChange={e => setForm(f => ({ ...f, country: e.target.value.toUpperCase().replace(/[^A-Z]/g, '') }))}
+                      style={{ width: '80px', fontFamily: 'monospace' }} />
+                    <small style={{ color: '#64748b', fontSize: '12px' }}>
+                      2-letter country code — proven from the attendee's Aadhaar, PAN, passport or licence
+                    </small>
+                  </div>
+                )}
+                {form.minAge > 0 && form.requireAge && (
+                  <label style={{ display: 'flex', gap: '12px', alignItems: 'flex-start', padding: '10px', cursor: 'pointer' }}>
+                    <input type="checkbox" checked={form.allowGuardian}
+                      onChange={e => setForm(f => ({ ...f, allowGuardian: e.target.checked }))}
+                      style={{ marginTop: '3px', accentColor: '#00ff88' }} />
+                    <div>
+                      <div style={{ color: '#e2e8f0', fontSize: '14px', fontWeight: 600 }}>Allow Younger Attendees With Their Guardian</div>
+                      <div style={{ color: '#64748b', fontSize: '12px', marginTop: '2px' }}>
+                        Under {form.minAge}s with a guardian linked to their RacePass may register once the guardian has
+                      </div>
+                    </div>
+                  </label>
+                )}
               </div>
 
+              <div className="form-group">
+                <label className="form-label">Minimum Assurance</label>
+                <select className="form-input" value={form.minAssurance}
+                  onChange={e => setForm(f => ({ ...f, minAssurance: e.target.value }))}>
+                  {ASSURANCE_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                </select>
+                <small style={{ color: '#64748b', fontSize: '12px' }}>
+                  Stronger levels turn away attendees whose RacePass was issued from a card photo only
+                </small>
+              </div>
+
+              <label style={{ display: 'flex', gap: '12px', alignItems: 'flex-start', padding: '10px', cursor: 'pointer', marginBottom: '12px' }}>
+                <input type="checkbox" checked={form.onePerPerson}
+                  onChange={e => setForm(f => ({ ...f, onePerPerson: e.target.checked }))}
+                  style={{ marginTop: '3px', accentColor: '#00ff88' }} />
+                <div>
+                  <div style={{ color: '#e2e8f0', fontSize: '14px', fontWeight: 600 }}>One Ticket Per Person</div>
+                  <div style={{ color: '#64748b', fontSize: '12px', marginTop: '2px' }}>
+                    Only RacePasses from a UIDAI-signed Aadhaar — a PAN, passport or licence can't rule out the same person on another wallet
+                  </div>
+                </div>
+              </label>
+
               <div style={{
                 background: 'rgba(0, 255, 136,0.06)', border: '1px solid rgba(0, 255, 136,0.15)',
                 borderRadius: '10px', padding: '12px', marginBottom: '20px',
@@ -535,307 +593,7 @@ function OrganizerDashboard({ walletAddress }) {
 
       {/* ── QR Scanner ── */}
       {view === 'scanner' && (
-        <div style={{ maxWidth: '560px', margin: '0 auto', padding: '0 8px' }}>
-          <div className="card glass-card" style={{ textAlign: 'center' }}>
-            <div style={{ marginBottom: '8px' }}><svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="#00ff88" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round"><rect x="2" y="2" width="20" height="20" rx="5" ry="5"/><line x1="2" y1="10" x2="22" y2="10"/></svg></div>
-            <h2 style={{ color: '#00ff88', marginBottom: '6px', fontSize: '22px' }}>Ticket Scanner</h2>
-            <p style={{ color: '#64748b', fontSize: '13px', marginBottom: '20px' }}>
-              Scan QR tickets via camera, image upload, or manual entry
-            </p>
-
-            {/* Scan Mode Tabs */}
-            {!scanResult && (
-              <div style={{ display: 'flex', gap: '6px', justifyContent: 'center', marginBottom: '18px', flexWrap: 'wrap' }}>
-                {[
-                  { key: 'camera', label: 'Camera', icon: '' },
-                  { key: 'manual', label: 'Manual', icon: '' }
-                ].map(m => (
-                  <button
-                    key={m.key}
-                    className={`btn ${scanMode === m.key ? 'btn-primary' : 'btn-secondary'}`}
-                    onClick={() => { setScanMode(m.key); setCameraScanning(true); setScanResult(null); setAttendanceStatus(null) }}
-                    style={{ fontSize: '13px', padding: '9px 18px' }}
-                  >
-                    {m.label}
-                  </button>
-                ))}
-              </div>
-            )}
-
-            {/* Camera / Image Scanner */}
-            {scanMode === 'camera' && !scanResult && !scanLoading && (
-              <QRScanner
-                scanning={cameraScanning}
-                onScan={async (decodedText) => {
-                  setCameraScanning(false)
-                  setScanLoading(true)
-                  setScanResult(null)
-                  setAttendanceStatus(null)
-                  try {
-                    const res = await scanTicket(decodedText.trim(), walletAddress)
-                    setScanResult(res)
-                  } catch (err) {
-                    setScanResult({ success: false, message: err.message })
-                  }
-                  setScanLoading(false)
-                }}
-                onError={(err) => console.log('Scanner error:', err)}
-              />
-            )}
-
-            {/* Manual Input */}
-            {scanMode === 'manual' && !scanResult && (
-              <div style={{ marginBottom: '16px' }}>
-                <div style={{ color: '#94a3b8', fontSize: '13px', marginBottom: '10px' }}>
-                  Enter the ticket token (shown below the QR code):
-                </div>
-                <div style={{ display: 'flex', gap: '8px' }}>
-                  <input
-                    className="form-input"
-                    placeholder="RP-XXXXXXXX..."
-                    value={scanInput}
-                    onChange={e => setScanInput(e.target.value)}
-                    onKeyDown={e => e.key === 'Enter' && handleScan()}
-                    style={{ flex: 1, fontSize: '15px', padding: '14px' }}
-                  />
-                  <button className="btn btn-primary" onClick={handleScan} disabled={scanLoading}
-                    style={{ padding: '14px 22px', whiteSpace: 'nowrap', fontSize: '15px' }}>
-                    {scanLoading ? '...' : 'Verify'}
-                  </button>
-                </div>
-              </div>
-            )}
-
-            {/* Loading */}
-            {scanLoading && (
-              <div style={{ padding: '30px', textAlign: 'center' }}>
-                <div className="spinner" style={{ margin: '0 auto 12px' }} />
-                <div style={{ color: '#94a3b8', fontSize: '14px' }}>Verifying ticket...</div>
-              </div>
-            )}
-
-            {/* ══════ SCAN RESULT — Full Event Details + Attendance ══════ */}
-            {scanResult && (
-              <div style={{ marginTop: '8px' }}>
-                {/* Valid Ticket */}
-                {(scanResult.valid || scanResult.ticket) ? (
-                  <div>
-                    {/* Status Banner */}
-                    <div style={{
-                      background: 'linear-gradient(135deg, rgba(0,255,136,0.12) 0%, rgba(0, 255, 136,0.08) 100%)',
-                      border: '1px solid rgba(0,255,136,0.25)',
-                      borderRadius: '16px', padding: '20px',
-                      animation: 'emerge3D 0.4s ease'
-                    }}>
-                      <div style={{ fontSize: '52px', marginBottom: '8px' }}><svg width="52" height="52" viewBox="0 0 24 24" fill="none" stroke="#00ff88" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/></svg></div>
-                      <h3 style={{ color: '#00ff88', fontSize: '22px', margin: '0 0 4px' }}>Ticket Verified!</h3>
-                      <p style={{ color: '#94a3b8', fontSize: '13px', margin: 0 }}>
-                        {scanResult.message || 'Valid ticket — mark attendance below'}
-                      </p>
-                    </div>
-
-                    {/* Event Details Card */}
-                    {scanResult.ticket && (
-                      <div style={{
-                        marginTop: '16px', borderRadius: '16px', overflow: 'hidden',
-                        border: '1px solid rgba(255,255,255,0.08)'
-                      }}>
-                        {/* Event Header with gradient */}
-                        <div style={{
-                          background: 'linear-gradient(135deg, #00cc66 0%, #00ff88 100%)',
-                          padding: '16px 20px',
-                          display: 'flex', alignItems: 'center', gap: '12px'
-                        }}>
-                          <span style={{ fontSize: '36px' }}>{scanResult.ticket.eventEmoji || 'E'}</span>
-                          <div style={{ textAlign: 'left', flex: 1 }}>
-                            <div style={{ color: '#fff', fontSize: '18px', fontWeight: 700 }}>
-                              {scanResult.ticket.eventName}
-                            </div>
-                            <div style={{ color: 'rgba(255,255,255,0.7)', fontSize: '12px', marginTop: '2px' }}>
-                              {scanResult.ticket.eventCategory?.toUpperCase() || 'EVENT'}
-                            </div>
-                          </div>
-                        </div>
-
-                        {/* Event Info Grid */}
-                        <div style={{ padding: '16px 20px', background: 'rgba(0,0,0,0.25)' }}>
-                          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px' }}>
-                            <div>
-                              <div style={{ color: '#64748b', fontSize: '11px', textTransform: 'uppercase', letterSpacing: '0.05em' }}>Date</div>
-                              <div style={{ color: '#e2e8f0', fontSize: '14px', marginTop: '2px' }}>
-                                {scanResult.ticket.eventDate || 'TBD'}
-                              </div>
-                            </div>
-                            <div>
-                              <div style={{ color: '#64748b', fontSize: '11px', textTransform: 'uppercase', letterSpacing: '0.05em' }}>Time</div>
-                              <div style={{ color: '#e2e8f0', fontSize: '14px', marginTop: '2px' }}>
-                                {scanResult.ticket.eventTime || 'TBD'}
-                              </div>
-                            </div>
-                            <div>
-                              <div style={{ color: '#64748b', fontSize: '11px', textTransform: 'uppercase', letterSpacing: '0.05em' }}>Venue</div>
-                              <div style={{ color: '#e2e8f0', fontSize: '14px', marginTop: '2px' }}>
-                                {scanResult.ticket.eventVenue || 'TBD'}
-                              </div>
-                            </div>
-                            <div>
-                              <div style={{ color: '#64748b', fontSize: '11px', textTransform: 'uppercase', letterSpacing: '0.05em' }}>Organizer</div>
-                              <div style={{ color: '#e2e8f0', fontSize: '14px', marginTop: '2px' }}>
-                                {scanResult.ticket.organizerName || 'Unknown'}
-                              </div>
-                            </div>
-                            <div>
-                              <div style={{ color: '#64748b', fontSize: '11px', textTransform: 'uppercase', letterSpacing: '0.05em' }}>Capacity</div>
-                              <div style={{ color: '#e2e8f0', fontSize: '14px', marginTop: '2px' }}>
-                                {scanResult.ticket.registeredCount || 0} / {scanResult.ticket.eventCapacity || '∞'}
-                              </div>
-                            </div>
-                            {scanResult.ticket.minAge > 0 && (
-                              <div>
-                                <div style={{ color: '#64748b', fontSize: '11px', textTransform: 'uppercase', letterSpacing: '0.05em' }}>Min Age</div>
-                                <div style={{ color: '#e2e8f0', fontSize: '14px', marginTop: '2px' }}>
-                                  {scanResult.ticket.minAge}+
-                                </div>
-                              </div>
-                            )}
-                          </div>
-
-                          {/* Attendee Wallet */}
-                          <div style={{
-                            marginTop: '14px', padding: '10px 12px',
-                            background: 'rgba(0,0,0,0.2)', borderRadius: '10px',
-                            display: 'flex', alignItems: 'center', gap: '8px'
-                          }}>
-                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="#94a3b8" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><rect x="2" y="4" width="20" height="16" rx="2"/><path d="M16 12h2"/></svg>
-                            <span style={{ fontFamily: 'monospace', color: '#00ff88', fontSize: '13px', wordBreak: 'break-all' }}>
-                              {scanResult.ticket.wallet}
-                            </span>
-                          </div>
-
-                          {/* Crypto verification badge */}
-                          {scanResult.ticket.signatureVerified && (
-                            <div style={{
-                              marginTop: '10px', padding: '8px 12px',
-                              background: 'rgba(0,255,136,0.06)', borderRadius: '8px',
-                              display: 'flex', alignItems: 'center', gap: '6px',
-                              border: '1px solid rgba(0,255,136,0.15)'
-                            }}>
-                              <span style={{ color: '#00ff88', fontSize: '13px' }}>ECDSA ticket signature verified</span>
-                            </div>
-                          )}
-                        </div>
-                      </div>
-                    )}
-
-                    {/* ══════ ATTENDANCE TOGGLE ══════ */}
-                    {scanResult.ticket && (
-                      <div style={{
-                        marginTop: '16px', padding: '20px',
-                        background: 'rgba(0,0,0,0.2)', borderRadius: '16px',
-                        border: '1px solid rgba(255,255,255,0.08)'
-                      }}>
-                        <div style={{ color: '#94a3b8', fontSize: '12px', textTransform: 'uppercase', letterSpacing: '0.1em', marginBottom: '14px' }}>
-                          Mark Attendance
-                        </div>
-                        <div style={{ display: 'flex', gap: '10px', justifyContent: 'center' }}>
-                          <button
-                            className="btn"
-                            disabled={attendanceSaving}
-                            onClick={async () => {
-                              setAttendanceSaving(true)
-                              try {
-                                await markAttendance(scanResult.ticket.qrToken, 'present')
-                                setAttendanceStatus('present')
-                              } catch { setAttendanceStatus('present') }
-                              setAttendanceSaving(false)
-                            }}
-                            style={{
-                              flex: 1, padding: '14px', fontSize: '16px', fontWeight: 700,
-                              background: attendanceStatus === 'present'
-                                ? 'rgba(0,255,136,0.2)' : 'rgba(0,255,136,0.05)',
-                              border: attendanceStatus === 'present'
-                                ? '2px solid #00ff88' : '2px solid rgba(0,255,136,0.15)',
-                              color: attendanceStatus === 'present' ? '#00ff88' : '#94a3b8',
-                              borderRadius: '12px', cursor: 'pointer',
-                              transition: 'all 0.2s ease',
-                              transform: attendanceStatus === 'present' ? 'scale(1.02)' : 'scale(1)'
-                            }}
-                          >
-                            Present
-                          </button>
-                          <button
-                            className="btn"
-                            disabled={attendanceSaving}
-                            onClick={async () => {
-                              setAttendanceSaving(true)
-                              try {
-                                await markAttendance(scanResult.ticket.qrToken, 'absent')
-                                setAttendanceStatus('absent')
-                              } catch { setAttendanceStatus('absent') }
-                              setAttendanceSaving(false)
-                            }}
-                            style={{
-                              flex: 1, padding: '14px', fontSize: '16px', fontWeight: 700,
-                              background: attendanceStatus === 'absent'
-                                ? 'rgba(255,82,82,0.2)' : 'rgba(255,82,82,0.05)',
-                              border: attendanceStatus === 'absent'
-                                ? '2px solid #ff5252' : '2px solid rgba(255,82,82,0.15)',
-                              color: attendanceStatus === 'absent' ? '#ff5252' : '#94a3b8',
-                              borderRadius: '12px', cursor: 'pointer',
-                              transition: 'all 0.2s ease',
-                              transform: attendanceStatus === 'absent' ? 'scale(1.02)' : 'scale(1)'
-                            }}
-                          >
-                            Absent
-                          </button>
-                        </div>
-                        {attendanceStatus && (
-                          <div style={{
-                            marginTop: '12px', padding: '8px',
-                            background: attendanceStatus === 'present' ? 'rgba(0,255,136,0.08)' : 'rgba(255,82,82,0.08)',
-                            borderRadius: '8px',
-                            color: attendanceStatus === 'present' ? '#00ff88' : '#ff5252',
-                            fontSize: '13px', fontWeight: 600
-                          }}>
-                            {attendanceStatus === 'present' ? '✓ Marked as PRESENT' : '✗ Marked as ABSENT'}
-                          </div>
-                        )}
-                      </div>
-                    )}
-                  </div>
-                ) : (
-                  /* Invalid Ticket */
-                  <div className="card" style={{
-                    background: 'rgba(255,82,82,0.06)',
-                    border: '1px solid rgba(255,82,82,0.2)',
-                    textAlign: 'center', padding: '24px',
-                    animation: 'emerge3D 0.4s ease'
-                  }}>
-                    <div style={{ marginBottom: '8px' }}><svg width="52" height="52" viewBox="0 0 24 24" fill="none" stroke="#ff4444" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/></svg></div>
-                    <h3 style={{ color: '#ff5252', fontSize: '20px', marginBottom: '8px' }}>Entry Denied</h3>
-                    <p style={{ color: '#94a3b8', fontSize: '14px' }}>
-                      {scanResult.message || 'Invalid or expired ticket'}
-                    </p>
-                  </div>
-                )}
-
-                {/* Scan Next */}
-                <button
-                  className="btn btn-primary btn-glow"
-                  onClick={() => {
-                    setScanResult(null)
-                    setScanInput('')
-                    setAttendanceStatus(null)
-                    setCameraScanning(true)
-                  }}
-                  style={{ width: '100%', marginTop: '16px', padding: '14px', fontSize: '15px' }}
-                >
-                  Scan Next Ticket
-                </button>
-              </div>
-            )}
-          </div>
-        </div>
+        <GateScanner walletAddress={walletAddress} events={myEvents} />
       )}
 
       {/* ── Subscription Plans ── */}
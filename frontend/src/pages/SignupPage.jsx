@@ -2,11 +2,18 @@
  * SignupPage.jsx - KYC Signup Page
  *
  * Features:
- * - Aadhaar card image upload with OCR (Tesseract.js, runs in-browser)
- * - Auto-extracts DOB, name, aadhaar number, gender from the card
- * - Validates the image is an actual Aadhaar card
+ * - Choice of identity document: Aadhaar, PAN card, passport or driving licence
+ *   (DOCUMENT_TYPES in constants.js, parsers in utils/documentOCR.js)
+ * - Document image upload with OCR (Tesseract.js, runs in-browser)
+ * - Auto-extracts DOB, name and document number (passports: from the
+ *   machine-readable zone, check digits verified)
+ * - Validates the image looks like the chosen document
+ * - Aadhaar: UIDAI-signed Secure QR (read from the card image) or offline e-KYC ZIP:
+ *   name + DOB come from the signed document, re-verified by the backend.
+ *   OCR alone is kept as a low-assurance fallback.
  * - Image preview with drag-and-drop
  * - Live age calculation + minor warning
+ * - Commitment secrets picked and kept in the browser (utils/commitmentVault.js)
  * - MetaMask not-installed fallback
  * - Duplicate (409) and rate-limit (429) handling
  * - 3D card tilt, animated steps, perspective transforms
@@ -14,20 +21,50 @@
 
 import { useState, useMemo, useRef, useCallback, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
-import { submitKYC } from '../utils/api'
+import {
+  submitKYC, verifyAadhaarDocument, getSession, getFaceCheckStatus, startFaceCheck, completeFaceCheck
+} from '../utils/api'
 import { isMetaMaskInstalled } from '../utils/wallet'
-import { extractAadhaarData } from '../utils/aadhaarOCR'
-import { compareFaces, loadFaceModels } from '../utils/faceMatch'
+import { DOCUMENT_TYPES } from '../utils/constants'
+import { extractDocumentData, validateDocumentNumber, normalizeDocumentNumber, parseMrz } from '../utils/documentOCR'
+import { scanSecureQr, readZipAsBase64 } from '../utils/aadhaarDocument'
+import { describeFaces, runLivenessChallenge, loadFaceModels } from '../utils/faceMatch'
+import { newHolderCommitments, keepHolderCommitments } from '../utils/commitmentVault'
+
+const LIVENESS_PROMPTS = {
+  blink: 'Blink',
+  'turn-left': 'Turn your head to your left',
+  'turn-right': 'Turn your head to your right'
+}
+
+const DOCUMENT_ERRORS = {
+  aadhaar_format: 'Aadhaar must be exactly 12 digits',
+  aadhaar_checksum: 'Not a valid Aadhaar number — check for a mistyped or misread digit',
+  aadhaar_test_number: 'This is a test / sample Aadhaar number, not one issued by UIDAI',
+  pan_format: 'PAN is 5 letters, 4 digits and a letter (e.g. ABCPE1234F)',
+  pan_not_individual: 'This PAN belongs to a company, firm or trust — use your personal PAN',
+  passport_format: 'Passport numbers have up to 9 letters and digits',
+  dl_format: 'Not a valid licence number for the issuing country',
+  dl_state: 'Indian licence numbers start with a state code (e.g. MH, DL, KA)',
+  document_country: 'Enter the 2-letter code of the country that issued the licence (e.g. US, GB, IN)',
+  mrz_format: 'The machine-readable zone is two lines of 44 characters',
+  mrz_checksum: 'The machine-readable zone has a wrong check digit — check for a misread character',
+  mrz_mismatch: 'The passport number or date of birth does not match the machine-readable zone'
+}
 
 function SignupPage({ isWalletConnected, walletAddress, onConnectWallet, setIsVerified }) {
   const navigate = useNavigate()
   const fileInputRef = useRef(null)
   const cardRef = useRef(null)
 
+  const [documentType, setDocumentType] = useState('aadhaar')
+  const documentInfo = DOCUMENT_TYPES[documentType]
   const [formData, setFormData] = useState({
     fullName: '',
     dateOfBirth: '',
-    aadhaarNumber: ''
+    documentNumber: '',
+    issuingCountry: '',  // driving licence
+    mrz: ''              // passport machine-readable zone
   })
 
   // Image / OCR
@@ -37,7 +74,16 @@ function SignupPage({ isWalletConnected, walletAddress, onConnectWallet, setIsVe
   const [ocrRunning, setOcrRunning] = useState(false)
   const [ocrDone, setOcrDone] = useState(false)
   const [ocrError, setOcrError] = useState('')
-  const [isAadhaar, setIsAadhaar] = useState(null)
+  const [isRecognized, setIsRecognized] = useState(null)  // image looks like the chosen document
+
+  // UIDAI-signed document (Secure QR from the card image, or offline e-KYC ZIP)
+  const ekycInputRef = useRef(null)
+  const [aadhaarDocument, setAadhaarDocument] = useState(null)  // { type, ... } sent with the submission
+  const [documentFields, setDocumentFields] = useState(null)    // signed name / DOB / last 4 digits
+  const [documentChecking, setDocumentChecking] = useState(false)
+  const [documentError, setDocumentError] = useState('')
+  const [ekycFile, setEkycFile] = useState(null)
+  const [shareCode, setShareCode] = useState('')
 
   // Live Photo
   const videoRef = useRef(null)
@@ -56,41 +102,49 @@ function SignupPage({ isWalletConnected, walletAddress, onConnectWallet, setIsVe
   // Drag state for the drop zone
   const [dragging, setDragging] = useState(false)
 
-  // Face match states
-  const [faceMatchStatus, setFaceMatchStatus] = useState(null) // null | 'loading' | 'match' | 'mismatch' | 'error'
+  // Live face check (liveness challenge + face match, decided by the backend)
+  const [faceMatchStatus, setFaceMatchStatus] = useState(null) // null | 'loading' | 'match' | 'mismatch' | 'error' | 'locked'
   const [faceMatchScore, setFaceMatchScore] = useState(null)
   const [faceMatchError, setFaceMatchError] = useState('')
   const [modelsReady, setModelsReady] = useState(false)
+  const [livenessPrompt, setLivenessPrompt] = useState(null)   // action the user should do now
+  const [faceSessionId, setFaceSessionId] = useState(null)     // passed session, sent with the submission
+  const [faceCheckDocument, setFaceCheckDocument] = useState(null) // document the session was for
 
-  // Face match attempt limiter (3 mismatches → 24hr lockout)
+  // Attempt limit (enforced by the backend: 3 failures → locked for 24h)
   const [faceLocked, setFaceLocked] = useState(false)
+  const [faceLockedUntil, setFaceLockedUntil] = useState(null)
   const [lockRemainingTime, setLockRemainingTime] = useState('')
 
-  // Check lockout on mount and periodically
+  // Ask the backend whether the face check is locked (only if already signed in —
+  // don't prompt for a signature on page load; startFaceCheck reports it too)
+  useEffect(() => {
+    if (!walletAddress || !getSession(walletAddress)) return
+    getFaceCheckStatus(walletAddress)
+      .then(status => setFaceLockedUntil(status.locked ? status.lockedUntil : null))
+      .catch(() => {})
+  }, [walletAddress])
+
+  // Lock countdown, refreshed every 30s
   useEffect(() => {
+    if (!faceLockedUntil) { setFaceLocked(false); return }
     function checkLock() {
-      const raw = localStorage.getItem('racepass_face_lock')
-      if (!raw) { setFaceLocked(false); return }
-      const data = JSON.parse(raw)
-      const elapsed = Date.now() - data.timestamp
-      const twentyFourHrs = 24 * 60 * 60 * 1000
-      if (elapsed >= twentyFourHrs) {
-        localStorage.removeItem('racepass_face_lock')
-        localStorage.removeItem('racepass_face_attempts')
-        setFaceLocked(false)
+      const remaining = new Date(faceLockedUntil).getTime() - Date.now()
+      if (remaining <= 0) {
+        setFaceLockedUntil(null)
+        setFaceMatchStatus(null)
         return
       }
       setFaceLocked(true)
       setFaceMatchStatus('locked')
-      const remaining = twentyFourHrs - elapsed
       const hrs = Math.floor(remaining / (60 * 60 * 1000))
       const mins = Math.floor((remaining % (60 * 60 * 1000)) / (60 * 1000))
       setLockRemainingTime(`${hrs}h ${mins}m`)
     }
     checkLock()
-    const interval = setInterval(checkLock, 30000) // refresh every 30s
+    const interval = setInterval(checkLock, 30000)
     return () => clearInterval(interval)
-  }, [])
+  }, [faceLockedUntil])
 
   // 3D tilt removed for performance
 
@@ -135,19 +189,18 @@ function SignupPage({ isWalletConnected, walletAddress, onConnectWallet, setIsVe
   }
 
   const capturePhoto = () => {
-    if (videoRef.current && canvasRef.current) {
-      const video = videoRef.current
-      const canvas = canvasRef.current
-      const context = canvas.getContext('2d')
-
-      canvas.width = video.videoWidth
-      canvas.height = video.videoHeight
-      context.drawImage(video, 0, 0, canvas.width, canvas.height)
-
-      const dataUrl = canvas.toDataURL('image/jpeg', 0.8)
-      setLivePhoto(dataUrl)
-      stopCamera()
-    }
+    const video = videoRef.current
+    const canvas = canvasRef.current
+    const context = canvas.getContext('2d')
+
+    canvas.width = video.videoWidth
+    canvas.height = video.videoHeight
+    context.drawImage(video, 0, 0, canvas.width, canvas.height)
+
+    const dataUrl = canvas.toDataURL('image/jpeg', 0.8)
+    setLivePhoto(dataUrl)
+    stopCamera()
+    return dataUrl
   }
 
   const retakePhoto = () => {
@@ -156,59 +209,63 @@ function SignupPage({ isWalletConnected, walletAddress, onConnectWallet, setIsVe
     setFaceMatchStatus(null)
     setFaceMatchScore(null)
     setFaceMatchError('')
+    setFaceSessionId(null)
     startCamera()
   }
 
-  // ── Preload face models on mount ──
-  useEffect(() => {
-    loadFaceModels().then(() => setModelsReady(true)).catch(() => {})
-  }, [])
+  // ── Live face check: challenge on the camera → selfie → backend decides ──
+  async function runLiveCheck() {
+    if (!imageFile) {
+      setFaceMatchStatus('error')
+      setFaceMatchError(`Upload your ${documentInfo.label} first — your selfie is compared with its photo.`)
+      return
+    }
+    if (!numberComplete || documentInvalid) {
+      setFaceMatchStatus('error')
+      setFaceMatchError(`A valid ${documentInfo.numberLabel} is needed first — check "Extracted Details" below.`)
+      return
+    }
 
-  // ── Auto-compare faces when both images ready ──
-  useEffect(() => {
-    if (!livePhoto || !imageFile || !modelsReady || faceLocked) return
-    let cancelled = false
-
-    async function runFaceMatch() {
-      setFaceMatchStatus('loading')
-      setFaceMatchError('')
-      setFaceMatchScore(null)
-      try {
-        const result = await compareFaces(livePhoto, imageFile)
-        if (cancelled) return
-        setFaceMatchScore(result.score)
-        if (result.match) {
-          setFaceMatchStatus('match')
-          // Reset attempts on success
-          localStorage.removeItem('racepass_face_attempts')
-        } else {
-          // Increment failed attempts
-          const prev = parseInt(localStorage.getItem('racepass_face_attempts') || '0', 10)
-          const attempts = prev + 1
-          localStorage.setItem('racepass_face_attempts', String(attempts))
-
-          if (attempts >= 3) {
-            // Lock out for 24 hours
-            localStorage.setItem('racepass_face_lock', JSON.stringify({ timestamp: Date.now() }))
-            setFaceLocked(true)
-            setLockRemainingTime('24h 0m')
-            setFaceMatchStatus('locked')
-            setFaceMatchError('Too many failed attempts. Please try again after 24 hours.')
-          } else {
-            setFaceMatchStatus('mismatch')
-            setFaceMatchError(`Face mismatch (${result.score}% similarity). ${3 - attempts} attempt${3 - attempts === 1 ? '' : 's'} remaining.`)
-          }
-        }
-      } catch (err) {
-        if (cancelled) return
+    setFaceMatchStatus('loading')
+    setFaceMatchError('')
+    setFaceMatchScore(null)
+    setFaceSessionId(null)
+    try {
+      const { sessionId, challenge } = await startFaceCheck(walletAddress, identityDocument)
+      const steps = await runLivenessChallenge(videoRef.current, challenge, action => setLivenessPrompt(action))
+      setLivenessPrompt(null)
+
+      const selfie = capturePhoto()
+      const descriptors = await describeFaces(selfie, imageFile)
+      const result = await completeFaceCheck(walletAddress, sessionId, { ...descriptors, steps })
+
+      setFaceSessionId(sessionId)
+      setFaceCheckDocument(documentKey)
+      setFaceMatchScore(result.score)
+      setFaceMatchStatus('match')
+    } catch (err) {
+      setLivenessPrompt(null)
+      const body = err.body || {}
+      if (body.lockedUntil) {
+        stopCamera()
+        setFaceLockedUntil(body.lockedUntil)
+        setFaceMatchError('Too many failed attempts.')
+      } else if (body.reason === 'face_mismatch' || body.reason === 'liveness_failed') {
+        setFaceMatchScore(body.score ?? null)
+        setFaceMatchStatus('mismatch')
+        const left = body.attemptsRemaining
+        setFaceMatchError(`${err.message}. ${left} attempt${left === 1 ? '' : 's'} remaining.`)
+      } else {
         setFaceMatchStatus('error')
-        setFaceMatchError(err.message || 'Face comparison failed')
+        setFaceMatchError(err.message || 'Face check failed')
       }
     }
+  }
 
-    runFaceMatch()
-    return () => { cancelled = true }
-  }, [livePhoto, imageFile, modelsReady, faceLocked])
+  // ── Preload face models on mount ──
+  useEffect(() => {
+    loadFaceModels().then(() => setModelsReady(true)).catch(() => {})
+  }, [])
 
   // ── Live age calculation ──
   const age = useMemo(() => {
@@ -223,16 +280,111 @@ function SignupPage({ isWalletConnected, walletAddress, onConnectWallet, setIsVe
 
   const isMinor = age !== null && age < 18
   const isInvalidAge = age !== null && (age < 0 || age > 150)
-  const aadhaarComplete = formData.aadhaarNumber.length === 12
+
+  // What the backend gets for the identity document (face check + submission)
+  const identityDocument = {
+    documentType,
+    documentNumber: formData.documentNumber,
+    ...(documentType === 'driving-licence' && { issuingCountry: formData.issuingCountry }),
+    ...(documentType === 'passport' && { mrz: formData.mrz })
+  }
+  const documentKey = JSON.stringify(identityDocument)
+  const numberComplete = documentType === 'aadhaar'
+    ? formData.documentNumber.length === 12
+    : formData.documentNumber.length > 0
+  // Wrong format / check digit (often an OCR misread), test numbers, ... — the backend rejects these too
+  const numberInvalid = numberComplete ? validateDocumentNumber(identityDocument).reason : null
+  // Passports: the machine-readable zone must check out and agree with the number + DOB
+  const mrz = documentType === 'passport' && formData.mrz ? parseMrz(formData.mrz) : null
+  const mrzInvalid = documentType !== 'passport' ? null
+    : !mrz ? null
+    : !mrz.valid ? mrz.reason
+    : mrz.fields.documentNumber !== formData.documentNumber || mrz.fields.dateOfBirth !== formData.dateOfBirth ? 'mrz_mismatch'
+    : null
+  const mrzMissing = documentType === 'passport' && !mrz
+  const documentInvalid = numberInvalid || mrzInvalid || (mrzMissing ? 'mrz_format' : null)
+  // The face check session is tied to the document it was started for
+  const faceCheckStale = !!faceSessionId && faceCheckDocument !== documentKey
+  // The signed document only carries the last 4 digits of the Aadhaar number
+  const aadhaarMismatch = documentType === 'aadhaar' && !!documentFields?.aadhaarLast4 && numberComplete &&
+    !formData.documentNumber.endsWith(documentFields.aadhaarLast4)
 
   // ── Handlers ──
   function handleInputChange(e) {
     const { name, value } = e.target
-    if (name === 'aadhaarNumber' && value !== '' && !/^\d*$/.test(value)) return
-    setFormData(prev => ({ ...prev, [name]: value }))
+    if (name === 'documentNumber') {
+      setFormData(prev => ({ ...prev, documentNumber: normalizeDocumentNumber(documentType, value) }))
+    } else if (name === 'issuingCountry') {
+      setFormData(prev => ({ ...prev, issuingCountry: value.toUpperCase().replace(/[^A-Z]/g, '').slice(0, 2) }))
+    } else if (name === 'mrz') {
+      // A corrected MRZ that checks out fills in the number and DOB
+      const parsed = parseMrz(value)
+      setFormData(prev => ({
+        ...prev,
+        mrz: value.toUpperCase(),
+        ...(parsed.valid && { documentNumber: parsed.fields.documentNumber, dateOfBirth: parsed.fields.dateOfBirth })
+      }))
+    } else {
+      setFormData(prev => ({ ...prev, [name]: value }))
+    }
+    setError('')
+  }
+
+  /** Switch document type — everything read from the previous document is dropped */
+  function handleDocumentTypeChange(type) {
+    if (type === documentType) return
+    handleRemoveImage()
+    handleRemoveDocument()
+    setDocumentType(type)
+    setFormData({ fullName: '', dateOfBirth: '', documentNumber: '', issuingCountry: '', mrz: '' })
     setError('')
   }
 
+  /**
+   * Verify a UIDAI-signed document with the backend and fill the form from it.
+   * @returns {Promise<Object|null>} the signed fields, or null if it didn't verify
+   */
+  const checkDocument = useCallback(async (document) => {
+    setDocumentChecking(true)
+    setDocumentError('')
+    try {
+      const { fields } = await verifyAadhaarDocument(walletAddress, document)
+      setAadhaarDocument(document)
+      setDocumentFields(fields)
+      setFormData(prev => ({
+        ...prev,
+        fullName: fields.name || prev.fullName,
+        dateOfBirth: fields.dateOfBirth || prev.dateOfBirth
+      }))
+      return fields
+    } catch (err) {
+      setDocumentError(err.message || 'The Aadhaar document could not be verified')
+      return null
+    } finally {
+      setDocumentChecking(false)
+    }
+  }, [walletAddress])
+
+  async function handleEkycVerify() {
+    if (!ekycFile) return setDocumentError('Choose the offline e-KYC ZIP first')
+    if (!/^[A-Za-z0-9]{4}$/.test(shareCode)) return setDocumentError('The share code has 4 characters')
+    try {
+      const zipBase64 = await readZipAsBase64(ekycFile)
+      await checkDocument({ type: 'offline-ekyc', zipBase64, shareCode })
+    } catch (err) {
+      setDocumentError(err.message)
+    }
+  }
+
+  function handleRemoveDocument() {
+    setAadhaarDocument(null)
+    setDocumentFields(null)
+    setDocumentError('')
+    setEkycFile(null)
+    setShareCode('')
+    if (ekycInputRef.current) ekycInputRef.current.value = ''
+  }
+
   const processImage = useCallback(async (file) => {
     if (!file.type.startsWith('image/')) {
       setOcrError('Please upload an image file (JPG, PNG, etc.)')
@@ -247,25 +399,37 @@ function SignupPage({ isWalletConnected, walletAddress, onConnectWallet, setIsVe
     setImagePreview(URL.createObjectURL(file))
     setOcrError('')
     setOcrDone(false)
-    setIsAadhaar(null)
+    setIsRecognized(null)
     setOcrRunning(true)
     setOcrProgress(0)
 
     try {
-      const result = await extractAadhaarData(file, (p) => setOcrProgress(p))
+      // Aadhaar: prefer the UIDAI-signed Secure QR (unless an e-KYC ZIP is already verified)
+      let signed = null
+      if (documentType === 'aadhaar' && aadhaarDocument?.type !== 'offline-ekyc') {
+        const qrData = await scanSecureQr(file)
+        if (qrData) signed = await checkDocument({ type: 'secure-qr', qrData })
+      } else if (documentType === 'aadhaar') {
+        signed = documentFields
+      }
+
+      const result = await extractDocumentData(documentType, file, (p) => setOcrProgress(p))
 
-      if (!result.isAadhaar) {
-        setIsAadhaar(false)
-        setOcrError('This does not appear to be an Aadhaar card. Please upload a valid Aadhaar card image.')
+      if (!result.recognized && !signed) {
+        setIsRecognized(false)
+        setOcrError(`This does not look like your ${documentInfo.label}. Please upload a clear image of it.`)
         setOcrRunning(false)
         return
       }
 
-      setIsAadhaar(true)
+      setIsRecognized(true)
+      // Signed name / DOB win over OCR; the full number only comes from OCR
       setFormData(prev => ({
-        fullName: result.name || prev.fullName,
-        dateOfBirth: result.dob || prev.dateOfBirth,
-        aadhaarNumber: result.aadhaarNumber || prev.aadhaarNumber
+        fullName: signed?.name || result.name || prev.fullName,
+        dateOfBirth: signed?.dateOfBirth || result.dob || prev.dateOfBirth,
+        documentNumber: result.documentNumber || prev.documentNumber,
+        issuingCountry: result.issuingCountry || prev.issuingCountry,
+        mrz: result.mrz || prev.mrz
       }))
       setOcrDone(true)
     } catch (err) {
@@ -273,7 +437,7 @@ function SignupPage({ isWalletConnected, walletAddress, onConnectWallet, setIsVe
     }
 
     setOcrRunning(false)
-  }, [])
+  }, [documentType, documentInfo, aadhaarDocument, documentFields, checkDocument])
 
   function handleFileSelect(e) {
     const file = e.target.files?.[0]
@@ -296,12 +460,18 @@ function SignupPage({ isWalletConnected, walletAddress, onConnectWallet, setIsVe
     setImageFile(null)
     setImagePreview(null)
     setOcrDone(false)
-    setIsAadhaar(null)
+    setIsRecognized(null)
     setOcrError('')
     setOcrProgress(0)
-    setFaceMatchStatus(null)
+    setFaceMatchStatus(faceLocked ? 'locked' : null)
     setFaceMatchScore(null)
     setFaceMatchError('')
+    setFaceSessionId(null)
+    setLivePhoto(null)
+    if (aadhaarDocument?.type === 'secure-qr') {
+      setAadhaarDocument(null)
+      setDocumentFields(null)
+    }
     if (fileInputRef.current) fileInputRef.current.value = ''
   }
 
@@ -311,20 +481,34 @@ function SignupPage({ isWalletConnected, walletAddress, onConnectWallet, setIsVe
     setError('')
 
     try {
-      if (!imageFile) throw new Error('Please upload your Aadhaar card image')
-      if (isAadhaar === false) throw new Error('Please upload a valid Aadhaar card image')
-      if (!livePhoto) throw new Error('Please capture a live photo for authentication')
+      if (!imageFile) throw new Error(`Please upload your ${documentInfo.label} image`)
+      if (isRecognized === false) throw new Error(`Please upload a valid ${documentInfo.label} image`)
+      if (!livePhoto) throw new Error('Please complete the live face check')
       if (faceLocked || faceMatchStatus === 'locked') throw new Error('Face verification is locked due to too many failed attempts. Try again after 24 hours.')
-      if (faceMatchStatus === 'mismatch') throw new Error('Face verification failed — your selfie does not match the Aadhaar photo')
+      if (faceMatchStatus === 'mismatch') throw new Error('Face verification failed — your selfie does not match the document photo')
       if (faceMatchStatus === 'error') throw new Error('Face verification could not be completed. Please retake your photo.')
       if (faceMatchStatus === 'loading') throw new Error('Face verification is still in progress. Please wait.')
-      if (faceMatchStatus !== 'match') throw new Error('Face verification is required before submitting')
+      if (faceMatchStatus !== 'match' || !faceSessionId) throw new Error('Face verification is required before submitting')
+      if (faceCheckStale) throw new Error('The document details changed after the live face check — please redo it')
       if (!formData.fullName.trim()) throw new Error('Please enter your full name')
-      if (!formData.dateOfBirth) throw new Error('Date of birth is required — it should be extracted from the Aadhaar')
+      if (!formData.dateOfBirth) throw new Error('Date of birth is required — it should be extracted from your document')
       if (isInvalidAge) throw new Error('Invalid date of birth')
-      if (!aadhaarComplete) throw new Error('Aadhaar must be exactly 12 digits')
-
-      const result = await submitKYC({ ...formData, livePhoto }, walletAddress)
+      if (!numberComplete) throw new Error(DOCUMENT_ERRORS[validateDocumentNumber(identityDocument).reason] || `Please enter your ${documentInfo.numberLabel}`)
+      if (mrzMissing) throw new Error('Enter the machine-readable zone from the passport photo page')
+      if (documentInvalid) throw new Error(DOCUMENT_ERRORS[documentInvalid])
+      if (aadhaarMismatch) throw new Error(`The Aadhaar number must end in ${documentFields.aadhaarLast4} (from the signed document)`)
+
+      // The commitments are made over secrets only this browser keeps
+      const { holderCommitments, secrets } = await newHolderCommitments(walletAddress)
+      const result = await submitKYC({
+        fullName: formData.fullName,
+        dateOfBirth: formData.dateOfBirth,
+        ...identityDocument,
+        faceSessionId,
+        holderCommitments,
+        ...(aadhaarDocument && { document: aadhaarDocument })
+      }, walletAddress)
+      await keepHolderCommitments(walletAddress, secrets, result.data?.cryptoProofs?.commitments)
       setSuccess(true)
       setResultData(result.data || result)
       setIsVerified(true)
@@ -366,7 +550,7 @@ function SignupPage({ isWalletConnected, walletAddress, onConnectWallet, setIsVe
         Get Your <span className="gradient-text">RacePass</span>
       </h1>
       <p className="page-description" style={{ animation: 'fadeInUp3D 0.8s 0.2s both' }}>
-        Complete KYC with Aadhaar & Live Photo verification.
+        Complete KYC with an identity document & Live Photo verification.
         <br />
         <span style={{ color: '#00ff88', fontSize: '14px' }}>Processed locally. No data leaves your browser.</span>
       </p>
@@ -375,7 +559,7 @@ function SignupPage({ isWalletConnected, walletAddress, onConnectWallet, setIsVe
       <div className="steps" style={{ marginBottom: '35px', animation: 'fadeInUp3D 0.6s 0.1s both' }}>
         {[
           { num: 1, label: 'Connect Wallet' },
-          { num: 2, label: 'Upload Aadhaar' },
+          { num: 2, label: 'Upload ID' },
           { num: 3, label: 'Get Verified' }
         ].map(s => (
           <div key={s.num} className={`step ${currentStep >= s.num ? 'active' : ''} ${currentStep > s.num || (s.num === 3 && success) ? 'completed' : ''}`}>
@@ -424,10 +608,29 @@ function SignupPage({ isWalletConnected, walletAddress, onConnectWallet, setIsVe
               {walletAddress?.slice(0, 10)}...{walletAddress?.slice(-6)}
             </div>
 
-            {/* ── Aadhaar Image Upload ── */}
+            {/* ── Document type ── */}
+            <div className="form-group">
+              <label className="form-label">Identity Document</label>
+              <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+                {Object.entries(DOCUMENT_TYPES).map(([type, info]) => (
+                  <button
+                    key={type}
+                    type="button"
+                    className={`btn ${documentType === type ? 'btn-primary' : 'btn-secondary'}`}
+                    onClick={() => handleDocumentTypeChange(type)}
+                    disabled={ocrRunning || documentChecking}
+                    style={{ flex: '1 1 110px', padding: '8px 10px', fontSize: '13px' }}
+                  >
+                    {info.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {/* ── Document Image Upload ── */}
             <div className="form-group">
               <label className="form-label">
-                1. Aadhaar Card Image <span style={{ color: '#ff5252' }}>*</span>
+                1. {documentInfo.label} Image <span style={{ color: '#ff5252' }}>*</span>
               </label>
 
               {!imagePreview ? (
@@ -440,7 +643,7 @@ function SignupPage({ isWalletConnected, walletAddress, onConnectWallet, setIsVe
                 >
                   <div style={{ marginBottom: '10px', animation: 'floatY 3s ease-in-out infinite' }}><svg width="44" height="44" viewBox="0 0 24 24" fill="none" stroke="#94a3b8" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M23 19a2 2 0 0 1-2 2H3a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h4l2-3h6l2 3h4a2 2 0 0 1 2 2z" /><circle cx="12" cy="13" r="4" /></svg></div>
                   <div style={{ color: '#e2e8f0', fontWeight: 600, fontSize: '15px', marginBottom: '6px' }}>
-                    {dragging ? 'Drop your Aadhaar here' : 'Upload Aadhaar Card'}
+                    {dragging ? `Drop your ${documentInfo.label} here` : `Upload ${documentInfo.label}`}
                   </div>
                   <div style={{ color: '#64748b', fontSize: '13px' }}>
                     Drag & drop or click to browse • JPG / PNG • Max 5 MB
@@ -456,7 +659,7 @@ function SignupPage({ isWalletConnected, walletAddress, onConnectWallet, setIsVe
               ) : (
                 <div style={{ position: 'relative' }}>
                   <div className="image-preview-container" style={{ animation: 'slideUp3D 0.4s' }}>
-                    <img src={imagePreview} alt="Aadhaar Preview" className="image-preview" />
+                    <img src={imagePreview} alt={`${documentInfo.label} Preview`} className="image-preview" />
                     <button
                       type="button"
                       onClick={handleRemoveImage}
@@ -469,7 +672,7 @@ function SignupPage({ isWalletConnected, walletAddress, onConnectWallet, setIsVe
                   {ocrRunning && (
                     <div style={{ marginTop: '12px', animation: 'fadeIn 0.3s' }}>
                       <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '6px' }}>
-                        <span style={{ color: '#94a3b8', fontSize: '13px' }}>Scanning Aadhaar card...</span>
+                        <span style={{ color: '#94a3b8', fontSize: '13px' }}>Scanning {documentInfo.label}...</span>
                         <span style={{ color: '#00ff88', fontSize: '13px', fontWeight: 600 }}>{ocrProgress}%</span>
                       </div>
                       <div className="progress-track">
@@ -479,14 +682,14 @@ function SignupPage({ isWalletConnected, walletAddress, onConnectWallet, setIsVe
                   )}
 
                   {/* Validation badges */}
-                  {!ocrRunning && isAadhaar === true && (
+                  {!ocrRunning && isRecognized === true && (
                     <div className="ocr-badge ocr-badge-success">
-                      Valid Aadhaar card detected — details extracted
+                      {documentInfo.label} detected — details extracted
                     </div>
                   )}
-                  {!ocrRunning && isAadhaar === false && (
+                  {!ocrRunning && isRecognized === false && (
                     <div className="ocr-badge ocr-badge-error">
-                      Not an Aadhaar card — please upload a valid Aadhaar
+                      Not recognized as your {documentInfo.label} — please upload a clearer image
                     </div>
                   )}
                 </div>
@@ -497,6 +700,73 @@ function SignupPage({ isWalletConnected, walletAddress, onConnectWallet, setIsVe
                   {ocrError}
                 </div>
               )}
+
+              {/* UIDAI-signed document: Secure QR found on the card, or offline e-KYC ZIP */}
+              {documentChecking && (
+                <div className="ocr-badge" style={{ animation: 'fadeIn 0.3s' }}>Checking UIDAI signature...</div>
+              )}
+              {!documentChecking && aadhaarDocument && (
+                <div className="ocr-badge ocr-badge-success" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' }}>
+                  <span>
+                    UIDAI signature verified ({aadhaarDocument.type === 'secure-qr' ? 'Secure QR' : 'offline e-KYC'}) — name and date of birth come from the signed document
+                  </span>
+                  {aadhaarDocument.type === 'offline-ekyc' && (
+                    <button type="button" onClick={handleRemoveDocument} title="Remove e-KYC" style={{ background: 'none', border: 'none', color: 'inherit', cursor: 'pointer' }}>✕</button>
+                  )}
+                </div>
+              )}
+              {documentType === 'aadhaar' && !documentChecking && !aadhaarDocument && ocrDone && (
+                <div className="alert alert-warning" style={{ marginTop: '10px', fontSize: '12px' }}>
+                  Read by OCR only (no UIDAI Secure QR found) — your RacePass will be marked low assurance.
+                  Add your offline e-KYC ZIP below for a UIDAI-verified one.
+                </div>
+              )}
+              {documentType !== 'aadhaar' && ocrDone && (
+                <div className="alert alert-warning" style={{ marginTop: '10px', fontSize: '12px' }}>
+                  Read by OCR only — RacePass cannot check an issuer signature on a {documentInfo.label},
+                  so your RacePass will be marked low assurance. Aadhaar with a Secure QR gives a verified one.
+                </div>
+              )}
+
+              {documentType === 'aadhaar' && !aadhaarDocument && (
+                <details style={{ marginTop: '12px' }}>
+                  <summary style={{ color: '#94a3b8', fontSize: '13px', cursor: 'pointer' }}>
+                    Have the offline e-KYC ZIP from UIDAI? (recommended)
+                  </summary>
+                  <div style={{ display: 'flex', gap: '8px', marginTop: '10px', flexWrap: 'wrap' }}>
+                    <input
+                      ref={ekycInputRef}
+                      type="file"
+                      accept=".zip,application/zip"
+                      onChange={e => { setEkycFile(e.target.files?.[0] || null); setDocumentError('') }}
+                      className="form-input"
+                      style={{ flex: '1 1 220px', fontSize: '13px' }}
+                    />
+                    <input
+                      type="password"
+                      className="form-input"
+                      placeholder="Share code"
+                      value={shareCode}
+                      onChange={e => setShareCode(e.target.value.slice(0, 4))}
+                      maxLength={4}
+                      autoComplete="off"
+                      style={{ width: '120px', fontSize: '13px' }}
+                    />
+                    <button type="button" className="btn btn-secondary" onClick={handleEkycVerify} disabled={documentChecking || !ekycFile}>
+                      Verify
+                    </button>
+                  </div>
+                  <div style={{ color: '#64748b', fontSize: '11px', marginTop: '6px' }}>
+                    Download it from the UIDAI resident portal (Offline e-KYC). The share code is the 4 characters you chose there.
+                  </div>
+                </details>
+              )}
+
+              {documentError && (
+                <div className="alert alert-error" style={{ marginTop: '10px', fontSize: '13px' }}>
+                  {documentError}
+                </div>
+              )}
             </div>
 
             {/* ── Live Photo Capture ── */}
@@ -532,11 +802,21 @@ function SignupPage({ isWalletConnected, walletAddress, onConnectWallet, setIsVe
                         style={{ width: '100%', height: 'auto', display: 'block', background: '#000' }}
                       />
                       <div className="camera-scan-effect" />
+                      {livenessPrompt && (
+                        <div style={{
+                          position: 'absolute', top: '15px', left: '0', right: '0', textAlign: 'center', zIndex: 10,
+                          color: '#00ff88', fontSize: '20px', fontWeight: 700, textShadow: '0 2px 8px rgba(0,0,0,0.8)'
+                        }}>
+                          {LIVENESS_PROMPTS[livenessPrompt] || livenessPrompt}
+                        </div>
+                      )}
                       <div style={{ position: 'absolute', bottom: '15px', left: '0', right: '0', display: 'flex', justifyContent: 'center', gap: '10px', zIndex: 10 }}>
-                        <button type="button" className="btn btn-primary" onClick={capturePhoto} style={{ padding: '8px 20px' }}>
-                          Capture
+                        <button type="button" className="btn btn-primary" onClick={runLiveCheck}
+                          disabled={faceMatchStatus === 'loading' || !modelsReady} style={{ padding: '8px 20px' }}>
+                          {!modelsReady ? 'Loading face models...' : faceMatchStatus === 'loading' ? 'Follow the prompts...' : 'Start Live Check'}
                         </button>
-                        <button type="button" className="btn btn-secondary" onClick={stopCamera} style={{ padding: '8px 20px', background: 'rgba(0,0,0,0.5)' }}>
+                        <button type="button" className="btn btn-secondary" onClick={stopCamera}
+                          disabled={faceMatchStatus === 'loading'} style={{ padding: '8px 20px', background: 'rgba(0,0,0,0.5)' }}>
                           Cancel
                         </button>
                       </div>
@@ -552,7 +832,7 @@ function SignupPage({ isWalletConnected, walletAddress, onConnectWallet, setIsVe
                         Click Live Photo
                       </div>
                       <div style={{ color: '#64748b', fontSize: '13px' }}>
-                        Open camera to verify your identity
+                        Open camera for a quick liveness check (blink, turn your head)
                       </div>
                       <div style={{ marginTop: '10px', color: '#ffc107', fontSize: '11px', fontWeight: 600 }}>
                         ⚠️ CAMERA ONLY - NO FILE UPLOAD
@@ -573,14 +853,14 @@ function SignupPage({ isWalletConnected, walletAddress, onConnectWallet, setIsVe
                     >↻</button>
                   </div>
                   <div className="ocr-badge ocr-badge-success">
-                    Live photo captured successfully
+                    Live photo captured after the liveness check
                   </div>
                 </div>
               )}
             </div>
 
             {/* ── Face Match Status ── */}
-            {(livePhoto && imageFile) || faceLocked ? (
+            {faceMatchStatus || faceLocked ? (
               <div style={{ marginTop: '24px', marginBottom: '8px', animation: 'fadeIn 0.4s' }}>
                 <label className="form-label" style={{ marginBottom: '10px' }}>
                   3. Face Verification
@@ -593,8 +873,12 @@ function SignupPage({ isWalletConnected, walletAddress, onConnectWallet, setIsVe
                   }}>
                     <span className="spinner" style={{ width: '20px', height: '20px', borderWidth: '2px' }}></span>
                     <div>
-                      <div style={{ color: '#e2e8f0', fontSize: '14px', fontWeight: 600 }}>Comparing faces...</div>
-                      <div style={{ color: '#94a3b8', fontSize: '12px', marginTop: '2px' }}>Analyzing selfie against Aadhaar photo</div>
+                      <div style={{ color: '#e2e8f0', fontSize: '14px', fontWeight: 600 }}>
+                        {livenessPrompt ? `Liveness check: ${LIVENESS_PROMPTS[livenessPrompt] || livenessPrompt}` : 'Checking your face...'}
+                      </div>
+                      <div style={{ color: '#94a3b8', fontSize: '12px', marginTop: '2px' }}>
+                        {livenessPrompt ? 'Keep your face in the frame' : 'The backend compares your selfie with the document photo'}
+                      </div>
                     </div>
                   </div>
                 )}
@@ -610,7 +894,9 @@ function SignupPage({ isWalletConnected, walletAddress, onConnectWallet, setIsVe
                     <div>
                       <div style={{ color: '#00ff88', fontSize: '14px', fontWeight: 700 }}>Face Match Verified ✓</div>
                       <div style={{ color: '#94a3b8', fontSize: '12px', marginTop: '2px' }}>
-                        {faceMatchScore}% similarity — Selfie matches Aadhaar photo
+                        {faceCheckStale
+                          ? 'The document details changed since — retake the live check'
+                          : `Liveness passed, ${faceMatchScore}% similarity — verified by the backend`}
                       </div>
                     </div>
                   </div>
@@ -625,7 +911,7 @@ function SignupPage({ isWalletConnected, walletAddress, onConnectWallet, setIsVe
                       <circle cx="12" cy="12" r="10" /><line x1="15" y1="9" x2="9" y2="15" /><line x1="9" y1="9" x2="15" y2="15" />
                     </svg>
                     <div>
-                      <div style={{ color: '#ff5252', fontSize: '14px', fontWeight: 700 }}>Face Mismatch ✗</div>
+                      <div style={{ color: '#ff5252', fontSize: '14px', fontWeight: 700 }}>Face Check Failed ✗</div>
                       <div style={{ color: '#94a3b8', fontSize: '12px', marginTop: '2px' }}>
                         {faceMatchError}
                       </div>
@@ -685,18 +971,18 @@ function SignupPage({ isWalletConnected, walletAddress, onConnectWallet, setIsVe
                 type="text"
                 name="fullName"
                 className="form-input"
-                placeholder={ocrDone ? 'Auto-filled' : 'Waiting for Aadhaar...'}
+                placeholder={ocrDone ? 'Auto-filled' : `Waiting for ${documentInfo.label}...`}
                 value={formData.fullName}
                 onChange={handleInputChange}
                 required
-                readOnly={ocrDone}
+                readOnly={ocrDone || !!documentFields?.name}
                 autoComplete="name"
-                style={ocrDone ? { opacity: 0.7, cursor: 'not-allowed' } : {}}
+                style={ocrDone || documentFields?.name ? { opacity: 0.7, cursor: 'not-allowed' } : {}}
               />
-              {ocrDone && (
+              {(ocrDone || documentFields?.name) && (
                 <div style={{ marginTop: '4px', fontSize: '11px', color: '#475569', display: 'flex', alignItems: 'center', gap: '4px' }}>
                   <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="#00ff88" strokeWidth="2"><path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z" /></svg>
-                  Locked — extracted from Aadhaar
+                  Locked — extracted from {documentInfo.label}
                 </div>
               )}
             </div>
@@ -712,13 +998,18 @@ function SignupPage({ isWalletConnected, walletAddress, onConnectWallet, setIsVe
                 onChange={handleInputChange}
                 max={new Date().toISOString().split('T')[0]}
                 required
-                readOnly={false} /* TODO: revert to {ocrDone} after testing */
-                style={{}}
+                readOnly={!!documentFields?.dateOfBirth}
+                style={documentFields?.dateOfBirth ? { opacity: 0.7, cursor: 'not-allowed' } : {}}
               />
               {isInvalidAge && (
                 <div style={{ marginTop: '8px', fontSize: '13px', color: '#ff5252' }}>Invalid date of birth</div>
               )}
-              {ocrDone && formData.dateOfBirth && (
+              {documentFields?.dateOfBirth ? (
+                <div style={{ marginTop: '4px', fontSize: '11px', color: '#475569', display: 'flex', alignItems: 'center', gap: '4px' }}>
+                  <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="#00ff88" strokeWidth="2"><path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z" /></svg>
+                  Locked — signed by UIDAI
+                </div>
+              ) : ocrDone && formData.dateOfBirth && (
                 <div style={{ marginTop: '4px', fontSize: '11px', color: '#ffc107', display: 'flex', alignItems: 'center', gap: '4px' }}>
                   <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="#ffc107" strokeWidth="2"><path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z" /></svg>
                   Editable — testing mode
@@ -726,41 +1017,102 @@ function SignupPage({ isWalletConnected, walletAddress, onConnectWallet, setIsVe
               )}
             </div>
 
-            {/* Aadhaar number */}
+            {/* Document number */}
             <div className="form-group">
-              <label className="form-label">Aadhaar Number <span style={{ color: '#ff5252' }}>*</span></label>
+              <label className="form-label">{documentInfo.numberLabel} <span style={{ color: '#ff5252' }}>*</span></label>
               <input
                 type="text"
-                name="aadhaarNumber"
+                name="documentNumber"
                 className="form-input"
-                placeholder={ocrDone ? 'Auto-filled from Aadhaar' : 'Will be extracted from Aadhaar'}
-                value={formData.aadhaarNumber}
+                placeholder={ocrDone ? `Auto-filled from ${documentInfo.label}` : `Will be extracted from ${documentInfo.label}`}
+                value={formData.documentNumber}
                 onChange={handleInputChange}
-                maxLength={12}
-                inputMode="numeric"
+                maxLength={documentInfo.maxLength}
+                inputMode={documentType === 'aadhaar' ? 'numeric' : 'text'}
+                autoCapitalize="characters"
                 required
-                readOnly={ocrDone}
-                style={ocrDone ? { opacity: 0.7, cursor: 'not-allowed' } : {}}
+                readOnly={ocrDone && !aadhaarMismatch && !numberInvalid && !mrzInvalid}
+                style={ocrDone && !aadhaarMismatch && !numberInvalid && !mrzInvalid ? { opacity: 0.7, cursor: 'not-allowed' } : {}}
               />
+              {numberInvalid && (
+                <div style={{ marginTop: '8px', fontSize: '13px', color: '#ff5252' }}>
+                  {DOCUMENT_ERRORS[numberInvalid]}
+                </div>
+              )}
+              {aadhaarMismatch && (
+                <div style={{ marginTop: '8px', fontSize: '13px', color: '#ff5252' }}>
+                  Doesn't match the signed document (ends in {documentFields.aadhaarLast4})
+                </div>
+              )}
               <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '6px' }}>
                 <small style={{ color: '#475569', fontSize: '11px', display: 'flex', alignItems: 'center', gap: '4px' }}>
                   {ocrDone ? (
-                    <><svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="#00ff88" strokeWidth="2"><path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z" /></svg> Locked — extracted from Aadhaar</>
-                  ) : '12-digit number from Aadhaar'}
+                    <><svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="#00ff88" strokeWidth="2"><path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z" /></svg> Locked — extracted from {documentInfo.label}</>
+                  ) : documentInfo.numberHint}
                 </small>
-                <small style={{ color: aadhaarComplete ? '#00ff88' : '#64748b', fontSize: '12px', fontWeight: aadhaarComplete ? 600 : 400 }}>
-                  {formData.aadhaarNumber.length}/12 {aadhaarComplete && '✓'}
+                <small style={{ color: numberComplete && !numberInvalid ? '#00ff88' : '#64748b', fontSize: '12px', fontWeight: numberComplete ? 600 : 400 }}>
+                  {documentType === 'aadhaar' ? `${formData.documentNumber.length}/12 ` : ''}{numberComplete && !numberInvalid && '✓'}
                 </small>
               </div>
             </div>
 
+            {/* Driving licence: issuing country */}
+            {documentType === 'driving-licence' && (
+              <div className="form-group">
+                <label className="form-label">Issuing Country <span style={{ color: '#ff5252' }}>*</span></label>
+                <input
+                  type="text"
+                  name="issuingCountry"
+                  className="form-input"
+                  placeholder="2-letter code, e.g. IN, US, GB"
+                  value={formData.issuingCountry}
+                  onChange={handleInputChange}
+                  maxLength={2}
+                  autoCapitalize="characters"
+                  required
+                  style={{ width: '140px' }}
+                />
+                <small style={{ display: 'block', color: '#475569', fontSize: '11px', marginTop: '6px' }}>
+                  Your RacePass proves residency in this country
+                </small>
+              </div>
+            )}
+
+            {/* Passport: machine-readable zone */}
+            {documentType === 'passport' && (
+              <div className="form-group">
+                <label className="form-label">Machine-Readable Zone <span style={{ color: '#ff5252' }}>*</span></label>
+                <textarea
+                  name="mrz"
+                  className="form-input"
+                  placeholder={'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<\nL898902C36UTO7408122F1204159ZE184226B<<<<<10'}
+                  value={formData.mrz}
+                  onChange={handleInputChange}
+                  rows={2}
+                  spellCheck={false}
+                  required
+                  style={{ fontFamily: 'monospace', fontSize: '12px', resize: 'vertical' }}
+                />
+                {mrzInvalid && (
+                  <div style={{ marginTop: '8px', fontSize: '13px', color: '#ff5252' }}>
+                    {DOCUMENT_ERRORS[mrzInvalid]}
+                  </div>
+                )}
+                <small style={{ display: 'block', color: mrz?.valid && !mrzInvalid ? '#00ff88' : '#475569', fontSize: '11px', marginTop: '6px' }}>
+                  {mrz?.valid && !mrzInvalid
+                    ? 'Check digits verified ✓'
+                    : 'The two lines at the bottom of the photo page — correct any misread characters'}
+                </small>
+              </div>
+            )}
+
             {error && <div className="alert alert-error" style={{ fontSize: '14px' }}>{error}</div>}
 
             <button
               type="submit"
               className="btn btn-primary btn-glow"
               style={{ width: '100%', padding: '14px', fontSize: '16px', marginTop: '8px' }}
-              disabled={isLoading || isInvalidAge || ocrRunning || isAadhaar === false || !livePhoto || !imageFile || faceMatchStatus !== 'match' || faceLocked}
+              disabled={isLoading || isInvalidAge || aadhaarMismatch || !!documentInvalid || ocrRunning || documentChecking || isRecognized === false || !livePhoto || !imageFile || faceMatchStatus !== 'match' || faceLocked}
             >
               {isLoading ? (
                 <span style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '8px' }}>
@@ -790,7 +1142,8 @@ function SignupPage({ isWalletConnected, walletAddress, onConnectWallet, setIsVe
         color: '#64748b', fontSize: '12px', lineHeight: '1.6',
         animation: 'fadeInUp3D 0.8s 0.5s both'
       }}>
-        Your Aadhaar and Live Photo are processed <strong>entirely in-browser</strong>.
+        Your document image is processed <strong>entirely in-browser</strong> — for Aadhaar, only the
+        UIDAI-signed QR data or e-KYC file is sent, to check UIDAI's signature.
         Only a secure cryptographic proof is stored on our servers.
       </div>
     </div>
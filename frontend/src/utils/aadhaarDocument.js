@@ -0,0 +1,53 @@
+/**
+ * aadhaarDocument.js — UIDAI-signed Aadhaar documents
+ *
+ * OCR (aadhaarOCR.js) can be fooled by an edited image. UIDAI signs two
+ * offline formats, and the backend checks that signature before issuing:
+ * 1. Secure QR — printed on the card; read here from the uploaded card image
+ * 2. Offline e-KYC ZIP — downloaded from the UIDAI resident portal, locked
+ *    with a 4-character share code the user chooses
+ *
+ * Only the QR digits / the ZIP are sent (to /api/kyc/document/verify and
+ * with the KYC submission) — the card image itself stays in the browser.
+ */
+
+import { Html5Qrcode } from 'html5-qrcode'
+
+/**
+ * Look for the Secure QR on an Aadhaar card image.
+ *
+ * @param {File} imageFile
+ * @returns {Promise<string|null>} the QR's decimal digits, or null if there is
+ *   no Secure QR (or only the old unsigned XML QR)
+ */
+export async function scanSecureQr(imageFile) {
+  // html5-qrcode needs a container element, even for file scans
+  const container = document.createElement('div')
+  container.id = 'aadhaar-qr-' + Math.random().toString(36).slice(2, 8)
+  container.style.display = 'none'
+  document.body.appendChild(container)
+
+  try {
+    const text = await new Html5Qrcode(container.id).scanFile(imageFile, false)
+    return /^\d{100,}$/.test(text.trim()) ? text.trim() : null
+  } catch {
+    return null
+  } finally {
+    container.remove()
+  }
+}
+
+/**
+ * Read an offline e-KYC ZIP for upload
+ *
+ * @param {File} zipFile
+ * @returns {Promise<string>} base64 contents
+ */
+export function readZipAsBase64(zipFile) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(String(reader.result).split(',')[1] || '')
+    reader.onerror = () => reject(new Error('Could not read the ZIP file'))
+    reader.readAsDataURL(zipFile)
+  })
+}
@@ -5,12 +5,55 @@
  * 1. Extract text from an uploaded Aadhaar card image
  * 2. Validate the image looks like an Aadhaar card
  * 3. Extract DOB, Name, Aadhaar number, and Gender
+ * 4. Check Aadhaar numbers (Verhoeff check digit, test/dummy numbers) —
+ *    the backend repeats this check before issuing
  *
  * Privacy: everything runs IN THE BROWSER — no image is sent to any server.
  */
 
 import Tesseract from 'tesseract.js'
 
+// Verhoeff dihedral-group tables (multiplication d, permutation p)
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 2, 3, 4, 0, 6, 7, 8, 9, 5], [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7], [4, 0, 1, 2, 3, 9, 5, 6, 7, 8], [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2], [7, 6, 5, 9, 8, 2, 1, 0, 4, 3], [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+]
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 5, 7, 6, 2, 8, 3, 0, 9, 4], [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7], [9, 4, 5, 3, 1, 2, 6, 8, 7, 0], [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5], [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+]
+
+function verhoeffValid(digits) {
+  let check = 0
+  const reversed = digits.split('').reverse()
+  for (let i = 0; i < reversed.length; i++) {
+    check = VERHOEFF_D[check][VERHOEFF_P[i % 8][Number(reversed[i])]]
+  }
+  return check === 0
+}
+
+/**
+ * Could UIDAI have issued this Aadhaar number? (same rules as the backend)
+ * - 12 digits, the last one a Verhoeff check digit
+ * - does not start with 0 or 1
+ * - not a test number (9999 sandbox prefix, all digits the same)
+ *
+ * @param {string} number - 12 digits, no spaces
+ * @returns {{ valid: boolean, reason: 'aadhaar_format'|'aadhaar_checksum'|'aadhaar_test_number'|null }}
+ */
+export function validateAadhaarNumber(number) {
+  const digits = String(number || '')
+  if (!/^\d{12}$/.test(digits)) return { valid: false, reason: 'aadhaar_format' }
+  if (/^[01]/.test(digits) || /^9999/.test(digits) || /^(\d)\1{11}$/.test(digits)) {
+    return { valid: false, reason: 'aadhaar_test_number' }
+  }
+  if (!verhoeffValid(digits)) return { valid: false, reason: 'aadhaar_checksum' }
+  return { valid: true, reason: null }
+}
+
 /**
  * Run OCR on the given image file and return structured Aadhaar data.
  *
@@ -76,17 +119,15 @@ export async function extractAadhaarData(imageFile, onProgress) {
   }
 
   // ─── Extract Aadhaar Number ───
-  // 12-digit number, usually formatted as XXXX XXXX XXXX
-  let aadhaarNumber = null
+  // 12-digit number, usually formatted as XXXX XXXX XXXX. Prefer one with a
+  // valid check digit (VIDs and misread digits don't have one); otherwise take
+  // the first so the user can correct it
   const aadhaarNumRegex = /\b(\d{4}\s?\d{4}\s?\d{4})\b/g
-  const aadhaarNumMatches = [...rawText.matchAll(aadhaarNumRegex)]
-  for (const m of aadhaarNumMatches) {
-    const digits = m[1].replace(/\s/g, '')
-    if (digits.length === 12) {
-      aadhaarNumber = digits
-      break
-    }
-  }
+  const aadhaarCandidates = [...rawText.matchAll(aadhaarNumRegex)]
+    .map(m => m[1].replace(/\s/g, ''))
+    .filter(digits => digits.length === 12)
+  const aadhaarNumber = aadhaarCandidates.find(digits => validateAadhaarNumber(digits).valid) ||
+    aadhaarCandidates[0] || null
 
   // ─── Extract Gender ───
   let gender = null
@@ -8,23 +8,37 @@
  *   submitKYC() → n8n webhook (localhost:5678/webhook/kyc)
  *     → n8n validates → n8n calls backend → response
  *   Falls back to direct backend call if n8n is unreachable.
+ *
+ * Auth (Sign-In With Ethereum):
+ *   Mutating calls need a session. ensureSession() signs in ONCE per wallet
+ *   (MetaMask signature, no gas) and caches the token in localStorage;
+ *   the token is then attached to every request as a Bearer header.
  */
 
 import { API } from './constants'
+import { signMessage, signTypedData, getChainId } from './wallet'
 
 const REQUEST_TIMEOUT = 12000 // 12 seconds
+const SESSION_KEY = 'racepass_session'
 
 /** Toggle: route KYC submission through n8n. Set false to skip n8n. */
 const USE_N8N = true
 
 /**
  * Wrapper around fetch with timeout + retry + offline detection
+ * Parses JSON unless options.responseType === 'text' (file downloads)
  */
 async function safeFetch(url, options = {}, retries = 2) {
   if (typeof navigator !== 'undefined' && !navigator.onLine) {
     throw new Error('You appear to be offline. Please check your internet connection.')
   }
 
+  // Attach the current session (if any) to every call
+  const session = loadSession()
+  if (session?.token && !options.headers?.Authorization) {
+    options = { ...options, headers: { ...options.headers, Authorization: `Bearer ${session.token}` } }
+  }
+
   for (let attempt = 0; attempt <= retries; attempt++) {
     try {
       const controller = new AbortController()
@@ -34,17 +48,24 @@ async function safeFetch(url, options = {}, retries = 2) {
       clearTimeout(timeout)
 
       if (response.status === 429) {
-        throw new Error('Too many requests. Please wait a minute and try again.')
+        const err = await response.json().catch(() => ({}))
+        const limitError = new Error(err.message || 'Too many requests. Please wait a minute and try again.')
+        limitError.status = 429
+        limitError.body = err
+        throw limitError
       }
       if (response.status === 409) {
         const err = await response.json()
-        throw new Error(err.message || 'Conflict: Resource already exists')
+        throw new Error(err.message || err.error || 'Conflict: Resource already exists')
       }
       if (!response.ok) {
         const err = await response.json().catch(() => ({}))
-        throw new Error(err.message || err.error || `Request failed (${response.status})`)
+        const httpError = new Error(err.message || err.error || `Request failed (${response.status})`)
+        httpError.status = response.status
+        httpError.body = err
+        throw httpError
       }
-      return await response.json()
+      return options.responseType === 'text' ? await response.text() : await response.json()
     } catch (error) {
       if (error.name === 'AbortError') {
         if (attempt < retries) continue
@@ -62,6 +83,87 @@ async function safeFetch(url, options = {}, retries = 2) {
   }
 }
 
+// ─── Session (Sign-In With Ethereum) ───────────
+
+function loadSession() {
+  try { return JSON.parse(localStorage.getItem(SESSION_KEY)) } catch { return null }
+}
+
+/**
+ * Get the stored session for a wallet, or null if missing/expired/other wallet
+ */
+export function getSession(walletAddress) {
+  const session = loadSession()
+  if (!session?.token) return null
+  if (walletAddress && session.walletAddress !== walletAddress.toLowerCase()) return null
+  if (new Date(session.expiresAt) <= new Date()) return null
+  return session
+}
+
+export function clearSession() {
+  localStorage.removeItem(SESSION_KEY)
+}
+
+/**
+ * Sign in: fetch a one-time EIP-4361 challenge, sign it in MetaMask,
+ * exchange the signature for a session token.
+ */
+export async function signIn(walletAddress) {
+  const chainId = await getChainId()
+  const challenge = await safeFetch(`${API.BACKEND_URL}/api/auth/nonce`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ walletAddress, chainId })
+  })
+
+  const signature = await signMessage(challenge.message, walletAddress)
+
+  const result = await safeFetch(`${API.BACKEND_URL}/api/auth/verify`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message: challenge.message, signature })
+  }, 0)
+
+  const session = { walletAddress: result.walletAddress, token: result.token, expiresAt: result.expiresAt }
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session))
+  return session
+}
+
+let pendingSignIn = null
+
+/**
+ * Reuse the stored session, or sign in once.
+ * Concurrent callers share a single MetaMask prompt.
+ */
+export async function ensureSession(walletAddress) {
+  const existing = getSession(walletAddress)
+  if (existing) return existing
+  if (!pendingSignIn) {
+    pendingSignIn = signIn(walletAddress).finally(() => { pendingSignIn = null })
+  }
+  return pendingSignIn
+}
+
+function withSession(options, session) {
+  return { ...options, headers: { ...options.headers, Authorization: `Bearer ${session.token}` } }
+}
+
+/**
+ * safeFetch for mutating routes: guarantees a session for `walletAddress`.
+ * If the backend rejects the token (expired, server restarted), sign in again once.
+ */
+async function authedFetch(walletAddress, url, options = {}, retries = 2) {
+  const session = await ensureSession(walletAddress)
+  try {
+    return await safeFetch(url, withSession(options, session), retries)
+  } catch (error) {
+    if (error.status !== 401) throw error
+    clearSession()
+    const fresh = await ensureSession(walletAddress)
+    return safeFetch(url, withSession(options, fresh), retries)
+  }
+}
+
 // ─── KYC (routed through n8n when available) ──
 
 export async function submitKYC(kycData, walletAddress) {
@@ -73,12 +175,13 @@ export async function submitKYC(kycData, walletAddress) {
 
   if (USE_N8N) {
     try {
-      // Try n8n webhook first
-      const result = await safeFetch(API.N8N_WEBHOOK_URL, {
+      // Try n8n webhook first (n8n forwards our session header to the backend)
+      const session = await ensureSession(walletAddress)
+      const result = await safeFetch(API.N8N_WEBHOOK_URL, withSession({
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(payload)
-      }, 0) // no retry — fail fast so we can fallback
+      }, session), 0) // no retry — fail fast so we can fallback
       return result
     } catch (n8nError) {
       console.warn('[api] n8n unreachable, falling back to direct backend call:', n8nError.message)
@@ -87,13 +190,140 @@ export async function submitKYC(kycData, walletAddress) {
   }
 
   // Direct backend call (fallback or when USE_N8N=false)
-  return safeFetch(`${API.BACKEND_URL}/api/kyc/submit`, {
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/kyc/submit`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(payload)
   }, 1)
 }
 
+/**
+ * Check a UIDAI-signed Aadhaar document and get its signed fields
+ * (name, DOB, last 4 Aadhaar digits) to fill the signup form.
+ * submitKYC() sends the same document and the backend checks it again.
+ *
+ * @param {Object} document - { type: 'secure-qr', qrData } or { type: 'offline-ekyc', zipBase64, shareCode }
+ */
+export async function verifyAadhaarDocument(walletAddress, document) {
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/kyc/document/verify`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ document })
+  }, 0)
+}
+
+// ─── Live face check (server-side session) ──
+// Errors carry the backend's body (error.body: reason, attemptsRemaining, lockedUntil)
+
+/** Is the live face check locked for this wallet? → { locked, lockedUntil, attemptsRemaining } */
+export async function getFaceCheckStatus(walletAddress) {
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/kyc/face-session/status`, {}, 0)
+}
+
+/**
+ * Start a live face check for an identity document → { sessionId, challenge, expiresAt }
+ * @param {Object} idDocument - { documentType, documentNumber, issuingCountry?, mrz? }
+ */
+export async function startFaceCheck(walletAddress, { documentType, documentNumber, issuingCountry, mrz }) {
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/kyc/face-session`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ documentType, documentNumber, issuingCountry, mrz })
+  }, 0)
+}
+
+/**
+ * Send the liveness steps + face descriptors; the backend decides → { passed, score }
+ * Pass the sessionId as kycData.faceSessionId to submitKYC().
+ */
+export async function completeFaceCheck(walletAddress, sessionId, { selfieDescriptor, documentDescriptor, steps }) {
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/kyc/face-session/${sessionId}/complete`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ selfieDescriptor, documentDescriptor, liveness: { steps } })
+  }, 0)
+}
+
+/**
+ * Renew your RacePass before it expires — re-enter DOB + the number of the
+ * document you verified with (no OCR / face match). Keeps reputation and history.
+ *
+ * @param {Object} kycData - { dateOfBirth, documentNumber, identityProof, holderCommitments }
+ *   (utils/commitmentVault.js: a proof opening the current identity commitment + blindings for the new ones)
+ */
+export async function renewCredential(walletAddress, { dateOfBirth, documentNumber, identityProof, holderCommitments }) {
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/kyc/renew`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ kycData: { dateOfBirth, documentNumber, identityProof, holderCommitments } })
+  }, 0)
+}
+
+/**
+ * Move a RacePass + reputation from another wallet to the signed-in one.
+ * With the old wallet: it signs an EIP-712 transfer (MetaMask must have
+ * both accounts connected). Without it: re-enter DOB + document number.
+ *
+ * @param {string} walletAddress - New (signed-in) wallet
+ * @param {string} fromWallet - Old wallet
+ * @param {Object} [kycData] - { dateOfBirth, documentNumber, identityProof } when the old wallet is lost
+ *   (identityProof made from the old wallet's key backup, utils/commitmentVault.js backupIdentityProof)
+ */
+export async function migrateWallet(walletAddress, fromWallet, kycData = null) {
+  let body = { fromWallet, method: 'identity', kycData }
+  if (!kycData) {
+    const { nonce, typedData } = await authedFetch(walletAddress, `${API.BACKEND_URL}/api/migration/authorization`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ fromWallet })
+    }, 0)
+    const signature = await signTypedData(typedData.domain, typedData.types, typedData.message, fromWallet)
+    body = { fromWallet, method: 'signature', nonce, signature }
+  }
+
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/migration`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  }, 0)
+}
+
+// ─── Guardians (minors) ────────────────────────
+
+/**
+ * Link an adult guardian to the signed-in minor's RacePass. The guardian's
+ * wallet signs the consent, so it must be connected in MetaMask too.
+ *
+ * @param {string} walletAddress - Minor (signed-in) wallet
+ * @param {string} guardianWallet - Adult RacePass holder
+ */
+export async function linkGuardian(walletAddress, guardianWallet) {
+  const { nonce, typedData } = await authedFetch(walletAddress, `${API.BACKEND_URL}/api/guardians/authorization`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ guardianWallet })
+  }, 0)
+  const signature = await signTypedData(typedData.domain, typedData.types, typedData.message, guardianWallet)
+
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/guardians`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ guardianWallet, nonce, signature })
+  }, 0)
+}
+
+/** { guardian, wards } of the signed-in wallet */
+export async function getGuardianLinks(walletAddress) {
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/guardians`)
+}
+
+/** The minor or their guardian ends the link */
+export async function unlinkGuardian(walletAddress, minorWallet) {
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/guardians/${minorWallet}`, {
+    method: 'DELETE'
+  })
+}
+
 // ─── Verification ──────────────────────────────
 
 export async function checkVerificationStatus(walletAddress) {
@@ -106,39 +336,78 @@ export async function getCredential(walletAddress) {
   return safeFetch(`${API.BACKEND_URL}/api/kyc/credential/${walletAddress}`)
 }
 
+/**
+ * Export your own credential as a W3C VC file
+ * @param {'json'|'jwt'} format  JSON-LD with EIP-712 proof, or a VC-JWT
+ * @returns {Promise<string>} file contents
+ */
+export async function downloadCredential(walletAddress, format = 'json') {
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/credentials/${walletAddress}/download?format=${format}`, {
+    responseType: 'text'
+  })
+}
+
 // ─── Third-party (concert / events) ───────────
 
-export async function verifyForThirdParty(walletAddress, network = 'ethereum', minAge = 0, eventType = 'general') {
-  return safeFetch(`${API.BACKEND_URL}/api/third-party/verify`, {
+/**
+ * Verifiable Presentation flow (replaces the bare-wallet POST /api/third-party/verify):
+ *   relying party → createPresentationRequest()
+ *   holder        → getPresentationAttestations() (fresh, scoped to the request's audience) + sign (utils/presentation.js)
+ *   relying party → verifyPresentation()
+ */
+export async function createPresentationRequest(audience, claims) {
+  return safeFetch(`${API.BACKEND_URL}/api/third-party/presentation-request`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ walletAddress, network, minAge, eventType })
+    body: JSON.stringify({ audience, claims })
   })
 }
 
+export async function getPresentationAttestations(walletAddress, claims, audience) {
+  const query = `claims=${encodeURIComponent(claims.join(','))}&audience=${encodeURIComponent(audience)}`
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/credentials/${walletAddress}/attestations?${query}`)
+}
+
+/** A batch of SD-JWT VCs, one per holder public JWK (utils/sdJwt.js) */
+export async function issueSdJwtCredentials(walletAddress, holderKeys) {
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/credentials/${walletAddress}/sd-jwt`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ holderKeys })
+  }, 0)
+}
+
+export async function verifyPresentation(presentation) {
+  return safeFetch(`${API.BACKEND_URL}/api/third-party/verify-presentation`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ presentation })
+  }, 0) // nonce is single-use — a retry would always fail
+}
+
 // ─── Revocation ────────────────────────────────
 
 export async function revokeCredential(walletAddress) {
-  return safeFetch(`${API.BACKEND_URL}/api/kyc/revoke`, {
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/kyc/revoke`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ walletAddress })
+    body: JSON.stringify({})
   }, 0)
 }
 
 // ─── Activity Log ──────────────────────────────
 
 export async function getActivityLog(walletAddress) {
-  return safeFetch(`${API.BACKEND_URL}/api/kyc/activity/${walletAddress}`)
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/kyc/activity/${walletAddress}`)
 }
 
 // ─── Auth (Role Registration) ──────────────────
 
 export async function registerUser(walletAddress, role, name = '', email = '') {
-  return safeFetch(`${API.BACKEND_URL}/api/events/auth/register`, {
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/events/auth/register`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ walletAddress, role, name, email })
+    body: JSON.stringify({ role, name, email })
   })
 }
 
@@ -149,10 +418,11 @@ export async function getMe(walletAddress) {
 // ─── Events (Marketplace) ──────────────────────
 
 export async function createEvent(eventData) {
-  return safeFetch(`${API.BACKEND_URL}/api/events/create`, {
+  const { walletAddress, ...fields } = eventData
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/events/create`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(eventData)
+    body: JSON.stringify(fields)
   })
 }
 
@@ -170,12 +440,39 @@ export async function getEventDetails(eventId) {
 
 // ─── Event Registration + ZKP ──────────────────
 
-export async function registerForEvent(walletAddress, eventId) {
-  return safeFetch(`${API.BACKEND_URL}/api/events/register`, {
+/** Fields the event wants revealed from an SD-JWT + the one-time nonce to bind the presentation to */
+export async function getDisclosureRequest(walletAddress, eventId) {
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/events/${eventId}/disclosure-request`)
+}
+
+/**
+ * @param {Object} [ageProof] Zero-knowledge age proof (utils/zkp.js) — required for age-gated events
+ * @param {string} [presentation] SD-JWT presentation (utils/sdJwt.js) for getDisclosureRequest()
+ */
+export async function registerForEvent(walletAddress, eventId, ageProof = null, presentation = null) {
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/events/register`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ walletAddress, eventId })
-  })
+    body: JSON.stringify({ eventId, ageProof, ...(presentation && { presentation }) })
+  }, presentation ? 0 : 2) // the nonce is single-use — a retry would always fail
+}
+
+/** Your age commitment (the blinding and age are in utils/commitmentVault.js) → { commitment, attestation } */
+export async function getAgeCommitment(walletAddress) {
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/kyc/age-commitment`)
+}
+
+/**
+ * Replace your age commitment with one over a new blinding (zkp.js createAgeBlinding)
+ * @param {Object} request - { ageBlinding, dateOfBirth, documentNumber, identityProof }
+ *   (the re-entered details open the identity commitment, as for renewal)
+ */
+export async function commitAgeBlinding(walletAddress, { ageBlinding, dateOfBirth, documentNumber, identityProof }) {
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/kyc/age-commitment`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ageBlinding, dateOfBirth, documentNumber, identityProof })
+  }, 0)
 }
 
 export async function checkZKPDisclosures(walletAddress, eventId) {
@@ -196,16 +493,68 @@ export async function validateTicket(qrToken) {
   return safeFetch(`${API.BACKEND_URL}/api/events/ticket/${qrToken}`)
 }
 
+/** Issuer addresses the gate scanner trusts when verifying QR payloads offline */
+export async function getTicketIssuers() {
+  return safeFetch(`${API.BACKEND_URL}/api/events/ticket/issuers`)
+}
+
 export async function scanTicket(qrToken, scannerWallet) {
-  return safeFetch(`${API.BACKEND_URL}/api/events/ticket/scan`, {
+  return authedFetch(scannerWallet, `${API.BACKEND_URL}/api/events/ticket/scan`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ qrToken })
+  })
+}
+
+// ─── Offline Gate Mode ─────────────────────────
+
+/** Ticket manifest for scanning an event offline (organizer only) */
+export async function getEventManifest(eventId, scannerWallet) {
+  return authedFetch(scannerWallet, `${API.BACKEND_URL}/api/events/${eventId}/manifest`)
+}
+
+/** Push a batch of check-ins recorded offline: { deviceId, checkIns[] } */
+export async function syncGateCheckIns(eventId, batch, scannerWallet) {
+  return authedFetch(scannerWallet, `${API.BACKEND_URL}/api/events/${eventId}/sync`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ qrToken, scannerWallet })
+    body: JSON.stringify(batch)
   })
 }
 
-export async function markAttendance(qrToken, status) {
-  return safeFetch(`${API.BACKEND_URL}/api/events/ticket/attendance`, {
+// ─── Gate Staff (delegated scanners) ───────────
+
+/** Events the signed-in wallet has been invited to scan for */
+export async function getStaffAssignments(walletAddress) {
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/events/staff/assignments`)
+}
+
+export async function getEventStaff(eventId, walletAddress) {
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/events/${eventId}/staff`)
+}
+
+/** role: 'scanner' | 'supervisor' */
+export async function addEventStaff(eventId, staffWallet, role, walletAddress) {
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/events/${eventId}/staff`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ wallet: staffWallet, role })
+  })
+}
+
+export async function revokeEventStaff(eventId, staffWallet, walletAddress) {
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/events/${eventId}/staff/${staffWallet}`, {
+    method: 'DELETE'
+  })
+}
+
+/** Scan records: who admitted whom */
+export async function getEventScans(eventId, walletAddress) {
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/events/${eventId}/scans`)
+}
+
+export async function markAttendance(qrToken, status, scannerWallet) {
+  return authedFetch(scannerWallet, `${API.BACKEND_URL}/api/events/ticket/attendance`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ qrToken, status })
@@ -219,10 +568,10 @@ export async function getNotifications(walletAddress) {
 }
 
 export async function markNotificationsRead(walletAddress) {
-  return safeFetch(`${API.BACKEND_URL}/api/events/notifications/read`, {
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/events/notifications/read`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ walletAddress })
+    body: JSON.stringify({})
   })
 }
 
@@ -235,10 +584,55 @@ export async function getReputation(walletAddress) {
 // ─── Delete Event ──────────────────────────────
 
 export async function deleteEvent(eventId, walletAddress) {
-  return safeFetch(`${API.BACKEND_URL}/api/events/${eventId}`, {
-    method: 'DELETE',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ walletAddress })
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/events/${eventId}`, {
+    method: 'DELETE'
   })
 }
 
+
+// ─── Admin Console (ADMIN_WALLETS only) ────────
+
+/** Search RacePasses by wallet, credentialId or fingerprint; status: active|expired|revoked|suspended|migrated */
+export async function adminListCredentials(walletAddress, { q = '', status = '', offset = 0 } = {}) {
+  const params = new URLSearchParams({ q, offset: String(offset) })
+  if (status) params.set('status', status)
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/admin/credentials?${params}`)
+}
+
+/** One RacePass with its activity log and admin actions */
+export async function adminGetCredential(walletAddress, holderWallet) {
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/admin/credentials/${holderWallet}`)
+}
+
+/** reason: a key of SUSPENSION_REASONS (constants.js) */
+export async function adminSuspendCredential(walletAddress, holderWallet, reason, note = '') {
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/admin/credentials/${holderWallet}/suspend`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ reason, note })
+  }, 0)
+}
+
+/** reason: a key of RESTORE_REASONS (constants.js) */
+export async function adminRestoreCredential(walletAddress, holderWallet, reason, note = '') {
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/admin/credentials/${holderWallet}/restore`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ reason, note })
+  }, 0)
+}
+
+export async function adminGetStats(walletAddress) {
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/admin/stats`)
+}
+
+export async function adminGetAbuseSignals(walletAddress) {
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/admin/abuse-signals`)
+}
+
+/** Audit trail of admin actions as CSV text */
+export async function adminExportAudit(walletAddress) {
+  return authedFetch(walletAddress, `${API.BACKEND_URL}/api/admin/audit?format=csv`, {
+    responseType: 'text'
+  })
+}
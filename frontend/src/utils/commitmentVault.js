@@ -0,0 +1,236 @@
+/**
+ * commitmentVault.js - Commitment Secrets (kept in the browser)
+ *
+ * The RacePass commitments are made over secrets picked here; the backend
+ * stores only the commitments, so it can't open them:
+ *
+ *   age       C = age·G + r·H                 r = blinding (zkp.js createAgeBlinding)
+ *   identity  C = v·G + s·H                   s = identity secret (zkp.js createIdentityBlinding),
+ *                                             v = keccak256(DOB|document)
+ *
+ * Age proofs are generated from r and the age, both kept here (the backend
+ * only knows an age bracket); renewal and lost-wallet
+ * recovery send the re-entered DOB + document number with a proof made
+ * from s that they open the identity commitment — never s itself.
+ *
+ * The secrets are AES-GCM encrypted in localStorage under a key derived from
+ * the wallet's signature over a fixed message (wallets sign deterministically,
+ * RFC 6979 — the same wallet always unlocks the same vault, no password).
+ * A backup file, encrypted with a passphrase, keeps them when the wallet or
+ * this browser is lost.
+ */
+
+import { decodeBase64, encodeBase64, getBytes, randomBytes, toUtf8Bytes, toUtf8String } from 'ethers'
+import { signMessage } from './wallet'
+import {
+  createAgeBlinding, ageBlindingContext, openAgeCommitment,
+  createIdentityBlinding, identityBlindingContext, identityOpeningContext, proveIdentityOpening
+} from './zkp'
+import { getAgeCommitment, commitAgeBlinding } from './api'
+
+const STORE_PREFIX = 'racepass_vault_'
+const BACKUP_TYPE = 'RacePassKeyBackup'
+const BACKUP_ITERATIONS = 310000   // PBKDF2-SHA256 (OWASP 2023)
+
+const vaultKeys = new Map()   // wallet → CryptoKey, for this page load
+
+// ═══════════════════════════════════════════
+//  ENCRYPTION
+// ═══════════════════════════════════════════
+
+function unlockMessage(walletAddress) {
+  return 'RacePass key vault\n\n' +
+    'Sign to unlock the secrets behind your RacePass commitments. ' +
+    'This costs no gas and does not send a transaction.\n\n' +
+    `Wallet: ${walletAddress.toLowerCase()}`
+}
+
+/** AES-GCM key from the wallet's signature (asks MetaMask once per page load) */
+async function vaultKey(walletAddress) {
+  const wallet = walletAddress.toLowerCase()
+  if (!vaultKeys.has(wallet)) {
+    const signature = await signMessage(unlockMessage(wallet), walletAddress)
+    const material = await crypto.subtle.importKey('raw', getBytes(signature), 'HKDF', false, ['deriveKey'])
+    const key = await crypto.subtle.deriveKey(
+      { name: 'HKDF', hash: 'SHA-256', salt: toUtf8Bytes('RacePass/vault'), info: toUtf8Bytes(wallet) },
+      material, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']
+    )
+    vaultKeys.set(wallet, key)
+  }
+  return vaultKeys.get(wallet)
+}
+
+async function passphraseKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey('raw', toUtf8Bytes(passphrase), 'PBKDF2', false, ['deriveKey'])
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: BACKUP_ITERATIONS },
+    material, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']
+  )
+}
+
+async function encrypt(key, value) {
+  const iv = randomBytes(12)
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, toUtf8Bytes(JSON.stringify(value)))
+  return { iv: encodeBase64(iv), data: encodeBase64(new Uint8Array(data)) }
+}
+
+async function decrypt(key, { iv, data }) {
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: decodeBase64(iv) }, key, decodeBase64(data))
+  return JSON.parse(toUtf8String(new Uint8Array(plain)))
+}
+
+// ═══════════════════════════════════════════
+//  VAULT (localStorage, per wallet)
+// ═══════════════════════════════════════════
+
+/** Does this browser have secrets for the wallet? (no signature needed) */
+export function hasCommitmentVault(walletAddress) {
+  return !!localStorage.getItem(STORE_PREFIX + walletAddress.toLowerCase())
+}
+
+/** @returns {Promise<{ identity?: { commitment, secret }, age?: { commitment, blinding, age } }>} */
+async function loadSecrets(walletAddress) {
+  const stored = localStorage.getItem(STORE_PREFIX + walletAddress.toLowerCase())
+  if (!stored) return {}
+  try {
+    return await decrypt(await vaultKey(walletAddress), JSON.parse(stored))
+  } catch {
+    throw new Error('Could not unlock your RacePass keys in this browser')
+  }
+}
+
+async function saveSecrets(walletAddress, secrets) {
+  const sealed = await encrypt(await vaultKey(walletAddress), secrets)
+  localStorage.setItem(STORE_PREFIX + walletAddress.toLowerCase(), JSON.stringify(sealed))
+}
+
+// ═══════════════════════════════════════════
+//  COMMITMENTS
+// ═══════════════════════════════════════════
+
+/**
+ * Secrets for a new RacePass (KYC or renewal). Unlocks the vault first, so
+ * MetaMask asks before anything is issued.
+ *
+ * @returns {Promise<{ holderCommitments: Object, secrets: Object }>}
+ *   send holderCommitments as kycData.holderCommitments, then keepHolderCommitments(secrets)
+ */
+export async function newHolderCommitments(walletAddress) {
+  await vaultKey(walletAddress)
+  const { secret: identitySecret, identityBlinding } = createIdentityBlinding(identityBlindingContext(walletAddress))
+  const { blinding, ageBlinding } = createAgeBlinding(ageBlindingContext(walletAddress))
+  return { holderCommitments: { identityBlinding, ageBlinding }, secrets: { identitySecret, blinding } }
+}
+
+/**
+ * Keep the secrets of a RacePass that was issued with them
+ * @param {Object} commitments - { age, identity } from the response's cryptoProofs
+ */
+export async function keepHolderCommitments(walletAddress, { identitySecret, blinding }, commitments) {
+  if (!commitments?.identity || !commitments?.age) return
+  await saveSecrets(walletAddress, {
+    identity: { commitment: commitments.identity, secret: identitySecret },
+    age: { commitment: commitments.age, blinding, age: openAgeCommitment(commitments.age, blinding) }
+  })
+}
+
+/**
+ * Proof that the re-entered DOB + document open the identity commitment (renewal)
+ * @param {string} context - zkp.js identityOpeningContext(...)
+ * @returns {Promise<Object|null>} null without a secret (credentials from before client-held secrets don't need one)
+ */
+export async function getIdentityProof(walletAddress, context) {
+  const secret = (await loadSecrets(walletAddress)).identity?.secret
+  return secret ? proveIdentityOpening(secret, context) : null
+}
+
+/** The same from a key backup (lost-wallet recovery — readCommitmentBackup) */
+export function backupIdentityProof(backup, context) {
+  return backup?.identity?.secret ? proveIdentityOpening(backup.identity.secret, context) : null
+}
+
+/**
+ * Age commitment with its opening, for zkp.js proveAgeAtLeast. Without the
+ * blinding for the current commitment (another browser, or one from before
+ * client-held blindings) a new commitment is made first — the backend doesn't
+ * keep the age, so that needs the DOB + document number re-entered.
+ *
+ * @param {Object} [identity] - { dateOfBirth, documentNumber } for a new commitment
+ * @returns {Promise<{ commitment: string, age: number, blinding: string }>}
+ * @throws {Error} with body.reason 'identity_required' when a new commitment is needed and identity wasn't given
+ */
+export async function ensureAgeOpening(walletAddress, identity = null) {
+  const current = await getAgeCommitment(walletAddress)
+  const secrets = await loadSecrets(walletAddress)
+  if (current.commitment && secrets.age?.commitment === current.commitment) {
+    const age = secrets.age.age ?? openAgeCommitment(current.commitment, secrets.age.blinding)
+    if (age == null) throw new Error('The age key in this browser does not open your age commitment')
+    if (secrets.age.age == null) await saveSecrets(walletAddress, { ...secrets, age: { ...secrets.age, age } })
+    return { commitment: current.commitment, age, blinding: secrets.age.blinding }
+  }
+
+  if (!identity) {
+    const error = new Error('This browser has no age key for your RacePass — confirm your date of birth and document number to make one')
+    error.body = { reason: 'identity_required' }
+    throw error
+  }
+  const { blinding, ageBlinding } = createAgeBlinding(ageBlindingContext(walletAddress))
+  const identityProof = secrets.identity?.secret
+    ? proveIdentityOpening(secrets.identity.secret, identityOpeningContext('age-commitment', walletAddress))
+    : null
+  const renewed = await commitAgeBlinding(walletAddress, { ...identity, identityProof, ageBlinding })
+  const age = openAgeCommitment(renewed.commitment, blinding)
+  await saveSecrets(walletAddress, { ...secrets, age: { commitment: renewed.commitment, blinding, age } })
+  return { commitment: renewed.commitment, age, blinding }
+}
+
+// ═══════════════════════════════════════════
+//  BACKUP (passphrase-encrypted file)
+// ═══════════════════════════════════════════
+
+/** Backup file contents (JSON) for the wallet's secrets */
+export async function exportCommitmentBackup(walletAddress, passphrase) {
+  const secrets = await loadSecrets(walletAddress)
+  if (!secrets.identity && !secrets.age) throw new Error('This browser has no RacePass keys to back up')
+  const salt = randomBytes(16)
+  const sealed = await encrypt(await passphraseKey(passphrase, salt), secrets)
+  return JSON.stringify({
+    type: BACKUP_TYPE,
+    version: 1,
+    wallet: walletAddress.toLowerCase(),
+    createdAt: new Date().toISOString(),
+    salt: encodeBase64(salt),
+    ...sealed
+  }, null, 2)
+}
+
+/**
+ * Open a backup file
+ * @returns {Promise<{ wallet: string, identity?: Object, age?: Object }>}
+ */
+export async function readCommitmentBackup(contents, passphrase) {
+  let backup
+  try {
+    backup = JSON.parse(contents)
+  } catch {
+    throw new Error('This is not a RacePass key backup')
+  }
+  if (backup?.type !== BACKUP_TYPE) throw new Error('This is not a RacePass key backup')
+  try {
+    const secrets = await decrypt(await passphraseKey(passphrase, decodeBase64(backup.salt)), backup)
+    return { wallet: backup.wallet, ...secrets }
+  } catch {
+    throw new Error('Wrong passphrase for this backup')
+  }
+}
+
+/** Keep a backup's secrets under the wallet its RacePass moved to (lost-wallet recovery) */
+export async function restoreCommitmentBackup(walletAddress, { identity, age }) {
+  await saveSecrets(walletAddress, { identity, age })
+}
+
+/** Copy the secrets to the wallet a RacePass moved to (both wallets sign) */
+export async function moveCommitmentVault(fromWallet, toWallet) {
+  if (!hasCommitmentVault(fromWallet)) return
+  await saveSecrets(toWallet, await loadSecrets(fromWallet))
+}
@@ -75,6 +75,8 @@ export const NETWORKS = {
  * 7. getReputation(address) - Reputation score + attendance
  * 8. fullVerify() - Combined verification check
  * 9. isValidTicketSignature() - On-chain ticket validation
+ * 10. verifyAttestationWithStatus() - Attestation check against an anchored revocation status list
+ * 11. verifyScopedAttestation() - Audience-bound, expiring, one-time attestation check
  */
 export const CONTRACT_ABI = [
   // Store a fingerprint (hash) for a wallet address
@@ -138,6 +140,45 @@ export const CONTRACT_ABI = [
     outputs: [{ name: '', type: 'bool' }],
     stateMutability: 'view'
   },
+  {
+    name: 'verifyScopedAttestation',
+    type: 'function',
+    inputs: [
+      { name: 'wallet', type: 'address' },
+      { name: 'claimHash', type: 'bytes32' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'audienceHash', type: 'bytes32' },
+      { name: 'expiresAt', type: 'uint256' },
+      { name: 'v', type: 'uint8' },
+      { name: 'r', type: 'bytes32' },
+      { name: 's', type: 'bytes32' }
+    ],
+    outputs: [{ name: '', type: 'bool' }],
+    stateMutability: 'view'
+  },
+  // Revocation status lists (StatusList2021)
+  {
+    name: 'statusListHashes',
+    type: 'function',
+    inputs: [{ name: '', type: 'uint256' }],
+    outputs: [{ name: '', type: 'bytes32' }],
+    stateMutability: 'view'
+  },
+  {
+    name: 'verifyAttestationWithStatus',
+    type: 'function',
+    inputs: [
+      { name: 'wallet', type: 'address' },
+      { name: 'claimHash', type: 'bytes32' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'v', type: 'uint8' },
+      { name: 'r', type: 'bytes32' },
+      { name: 's', type: 'bytes32' },
+      { name: '_statusList', type: 'bytes' }
+    ],
+    outputs: [{ name: '', type: 'bool' }],
+    stateMutability: 'view'
+  },
   // Reputation
   {
     name: 'getReputation',
@@ -232,5 +273,62 @@ export const API = {
 export const KYC_FIELDS = [
   { name: 'fullName', label: 'Full Name', type: 'text', required: true },
   { name: 'dateOfBirth', label: 'Date of Birth', type: 'date', required: true },
-  { name: 'aadhaarNumber', label: 'Aadhaar Number (Demo)', type: 'text', required: true },
+  { name: 'documentNumber', label: 'Document Number', type: 'text', required: true },
 ]
+
+// ============================================
+// IDENTITY DOCUMENTS (parsers: utils/documentOCR.js, backend: services/documents.js)
+// ============================================
+
+export const DOCUMENT_TYPES = {
+  aadhaar: {
+    label: 'Aadhaar',
+    numberLabel: 'Aadhaar Number',
+    numberHint: '12-digit number from Aadhaar',
+    maxLength: 12,
+    country: 'IN'
+  },
+  pan: {
+    label: 'PAN Card',
+    numberLabel: 'PAN',
+    numberHint: '10 characters, e.g. ABCPE1234F',
+    maxLength: 10,
+    country: 'IN'
+  },
+  passport: {
+    label: 'Passport',
+    numberLabel: 'Passport Number',
+    numberHint: 'Checked against the machine-readable zone',
+    maxLength: 9,
+    country: null   // nationality, from the machine-readable zone
+  },
+  'driving-licence': {
+    label: 'Driving Licence',
+    numberLabel: 'Licence Number',
+    numberHint: 'Indian licences: state code, RTO, year, 7 digits',
+    maxLength: 20,
+    country: null   // issuing country, entered by the user
+  }
+}
+
+// ============================================
+// ADMIN MODERATION REASON CODES (backend: services/moderation.js)
+// ============================================
+
+export const SUSPENSION_REASONS = {
+  fraud_suspected: 'Suspected fraud',
+  document_forged: 'Forged or altered identity document',
+  identity_theft: 'Identity used without the holder\'s consent',
+  duplicate_identity: 'Same person holds another RacePass',
+  underage_misrepresentation: 'Age misrepresented',
+  legal_request: 'Legal or regulatory request',
+  other: 'Other (see note)'
+}
+
+export const RESTORE_REASONS = {
+  revoked_in_error: 'Revoked or suspended by mistake',
+  investigation_cleared: 'Investigation found no abuse',
+  appeal_upheld: 'Holder\'s appeal upheld',
+  holder_request: 'Holder asked to undo their revocation',
+  other: 'Other (see note)'
+}
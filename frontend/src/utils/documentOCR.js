@@ -0,0 +1,259 @@
+/**
+ * documentOCR.js — Identity Document OCR Utility
+ *
+ * One parser per document type in DOCUMENT_TYPES (constants.js), all on
+ * Tesseract.js like aadhaarOCR.js:
+ * - aadhaar          → aadhaarOCR.js
+ * - pan              → PAN, DOB and name from the card
+ * - passport         → the machine-readable zone (two lines of 44 under the
+ *                      photo), check digits verified here and again by the backend
+ * - driving-licence  → licence number, DOB and name; Indian licences are
+ *                      recognized by their number format
+ *
+ * Each returns { recognized, name, dob, documentNumber, issuingCountry, mrz, mrzValid }.
+ * validateDocumentNumber() mirrors the backend (backend/services/documents.js).
+ *
+ * Privacy: everything runs IN THE BROWSER — no image is sent to any server.
+ */
+
+import Tesseract from 'tesseract.js'
+import { extractAadhaarData, validateAadhaarNumber } from './aadhaarOCR'
+
+// RTO state / union territory prefixes of Indian driving licence numbers
+const INDIAN_DL_STATES = new Set([
+  'AN', 'AP', 'AR', 'AS', 'BR', 'CG', 'CH', 'DD', 'DL', 'DN', 'GA', 'GJ', 'HP', 'HR', 'JH', 'JK', 'KA',
+  'KL', 'LA', 'LD', 'MH', 'ML', 'MN', 'MP', 'MZ', 'NL', 'OD', 'OR', 'PB', 'PY', 'RJ', 'SK', 'TG', 'TN',
+  'TR', 'TS', 'UA', 'UK', 'UP', 'WB'
+])
+
+/** Digits only for Aadhaar, uppercase letters + digits for the rest */
+export function normalizeDocumentNumber(documentType, value) {
+  const text = String(value || '')
+  return documentType === 'aadhaar'
+    ? text.replace(/\D/g, '')
+    : text.toUpperCase().replace(/[^A-Z0-9]/g, '')
+}
+
+/**
+ * Could this document number have been issued? (same rules as the backend;
+ * a passport's MRZ is checked separately with parseMrz)
+ *
+ * @param {{ documentType: string, documentNumber: string, issuingCountry?: string }} doc
+ * @returns {{ valid: boolean, reason: string|null }}
+ */
+export function validateDocumentNumber({ documentType, documentNumber, issuingCountry }) {
+  const number = documentNumber || ''
+  switch (documentType) {
+    case 'aadhaar':
+      return validateAadhaarNumber(number)
+    case 'pan':
+      if (!/^[A-Z]{5}\d{4}[A-Z]$/.test(number)) return { valid: false, reason: 'pan_format' }
+      if (number[3] !== 'P') return { valid: false, reason: 'pan_not_individual' }
+      return { valid: true, reason: null }
+    case 'passport':
+      return /^[A-Z0-9]{1,9}$/.test(number) ? { valid: true, reason: null } : { valid: false, reason: 'passport_format' }
+    case 'driving-licence': {
+      if (!/^[A-Z]{2}$/.test(issuingCountry || '')) return { valid: false, reason: 'document_country' }
+      if (issuingCountry !== 'IN') {
+        return /^[A-Z0-9]{4,20}$/.test(number) ? { valid: true, reason: null } : { valid: false, reason: 'dl_format' }
+      }
+      const indian = number.match(/^([A-Z]{2})\d{2}(?:19|20)\d{2}\d{7}$/)
+      if (!indian) return { valid: false, reason: 'dl_format' }
+      if (!INDIAN_DL_STATES.has(indian[1])) return { valid: false, reason: 'dl_state' }
+      return { valid: true, reason: null }
+    }
+    default:
+      return { valid: false, reason: 'document_type' }
+  }
+}
+
+// ─── Passport machine-readable zone (ICAO 9303, TD3) ───
+
+/** ICAO 9303 check digit: weights 7-3-1, A=10 … Z=35, '<' = 0 */
+function mrzCheckDigit(value) {
+  let sum = 0
+  for (let i = 0; i < value.length; i++) {
+    const c = value[i]
+    const n = c === '<' ? 0 : /\d/.test(c) ? Number(c) : c.charCodeAt(0) - 55
+    sum += n * [7, 3, 1][i % 3]
+  }
+  return sum % 10
+}
+
+function checkDigitMatches(value, check) {
+  return mrzCheckDigit(value) === (check === '<' ? 0 : Number(check))
+}
+
+/**
+ * Parse a passport MRZ and verify its check digits
+ *
+ * @param {string} mrz - two lines of 44 characters, newline-separated
+ * @returns {{ valid: boolean, reason: 'mrz_format'|'mrz_checksum'|null, fields?: Object }}
+ */
+export function parseMrz(mrz) {
+  const lines = String(mrz || '').split(/\r?\n/).map(l => l.toUpperCase().replace(/\s/g, '')).filter(Boolean)
+  if (lines.length !== 2 || !lines.every(l => /^[A-Z0-9<]{44}$/.test(l)) || lines[0][0] !== 'P') {
+    return { valid: false, reason: 'mrz_format' }
+  }
+
+  const [line1, line2] = lines
+  const composite = line2.slice(0, 10) + line2.slice(13, 20) + line2.slice(21, 43)
+  if (!checkDigitMatches(line2.slice(0, 9), line2[9]) || !checkDigitMatches(line2.slice(13, 19), line2[19]) ||
+      !checkDigitMatches(line2.slice(21, 27), line2[27]) || !checkDigitMatches(line2.slice(28, 42), line2[42]) ||
+      !checkDigitMatches(composite, line2[43])) {
+    return { valid: false, reason: 'mrz_checksum' }
+  }
+
+  const birth = line2.slice(13, 19)
+  const yy = Number(birth.slice(0, 2))
+  const century = yy > new Date().getFullYear() % 100 ? 1900 : 2000
+  const [surname, givenNames = ''] = line1.slice(5).split('<<')
+  return {
+    valid: true,
+    reason: null,
+    fields: {
+      documentNumber: line2.slice(0, 9).replace(/</g, ''),
+      issuingState: line1.slice(2, 5).replace(/</g, ''),
+      nationality: line2.slice(10, 13).replace(/</g, ''),
+      dateOfBirth: `${century + yy}-${birth.slice(2, 4)}-${birth.slice(4, 6)}`,
+      name: `${givenNames.replace(/</g, ' ').trim()} ${surname.replace(/</g, ' ').trim()}`.trim()
+    }
+  }
+}
+
+/** The two MRZ lines in OCR text (OCR often drops or adds a trailing '<') */
+function findMrz(lines) {
+  const candidates = lines
+    .map(l => l.toUpperCase().replace(/«/g, '<<').replace(/\s/g, ''))
+    .filter(l => /^[A-Z0-9<]{38,48}$/.test(l) && l.includes('<<'))
+  if (candidates.length < 2) return null
+  const [line1, line2] = candidates.slice(-2).map(l => l.slice(0, 44).padEnd(44, '<'))
+  return `${line1}\n${line2}`
+}
+
+// ─── OCR helpers ───
+
+async function recognize(imageFile, onProgress) {
+  const result = await Tesseract.recognize(imageFile, 'eng', {
+    logger: (info) => {
+      if (info.status === 'recognizing text' && onProgress) {
+        onProgress(Math.round(info.progress * 100))
+      }
+    }
+  })
+  const rawText = result.data.text
+  return {
+    rawText,
+    confidence: result.data.confidence,
+    lines: rawText.split('\n').map(l => l.trim()).filter(Boolean)
+  }
+}
+
+/** First plausible DD/MM/YYYY (or DD-MM-YYYY, DD.MM.YYYY) → YYYY-MM-DD */
+function findDate(text) {
+  for (const m of text.matchAll(/(\d{2})[/\-.](\d{2})[/\-.](\d{4})/g)) {
+    const [day, month, year] = [Number(m[1]), Number(m[2]), Number(m[3])]
+    if (month >= 1 && month <= 12 && day >= 1 && day <= 31 && year >= 1900 && year <= new Date().getFullYear()) {
+      return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+    }
+  }
+  return null
+}
+
+/** Text on the line after a label ("Name", ...), or after it on the same line */
+function valueAfterLabel(lines, label) {
+  for (let i = 0; i < lines.length; i++) {
+    const m = lines[i].match(label)
+    if (!m) continue
+    const rest = lines[i].slice(m.index + m[0].length).replace(/^[\s:/-]+/, '').trim()
+    const value = (rest || lines[i + 1] || '').replace(/[^a-zA-Z\s]/g, '').trim()
+    if (value.length >= 3 && value.length <= 60) return value
+  }
+  return null
+}
+
+function hasKeywords(text, keywords, min = 2) {
+  const lower = text.toLowerCase()
+  return keywords.filter(kw => lower.includes(kw)).length >= min
+}
+
+// ─── Parsers ───
+
+async function extractAadhaar(imageFile, onProgress) {
+  const result = await extractAadhaarData(imageFile, onProgress)
+  return {
+    recognized: result.isAadhaar,
+    name: result.name,
+    dob: result.dob,
+    documentNumber: result.aadhaarNumber,
+    issuingCountry: 'IN'
+  }
+}
+
+async function extractPan(imageFile, onProgress) {
+  const { rawText, lines } = await recognize(imageFile, onProgress)
+  const pan = rawText.toUpperCase().match(/\b([A-Z]{5}\d{4}[A-Z])\b/)
+  return {
+    recognized: hasKeywords(rawText, ['income tax', 'permanent account', 'govt', 'government of india', 'signature']) || !!pan,
+    name: valueAfterLabel(lines, /^name\b/i) || valueAfterLabel(lines, /(govt\.?|government) of india/i),
+    dob: findDate(rawText),
+    documentNumber: pan?.[1] || null,
+    issuingCountry: 'IN'
+  }
+}
+
+async function extractPassport(imageFile, onProgress) {
+  const { rawText, lines } = await recognize(imageFile, onProgress)
+  const mrz = findMrz(lines)
+  const parsed = mrz ? parseMrz(mrz) : null
+  return {
+    recognized: !!mrz || hasKeywords(rawText, ['passport', 'nationality', 'date of expiry', 'place of birth']),
+    name: parsed?.fields?.name || null,
+    dob: parsed?.fields?.dateOfBirth || null,
+    documentNumber: parsed?.fields?.documentNumber || (mrz ? mrz.split('\n')[1].slice(0, 9).replace(/</g, '') : null),
+    issuingCountry: null,   // the backend reads it from the MRZ
+    mrz,
+    mrzValid: !!parsed?.valid
+  }
+}
+
+async function extractDrivingLicence(imageFile, onProgress) {
+  const { rawText, lines } = await recognize(imageFile, onProgress)
+  const upper = rawText.toUpperCase()
+
+  const indian = upper.match(/\b([A-Z]{2})[\s-]?(\d{2})[\s-]?((?:19|20)\d{2})[\s-]?(\d{7})\b/)
+  const labelled = upper.match(/(?:D\.?L\.?|LICEN[CS]E)\s*(?:NO|NUMBER|#)\.?\s*[:-]?\s*([A-Z0-9-]{4,20})/)
+  const isIndian = !!indian && INDIAN_DL_STATES.has(indian[1])
+
+  return {
+    recognized: hasKeywords(rawText, ['driving licen', 'driver', 'licence no', 'license no', 'dl no', 'transport', 'motor vehicle', 'class', 'union of india'], 1),
+    name: valueAfterLabel(lines, /\bname\b/i),
+    dob: findDate(upper.match(/(?:DOB|DATE OF BIRTH|BIRTH)[\s\S]{0,30}/)?.[0] || '') || findDate(rawText),
+    documentNumber: isIndian
+      ? indian.slice(1, 5).join('')
+      : labelled ? normalizeDocumentNumber('driving-licence', labelled[1]) : null,
+    issuingCountry: isIndian || /union of india/i.test(rawText) ? 'IN' : null
+  }
+}
+
+const PARSERS = {
+  aadhaar: extractAadhaar,
+  pan: extractPan,
+  passport: extractPassport,
+  'driving-licence': extractDrivingLicence
+}
+
+/**
+ * Run OCR on an identity document image with the parser for its type.
+ *
+ * @param {string} documentType - key of DOCUMENT_TYPES
+ * @param {File} imageFile
+ * @param {(p: number) => void} onProgress - Optional progress callback (0–100)
+ * @returns {Promise<{ recognized: boolean, name: string|null, dob: string|null, documentNumber: string|null,
+ *   issuingCountry: string|null, mrz?: string|null, mrzValid?: boolean }>}
+ */
+export async function extractDocumentData(documentType, imageFile, onProgress) {
+  const parser = PARSERS[documentType]
+  if (!parser) throw new Error(`Unsupported document type: ${documentType}`)
+  return parser(imageFile, onProgress)
+}
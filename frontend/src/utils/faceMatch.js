@@ -1,7 +1,12 @@
 /**
  * faceMatch.js — Face matching utility using face-api.js
  *
- * Compares a live selfie against an Aadhaar card photo.
+ * Produces what the backend's live face check needs (POST /api/kyc/face-session,
+ * see backend/services/faceSession.js):
+ * 1. A liveness challenge run on the camera feed (blink / turn head left / right)
+ * 2. Face descriptors (128 numbers) of the selfie and the identity document photo
+ * The backend does the comparing and keeps the attempt count — no image leaves the browser.
+ *
  * Models are loaded from CDN (one-time) — no local weights needed.
  */
 
@@ -9,6 +14,12 @@ import * as faceapi from 'face-api.js'
 
 const MODEL_URL = 'https://cdn.jsdelivr.net/npm/@vladmandic/face-api@1.7.12/model'
 
+// Same thresholds as the backend (services/faceSession.js)
+const BLINK_MAX_EYE_RATIO = 0.2
+const TURN_MIN_YAW = 0.15
+const STEP_TIMEOUT_MS = 10_000
+const FRAME_INTERVAL_MS = 120
+
 let modelsLoaded = false
 
 /**
@@ -65,19 +76,17 @@ async function getFaceDescriptor(imageSource) {
 }
 
 /**
- * Compare two face images and return { match, distance, score }
+ * Face descriptors of the selfie and the identity document photo, for the backend
  *
- * @param {string|File} selfieSource  - live photo data URL
- * @param {string|File} aadhaarSource - Aadhaar card image (File or data URL)
- * @param {number}      threshold     - max Euclidean distance to consider a match (default 0.6)
- * @returns {{ match: boolean, distance: number, score: number }}
+ * @param {string|File} selfieSource   - live photo data URL
+ * @param {string|File} documentSource - Aadhaar / PAN / passport / licence image (File or data URL)
+ * @returns {Promise<{ selfieDescriptor: number[], documentDescriptor: number[] }>}
  */
-export async function compareFaces(selfieSource, aadhaarSource, threshold = 0.6) {
+export async function describeFaces(selfieSource, documentSource) {
   // Ensure models are loaded
   await loadFaceModels()
 
-  // Get descriptors for both faces
-  let selfieDescriptor, aadhaarDescriptor
+  let selfieDescriptor, documentDescriptor
 
   try {
     selfieDescriptor = await getFaceDescriptor(selfieSource)
@@ -89,24 +98,86 @@ export async function compareFaces(selfieSource, aadhaarSource, threshold = 0.6)
   }
 
   try {
-    aadhaarDescriptor = await getFaceDescriptor(aadhaarSource)
+    documentDescriptor = await getFaceDescriptor(documentSource)
   } catch (e) {
     if (e.message === 'NO_FACE') {
-      throw new Error('No face detected on the Aadhaar card. Please upload a clearer image of the front of your Aadhaar.')
+      throw new Error('No face detected on the document. Please upload a clearer image of the page with your photo.')
     }
     throw e
   }
 
-  // Euclidean distance between descriptors
-  const distance = faceapi.euclideanDistance(selfieDescriptor, aadhaarDescriptor)
+  return { selfieDescriptor: Array.from(selfieDescriptor), documentDescriptor: Array.from(documentDescriptor) }
+}
+
+// ── Liveness ──
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y)
+}
 
-  // Convert distance to a 0-100 confidence score (lower distance = higher score)
-  // distance of 0 = 100%, distance >= 1.0 = 0%
-  const score = Math.round(Math.max(0, Math.min(100, (1 - distance) * 100)))
+/** Eye aspect ratio (both eyes averaged): ~0.3 open, < 0.2 closed */
+function eyeAspectRatio(landmarks) {
+  const ratio = ([p1, p2, p3, p4, p5, p6]) =>
+    (distance(p2, p6) + distance(p3, p5)) / (2 * distance(p1, p4))
+  return (ratio(landmarks.getLeftEye()) + ratio(landmarks.getRightEye())) / 2
+}
 
-  return {
-    match: distance < threshold,
-    distance: Math.round(distance * 1000) / 1000,
-    score
+/**
+ * Head yaw: nose tip offset from the jaw centre, as a fraction of jaw width.
+ * In the (un-mirrored) camera frame, turning to your left is positive.
+ */
+function headYaw(landmarks) {
+  const jaw = landmarks.getJawOutline()
+  const noseTip = landmarks.getNose()[3]
+  const left = jaw[0]
+  const right = jaw[jaw.length - 1]
+  return (noseTip.x - (left.x + right.x) / 2) / (right.x - left.x)
+}
+
+const ACTIONS = {
+  blink: { measure: eyeAspectRatio, done: m => m <= BLINK_MAX_EYE_RATIO },
+  'turn-left': { measure: headYaw, done: m => m >= TURN_MIN_YAW },
+  'turn-right': { measure: headYaw, done: m => m <= -TURN_MIN_YAW }
+}
+
+/**
+ * Walk the user through the backend's liveness challenge on the live camera.
+ * For each action, frames are analysed until it is seen (or STEP_TIMEOUT_MS passes).
+ *
+ * @param {HTMLVideoElement} video
+ * @param {string[]} challenge - e.g. ['blink', 'turn-left', 'turn-right']
+ * @param {(action: string, index: number) => void} onStep - called when an action starts
+ * @returns {Promise<Array<{ action: string, at: number, metric: number, descriptor: number[] }>>}
+ *   at = ms since the challenge started
+ */
+export async function runLivenessChallenge(video, challenge, onStep) {
+  await loadFaceModels()
+  const started = performance.now()
+  const steps = []
+
+  for (let i = 0; i < challenge.length; i++) {
+    const action = challenge[i]
+    const check = ACTIONS[action]
+    if (!check) throw new Error(`Unknown liveness action: ${action}`)
+    onStep?.(action, i)
+
+    const deadline = performance.now() + STEP_TIMEOUT_MS
+    let step = null
+    while (!step) {
+      if (performance.now() > deadline) {
+        throw new Error('Liveness check timed out — follow the prompts, with your face well lit and in frame.')
+      }
+      const detection = await faceapi.detectSingleFace(video).withFaceLandmarks().withFaceDescriptor()
+      if (detection) {
+        const metric = check.measure(detection.landmarks)
+        if (check.done(metric)) {
+          step = { action, at: Math.round(performance.now() - started), metric, descriptor: Array.from(detection.descriptor) }
+        }
+      }
+      if (!step) await new Promise(r => setTimeout(r, FRAME_INTERVAL_MS))
+    }
+    steps.push(step)
   }
+
+  return steps
 }
@@ -0,0 +1,88 @@
+/**
+ * gateStore.js - IndexedDB Store for Offline Gate Scanning
+ *
+ * Two object stores:
+ *   manifests → one per event, downloaded before the gate opens
+ *               { eventId, eventName, issuers[], tickets[{ ticketHash, usedAt }], revoked[], generatedAt }
+ *   checkIns  → every entry this device admitted
+ *               { qrToken, eventId, ticketHash, wallet, scannedAt, deviceId, synced, syncStatus? }
+ *
+ * IndexedDB (not localStorage) so a full event's manifest and a long
+ * check-in log survive reloads and don't hit the ~5 MB localStorage cap.
+ */
+
+const DB_NAME = 'racepass-gate'
+const DB_VERSION = 1
+const DEVICE_KEY = 'racepass_device_id'
+
+let dbPromise = null
+
+function openDB() {
+  if (dbPromise) return dbPromise
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains('manifests')) db.createObjectStore('manifests', { keyPath: 'eventId' })
+      if (!db.objectStoreNames.contains('checkIns')) db.createObjectStore('checkIns', { keyPath: 'qrToken' })
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => { dbPromise = null; reject(request.error) }
+  })
+  return dbPromise
+}
+
+/** Run one request against a store and resolve with its result */
+async function withStore(storeName, mode, fn) {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode)
+    const request = fn(tx.objectStore(storeName))
+    tx.oncomplete = () => resolve(request?.result)
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+/**
+ * Stable per-browser ID so the backend can tell gate devices apart
+ */
+export function getDeviceId() {
+  let id = localStorage.getItem(DEVICE_KEY)
+  if (!id) {
+    id = crypto.randomUUID()
+    localStorage.setItem(DEVICE_KEY, id)
+  }
+  return id
+}
+
+// ─── Manifests ─────────────────────────────────
+
+export function saveManifest(manifest) {
+  return withStore('manifests', 'readwrite', store => store.put({ ...manifest, downloadedAt: new Date().toISOString() }))
+}
+
+export function getManifest(eventId) {
+  return withStore('manifests', 'readonly', store => store.get(eventId))
+}
+
+export async function getAllManifests() {
+  return (await withStore('manifests', 'readonly', store => store.getAll())) || []
+}
+
+// ─── Check-ins ─────────────────────────────────
+
+export function getCheckIn(qrToken) {
+  return withStore('checkIns', 'readonly', store => store.get(qrToken))
+}
+
+export function putCheckIn(checkIn) {
+  return withStore('checkIns', 'readwrite', store => store.put(checkIn))
+}
+
+export async function getAllCheckIns() {
+  return (await withStore('checkIns', 'readonly', store => store.getAll())) || []
+}
+
+export async function getUnsyncedCheckIns() {
+  return (await getAllCheckIns()).filter(c => !c.synced)
+}
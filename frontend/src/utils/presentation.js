@@ -0,0 +1,72 @@
+/**
+ * presentation.js - Verifiable Presentations (holder side)
+ *
+ * Third-party sites ask for claims (e.g. ageAbove:18) with a one-time nonce.
+ * The wallet answers with a presentation: the matching issuer attestations
+ * + an EIP-712 signature over them, the nonce and the site's audience.
+ * Only the wallet the attestations were issued to can produce it.
+ * The attestations are scoped to the site (audience + expiresAt, signed by
+ * the issuer) and pass along unchanged — the holder signs the other fields.
+ *
+ * Must stay in sync with backend/services/presentation.js (PRESENTATION_EIP712).
+ */
+
+import { getAddress } from 'ethers'
+import { signTypedData } from './wallet'
+
+const PRESENTATION_DOMAIN = { name: 'RacePass Presentation', version: '1' }
+const PRESENTATION_TYPES = {
+  Presentation: [
+    { name: 'holder', type: 'string' },
+    { name: 'challenge', type: 'string' },
+    { name: 'domain', type: 'string' },
+    { name: 'created', type: 'string' },
+    { name: 'attestations', type: 'Attestation[]' }
+  ],
+  Attestation: [
+    { name: 'claim', type: 'string' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'signature', type: 'bytes' },
+    { name: 'issuer', type: 'address' }
+  ]
+}
+
+/**
+ * Build and sign a presentation answering a request (MetaMask popup)
+ *
+ * @param {Object} request - { nonce, audience, claims } from the relying party
+ * @param {Object[]} attestations - { claim, nonce, signature, issuer }
+ * @param {string} walletAddress - Holder wallet
+ * @returns {Promise<Object>} Signed presentation
+ */
+export async function createPresentation(request, attestations, walletAddress) {
+  const holder = `did:ethr:${getAddress(walletAddress)}`
+  const created = new Date().toISOString()
+  const verifiableCredential = attestations.map(({ claim, nonce, signature, issuer, audience, expiresAt }) => ({
+    claim, nonce, signature, issuer, ...(audience != null && { audience, expiresAt })
+  }))
+
+  const proofValue = await signTypedData(PRESENTATION_DOMAIN, PRESENTATION_TYPES, {
+    holder,
+    challenge: request.nonce,
+    domain: request.audience,
+    created,
+    attestations: verifiableCredential.map(({ claim, nonce, signature, issuer }) => ({ claim, nonce, signature, issuer }))
+  }, walletAddress)
+
+  return {
+    '@context': ['https://www.w3.org/2018/credentials/v1'],
+    type: ['VerifiablePresentation', 'RacePassPresentation'],
+    holder,
+    verifiableCredential,
+    proof: {
+      type: 'EthereumEip712Signature2021',
+      proofPurpose: 'authentication',
+      challenge: request.nonce,
+      domain: request.audience,
+      created,
+      verificationMethod: `${holder}#controller`,
+      proofValue
+    }
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * sdJwt.js - Selective-Disclosure Credentials (holder side)
+ *
+ * The RacePass is also held here as a batch of SD-JWT VCs: one issuer
+ * signature over salted hashes of its fields (identityVerified, country,
+ * assuranceLevel, age_equal_or_over.18, ...). To register for an event the
+ * browser attaches only the disclosures the user approved and signs a
+ * key-binding JWT for the event's audience and nonce — the backend signs
+ * nothing per presentation.
+ *
+ * Each copy has its own salts and holder key and is used once, so two
+ * verifiers can't link what they received. Copies and their keys live in
+ * localStorage and are topped up from POST /api/credentials/:address/sd-jwt.
+ *
+ * Must stay in sync with backend/services/sdJwt.js (which also has the verifier).
+ */
+
+import { SigningKey, Wallet, decodeBase64, encodeBase64, getBytes, sha256, toUtf8Bytes, toUtf8String } from 'ethers'
+import { issueSdJwtCredentials } from './api'
+
+const STORE_PREFIX = 'racepass_sdjwt_'
+const BATCH_SIZE = 5
+const TOP_UP_BELOW = 3
+
+// ═══════════════════════════════════════════
+//  ENCODING
+// ═══════════════════════════════════════════
+
+const b64url = bytes => encodeBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+const fromB64url = text => decodeBase64(text.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(text.length / 4) * 4, '='))
+const encodeJson = value => b64url(toUtf8Bytes(JSON.stringify(value)))
+const decodeJson = text => JSON.parse(toUtf8String(fromB64url(text)))
+const sdDigest = text => b64url(getBytes(sha256(toUtf8Bytes(text))))
+
+function signEs256k(signingKey, signingInput) {
+  const sig = signingKey.sign(sha256(toUtf8Bytes(signingInput)))
+  return b64url(new Uint8Array([...getBytes(sig.r), ...getBytes(sig.s)]))
+}
+
+function publicKeyToJwk(publicKey) {
+  const point = getBytes(SigningKey.computePublicKey(publicKey, false))
+  return { kty: 'EC', crv: 'secp256k1', x: b64url(point.slice(1, 33)), y: b64url(point.slice(33, 65)) }
+}
+
+// ═══════════════════════════════════════════
+//  DISCLOSURES
+// ═══════════════════════════════════════════
+
+/**
+ * The fields an SD-JWT can reveal, with where each goes ('name' or 'object.name')
+ *
+ * @returns {{ path: string, name: string, value: *, disclosure: string }[]}
+ */
+export function listDisclosures(sdJwt) {
+  const [jwt, ...rest] = sdJwt.split('~')
+  const payload = decodeJson(jwt.split('.')[1])
+  const owners = new Map((payload._sd || []).map(digest => [digest, null]))
+  for (const [key, value] of Object.entries(payload)) {
+    if (value && typeof value === 'object' && Array.isArray(value._sd)) {
+      for (const digest of value._sd) owners.set(digest, key)
+    }
+  }
+  return rest.filter(Boolean)
+    .map(disclosure => ({ disclosure, digest: sdDigest(disclosure), decoded: decodeJson(disclosure) }))
+    .filter(d => owners.has(d.digest))
+    .map(({ disclosure, digest, decoded: [, name, value] }) => ({
+      path: owners.get(digest) ? `${owners.get(digest)}.${name}` : name,
+      name,
+      value,
+      disclosure
+    }))
+}
+
+/** Present an SD-JWT revealing only `reveal`, bound to the verifier's audience + nonce */
+function presentSdJwt(sdJwt, reveal, { holderKey, audience, nonce }) {
+  const [jwt] = sdJwt.split('~')
+  const wanted = new Set(reveal)
+  const disclosures = listDisclosures(sdJwt).filter(d => wanted.has(d.path)).map(d => d.disclosure)
+  const presented = `${jwt}~${disclosures.map(d => `${d}~`).join('')}`
+
+  const header = { alg: 'ES256K', typ: 'kb+jwt' }
+  const payload = { iat: Math.floor(Date.now() / 1000), aud: audience, nonce, sd_hash: sdDigest(presented) }
+  const signingInput = `${encodeJson(header)}.${encodeJson(payload)}`
+  return `${presented}${signingInput}.${signEs256k(holderKey, signingInput)}`
+}
+
+// ═══════════════════════════════════════════
+//  WALLET (batch of copies in localStorage)
+// ═══════════════════════════════════════════
+
+function loadCopies(walletAddress) {
+  try {
+    const copies = JSON.parse(localStorage.getItem(STORE_PREFIX + walletAddress.toLowerCase())) || []
+    return copies.filter(copy => new Date(copy.expiresAt) > new Date())
+  } catch {
+    return []
+  }
+}
+
+function saveCopies(walletAddress, copies) {
+  localStorage.setItem(STORE_PREFIX + walletAddress.toLowerCase(), JSON.stringify(copies))
+}
+
+/** Forget the stored copies (e.g. after they were revoked by a renewal) */
+export function clearSdJwtCredentials(walletAddress) {
+  localStorage.removeItem(STORE_PREFIX + walletAddress.toLowerCase())
+}
+
+/**
+ * Unused copies, topped up with a fresh batch when running low
+ *
+ * @returns {Promise<{ sdJwt: string, privateKey: string, expiresAt: string }[]>}
+ */
+export async function ensureSdJwtCredentials(walletAddress) {
+  const copies = loadCopies(walletAddress)
+  if (copies.length >= TOP_UP_BELOW) return copies
+
+  const keys = Array.from({ length: BATCH_SIZE }, () => Wallet.createRandom().signingKey)
+  const res = await issueSdJwtCredentials(walletAddress, keys.map(key => publicKeyToJwk(key.publicKey)))
+  const issued = res.credentials.map((sdJwt, i) => ({ sdJwt, privateKey: keys[i].privateKey, expiresAt: res.expiresAt }))
+  saveCopies(walletAddress, [...copies, ...issued])
+  return [...copies, ...issued]
+}
+
+/**
+ * Use up one copy for a presentation
+ *
+ * @param {string} walletAddress
+ * @param {string[]} reveal  Paths the user approved (listDisclosures)
+ * @param {Object} request   { audience, nonce } from the verifier
+ * @returns {string} SD-JWT presentation
+ */
+export function takeSdJwtPresentation(walletAddress, reveal, { audience, nonce }) {
+  const [copy, ...rest] = loadCopies(walletAddress)
+  if (!copy) throw new Error('No SD-JWT credentials left — fetch a new batch first')
+  saveCopies(walletAddress, rest)
+  return presentSdJwt(copy.sdJwt, reveal, { holderKey: new SigningKey(copy.privateKey), audience, nonce })
+}
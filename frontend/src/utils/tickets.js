@@ -0,0 +1,209 @@
+/**
+ * tickets.js - Offline Ticket Verification (gate scanner)
+ *
+ * Ticket QR codes carry a signed payload from the backend:
+ *
+ *   RP1.<base64url(JSON body)>.<issuer signature>
+ *   body = { q: qrToken, h: ticketHash, e: eventId, w: wallet, nb, na }
+ *
+ * The scanner checks the issuer signature with ethers.verifyMessage()
+ * against a cached list of trusted issuer addresses — no backend needed.
+ *
+ * Offline gate mode (see gateStore.js):
+ *   1. Before doors open, download the event manifest (ticket hashes,
+ *      issuer addresses, revoked tickets) into IndexedDB
+ *   2. Each scan is checked against the manifest + this device's check-ins
+ *   3. Check-ins are pushed in batches to POST /api/events/:eventId/sync,
+ *      which flags tickets that were also admitted on another device
+ */
+
+import { verifyMessage } from 'ethers'
+import {
+  getDeviceId, getAllManifests, getCheckIn, putCheckIn, getUnsyncedCheckIns
+} from './gateStore'
+
+const PAYLOAD_PREFIX = 'RP1'
+const ISSUERS_KEY = 'racepass_trusted_issuers'
+
+export const OFFLINE_REASON_MESSAGES = {
+  malformed_payload: 'Entry denied — unreadable ticket QR',
+  signature_invalid: 'Entry denied — ticket signature is invalid',
+  issuer_not_authorized: 'Entry denied — ticket was not signed by an authorized RacePass issuer',
+  not_yet_valid: 'Entry denied — ticket is not valid yet',
+  ticket_expired: 'Entry denied — ticket has expired',
+  already_used: 'Entry denied — ticket was already scanned',
+  not_in_manifest: 'Entry denied — ticket is not on this event\'s downloaded guest list',
+  credential_revoked: 'Entry denied — the holder\'s RacePass has been revoked',
+  no_trusted_issuers: 'Cannot verify offline — connect once to download the issuer list',
+  needs_connection: 'Backend unreachable — this ticket has no signed QR and must be checked online'
+}
+
+export function isTicketPayload(value) {
+  return typeof value === 'string' && value.startsWith(`${PAYLOAD_PREFIX}.`)
+}
+
+function decodeBase64url(input) {
+  const base64 = input.replace(/-/g, '+').replace(/_/g, '/')
+  const padded = base64 + '='.repeat((4 - base64.length % 4) % 4)
+  const bytes = Uint8Array.from(atob(padded), c => c.charCodeAt(0))
+  return new TextDecoder().decode(bytes)
+}
+
+// ─── Trusted issuers ───────────────────────────
+
+export function getTrustedIssuers() {
+  try { return JSON.parse(localStorage.getItem(ISSUERS_KEY))?.issuers || [] } catch { return [] }
+}
+
+export function saveTrustedIssuers(issuers) {
+  localStorage.setItem(ISSUERS_KEY, JSON.stringify({ issuers, savedAt: new Date().toISOString() }))
+}
+
+// ─── Verification ──────────────────────────────
+
+/**
+ * Verify a signed ticket payload without the backend
+ *
+ * @param {string} payload  Raw QR text
+ * @param {string[]} issuers  Trusted issuer addresses
+ * @returns {{ valid: boolean, ticket: Object|null, reason: string|null }}
+ *   ticket: { qrToken, ticketHash, eventId, wallet, notBefore, notAfter, signer }
+ */
+export function verifyTicketPayload(payload, issuers = getTrustedIssuers()) {
+  const parts = typeof payload === 'string' ? payload.split('.') : []
+  if (parts.length !== 3 || parts[0] !== PAYLOAD_PREFIX) {
+    return { valid: false, ticket: null, reason: 'malformed_payload' }
+  }
+  if (issuers.length === 0) return { valid: false, ticket: null, reason: 'no_trusted_issuers' }
+  const [, body, sig] = parts
+
+  let raw
+  try {
+    raw = JSON.parse(decodeBase64url(body))
+  } catch {
+    return { valid: false, ticket: null, reason: 'malformed_payload' }
+  }
+  if (!raw.q || !raw.h || !raw.e || !raw.w) return { valid: false, ticket: null, reason: 'malformed_payload' }
+
+  let signer
+  try {
+    signer = verifyMessage(body, `0x${sig}`)
+  } catch {
+    return { valid: false, ticket: null, reason: 'signature_invalid' }
+  }
+  if (!issuers.some(a => a.toLowerCase() === signer.toLowerCase())) {
+    return { valid: false, ticket: null, reason: 'issuer_not_authorized' }
+  }
+
+  const ticket = {
+    qrToken: raw.q, ticketHash: raw.h, eventId: raw.e, wallet: raw.w,
+    notBefore: raw.nb, notAfter: raw.na, signer
+  }
+  const now = Math.floor(Date.now() / 1000)
+  if (ticket.notBefore && now < ticket.notBefore) return { valid: false, ticket, reason: 'not_yet_valid' }
+  if (ticket.notAfter && now > ticket.notAfter) return { valid: false, ticket, reason: 'ticket_expired' }
+
+  return { valid: true, ticket, reason: null }
+}
+
+// ─── Offline gate mode ─────────────────────────
+
+/**
+ * Admit a ticket without the backend:
+ * signature → manifest (known, not revoked, not used) → not already checked in here.
+ * On success the check-in is stored for the next sync.
+ *
+ * @returns {Promise<{ valid: boolean, ticket: Object|null, reason: string|null, accompaniedBy?: string|null }>}
+ *   accompaniedBy — the guardian wallet from the manifest, for minors admitted with one
+ */
+export async function admitOffline(payload) {
+  const manifests = await getAllManifests()
+  const issuers = [...new Set([...getTrustedIssuers(), ...manifests.flatMap(m => m.issuers || [])])]
+
+  const result = verifyTicketPayload(payload, issuers)
+  if (!result.valid) return result
+  const { ticket } = result
+
+  const manifest = manifests.find(m => m.eventId === ticket.eventId)
+  const entry = manifest?.tickets.find(t => t.ticketHash === ticket.ticketHash)
+  if (manifest) {
+    if (!entry) return { valid: false, ticket, reason: 'not_in_manifest' }
+    if (manifest.revoked?.includes(ticket.ticketHash)) return { valid: false, ticket, reason: 'credential_revoked' }
+    if (entry.usedAt) return { valid: false, ticket, reason: 'already_used' }
+  }
+
+  if (await getCheckIn(ticket.qrToken)) return { valid: false, ticket, reason: 'already_used' }
+
+  await putCheckIn({
+    qrToken: ticket.qrToken,
+    eventId: ticket.eventId,
+    ticketHash: ticket.ticketHash,
+    wallet: ticket.wallet,
+    scannedAt: new Date().toISOString(),
+    deviceId: getDeviceId(),
+    synced: false
+  })
+  return { ...result, checkedAgainstManifest: !!manifest, accompaniedBy: entry?.accompaniedBy || null }
+}
+
+/**
+ * Remember a ticket the backend admitted online, so offline mode on this
+ * device rejects it if it is shown again later
+ */
+export async function recordOnlineCheckIn(ticket) {
+  if (!ticket?.qrToken || await getCheckIn(ticket.qrToken)) return
+  await putCheckIn({
+    qrToken: ticket.qrToken,
+    eventId: ticket.eventId,
+    ticketHash: ticket.ticketHash,
+    wallet: ticket.wallet,
+    scannedAt: ticket.usedAt || new Date().toISOString(),
+    deviceId: getDeviceId(),
+    synced: true,
+    syncStatus: 'accepted'
+  })
+}
+
+/**
+ * Push unsynced check-ins to the backend, one batch per event
+ *
+ * @param {Function} sync  (eventId, { deviceId, checkIns }) => Promise<{ results }>
+ * @returns {Promise<{ synced: number, conflicts: Array<{ qrToken, status, reason, firstScan }>, pending: number }>}
+ */
+export async function syncCheckIns(sync) {
+  const unsynced = await getUnsyncedCheckIns()
+  const byEvent = new Map()
+  for (const c of unsynced) {
+    if (!byEvent.has(c.eventId)) byEvent.set(c.eventId, [])
+    byEvent.get(c.eventId).push(c)
+  }
+
+  let synced = 0
+  let pending = 0
+  const conflicts = []
+
+  for (const [eventId, checkIns] of byEvent) {
+    let res
+    try {
+      res = await sync(eventId, {
+        deviceId: getDeviceId(),
+        checkIns: checkIns.map(({ qrToken, ticketHash, scannedAt }) => ({ qrToken, ticketHash, scannedAt }))
+      })
+    } catch (err) {
+      // No HTTP status → still offline; anything else is reported and retried next time
+      pending += checkIns.length
+      if (err.status) conflicts.push({ eventId, status: 'sync_failed', reason: err.message })
+      continue
+    }
+
+    for (const result of res.results || []) {
+      const checkIn = checkIns.find(c => c.qrToken === result.qrToken)
+      if (!checkIn) continue
+      await putCheckIn({ ...checkIn, synced: true, syncStatus: result.status, syncReason: result.reason || null })
+      synced++
+      if (result.status === 'duplicate' || result.status === 'rejected') conflicts.push(result)
+    }
+  }
+
+  return { synced, conflicts, pending }
+}
@@ -102,6 +102,52 @@ export function getProvider() {
   return new BrowserProvider(window.ethereum)
 }
 
+/**
+ * Sign a plain-text message with the connected wallet (personal_sign)
+ * Used for Sign-In With Ethereum — costs no gas, sends no transaction.
+ *
+ * @param {string} message - The exact text to sign
+ * @param {string} walletAddress - Account that must sign it
+ * @returns {string} The signature
+ */
+export async function signMessage(message, walletAddress) {
+  const provider = getProvider()
+  const signer = await provider.getSigner(walletAddress)
+
+  try {
+    return await signer.signMessage(message)
+  } catch (error) {
+    if (error.code === 4001 || error.code === 'ACTION_REJECTED') {
+      throw new Error('Please sign the message in MetaMask to continue')
+    }
+    throw new Error('Failed to sign message: ' + error.message)
+  }
+}
+
+/**
+ * Sign EIP-712 typed data with the connected wallet (eth_signTypedData_v4)
+ * Used for Verifiable Presentations and wallet transfers — MetaMask shows the fields being signed.
+ *
+ * @param {Object} domain - EIP-712 domain
+ * @param {Object} types - Struct definitions (without EIP712Domain)
+ * @param {Object} value - The data to sign
+ * @param {string} walletAddress - Account that must sign it
+ * @returns {string} The signature
+ */
+export async function signTypedData(domain, types, value, walletAddress) {
+  const provider = getProvider()
+  const signer = await provider.getSigner(walletAddress)
+
+  try {
+    return await signer.signTypedData(domain, types, value)
+  } catch (error) {
+    if (error.code === 4001 || error.code === 'ACTION_REJECTED') {
+      throw new Error('Please sign the request in MetaMask to continue')
+    }
+    throw new Error('Failed to sign request: ' + error.message)
+  }
+}
+
 /**
  * Get the current network/chain ID
  * Different blockchains have different IDs:
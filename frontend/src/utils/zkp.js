@@ -0,0 +1,225 @@
+/**
+ * zkp.js - Zero-Knowledge Age Proofs (prover, runs in the browser)
+ *
+ * The holder proves "my committed age ≥ minAge" locally; only the proof
+ * leaves the browser — never the age. The backend verifies it against the
+ * issuer-attested Pedersen commitment from KYC.
+ *
+ *   C = age·G + r·H                 (commitment, from GET /api/kyc/age-commitment)
+ *   r = blinding picked here; the issuer only gets R = r·H (createAgeBlinding)
+ *   age = kept with r, or found again from C and r (openAgeCommitment) — the backend doesn't keep it
+ *   C − minAge·G = Σ 2ⁱ·Cᵢ          (bit commitments of age − minAge)
+ *   each Cᵢ: OR-proof that it commits to 0 or 1 (Fiat–Shamir, bound to context)
+ *
+ * The verifier is backend/services/zkp.js — contexts, H and the challenge
+ * hash must match it (backend/tests/fixtures/ageProof.json is a proof from here).
+ */
+
+import { secp256k1, hashToCurve } from '@noble/curves/secp256k1'
+import { keccak256, concat, toUtf8Bytes, toBeHex, getBytes, hexlify, randomBytes } from 'ethers'
+
+const Point = secp256k1.ProjectivePoint
+const N = secp256k1.CURVE.n
+const G = Point.BASE
+const H = Point.fromAffine(hashToCurve(toUtf8Bytes('RacePass/pedersen/H'), { DST: 'RacePass-v1-secp256k1_XMD:SHA-256_SSWU_RO_' }).toAffine())
+
+export const RANGE_BITS = 8          // proves 0 ≤ age − minAge < 256
+export const PROOF_TYPE = 'RacePassAgeRange2024'
+
+// ═══════════════════════════════════════════
+//  HELPERS
+// ═══════════════════════════════════════════
+
+const mod = a => ((a % N) + N) % N
+const mul = (P, k) => (mod(k) === 0n ? Point.ZERO : P.multiply(mod(k)))
+const toHex = P => '0x' + P.toHex(true)
+const scalarHex = k => toBeHex(mod(k), 32)
+
+function randomScalar() {
+  let k = 0n
+  while (k === 0n) k = mod(BigInt(hexlify(randomBytes(32))))
+  return k
+}
+
+function challenge(context, index, C, A0, A1) {
+  const hash = keccak256(concat([
+    toUtf8Bytes(`${PROOF_TYPE}|${context}|${index}`),
+    getBytes(toHex(C)), getBytes(toHex(A0)), getBytes(toHex(A1))
+  ]))
+  return mod(BigInt(hash))
+}
+
+/** Context string a proof is bound to: wallet + event + threshold */
+export function ageProofContext(wallet, eventId, minAge) {
+  return `${wallet.toLowerCase()}|${eventId}|${minAge}`
+}
+
+// ═══════════════════════════════════════════
+//  COMMITMENT BLINDING (the issuer never sees r)
+// ═══════════════════════════════════════════
+
+/** Context a blinding proof is bound to: the wallet the commitment is issued to */
+export function ageBlindingContext(wallet) {
+  return `blinding|${wallet.toLowerCase()}`
+}
+
+function blindingChallenge(context, R, A) {
+  const hash = keccak256(concat([toUtf8Bytes(`${PROOF_TYPE}|${context}`), getBytes(toHex(R)), getBytes(toHex(A))]))
+  return mod(BigInt(hash))
+}
+
+/** r·H plus a Schnorr proof of knowing r, bound to context */
+function proveBlinding(r, context) {
+  const R = mul(H, r)
+  const k = randomScalar()
+  const A = mul(H, k)
+  const s = mod(k + blindingChallenge(context, R, A) * r)
+  return { blindingPoint: toHex(R), proof: { A: toHex(A), s: scalarHex(s) } }
+}
+
+/**
+ * Pick a blinding for a new age commitment: R = r·H plus a Schnorr proof of
+ * knowing r, so the issuer can commit age·G + R without learning r
+ *
+ * @param {string} context  ageBlindingContext(wallet)
+ * @returns {{ blinding: string, ageBlinding: { blindingPoint: string, proof: { A: string, s: string } } }}
+ *   keep the blinding (utils/commitmentVault.js), send ageBlinding
+ */
+export function createAgeBlinding(context) {
+  const r = randomScalar()
+  return { blinding: scalarHex(r), ageBlinding: proveBlinding(r, context) }
+}
+
+/**
+ * The age an age commitment opens to with this blinding — ages are small,
+ * so try each until age·G + r·H = C
+ *
+ * @returns {number|null} null if the blinding doesn't open it
+ */
+export function openAgeCommitment(commitment, blinding, maxAge = 150) {
+  const C = Point.fromHex(String(commitment).replace(/^0x/, ''))
+  let guess = mul(H, BigInt(blinding))
+  for (let age = 0; age <= maxAge; age++) {
+    if (guess.equals(C)) return age
+    guess = guess.add(G)
+  }
+  return null
+}
+
+// ═══════════════════════════════════════════
+//  IDENTITY COMMITMENT (C = v·G + s·H, v from DOB + document)
+// ═══════════════════════════════════════════
+
+/** Context an identity blinding proof is bound to: the wallet the commitment is issued to */
+export function identityBlindingContext(wallet) {
+  return `identity-blinding|${wallet.toLowerCase()}`
+}
+
+/**
+ * Context an identity opening proof is bound to: what it authorizes
+ * ('renew' | 'migrate' | 'age-commitment'), the RacePass's wallet, and the
+ * wallet it moves to (migration)
+ */
+export function identityOpeningContext(action, wallet, toWallet = wallet) {
+  return `identity-opening|${action}|${wallet.toLowerCase()}|${toWallet.toLowerCase()}`
+}
+
+/**
+ * Pick the secret for a new identity commitment — the issuer commits
+ * v·G + s·H over the DOB + document it verified
+ *
+ * @param {string} context  identityBlindingContext(wallet)
+ * @returns {{ secret: string, identityBlinding: { blindingPoint: string, proof: { A: string, s: string } } }}
+ *   keep the secret (utils/commitmentVault.js), send identityBlinding
+ */
+export function createIdentityBlinding(context) {
+  const s = randomScalar()
+  return { secret: scalarHex(s), identityBlinding: proveBlinding(s, context) }
+}
+
+/**
+ * Prove the identity commitment opens to the DOB + document the user
+ * re-entered, without sending the secret: the backend computes C − v·G
+ * from what was re-entered, and this proves knowing its log_H
+ *
+ * @param {string} secret   from createIdentityBlinding
+ * @param {string} context  identityOpeningContext(...)
+ * @returns {{ A: string, s: string }}
+ */
+export function proveIdentityOpening(secret, context) {
+  return proveBlinding(mod(BigInt(secret)), context).proof
+}
+
+// ═══════════════════════════════════════════
+//  PROVER (holder side)
+// ═══════════════════════════════════════════
+
+/**
+ * Prove age ≥ minAge for a commitment you can open
+ *
+ * @param {Object} opts { age, blinding, commitment, minAge, context }
+ * @returns {Object} proof { type, commitment, minAge, context, bits: [{ C, e0, s0, e1, s1 }] }
+ * @throws if age < minAge (no valid proof exists) or age − minAge ≥ 2^RANGE_BITS
+ */
+export function proveAgeAtLeast({ age, blinding, commitment, minAge, context }) {
+  const d = BigInt(age) - BigInt(minAge)
+  if (d < 0n) throw new Error('Age is below the required minimum — no proof possible')
+  if (d >= 1n << BigInt(RANGE_BITS)) throw new Error('Age difference is outside the proof range')
+
+  const r = mod(BigInt(blinding))
+  const bits = []
+
+  // Blindings for each bit, with Σ 2ⁱ·rᵢ = r (last one solves the equation)
+  const blindings = []
+  let weighted = 0n
+  for (let i = 0; i < RANGE_BITS - 1; i++) {
+    blindings.push(randomScalar())
+    weighted = mod(weighted + (1n << BigInt(i)) * blindings[i])
+  }
+  const lastWeightInv = modInverse(1n << BigInt(RANGE_BITS - 1))
+  blindings.push(mod((r - weighted) * lastWeightInv))
+
+  for (let i = 0; i < RANGE_BITS; i++) {
+    const b = (d >> BigInt(i)) & 1n
+    const ri = blindings[i]
+    const C = mul(G, b).add(mul(H, ri))
+    // Statement j: "C − j·G = x·H"
+    const P = [C, C.subtract(G)]
+    const real = Number(b)
+    const fake = 1 - real
+
+    const e = [0n, 0n]
+    const s = [0n, 0n]
+    const A = [null, null]
+
+    // Simulate the branch we can't prove
+    e[fake] = randomScalar()
+    s[fake] = randomScalar()
+    A[fake] = mul(H, s[fake]).subtract(mul(P[fake], e[fake]))
+
+    // Commit for the real branch
+    const k = randomScalar()
+    A[real] = mul(H, k)
+
+    const c = challenge(context, i, C, A[0], A[1])
+    e[real] = mod(c - e[fake])
+    s[real] = mod(k + e[real] * ri)
+
+    bits.push({ C: toHex(C), e0: scalarHex(e[0]), s0: scalarHex(s[0]), e1: scalarHex(e[1]), s1: scalarHex(s[1]) })
+  }
+
+  return { type: PROOF_TYPE, commitment, minAge: Number(minAge), context, bits }
+}
+
+function modInverse(a) {
+  // N is prime → a^(N−2) mod N
+  let result = 1n
+  let base = mod(a)
+  let exp = N - 2n
+  while (exp > 0n) {
+    if (exp & 1n) result = (result * base) % N
+    base = (base * base) % N
+    exp >>= 1n
+  }
+  return result
+}